@@ -0,0 +1,190 @@
+// Alignment Evidence
+// Decides how strongly GitHub activity shows work on a Jira task. Each strategy looks for
+// one kind of evidence and carries a weight; a task's confidence combines the strategies
+// that matched, so a lone weak signal (a shared keyword) no longer counts as "has evidence".
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_PATH = process.env.ALIGNMENT_CONFIG || path.join(__dirname, "alignment.config.json");
+
+const DEFAULT_WEIGHTS = {
+	commitKey: 0.6,        // task key in a commit message
+	branchKey: 0.5,        // task key in a branch name
+	prLink: 0.7,           // task key in a pull request title, body or head branch
+	devPanel: 0.9,         // Jira's development panel links the issue to a PR or branch in the repo
+	fileOwnership: 0.25,   // commits touching paths owned by the task's component or label
+	summaryKeywords: 0.15, // 3+ summary words in a commit message
+};
+const DEFAULT_THRESHOLD = 0.5;
+// Evidence items kept per kind in the report
+const MAX_ITEMS = 5;
+
+const STOP_WORDS = new Set(["the", "and", "for", "with", "that", "this", "can", "you", "ask", "way", "called", "from", "into", "when", "should"]);
+
+/**
+ * Built-in strategies. A strategy returns the evidence items it found for a task:
+ * { kind: "commit" | "pr" | "branch", ... } using the normalized context shapes below.
+ * Items keep the `repo` their context entry was tagged with (multi-repository checks).
+ */
+const DEFAULT_STRATEGIES = [
+	{
+		name: "commitKey",
+		match: (task, ctx) => ctx.commits
+			.filter(c => keyPattern(task.key).test(c.message))
+			.map(c => ({ kind: "commit", ...c })),
+	},
+	{
+		name: "branchKey",
+		match: (task, ctx) => ctx.branches
+			.map(toBranch)
+			.filter(b => keyPattern(task.key).test(b.name))
+			.map(b => ({ kind: "branch", ...b })),
+	},
+	{
+		name: "prLink",
+		match: (task, ctx) => ctx.prs
+			.filter(pr => [pr.title, pr.body, pr.headRef].some(text => keyPattern(task.key).test(text || "")))
+			.map(pr => ({ kind: "pr", ...pr })),
+	},
+	{
+		name: "devPanel",
+		match: (task, ctx) => {
+			const info = ctx.devPanel?.[task.key];
+			if (!info) return [];
+			return [
+				...(info.pullRequests || []).map(pr => ({ kind: "pr", ...pr })),
+				...(info.branches || []).map(b => ({ kind: "branch", name: b.name, ...(b.repo ? { repo: b.repo } : {}) })),
+			];
+		},
+	},
+	{
+		name: "fileOwnership",
+		match: (task, ctx) => {
+			// A rule with a repo only owns that path in that repository
+			const owned = (ctx.ownership || [])
+				.filter(rule => (rule.components || []).some(c => task.components.includes(c))
+					|| (rule.labels || []).some(l => task.labels.includes(l)));
+			if (!owned.length) return [];
+			return ctx.commits
+				.filter(c => (c.files || []).some(file => owned.some(rule => file.startsWith(rule.path) && (!rule.repo || rule.repo === c.repo))))
+				.map(c => ({ kind: "commit", ...c }));
+		},
+	},
+	{
+		name: "summaryKeywords",
+		match: (task, ctx) => {
+			const words = summaryKeywords(task.summary);
+			if (words.length < 3) return [];
+			return ctx.commits
+				.filter(c => {
+					const message = c.message.toLowerCase();
+					return words.filter(w => new RegExp(`\\b${escapeRegExp(w)}\\b`).test(message)).length >= 3;
+				})
+				.map(c => ({ kind: "commit", ...c }));
+		},
+	},
+];
+
+/**
+ * Build a matcher from weights (missing names use DEFAULT_WEIGHTS, 0 disables a strategy),
+ * a confidence threshold and optional extra strategies ({ name, weight, match }).
+ */
+function createMatcher({ weights = {}, threshold = DEFAULT_THRESHOLD, strategies = DEFAULT_STRATEGIES } = {}) {
+	const active = strategies
+		.map(s => ({ ...s, weight: weights[s.name] ?? DEFAULT_WEIGHTS[s.name] ?? s.weight ?? 0 }))
+		.filter(s => s.weight > 0);
+
+	return {
+		threshold,
+		uses: (name) => active.some(s => s.name === name),
+
+		/**
+		 * Evidence for one task.
+		 * @param {{ key: string, summary?: string, components?: string[], labels?: string[] }} task
+		 * @param {{ commits?: object[], prs?: object[], branches?: Array<string | { name: string, repo?: string }>, devPanel?: object, ownership?: object[] }} context
+		 */
+		evaluate(task, context) {
+			const t = { summary: "", components: [], labels: [], ...task };
+			const ctx = { commits: [], prs: [], branches: [], ...context };
+			const matchedStrategies = [];
+			const found = { commit: new Map(), pr: new Map(), branch: new Map() };
+			for (const strategy of active) {
+				const items = strategy.match(t, ctx) || [];
+				if (!items.length) continue;
+				matchedStrategies.push({ name: strategy.name, weight: strategy.weight, matches: items.length });
+				for (const item of items) {
+					// The same sha, PR number or branch name can exist in several repositories
+					const id = `${item.repo || ""}:${item.kind === "commit" ? item.sha : item.kind === "pr" ? item.url || item.number : item.name}`;
+					if (found[item.kind] && !found[item.kind].has(id)) found[item.kind].set(id, item);
+				}
+			}
+			// Independent signals: confidence is the chance at least one of them is right
+			const confidence = round(1 - matchedStrategies.reduce((p, s) => p * (1 - s.weight), 1));
+			return {
+				confidence,
+				hasEvidence: confidence >= threshold,
+				matchedStrategies,
+				evidence: {
+					commits: [...found.commit.values()].slice(0, MAX_ITEMS).map(({ kind, files, ...c }) => c),
+					prs: [...found.pr.values()].slice(0, MAX_ITEMS).map(({ kind, body, ...pr }) => pr),
+					branches: [...found.branch.values()].map(({ kind, ...b }) => b),
+				},
+			};
+		},
+	};
+}
+
+/**
+ * Weights, threshold, path ownership rules and the Jira project → repositories mapping
+ * from alignment.config.json (all optional)
+ */
+function loadAlignmentConfig() {
+	const defaults = { weights: {}, threshold: DEFAULT_THRESHOLD, ownership: [], repositories: {} };
+	if (!fs.existsSync(CONFIG_PATH)) return defaults;
+	try {
+		const parsed = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+		return {
+			weights: parsed.weights || {},
+			threshold: typeof parsed.threshold === "number" ? parsed.threshold : DEFAULT_THRESHOLD,
+			ownership: Array.isArray(parsed.ownership) ? parsed.ownership : [],
+			repositories: parsed.repositories && typeof parsed.repositories === "object" ? parsed.repositories : {},
+		};
+	} catch (e) {
+		console.error(`[Alignment] Invalid config ${CONFIG_PATH}:`, e.message);
+		return defaults;
+	}
+}
+
+// "ROC-5" matches ROC-5, roc_5 and ROC5, but not ROC-50 or XROC-5
+function keyPattern(key) {
+	const [project, number] = String(key).split("-");
+	return new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(project)}[-_]?${escapeRegExp(number || "")}(?!\\d)`, "i");
+}
+
+function toBranch(branch) {
+	return typeof branch === "string" ? { name: branch } : branch;
+}
+
+function summaryKeywords(summary) {
+	return [...new Set(String(summary).toLowerCase().split(/[^\p{L}\p{N}]+/u))]
+		.filter(word => word.length >= 4 && !STOP_WORDS.has(word))
+		.slice(0, 8);
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function round(n) {
+	return Math.round(n * 100) / 100;
+}
+
+module.exports = {
+	DEFAULT_WEIGHTS,
+	DEFAULT_THRESHOLD,
+	DEFAULT_STRATEGIES,
+	createMatcher,
+	loadAlignmentConfig,
+	keyPattern,
+};
@@ -0,0 +1,63 @@
+// Types for alignmentEvidence.cjs (used by the unit tests in src/__tests__)
+
+// `repo` tags where an item came from when several repositories are checked together
+export type EvidenceCommit = { sha: string; message: string; date?: string; url?: string; files?: string[]; repo?: string };
+export type EvidencePullRequest = { number?: number; title: string; body?: string; state?: string; merged?: boolean; headRef?: string; url?: string; repo?: string };
+export type EvidenceBranch = { name: string; url?: string; repo?: string };
+
+export type EvidenceTask = { key: string; summary?: string; components?: string[]; labels?: string[] };
+
+export type EvidenceContext = {
+	commits?: EvidenceCommit[];
+	prs?: EvidencePullRequest[];
+	branches?: (string | EvidenceBranch)[];
+	devPanel?: Record<string, { pullRequests?: EvidencePullRequest[]; branches?: EvidenceBranch[] }>;
+	ownership?: { path: string; repo?: string; components?: string[]; labels?: string[] }[];
+};
+
+export type EvidenceItem =
+	| ({ kind: "commit" } & EvidenceCommit)
+	| ({ kind: "pr" } & EvidencePullRequest)
+	| ({ kind: "branch" } & EvidenceBranch);
+
+export type EvidenceStrategy = {
+	name: string;
+	weight?: number;
+	match: (task: Required<EvidenceTask>, context: Required<Pick<EvidenceContext, "commits" | "prs" | "branches">> & EvidenceContext) => EvidenceItem[];
+};
+
+export type EvidenceResult = {
+	confidence: number;
+	hasEvidence: boolean;
+	matchedStrategies: { name: string; weight: number; matches: number }[];
+	evidence: {
+		commits: Omit<EvidenceCommit, "files">[];
+		prs: Omit<EvidencePullRequest, "body">[];
+		branches: EvidenceBranch[];
+	};
+};
+
+export type EvidenceMatcher = {
+	threshold: number;
+	uses: (name: string) => boolean;
+	evaluate: (task: EvidenceTask, context: EvidenceContext) => EvidenceResult;
+};
+
+export const DEFAULT_WEIGHTS: Record<string, number>;
+export const DEFAULT_THRESHOLD: number;
+export const DEFAULT_STRATEGIES: EvidenceStrategy[];
+
+export function createMatcher(options?: {
+	weights?: Record<string, number>;
+	threshold?: number;
+	strategies?: EvidenceStrategy[];
+}): EvidenceMatcher;
+
+export function loadAlignmentConfig(): {
+	weights: Record<string, number>;
+	threshold: number;
+	ownership: NonNullable<EvidenceContext["ownership"]>;
+	repositories: Record<string, string[]>;
+};
+
+export function keyPattern(key: string): RegExp;
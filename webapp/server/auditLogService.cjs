@@ -0,0 +1,44 @@
+// Audit Log
+// Append-only JSON Lines record of changes Jarvis made in other systems
+// (e.g. Jira transitions and comments applied from an alignment report).
+
+const fs = require("fs");
+const path = require("path");
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, "logs", "audit.jsonl");
+
+/**
+ * Append entries; each gets a timestamp unless it already has one
+ */
+function appendAuditEntries(entries) {
+	if (!entries.length) return;
+	const at = new Date().toISOString();
+	fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+	fs.appendFileSync(AUDIT_LOG_PATH, entries.map(e => JSON.stringify({ at, ...e })).join("\n") + "\n");
+}
+
+/**
+ * Most recent entries first, optionally only those from one source
+ */
+function readAuditLog({ limit = 50, source } = {}) {
+	if (!fs.existsSync(AUDIT_LOG_PATH)) return [];
+	const entries = [];
+	for (const line of fs.readFileSync(AUDIT_LOG_PATH, "utf8").split("\n")) {
+		if (!line.trim()) continue;
+		try {
+			entries.push(JSON.parse(line));
+		} catch {
+			console.warn("[AuditLog] Skipping unreadable line");
+		}
+	}
+	return entries
+		.filter(e => !source || e.source === source)
+		.reverse()
+		.slice(0, limit);
+}
+
+module.exports = {
+	AUDIT_LOG_PATH,
+	appendAuditEntries,
+	readAuditLog,
+};
@@ -0,0 +1,124 @@
+/**
+ * Billing Providers
+ * Where BillingProtectionService reads this month's Google spend from (BILLING_PROVIDER):
+ *   - manual (default): the amount recorded with updateCosts
+ *   - file: a local JSON file of USD per month, for offline testing
+ *   - bigquery: the Cloud Billing export to BigQuery, after asking the Cloud Billing API
+ *     whether the project can be charged at all
+ * A provider has a `name` and `async getMonthCosts(month)` resolving to USD for a
+ * 'YYYY-MM' month; it throws when the spend cannot be read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BILLING_SCOPES = [
+	'https://www.googleapis.com/auth/cloud-billing.readonly',
+	'https://www.googleapis.com/auth/bigquery.readonly'
+];
+// project.dataset.table; the table name cannot be a query parameter
+const TABLE_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_]+\.[A-Za-z0-9_]+$/;
+
+class ManualBillingProvider {
+	/**
+	 * @param {() => number} getAmount - the amount last recorded with updateCosts
+	 */
+	constructor(getAmount) {
+		this.name = 'manual';
+		this.getAmount = getAmount;
+	}
+
+	async getMonthCosts() {
+		return this.getAmount();
+	}
+}
+
+class FileBillingProvider {
+	/**
+	 * @param {string} filePath - JSON like { "2025-03": 12.5 }; a missing month costs $0
+	 */
+	constructor(filePath) {
+		this.name = 'file';
+		this.filePath = filePath;
+	}
+
+	async getMonthCosts(month) {
+		const costs = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+		const amount = costs[month] ?? 0;
+		if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+			throw new Error(`${this.filePath}: cost for ${month} must be a number`);
+		}
+		return amount;
+	}
+}
+
+class BigQueryBillingProvider {
+	/**
+	 * Sums cost and credits of the project's rows in the billing export for the invoice month.
+	 * Credentials come from Application Default Credentials (GOOGLE_APPLICATION_CREDENTIALS).
+	 * @param {{ projectId: string, table: string, auth?: any }} options
+	 */
+	constructor({ projectId, table, auth }) {
+		if (!projectId) throw new Error('GOOGLE_CLOUD_PROJECT_ID is required for the bigquery billing provider');
+		if (!TABLE_PATTERN.test(table || '')) {
+			throw new Error('BILLING_EXPORT_TABLE must look like project.dataset.gcp_billing_export_v1_XXXXXX');
+		}
+		this.name = 'bigquery';
+		this.projectId = projectId;
+		this.table = table;
+		this.auth = auth;
+	}
+
+	async getMonthCosts(month) {
+		const { google } = require('googleapis');
+		const auth = this.auth || (this.auth = new google.auth.GoogleAuth({ scopes: BILLING_SCOPES }));
+
+		// A project without billing enabled cannot be charged, whatever the export says
+		const cloudbilling = google.cloudbilling({ version: 'v1', auth });
+		const { data: info } = await cloudbilling.projects.getBillingInfo({ name: `projects/${this.projectId}` });
+		if (!info.billingEnabled) return 0;
+
+		const bigquery = google.bigquery({ version: 'v2', auth });
+		const { data } = await bigquery.jobs.query({
+			projectId: this.projectId,
+			requestBody: {
+				query: `SELECT IFNULL(SUM(cost), 0) + IFNULL(SUM((SELECT SUM(c.amount) FROM UNNEST(credits) c)), 0) AS total
+					FROM \`${this.table}\`
+					WHERE invoice.month = @month AND project.id = @project`,
+				useLegacySql: false,
+				parameterMode: 'NAMED',
+				queryParameters: [
+					{ name: 'month', parameterType: { type: 'STRING' }, parameterValue: { value: month.replace('-', '') } },
+					{ name: 'project', parameterType: { type: 'STRING' }, parameterValue: { value: this.projectId } }
+				],
+				timeoutMs: 30000
+			}
+		});
+		if (!data.jobComplete) throw new Error('BigQuery cost query did not finish in time');
+		return Number(data.rows?.[0]?.f?.[0]?.v) || 0;
+	}
+}
+
+/**
+ * Provider chosen by BILLING_PROVIDER; manual when unset
+ * @param {() => number} getManualAmount
+ */
+function createBillingProvider(getManualAmount, env = process.env) {
+	switch ((env.BILLING_PROVIDER || 'manual').toLowerCase()) {
+		case 'manual':
+			return new ManualBillingProvider(getManualAmount);
+		case 'file':
+			return new FileBillingProvider(env.BILLING_COSTS_FILE || path.join(__dirname, 'billing-costs.json'));
+		case 'bigquery':
+			return new BigQueryBillingProvider({ projectId: env.GOOGLE_CLOUD_PROJECT_ID, table: env.BILLING_EXPORT_TABLE });
+		default:
+			throw new Error(`Unknown BILLING_PROVIDER "${env.BILLING_PROVIDER}" (use manual, file or bigquery)`);
+	}
+}
+
+module.exports = {
+	ManualBillingProvider,
+	FileBillingProvider,
+	BigQueryBillingProvider,
+	createBillingProvider
+};
@@ -0,0 +1,24 @@
+// Types for billingProviders.cjs (used by the unit tests in src/__tests__)
+
+export type BillingProvider = { name: string; getMonthCosts(month: string): Promise<number> };
+
+export class ManualBillingProvider implements BillingProvider {
+	constructor(getAmount: () => number);
+	name: string;
+	getMonthCosts(month?: string): Promise<number>;
+}
+
+export class FileBillingProvider implements BillingProvider {
+	constructor(filePath: string);
+	name: string;
+	filePath: string;
+	getMonthCosts(month: string): Promise<number>;
+}
+
+export class BigQueryBillingProvider implements BillingProvider {
+	constructor(options: { projectId?: string; table?: string; auth?: any });
+	name: string;
+	getMonthCosts(month: string): Promise<number>;
+}
+
+export function createBillingProvider(getManualAmount: () => number, env?: Record<string, string | undefined>): BillingProvider;
@@ -17,10 +17,75 @@
  *    - Rate limit tracking only (no actual billing/costs)
  *    - Will NEVER charge you money under any circumstances
  *    - The 💬 and 🐙 indicators are for rate limits only, NOT billing
+ * 
+ * 3. LLM PROVIDERS (OpenAI, Gemini) - billed to your own API key by the provider
+ *    - Requests through the /v1 proxies are counted and rate limited here
+ *    - Their token usage is priced (see llmPricing.cjs) and added to the monthly cost,
+ *      in total, per model and per conversation
+ * 
+ * Google spend comes from a billing provider (see billingProviders.cjs), refreshed at most
+ * every BILLING_REFRESH_MINUTES; with BILLING_STRICT=true paid Google requests are blocked
+ * while it cannot be read.
+ *
+ * Every service has its own rate-limit token bucket, so a Slack burst never blocks Gmail.
+ * Slack buckets are per API method, sized by Slack's tier for that method.
  */
 
+const fs = require('fs');
+const path = require('path');
+const llmPricing = require('./llmPricing.cjs');
+const { createBillingProvider } = require('./billingProviders.cjs');
+
+const BILLING_USAGE_PATH = process.env.BILLING_USAGE_PATH || path.join(__dirname, 'logs', 'billing-usage.json');
+// A --stdio MCP server keeps its own usage file next to the web server's, so neither overwrites the other
+const BILLING_STDIO_USAGE_PATH = process.env.BILLING_STDIO_USAGE_PATH || BILLING_USAGE_PATH.replace(/(\.json)?$/, '.stdio.json');
+// Days of per-day usage kept for GET /mcp/billing/history
+const HISTORY_DAYS = 90;
+const SERVICES = ['gmail', 'calendar', 'slack', 'github', 'jira', 'openai', 'gemini'];
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Services whose auth service takes a rate-limit token per API request it actually sends
+// (cache hits are free, and one tool call can make hundreds of requests); the others are
+// limited per tool call or proxied LLM request in checkAndUpdateUsage
+const PER_REQUEST_RATE_LIMITS = new Set(['github', 'jira', 'slack']);
+
+// Never blocked by the monthly cost limit
+const FREE_SERVICES = new Set(['slack', 'github', 'jira']);
+const LLM_SERVICES = new Set(['openai', 'gemini']);
+// Conversations whose LLM cost is kept (most recently used)
+const MAX_CONVERSATION_COSTS = 500;
+// Blocked requests kept for the dashboard
+const MAX_BLOCKED = 50;
+// Every request changes the usage, so those changes are written at most this often
+const SAVE_DELAY_MS = 1000;
+// Limits that can be changed at runtime (updateLimits), as '<service>.<field>' or top-level keys
+const SERVICE_LIMIT_FIELDS = ['dailyQuota', 'warningThreshold', 'hardLimit'];
+const COST_LIMIT_FIELDS = ['monthlyCostLimit', 'warningCostThreshold', 'monthlyLlmCostLimit'];
+
+// Slack Web API rate-limit tiers (requests per minute, per method and workspace)
+const SLACK_TIERS = { 1: 1, 2: 20, 3: 50, 4: 100 };
+// Tier of each method Jarvis calls; unlisted methods get Tier 3
+const SLACK_METHOD_TIERS = {
+	'search.messages': 2,
+	'conversations.list': 2,
+	'users.list': 2,
+	'conversations.history': 3,
+	'conversations.replies': 3,
+	'conversations.info': 3,
+	'users.info': 4,
+	'auth.test': 4,
+	'team.info': 3
+};
+
 class BillingProtectionService {
-	constructor() {
+	/**
+	 * @param {{ storePath?: string | null, billingProvider?: { name: string, getMonthCosts: (month: string) => Promise<number> } }} [options]
+	 *   storePath null keeps usage in memory only; billingProvider defaults to BILLING_PROVIDER
+	 */
+	constructor({ storePath = BILLING_USAGE_PATH, limitsPath = storePath, billingProvider } = {}) {
 		// Safety thresholds - configurable via environment
 		this.limits = {
 			// ============================================================
@@ -54,69 +119,146 @@ class BillingProtectionService {
 				warningThreshold: parseFloat(process.env.GITHUB_WARNING_THRESHOLD || '0.8'),
 				hardLimit: parseFloat(process.env.GITHUB_HARD_LIMIT || '0.95')
 			},
-			// Note: Jira is also FREE (not tracked here yet)
+			jira: {
+				// Jira Cloud is FREE for API use - cost-based rate limits, no published daily cap
+				dailyQuota: parseInt(process.env.JIRA_DAILY_QUOTA || '50000'),
+				warningThreshold: parseFloat(process.env.JIRA_WARNING_THRESHOLD || '0.8'),
+				hardLimit: parseFloat(process.env.JIRA_HARD_LIMIT || '0.95')
+			},
+
+			// ============================================================
+			// LLM PROVIDERS - billed by the provider to your API key
+			// ============================================================
+			openai: {
+				dailyQuota: parseInt(process.env.OPENAI_DAILY_QUOTA || '2000'), // chat completion requests/day
+				warningThreshold: parseFloat(process.env.OPENAI_WARNING_THRESHOLD || '0.8'),
+				hardLimit: parseFloat(process.env.OPENAI_HARD_LIMIT || '0.95')
+			},
+			gemini: {
+				dailyQuota: parseInt(process.env.GEMINI_DAILY_QUOTA || '1500'), // free tier: 1,500 requests/day
+				warningThreshold: parseFloat(process.env.GEMINI_WARNING_THRESHOLD || '0.8'),
+				hardLimit: parseFloat(process.env.GEMINI_HARD_LIMIT || '0.95')
+			},
 			
 			// ============================================================
 			// BILLING LIMITS (GOOGLE ONLY)
 			// ============================================================
-			monthlyCostLimit: parseFloat(process.env.MONTHLY_COST_LIMIT || '0.00'), // $0 = block all paid Google requests
+			// $0 = block all paid Google requests; above $0 it also caps LLM spend (see checkBilling)
+			monthlyCostLimit: parseFloat(process.env.MONTHLY_COST_LIMIT || '0.00'),
 			warningCostThreshold: parseFloat(process.env.WARNING_COST_THRESHOLD || '0.00'),
+			// Cap on this month's OpenAI/Gemini spend, which the $0 default above leaves unchecked
+			monthlyLlmCostLimit: parseFloat(process.env.LLM_MONTHLY_COST_LIMIT || '10.00'),
+			// How often Google spend is read from the billing provider
+			costRefreshMs: parseFloat(process.env.BILLING_REFRESH_MINUTES || '60') * MINUTE,
+			// Block paid Google requests while the spend cannot be read (default: allow with a warning)
+			strictBilling: process.env.BILLING_STRICT === 'true',
 			
-			// Per-request rate limits
-			maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE || '100'),
-			maxRequestsPerHour: parseInt(process.env.MAX_REQUESTS_PER_HOUR || '1000')
+			// Rate limits per service: up to `requests` per `windowMs`, refilled continuously.
+			// Gmail counts quota units (a send is 100), the others count requests.
+			rateLimits: {
+				gmail: { requests: parseInt(process.env.GMAIL_RATE_PER_SECOND || '250'), windowMs: SECOND }, // 250 units/user/second
+				calendar: { requests: parseInt(process.env.CALENDAR_RATE_PER_MINUTE || '600'), windowMs: MINUTE }, // 600 queries/user/minute
+				github: { requests: parseInt(process.env.GITHUB_RATE_PER_HOUR || '5000'), windowMs: HOUR }, // authenticated REST API
+				jira: { requests: parseInt(process.env.JIRA_RATE_PER_MINUTE || '100'), windowMs: MINUTE },
+				openai: { requests: parseInt(process.env.OPENAI_RATE_PER_MINUTE || '60'), windowMs: MINUTE },
+				gemini: { requests: parseInt(process.env.GEMINI_RATE_PER_MINUTE || '15'), windowMs: MINUTE } // free tier
+				// slack: per method, see SLACK_METHOD_TIERS
+			}
 		};
 		
-		// Usage tracking (in-memory, resets on server restart)
+		// Env values, restored when a runtime override is cleared
+		this.defaultLimits = editableLimits(this.limits);
+		// Limits changed at runtime by field ('slack.dailyQuota'); saved with the usage and
+		// applied over the env values at startup
+		this.limitOverrides = {};
+		// File the overrides are read from; when it is not storePath (stdio mode) it belongs to
+		// the web server and is re-read whenever it changes
+		this.limitsPath = limitsPath;
+		this.limitsMtime = null;
+
+		// Usage tracking, saved to storePath (per-request changes debounced) and reloaded at startup
+		this.storePath = storePath;
+		this.saveTimer = null;
 		this.usage = {
 			gmail: { today: 0, resetTime: new Date() },
 			calendar: { today: 0, resetTime: new Date() },
 			slack: { today: 0, resetTime: new Date() },
 			github: { today: 0, resetTime: new Date() },
-			costs: { thisMonth: 0, lastUpdate: null },
-			rateLimit: { minute: [], hour: [] }
+			jira: { today: 0, resetTime: new Date() },
+			openai: { today: 0, resetTime: new Date() },
+			gemini: { today: 0, resetTime: new Date() },
+			costs: emptyCosts(monthKey(new Date())),
+			// Token buckets by service (or slack:<method>): { tokens, updatedAt }
+			buckets: {}
 		};
+		// Units used per local day: { '2025-03-01': { gmail: 120, github: 4 } }
+		this.history = {};
+		// LLM spend by conversation id: { inputTokens, outputTokens, cost, requests, updatedAt }
+		this.conversations = {};
+		// Most recent blocked requests, newest first: { at, service, operation, reason, message }
+		this.blocked = [];
+		this.load();
+		this.refreshLimits();
+
+		try {
+			this.billingProvider = billingProvider || createBillingProvider(() => this.usage.costs.google);
+		} catch (e) {
+			console.error('[BillingService] Billing provider not available:', e.message);
+			this.billingProvider = { name: 'unavailable', getMonthCosts: async () => { throw e; } };
+		}
+		// Last read of the provider: { checkedAt, verifiedAt, error, pending }
+		this.costCheck = { checkedAt: 0, verifiedAt: null, error: null, pending: null };
 
 		console.log('[BillingService] Initialized with limits:');
 		console.log('  ========================================');
 		console.log('  GOOGLE ONLY (PAID) - Billing protection active:');
 		console.log(`    Gmail: ${this.limits.gmail.dailyQuota.toLocaleString()} units/day`);
 		console.log(`    Calendar: ${this.limits.calendar.dailyQuota.toLocaleString()} queries/day`);
-		console.log(`    Monthly cost limit: $${this.limits.monthlyCostLimit}`);
+		console.log(`    Monthly cost limit: $${this.limits.monthlyCostLimit} (costs from ${this.billingProvider.name}${this.limits.strictBilling ? ', strict' : ''}), LLM: $${this.limits.monthlyLlmCostLimit}`);
 		console.log('  ========================================');
 		console.log('  FREE SERVICES - NO BILLING EVER (rate limits only):');
 		console.log(`    Slack: ${this.limits.slack.dailyQuota.toLocaleString()} requests/day (100% FREE)`);
 		console.log(`    GitHub: ${this.limits.github.dailyQuota.toLocaleString()} requests/day (100% FREE)`);
-		console.log(`    Jira: No limits (100% FREE)`);
+		console.log(`    Jira: ${this.limits.jira.dailyQuota.toLocaleString()} requests/day (100% FREE)`);
 		console.log('  ========================================');
-		console.log(`  Rate limits: ${this.limits.maxRequestsPerMinute}/min, ${this.limits.maxRequestsPerHour}/hour`);
+		console.log('  LLM PROVIDERS (billed to your API key, priced per token into the monthly cost):');
+		console.log(`    OpenAI: ${this.limits.openai.dailyQuota.toLocaleString()} requests/day, Gemini: ${this.limits.gemini.dailyQuota.toLocaleString()} requests/day`);
+		console.log('  ========================================');
+		console.log(`  Rate limits per service: ${Object.entries(this.limits.rateLimits).map(([service, r]) => `${service} ${r.requests}/${describeWindow(r.windowMs)}`).join(', ')}, Slack per method tier`);
 	}
 
 	/**
 	 * Main method: Check all limits before allowing API request
-	 * @param {string} service - 'gmail' or 'calendar'
+	 * @param {string} service - 'gmail', 'calendar', 'slack', 'github', 'jira', 'openai' or 'gemini'
 	 * @param {string} operation - 'list', 'get', 'send', etc.
 	 * @returns {Object} { allowed: boolean, reason?: string, message?: string, warning?: string }
 	 */
 	async checkAndUpdateUsage(service, operation = 'read') {
-		// 1. Check rate limits first (fastest check)
-		if (!this.checkRateLimit()) {
+		this.refreshLimits();
+		// 1. Check the service's rate limit first (fastest check)
+		const rate = PER_REQUEST_RATE_LIMITS.has(service)
+			? { allowed: true }
+			: this.checkRateLimit(service, { tokens: service === 'gmail' ? this.getQuotaCost(service, operation) : 1, operation });
+		if (!rate.allowed) {
 			return {
 				allowed: false,
 				reason: 'rate_limit',
-				message: '⏱️ Rate limit exceeded. Too many requests in a short time. Please wait a moment and try again.'
+				message: `⏱️ ${service} rate limit reached (${rate.limit}). Try again in ${Math.ceil(rate.retryAfterMs / 1000)}s.`,
+				retryAfterMs: rate.retryAfterMs
 			};
 		}
 
 		// 2. Check daily quota usage
 		const quotaCheck = this.checkQuota(service, operation);
 		if (!quotaCheck.allowed) {
+			this.recordBlocked(service, operation, quotaCheck);
 			return quotaCheck;
 		}
 
 		// 3. Check billing costs (if available)
-		const billingCheck = await this.checkBilling();
+		const billingCheck = await this.checkBilling(service);
 		if (!billingCheck.allowed) {
+			this.recordBlocked(service, operation, billingCheck);
 			return billingCheck;
 		}
 
@@ -186,23 +328,51 @@ class BillingProtectionService {
 	}
 
 	/**
-	 * Check billing costs (placeholder for Cloud Billing API)
+	 * Check this month's costs against the limits. Free services are never blocked.
+	 * LLM requests stop once LLM spend passes monthlyLlmCostLimit. monthlyCostLimit at $0
+	 * blocks Google requests once there is any Google spend; a positive one caps Google and
+	 * LLM spend together.
 	 */
-	async checkBilling() {
+	async checkBilling(service) {
 		try {
-			// For now, we'll track that we're in free tier
-			// TODO: Implement actual Cloud Billing API call
+			if (FREE_SERVICES.has(service)) {
+				return { allowed: true };
+			}
+			this.resetIfNewMonth();
 			const costs = await this.getCurrentMonthCosts();
-			
-			this.usage.costs.thisMonth = costs;
-			this.usage.costs.lastUpdate = Date.now();
 
-			if (costs > this.limits.monthlyCostLimit) {
+			// LLM spend is counted locally; only Google's comes from the billing provider
+			let unverified;
+			if (this.costCheck.error && !LLM_SERVICES.has(service)) {
+				if (this.limits.strictBilling) {
+					return {
+						allowed: false,
+						reason: 'billing_unverified',
+						message: `❌ Unable to verify Google Cloud billing (${this.costCheck.error}). Paid Google requests are blocked while BILLING_STRICT is on.`
+					};
+				}
+				unverified = `⚠️ Unable to verify billing status (${this.costCheck.error}), using the last known costs`;
+			}
+
+			const llmLimit = this.limits.monthlyLlmCostLimit;
+			if (LLM_SERVICES.has(service) && this.usage.costs.llm > llmLimit) {
 				return {
 					allowed: false,
 					reason: 'cost_limit',
-					message: `❌ Monthly cost limit exceeded: $${costs.toFixed(2)}/$${this.limits.monthlyCostLimit.toFixed(2)}. All paid operations are blocked to prevent billing. Please check your Google Cloud Console or increase the limit in .env`,
-					costs: { current: costs, limit: this.limits.monthlyCostLimit }
+					message: `❌ Monthly LLM cost limit exceeded: $${this.usage.costs.llm.toFixed(2)}/$${llmLimit.toFixed(2)}. OpenAI and Gemini requests are blocked to prevent billing. Please check your OpenAI/Gemini usage or increase LLM_MONTHLY_COST_LIMIT in .env`,
+					costs: { current: this.usage.costs.llm, limit: llmLimit }
+				};
+			}
+
+			const limit = this.limits.monthlyCostLimit;
+			const blocked = limit > 0 ? costs > limit : !LLM_SERVICES.has(service) && this.usage.costs.google > limit;
+			if (blocked) {
+				const where = LLM_SERVICES.has(service) ? 'your OpenAI/Gemini usage' : 'your Google Cloud Console';
+				return {
+					allowed: false,
+					reason: 'cost_limit',
+					message: `❌ Monthly cost limit exceeded: $${costs.toFixed(2)}/$${limit.toFixed(2)}. All paid operations are blocked to prevent billing. Please check ${where} or increase the limit in .env`,
+					costs: { current: costs, limit }
 				};
 			}
 
@@ -214,11 +384,17 @@ class BillingProtectionService {
 				};
 			}
 
-			return { allowed: true, costs: { current: costs } };
+			return { allowed: true, warning: unverified, costs: { current: costs } };
 		} catch (error) {
 			console.error('[BillingService] Billing check failed:', error.message);
-			// For safety, we continue if billing check fails (assume free tier)
-			// Change to 'allowed: false' for strict mode
+			// Outside strict mode we continue if the billing check fails (assume free tier)
+			if (this.limits.strictBilling) {
+				return {
+					allowed: false,
+					reason: 'billing_unverified',
+					message: `❌ Unable to verify billing status (${error.message}). Paid requests are blocked while BILLING_STRICT is on.`
+				};
+			}
 			return { 
 				allowed: true,
 				warning: '⚠️ Unable to verify billing status'
@@ -227,30 +403,116 @@ class BillingProtectionService {
 	}
 
 	/**
-	 * Check rate limiting (requests per minute/hour)
+	 * Read this month's Google spend from the billing provider, at most once per refresh
+	 * interval (a failed read is retried after a minute). Concurrent callers share one read;
+	 * after a failure the last known amount stays and costCheck.error says why.
 	 */
-	checkRateLimit() {
-		const now = Date.now();
-		
-		// Clean old timestamps
-		this.usage.rateLimit.minute = this.usage.rateLimit.minute.filter(t => now - t < 60000);
-		this.usage.rateLimit.hour = this.usage.rateLimit.hour.filter(t => now - t < 3600000);
-		
-		// Check limits
-		if (this.usage.rateLimit.minute.length >= this.limits.maxRequestsPerMinute) {
-			console.warn(`[BillingService] Rate limit exceeded: ${this.usage.rateLimit.minute.length}/${this.limits.maxRequestsPerMinute} per minute`);
-			return false;
+	async refreshGoogleCosts() {
+		const check = this.costCheck;
+		const interval = check.error ? Math.min(MINUTE, this.limits.costRefreshMs) : this.limits.costRefreshMs;
+		if (check.checkedAt && Date.now() - check.checkedAt < interval) return;
+		if (!check.pending) {
+			check.pending = (async () => {
+				try {
+					const amount = await this.billingProvider.getMonthCosts(monthKey(new Date()));
+					const costs = this.usage.costs;
+					if (amount !== costs.google) {
+						console.log(`[BillingService] ${this.billingProvider.name} billing: $${amount.toFixed(2)} this month`);
+					}
+					costs.google = amount;
+					costs.thisMonth = costs.google + costs.llm;
+					costs.lastUpdate = Date.now();
+					check.verifiedAt = Date.now();
+					check.error = null;
+					this.save();
+				} catch (e) {
+					console.error(`[BillingService] Could not read costs from ${this.billingProvider.name} billing:`, e.message);
+					check.error = e.message;
+				} finally {
+					check.checkedAt = Date.now();
+					check.pending = null;
+				}
+			})();
+		}
+		await check.pending;
+	}
+
+	/**
+	 * Take tokens from a rate-limit bucket: the service's, or for Slack the method's (by tier).
+	 * Services without a limit are always allowed.
+	 * @param {{ method?: string, tokens?: number, operation?: string }} [options] operation only labels a blocked request
+	 * @returns {{ allowed: boolean, retryAfterMs?: number, limit?: string }}
+	 */
+	checkRateLimit(service, { method, tokens = 1, operation } = {}) {
+		const spec = this.rateLimitSpec(service, method);
+		if (!spec) return { allowed: true };
+
+		const key = method ? `${service}:${method}` : service;
+		const bucket = this.refill(key, spec);
+		const limit = `${spec.requests}/${describeWindow(spec.windowMs)}`;
+		if (bucket.tokens < tokens) {
+			const retryAfterMs = Math.ceil((tokens - bucket.tokens) * spec.windowMs / spec.requests);
+			console.warn(`[BillingService] Rate limit reached for ${key}: ${limit}, retry in ${retryAfterMs}ms`);
+			this.recordBlocked(service, operation || method || 'request', {
+				reason: 'rate_limit',
+				message: `${key} rate limit reached (${limit}), retry in ${Math.ceil(retryAfterMs / 1000)}s`
+			});
+			return { allowed: false, retryAfterMs, limit };
 		}
-		if (this.usage.rateLimit.hour.length >= this.limits.maxRequestsPerHour) {
-			console.warn(`[BillingService] Rate limit exceeded: ${this.usage.rateLimit.hour.length}/${this.limits.maxRequestsPerHour} per hour`);
-			return false;
+
+		bucket.tokens -= tokens;
+		this.saveLater();
+		return { allowed: true, limit };
+	}
+
+	/**
+	 * Remember a refused request for the dashboard (GET /mcp/billing/status)
+	 */
+	recordBlocked(service, operation, { reason, message }) {
+		this.blocked.unshift({ at: new Date().toISOString(), service, operation, reason, message });
+		this.blocked.length = Math.min(this.blocked.length, MAX_BLOCKED);
+		this.saveLater();
+	}
+
+	rateLimitSpec(service, method) {
+		if (service === 'slack') {
+			if (!method) return null;
+			const tier = SLACK_METHOD_TIERS[method] || 3;
+			return { requests: SLACK_TIERS[tier], windowMs: MINUTE, tier };
 		}
-		
-		// Add current timestamp
-		this.usage.rateLimit.minute.push(now);
-		this.usage.rateLimit.hour.push(now);
-		
-		return true;
+		return this.limits.rateLimits[service] || null;
+	}
+
+	/**
+	 * Bucket for key with the tokens earned since it was last used (full when new)
+	 */
+	refill(key, spec) {
+		const now = Date.now();
+		const bucket = this.usage.buckets[key] || (this.usage.buckets[key] = { tokens: spec.requests, updatedAt: now });
+		const earned = ((now - bucket.updatedAt) * spec.requests) / spec.windowMs;
+		bucket.tokens = Math.min(spec.requests, bucket.tokens + Math.max(0, earned));
+		bucket.updatedAt = now;
+		return bucket;
+	}
+
+	/**
+	 * Remaining tokens of a service's bucket, and of each Slack method used so far
+	 */
+	rateLimitStatus(service) {
+		const status = (key, spec) => ({
+			limit: spec.requests,
+			window: describeWindow(spec.windowMs),
+			remaining: Math.floor(this.refill(key, spec).tokens),
+			...(spec.tier ? { tier: spec.tier } : {})
+		});
+		if (service === 'slack') {
+			const methods = Object.keys(this.usage.buckets)
+				.filter(key => key.startsWith('slack:'))
+				.map(key => key.slice('slack:'.length));
+			return { methods: Object.fromEntries(methods.map(m => [m, status(`slack:${m}`, this.rateLimitSpec('slack', m))])) };
+		}
+		const spec = this.rateLimitSpec(service);
+		return spec ? status(service, spec) : null;
 	}
 
 	/**
@@ -261,10 +523,32 @@ class BillingProtectionService {
 		
 		const cost = this.getQuotaCost(service, operation);
 		this.usage[service].today += cost;
+		this.addToHistory(service, cost);
+		this.saveLater();
 		
 		console.log(`[BillingService] ${service}.${operation}: +${cost} units (total: ${this.usage[service].today})`);
 	}
 
+	/**
+	 * Give back the units of a call that never reached the API (answered from the response cache)
+	 */
+	refundUsage(service, operation) {
+		if (!this.usage[service]?.resetTime) return;
+		this.resetIfNewDay(service);
+
+		const cost = this.getQuotaCost(service, operation);
+		this.usage[service].today = Math.max(0, this.usage[service].today - cost);
+		this.addToHistory(service, -cost);
+		const spec = PER_REQUEST_RATE_LIMITS.has(service) ? null : this.rateLimitSpec(service);
+		if (spec) {
+			const bucket = this.refill(service, spec);
+			bucket.tokens = Math.min(spec.requests, bucket.tokens + (service === 'gmail' ? cost : 1));
+		}
+		this.saveLater();
+
+		console.log(`[BillingService] ${service}.${operation}: -${cost} units, served from cache (total: ${this.usage[service].today})`);
+	}
+
 	/**
 	 * Get quota cost for an operation
 	 * Based on Google's official quota costs
@@ -300,6 +584,20 @@ class BillingProtectionService {
 				get: 1,         // Get repo, commit, PR, issue details
 				search: 1,      // Search code, repos, issues
 				read: 1         // Read file contents
+			},
+			jira: {
+				// Jira Cloud REST API (every call costs 1 request)
+				list: 1,
+				get: 1,
+				search: 1,
+				create: 1,
+				update: 1
+			},
+			openai: {
+				chat: 1         // One chat completion request
+			},
+			gemini: {
+				chat: 1         // One generateContent request
 			}
 		};
 		
@@ -317,77 +615,293 @@ class BillingProtectionService {
 			console.log(`[BillingService] New day detected for ${service}, resetting quota`);
 			this.usage[service].today = 0;
 			this.usage[service].resetTime = now;
+			this.save();
 		}
 	}
 
 	/**
-	 * Get current month costs
-	 * TODO: Integrate with Cloud Billing API
+	 * Start the monthly cost over when the month changed since it was last updated
+	 */
+	resetIfNewMonth() {
+		const month = monthKey(new Date());
+		if (this.usage.costs.month !== month) {
+			console.log(`[BillingService] New month detected, resetting costs`);
+			this.usage.costs = emptyCosts(month);
+			// Read the new month's spend on the next check
+			if (this.costCheck) this.costCheck.checkedAt = 0;
+			this.save();
+		}
+	}
+
+	addToHistory(service, units) {
+		const day = dayKey(new Date());
+		const entry = this.history[day] || (this.history[day] = {});
+		entry[service] = Math.max(0, (entry[service] || 0) + units);
+		const days = Object.keys(this.history).sort();
+		for (const old of days.slice(0, Math.max(0, days.length - HISTORY_DAYS))) {
+			delete this.history[old];
+		}
+	}
+
+	/**
+	 * Units used per day, oldest first, between two YYYY-MM-DD dates (inclusive)
+	 * @param {{ from?: string, to?: string, service?: string }} [filter]
+	 * @returns {{ date: string, gmail: number, calendar: number, slack: number, github: number }[]}
+	 */
+	getUsageHistory({ from, to, service } = {}) {
+		return Object.keys(this.history)
+			.sort()
+			.filter(day => (!from || day >= from) && (!to || day <= to))
+			.map(date => {
+				const units = this.history[date];
+				const services = service ? [service] : SERVICES;
+				return { date, ...Object.fromEntries(services.map(s => [s, units[s] || 0])) };
+			});
+	}
+
+	/**
+	 * Restore saved usage; counters from an earlier day or month start over
+	 */
+	load() {
+		if (!this.storePath || !fs.existsSync(this.storePath)) return;
+		try {
+			const saved = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+			for (const service of SERVICES) {
+				const counter = saved.usage?.[service];
+				if (!counter) continue;
+				this.usage[service] = { today: Number(counter.today) || 0, resetTime: new Date(counter.resetTime) };
+			}
+			if (saved.usage?.costs) {
+				// Files from before LLM costs hold only the Google amount in thisMonth
+				this.usage.costs = { ...this.usage.costs, google: saved.usage.costs.thisMonth || 0, ...saved.usage.costs };
+			}
+			if (saved.usage?.buckets) {
+				this.usage.buckets = saved.usage.buckets;
+			}
+			this.history = saved.history || {};
+			this.conversations = saved.conversations || {};
+			this.blocked = Array.isArray(saved.blocked) ? saved.blocked.slice(0, MAX_BLOCKED) : [];
+			if (this.limitsPath === this.storePath) this.applyLimitOverrides(saved.limitOverrides || {});
+			console.log(`[BillingService] Restored usage from ${this.storePath}`);
+		} catch (e) {
+			console.error(`[BillingService] Could not read ${this.storePath}:`, e.message);
+			return;
+		}
+		for (const service of SERVICES) {
+			this.resetIfNewDay(service);
+		}
+		this.resetIfNewMonth();
+	}
+
+	/**
+	 * Apply saved runtime limits over the env values; fields no longer overridden go back to them
+	 */
+	applyLimitOverrides(overrides) {
+		for (const field of Object.keys(this.limitOverrides)) {
+			if (!(field in overrides)) setLimit(this.limits, field, this.defaultLimits[field]);
+		}
+		this.limitOverrides = {};
+		for (const [field, value] of Object.entries(overrides)) {
+			const error = field in this.defaultLimits ? validateLimit(field, value) : `Unknown limit ${field}`;
+			if (error) {
+				console.warn(`[BillingService] Ignoring saved limit: ${error}`);
+				continue;
+			}
+			this.limitOverrides[field] = value;
+			setLimit(this.limits, field, value);
+		}
+	}
+
+	/**
+	 * Pick up limits changed in the web server when they are read from its file (stdio mode)
+	 */
+	refreshLimits() {
+		if (!this.limitsPath || this.limitsPath === this.storePath) return;
+		let mtime;
+		try {
+			mtime = fs.statSync(this.limitsPath).mtimeMs;
+		} catch {
+			return;
+		}
+		if (mtime === this.limitsMtime) return;
+		this.limitsMtime = mtime;
+		try {
+			this.applyLimitOverrides(JSON.parse(fs.readFileSync(this.limitsPath, 'utf8')).limitOverrides || {});
+		} catch (e) {
+			console.error(`[BillingService] Could not read limits from ${this.limitsPath}:`, e.message);
+		}
+	}
+
+	/**
+	 * Write usage to storePath (temp file + rename, so a crash never leaves half a file)
+	 */
+	save() {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+		if (!this.storePath) return;
+		try {
+			fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+			const limitOverrides = this.limitsPath === this.storePath ? this.limitOverrides : undefined;
+			fs.writeFileSync(`${this.storePath}.tmp`, JSON.stringify({ usage: this.usage, history: this.history, conversations: this.conversations, blocked: this.blocked, limitOverrides }, null, 2));
+			fs.renameSync(`${this.storePath}.tmp`, this.storePath);
+		} catch (e) {
+			console.error(`[BillingService] Could not save ${this.storePath}:`, e.message);
+		}
+	}
+
+	/**
+	 * Save within SAVE_DELAY_MS, once for all the changes made until then
+	 */
+	saveLater() {
+		if (!this.storePath || this.saveTimer) return;
+		this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+		this.saveTimer.unref?.();
+	}
+
+	/**
+	 * Get current month costs: LLM spend plus the Google spend from the billing provider
 	 */
 	async getCurrentMonthCosts() {
-		// For now, assume free tier (return 0)
-		// In production, this would call:
-		// const billing = google.cloudbilling('v1');
-		// const response = await billing.projects.getBillingInfo(...)
-		
-		const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-		if (!projectId) {
-			// No project ID = assuming free tier
-			return 0.00;
+		await this.refreshGoogleCosts();
+		return this.usage.costs.thisMonth;
+	}
+
+	/**
+	 * Price the tokens of a proxied or server-side LLM request and add them to this month's
+	 * costs (and the conversation's, when the request names one)
+	 * @param {string} service - 'openai' or 'gemini'
+	 * @param {string} model
+	 * @param {{ inputTokens: number, outputTokens: number }} tokens
+	 * @param {{ conversationId?: string }} [options]
+	 * @returns {{ inputTokens: number, outputTokens: number, cost: number }}
+	 */
+	recordLlmUsage(service, model, { inputTokens = 0, outputTokens = 0 }, { conversationId } = {}) {
+		this.resetIfNewMonth();
+		const cost = llmPricing.costOf(model, { inputTokens, outputTokens });
+		const costs = this.usage.costs;
+		const add = (totals, extra = {}) => ({
+			inputTokens: (totals?.inputTokens || 0) + inputTokens,
+			outputTokens: (totals?.outputTokens || 0) + outputTokens,
+			cost: (totals?.cost || 0) + cost,
+			requests: (totals?.requests || 0) + 1,
+			...extra
+		});
+		costs.llm += cost;
+		costs.thisMonth = costs.google + costs.llm;
+		costs.lastUpdate = Date.now();
+		costs.models[model] = add(costs.models[model], { service });
+
+		if (conversationId) {
+			const entry = add(this.conversations[conversationId], { updatedAt: Date.now() });
+			delete this.conversations[conversationId];
+			this.conversations[conversationId] = entry;
+			const ids = Object.keys(this.conversations);
+			for (const old of ids.slice(0, Math.max(0, ids.length - MAX_CONVERSATION_COSTS))) {
+				delete this.conversations[old];
+			}
 		}
+		this.saveLater();
 
-		// TODO: Implement actual Cloud Billing API call
-		// For now, return 0 (free tier)
-		return 0.00;
+		console.log(`[BillingService] ${service} ${model}: ${inputTokens} in / ${outputTokens} out tokens, $${cost.toFixed(6)} (month: $${costs.thisMonth.toFixed(4)})`);
+		return { inputTokens, outputTokens, cost };
+	}
+
+	/**
+	 * LLM tokens and cost spent in one conversation (zeros when none were recorded)
+	 */
+	getConversationCost(conversationId) {
+		const { updatedAt, ...totals } = this.conversations[conversationId] || { inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 };
+		return totals;
 	}
 
 	/**
 	 * Get current usage statistics for all services
 	 */
 	getCurrentUsage() {
+		const resetTime = this.getNextResetTime().toISOString();
+		const services = Object.fromEntries(SERVICES.map(service => [service, {
+			used: this.usage[service].today,
+			limit: this.limits[service].dailyQuota,
+			percent: (this.usage[service].today / this.limits[service].dailyQuota) * 100,
+			// Percent of the daily quota where requests get a warning / are blocked
+			warningPercent: this.limits[service].warningThreshold * 100,
+			blockPercent: this.limits[service].hardLimit * 100,
+			resetTime,
+			rateLimit: this.rateLimitStatus(service)
+		}]));
 		return {
-			gmail: {
-				used: this.usage.gmail.today,
-				limit: this.limits.gmail.dailyQuota,
-				percent: (this.usage.gmail.today / this.limits.gmail.dailyQuota) * 100,
-				resetTime: this.getNextResetTime().toISOString()
-			},
-			calendar: {
-				used: this.usage.calendar.today,
-				limit: this.limits.calendar.dailyQuota,
-				percent: (this.usage.calendar.today / this.limits.calendar.dailyQuota) * 100,
-				resetTime: this.getNextResetTime().toISOString()
-			},
-			slack: {
-				used: this.usage.slack.today,
-				limit: this.limits.slack.dailyQuota,
-				percent: (this.usage.slack.today / this.limits.slack.dailyQuota) * 100,
-				resetTime: this.getNextResetTime().toISOString()
-			},
-			github: {
-				used: this.usage.github.today,
-				limit: this.limits.github.dailyQuota,
-				percent: (this.usage.github.today / this.limits.github.dailyQuota) * 100,
-				resetTime: this.getNextResetTime().toISOString()
-			},
+			...services,
 			costs: {
 				thisMonth: this.usage.costs.thisMonth,
+				google: this.usage.costs.google,
+				llm: this.usage.costs.llm,
+				models: this.usage.costs.models,
 				limit: this.limits.monthlyCostLimit,
-				lastUpdate: this.usage.costs.lastUpdate
-			},
-			rateLimit: {
-				minute: {
-					used: this.usage.rateLimit.minute.length,
-					limit: this.limits.maxRequestsPerMinute
-				},
-				hour: {
-					used: this.usage.rateLimit.hour.length,
-					limit: this.limits.maxRequestsPerHour
-				}
+				warningThreshold: this.limits.warningCostThreshold,
+				llmLimit: this.limits.monthlyLlmCostLimit,
+				lastUpdate: this.usage.costs.lastUpdate,
+				provider: this.billingProvider.name,
+				strict: this.limits.strictBilling,
+				verifiedAt: this.costCheck.verifiedAt ? new Date(this.costCheck.verifiedAt).toISOString() : null,
+				error: this.costCheck.error
 			}
 		};
 	}
 
+	/**
+	 * Quotas, thresholds and cost limits by field: in effect, from the env, and changed at runtime
+	 */
+	getEditableLimits() {
+		return { limits: editableLimits(this.limits), defaults: { ...this.defaultLimits }, overrides: { ...this.limitOverrides } };
+	}
+
+	/**
+	 * Change limits at runtime. `changes` maps a field ('slack.dailyQuota', 'monthlyCostLimit')
+	 * to its new value, or to null to go back to the env value. Nothing is applied unless every
+	 * change is valid; applied changes take effect on the next request and are saved.
+	 * @param {Record<string, number | null>} changes
+	 * @returns {{ ok: true, changes: { field: string, from: number, to: number }[] } | { ok: false, errors: string[] }}
+	 */
+	updateLimits(changes) {
+		const current = editableLimits(this.limits);
+		const next = { ...current };
+		const errors = [];
+		for (const [field, value] of Object.entries(changes)) {
+			if (!(field in current)) {
+				errors.push(`Unknown limit ${field}`);
+				continue;
+			}
+			const error = value === null ? null : validateLimit(field, value);
+			if (error) errors.push(error);
+			else next[field] = value === null ? this.defaultLimits[field] : value;
+		}
+		// Thresholds are checked as a pair whenever one of them changes
+		for (const service of SERVICES) {
+			const [warning, hard] = [`${service}.warningThreshold`, `${service}.hardLimit`];
+			if ((warning in changes || hard in changes) && next[warning] > next[hard]) {
+				errors.push(`${warning} (${next[warning]}) must not be above ${hard} (${next[hard]})`);
+			}
+		}
+		if (('monthlyCostLimit' in changes || 'warningCostThreshold' in changes) && next.monthlyCostLimit > 0 && next.warningCostThreshold > next.monthlyCostLimit) {
+			errors.push(`warningCostThreshold ($${next.warningCostThreshold}) must not be above monthlyCostLimit ($${next.monthlyCostLimit})`);
+		}
+		if (errors.length) return { ok: false, errors };
+
+		const applied = [];
+		for (const [field, value] of Object.entries(changes)) {
+			if (value === null) delete this.limitOverrides[field];
+			else this.limitOverrides[field] = value;
+			if (next[field] === current[field]) continue;
+			setLimit(this.limits, field, next[field]);
+			applied.push({ field, from: current[field], to: next[field] });
+		}
+		this.save();
+		if (applied.length) {
+			console.log(`[BillingService] Limits changed: ${applied.map(c => `${c.field} ${c.from} → ${c.to}`).join(', ')}`);
+		}
+		return { ok: true, changes: applied };
+	}
+
 	/**
 	 * Get the next quota reset time (midnight)
 	 */
@@ -399,15 +913,70 @@ class BillingProtectionService {
 	}
 
 	/**
-	 * Manually update cost (for testing or external billing integration)
+	 * Manually update the Google cost (BILLING_PROVIDER=manual, or until the provider's next read)
 	 */
 	updateCosts(amount) {
-		this.usage.costs.thisMonth = amount;
+		this.resetIfNewMonth();
+		this.usage.costs.google = amount;
+		this.usage.costs.thisMonth = amount + this.usage.costs.llm;
 		this.usage.costs.lastUpdate = Date.now();
+		this.save();
 		console.log(`[BillingService] Costs updated: $${amount}`);
 	}
 }
 
-// Export singleton instance
-module.exports = new BillingProtectionService();
+// thisMonth = google (updateCosts) + llm (recordLlmUsage); models holds the LLM totals per model
+function emptyCosts(month) {
+	return { thisMonth: 0, google: 0, llm: 0, models: {}, lastUpdate: null, month };
+}
+
+// Runtime-editable limits as { 'gmail.dailyQuota': 1000000000, ..., monthlyCostLimit: 0 }
+function editableLimits(limits) {
+	const flat = {};
+	for (const service of SERVICES) {
+		for (const field of SERVICE_LIMIT_FIELDS) flat[`${service}.${field}`] = limits[service][field];
+	}
+	for (const field of COST_LIMIT_FIELDS) flat[field] = limits[field];
+	return flat;
+}
+
+function setLimit(limits, field, value) {
+	const [service, key] = field.split('.');
+	if (key) limits[service][key] = value;
+	else limits[field] = value;
+}
+
+// Error message for a value a limit field cannot take, or null
+function validateLimit(field, value) {
+	if (typeof value !== 'number' || !Number.isFinite(value)) return `${field} must be a number`;
+	const key = field.split('.').pop();
+	if (key === 'dailyQuota' && !(Number.isInteger(value) && value >= 1)) return `${field} must be a whole number of at least 1`;
+	if ((key === 'warningThreshold' || key === 'hardLimit') && !(value > 0 && value <= 1)) return `${field} must be a fraction of the daily quota between 0 and 1`;
+	if (COST_LIMIT_FIELDS.includes(key) && value < 0) return `${field} must be 0 or more (USD)`;
+	return null;
+}
+
+function describeWindow(windowMs) {
+	if (windowMs === SECOND) return 'second';
+	if (windowMs === MINUTE) return 'minute';
+	if (windowMs === HOUR) return 'hour';
+	return `${windowMs}ms`;
+}
+
+// Local calendar day / month, matching the midnight quota reset
+function dayKey(date) {
+	return `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function monthKey(date) {
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Export singleton instance (a --stdio MCP server saves its usage to its own file and follows
+// the web server's runtime limits)
+module.exports = process.argv.includes('--stdio')
+	? new BillingProtectionService({ storePath: BILLING_STDIO_USAGE_PATH, limitsPath: BILLING_USAGE_PATH })
+	: new BillingProtectionService({ storePath: BILLING_USAGE_PATH });
+module.exports.BillingProtectionService = BillingProtectionService;
+module.exports.SERVICES = SERVICES;
 
@@ -0,0 +1,61 @@
+// Types for billingService.cjs (used by the unit tests in src/__tests__)
+
+export type BillingService = "gmail" | "calendar" | "slack" | "github" | "jira" | "openai" | "gemini";
+
+export type UsageCheck = { allowed: boolean; reason?: string; message?: string; warning?: string; retryAfterMs?: number; usage?: any; costs?: any };
+
+export type RateLimitCheck = { allowed: boolean; retryAfterMs?: number; limit?: string };
+
+export type LlmTokens = { inputTokens: number; outputTokens: number };
+
+export type LlmTotals = LlmTokens & { cost: number; requests: number };
+
+export type UsageHistoryDay = { date: string } & Partial<Record<BillingService, number>>;
+
+export type BlockedRequest = { at: string; service: string; operation: string; reason: string; message: string };
+
+export type BillingProvider = { name: string; getMonthCosts(month: string): Promise<number> };
+
+export class BillingProtectionService {
+	constructor(options?: { storePath?: string | null; limitsPath?: string | null; billingProvider?: BillingProvider });
+	billingProvider: BillingProvider;
+	costCheck: { checkedAt: number; verifiedAt: number | null; error: string | null };
+	usage: Record<BillingService, { today: number; resetTime: Date }> & {
+		costs: {
+			thisMonth: number;
+			google: number;
+			llm: number;
+			models: Record<string, LlmTotals & { service: string }>;
+			lastUpdate: number | null;
+			month: string;
+		};
+		buckets: Record<string, { tokens: number; updatedAt: number }>;
+	};
+	limits: Record<BillingService, { dailyQuota: number; warningThreshold: number; hardLimit: number }> & {
+		monthlyCostLimit: number;
+		monthlyLlmCostLimit: number;
+		warningCostThreshold: number;
+		costRefreshMs: number;
+		strictBilling: boolean;
+		rateLimits: Record<string, { requests: number; windowMs: number }>;
+	};
+	history: Record<string, Partial<Record<BillingService, number>>>;
+	checkAndUpdateUsage(service: string, operation?: string): Promise<UsageCheck>;
+	checkRateLimit(service: string, options?: { method?: string; tokens?: number; operation?: string }): RateLimitCheck;
+	blocked: BlockedRequest[];
+	refundUsage(service: string, operation: string): void;
+	updateCosts(amount: number): void;
+	getCurrentMonthCosts(): Promise<number>;
+	recordLlmUsage(service: "openai" | "gemini", model: string, tokens: LlmTokens, options?: { conversationId?: string }): LlmTokens & { cost: number };
+	getConversationCost(conversationId: string): LlmTotals;
+	getCurrentUsage(): Record<string, any>;
+	limitOverrides: Record<string, number>;
+	getEditableLimits(): { limits: Record<string, number>; defaults: Record<string, number>; overrides: Record<string, number> };
+	updateLimits(changes: Record<string, unknown>): { ok: true; changes: { field: string; from: number; to: number }[] } | { ok: false; errors: string[] };
+	getUsageHistory(filter?: { from?: string; to?: string; service?: BillingService }): UsageHistoryDay[];
+	save(): void;
+	saveLater(): void;
+}
+
+declare const billingService: BillingProtectionService & { BillingProtectionService: typeof BillingProtectionService; SERVICES: BillingService[] };
+export default billingService;
@@ -0,0 +1,173 @@
+// Conversation Store
+// Chat history kept as one JSON file per conversation, so it survives browser
+// resets and is shared by every browser talking to this server.
+
+const fs = require("fs");
+const path = require("path");
+
+const CONVERSATIONS_DIR = process.env.CONVERSATIONS_DIR || path.join(__dirname, "conversations");
+// Client ids are UUIDs or id_<time>_<rand>; anything else could escape the directory
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const ROLES = ["user", "assistant", "system"];
+
+if (!fs.existsSync(CONVERSATIONS_DIR)) {
+	fs.mkdirSync(CONVERSATIONS_DIR, { recursive: true });
+}
+
+function isValidId(id) {
+	return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function filePath(id) {
+	return path.join(CONVERSATIONS_DIR, `${id}.json`);
+}
+
+// A deleted conversation leaves <id>.deleted behind, so a browser's offline copy is not uploaded again
+function tombstonePath(id) {
+	return path.join(CONVERSATIONS_DIR, `${id}.deleted`);
+}
+
+function isDeleted(id) {
+	return isValidId(id) && fs.existsSync(tombstonePath(id));
+}
+
+/**
+ * Ids of the deleted conversations
+ */
+function listDeleted() {
+	return fs.readdirSync(CONVERSATIONS_DIR)
+		.filter(f => f.endsWith(".deleted"))
+		.map(f => f.slice(0, -".deleted".length));
+}
+
+/**
+ * Get a conversation with its messages, or null
+ */
+function getConversation(id) {
+	if (!isValidId(id) || !fs.existsSync(filePath(id))) return null;
+	try {
+		return JSON.parse(fs.readFileSync(filePath(id), "utf8"));
+	} catch (error) {
+		console.error(`[ConversationService] Error reading ${id}:`, error.message);
+		return null;
+	}
+}
+
+/**
+ * All conversations, most recently updated first. Without messages unless requested.
+ */
+function listConversations({ withMessages = false } = {}) {
+	const conversations = fs.readdirSync(CONVERSATIONS_DIR)
+		.filter(f => f.endsWith(".json"))
+		.map(f => getConversation(f.slice(0, -5)))
+		.filter(Boolean)
+		.sort((a, b) => b.updatedAt - a.updatedAt);
+	return withMessages ? conversations : conversations.map(toSummary);
+}
+
+function saveConversation(conversation) {
+	// Write then rename so a crash never leaves a half-written file
+	const target = filePath(conversation.id);
+	fs.writeFileSync(`${target}.tmp`, JSON.stringify(conversation, null, 2));
+	fs.renameSync(`${target}.tmp`, target);
+	return conversation;
+}
+
+/**
+ * Append messages to a conversation, creating it when needed. A message whose id is
+ * already stored replaces the stored copy (e.g. an assistant reply that finished streaming).
+ */
+function appendMessages(id, messages, { title, createdAt } = {}) {
+	if (!isValidId(id)) throw new Error("Invalid conversation id");
+	const now = Date.now();
+	const conversation = getConversation(id) || {
+		id,
+		title: "New chat",
+		createdAt: typeof createdAt === "number" ? createdAt : now,
+		updatedAt: now,
+		messageIds: [],
+		messages: [],
+	};
+	if (typeof title === "string" && title.trim()) conversation.title = title.trim();
+	for (const message of messages.map(sanitizeMessage).filter(Boolean)) {
+		const index = conversation.messages.findIndex(m => m.id === message.id);
+		if (index >= 0) {
+			conversation.messages[index] = message;
+		} else {
+			conversation.messages.push(message);
+		}
+	}
+	conversation.messageIds = conversation.messages.map(m => m.id);
+	conversation.updatedAt = now;
+	return saveConversation(conversation);
+}
+
+/**
+ * Rename a conversation; returns null when it does not exist
+ */
+function renameConversation(id, title) {
+	const conversation = getConversation(id);
+	if (!conversation) return null;
+	conversation.title = String(title || "").trim() || "Untitled chat";
+	conversation.updatedAt = Date.now();
+	return saveConversation(conversation);
+}
+
+function deleteConversation(id) {
+	if (!isValidId(id) || !fs.existsSync(filePath(id))) return false;
+	fs.writeFileSync(tombstonePath(id), JSON.stringify({ id, deletedAt: Date.now() }));
+	fs.unlinkSync(filePath(id));
+	return true;
+}
+
+/**
+ * Import whole conversations (the browser's IndexedDB history). A stored copy is only
+ * replaced when the incoming one was updated more recently; deleted ones are skipped.
+ */
+function importConversations(conversations) {
+	let imported = 0;
+	let skipped = 0;
+	for (const incoming of conversations) {
+		const existing = isValidId(incoming?.id) ? getConversation(incoming.id) : null;
+		if (!isValidId(incoming?.id) || !Array.isArray(incoming.messages) || isDeleted(incoming.id) || (existing && existing.updatedAt >= incoming.updatedAt)) {
+			skipped++;
+			continue;
+		}
+		const messages = incoming.messages.map(sanitizeMessage).filter(Boolean);
+		saveConversation({
+			id: incoming.id,
+			title: String(incoming.title || "New chat"),
+			createdAt: Number(incoming.createdAt) || Date.now(),
+			updatedAt: Number(incoming.updatedAt) || Date.now(),
+			messageIds: messages.map(m => m.id),
+			messages,
+		});
+		imported++;
+	}
+	return { imported, skipped };
+}
+
+function sanitizeMessage(message) {
+	if (!message || typeof message.id !== "string" || !ROLES.includes(message.role)) return null;
+	return {
+		...message,
+		content: typeof message.content === "string" ? message.content : "",
+		createdAt: Number(message.createdAt) || Date.now(),
+	};
+}
+
+function toSummary({ messages, messageIds, ...rest }) {
+	return { ...rest, messageCount: messages.length };
+}
+
+module.exports = {
+	isValidId,
+	isDeleted,
+	getConversation,
+	listConversations,
+	listDeleted,
+	appendMessages,
+	renameConversation,
+	deleteConversation,
+	importConversations,
+};
@@ -0,0 +1,162 @@
+// Speaker Diarization Service
+// Labels Whisper segments with who spoke them ("Speaker 1", "Speaker 2", ...), using a local
+// SpeechBrain speaker model on CPU through diarize.py. Optional: enabled with DIARIZATION_ENABLED=true.
+
+const { spawn, exec } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const { convertToWav } = require("./whisperService.cjs");
+
+const DIARIZATION_ENABLED = process.env.DIARIZATION_ENABLED === "true";
+const DIARIZE_SCRIPT = path.join(__dirname, "diarize.py");
+// Downloaded once (~80MB) on first use
+const MODEL_DIR = process.env.DIARIZATION_MODEL_DIR || path.join(__dirname, "models", "spkrec-ecapa-voxceleb");
+const MAX_SPEAKERS = 16;
+
+/**
+ * Check if the diarization Python packages are installed
+ */
+function checkDiarizationAvailable() {
+	return new Promise((resolve) => {
+		exec('python -c "import speechbrain, sklearn, torchaudio"', { shell: true }, (error) => {
+			if (error) console.warn("[Diarization] speechbrain, scikit-learn or torchaudio not installed:", error.message.split("\n")[0]);
+			resolve({ enabled: DIARIZATION_ENABLED, available: !error });
+		});
+	});
+}
+
+/**
+ * Speaker per segment from diarize.py's cluster labels. Speakers are numbered in order of
+ * first appearance; segments too short to embed get the previous (else next) speaker.
+ * @param {{ start: number, end: number, text: string }[]} segments
+ * @param {(number | null)[]} labels
+ */
+function assignSpeakers(segments, labels) {
+	const names = new Map();
+	const speakers = labels.map(label => {
+		if (label === null || label === undefined) return null;
+		if (!names.has(label)) names.set(label, `Speaker ${names.size + 1}`);
+		return names.get(label);
+	});
+	for (let i = 0; i < speakers.length; i++) {
+		if (speakers[i]) continue;
+		speakers[i] = speakers[i - 1] || speakers.slice(i + 1).find(Boolean) || null;
+	}
+	return segments.map((segment, i) => (speakers[i] ? { ...segment, speaker: speakers[i] } : { ...segment }));
+}
+
+/**
+ * Label the transcript's segments with speakers.
+ * @param {string} audioPath
+ * @param {{ segments: object[] }} transcript - from whisperService.transcribeAudio
+ * @param {{ numSpeakers?: number | null, onProgress?: (update: { message: string, progress?: number, total?: number }) => void, signal?: AbortSignal }} [options]
+ *        numSpeakers, when known, fixes the number of speakers (up to 16); otherwise it is estimated
+ * @returns {Promise<Object>} The transcript with `speaker` on each segment and the `speakers` list
+ */
+async function diarizeTranscript(audioPath, transcript, { numSpeakers = null, onProgress, signal } = {}) {
+	const segments = transcript.segments || [];
+	if (!segments.length) return transcript;
+
+	onProgress?.({ message: "Preparing audio for diarization" });
+	const wavPath = path.join(path.dirname(audioPath), `${path.basename(audioPath, path.extname(audioPath))}.wav`);
+	const finalAudioPath = fs.existsSync(wavPath) ? wavPath : await convertToWav(audioPath, wavPath).catch(() => audioPath);
+
+	const { labels } = await runDiarizeScript({
+		audio: finalAudioPath,
+		segments: segments.map(({ start, end }) => ({ start, end })),
+		numSpeakers: numSpeakers ? Math.min(numSpeakers, MAX_SPEAKERS) : null,
+		modelDir: MODEL_DIR,
+	}, { onProgress, signal });
+	if (!Array.isArray(labels) || labels.length !== segments.length) {
+		throw new Error(`Diarization returned ${labels?.length ?? "no"} labels for ${segments.length} segments`);
+	}
+
+	const labelled = assignSpeakers(segments, labels);
+	const speakers = [...new Set(labelled.map(s => s.speaker).filter(Boolean))];
+	console.log(`[Diarization] ${speakers.length} speaker(s) in ${segments.length} segments`);
+	return { ...transcript, segments: labelled, speakers };
+}
+
+function runDiarizeScript(request, { onProgress, signal }) {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(new Error("Diarization cancelled"));
+			return;
+		}
+		const python = spawn("python", [`"${DIARIZE_SCRIPT}"`], { shell: true });
+		const onAbort = () => python.kill();
+		signal?.addEventListener("abort", onAbort, { once: true });
+
+		let stdout = "";
+		let stderr = "";
+		python.stdout.on("data", (data) => {
+			stdout += data.toString();
+		});
+		python.stderr.on("data", (data) => {
+			const message = data.toString();
+			stderr += message;
+			const percents = [...message.matchAll(/Diarizing (\d{1,3})%/g)];
+			if (percents.length) {
+				const percent = Number(percents[percents.length - 1][1]);
+				onProgress?.({ message: `Identifying speakers ${percent}%`, progress: percent, total: 100 });
+				return;
+			}
+			if (message.includes("Loading speaker model")) onProgress?.({ message: "Loading speaker model" });
+			console.log(`[Diarization] ${message}`);
+		});
+
+		python.on("close", (code) => {
+			signal?.removeEventListener("abort", onAbort);
+			if (signal?.aborted) {
+				reject(new Error("Diarization cancelled"));
+			} else if (code === 0) {
+				try {
+					resolve(JSON.parse(stdout));
+				} catch (error) {
+					reject(new Error(`Failed to parse diarization output: ${error.message}\nOutput: ${stdout}`));
+				}
+			} else {
+				console.error(`[Diarization] Failed with code ${code}: ${stderr}`);
+				reject(new Error(`Diarization failed (code ${code}): ${stderr.trim().split("\n").pop() || "Unknown error"}`));
+			}
+		});
+		python.on("error", (error) => {
+			reject(new Error(`Failed to start diarization process: ${error.message}`));
+		});
+
+		python.stdin.end(JSON.stringify(request));
+	});
+}
+
+/**
+ * Consecutive segments of the same speaker merged into turns, with the speaker's name from
+ * the meeting's participants (or "Speaker N" when unmapped). Empty when not diarized.
+ * @param {{ segments?: { start: number, end: number, text: string, speaker?: string }[] }} transcript
+ * @param {Record<string, string>} [names] - speaker id → participant name
+ */
+function speakerTurns(transcript, names = {}) {
+	const segments = transcript.segments || [];
+	if (!segments.some(s => s.speaker)) return [];
+	const turns = [];
+	for (const segment of segments) {
+		const speaker = segment.speaker || null;
+		const text = String(segment.text || "").trim();
+		const last = turns[turns.length - 1];
+		if (last && last.speaker === speaker) {
+			last.text = `${last.text} ${text}`.trim();
+			last.end = segment.end;
+		} else {
+			turns.push({ speaker, name: (speaker && names[speaker]) || speaker || "Unknown speaker", start: segment.start, end: segment.end, text });
+		}
+	}
+	return turns;
+}
+
+module.exports = {
+	DIARIZATION_ENABLED,
+	MAX_SPEAKERS,
+	checkDiarizationAvailable,
+	assignSpeakers,
+	diarizeTranscript,
+	speakerTurns
+};
@@ -0,0 +1,14 @@
+// Types for diarizationService.cjs (used by the unit tests in src/__tests__)
+
+export type TranscriptSegment = { start: number; end: number; text: string; speaker?: string };
+
+export type Transcript = { language?: string; fullText?: string; segments: TranscriptSegment[]; speakers?: string[] };
+
+export type SpeakerTurn = { speaker: string | null; name: string; start: number; end: number; text: string };
+
+export const DIARIZATION_ENABLED: boolean;
+export const MAX_SPEAKERS: number;
+export function checkDiarizationAvailable(): Promise<{ enabled: boolean; available: boolean }>;
+export function assignSpeakers(segments: TranscriptSegment[], labels: (number | null)[]): TranscriptSegment[];
+export function diarizeTranscript(audioPath: string, transcript: Transcript, options?: { numSpeakers?: number | null; signal?: AbortSignal }): Promise<Transcript>;
+export function speakerTurns(transcript: { segments?: TranscriptSegment[] }, names?: Record<string, string>): SpeakerTurn[];
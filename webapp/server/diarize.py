@@ -0,0 +1,93 @@
+# Speaker diarization for Whisper segments (run by diarizationService.cjs)
+#
+# Reads {"audio": path, "segments": [{"start", "end"}], "numSpeakers": int | null, "modelDir": path}
+# on stdin and prints {"labels": [cluster | null per segment], "speakers": count} on stdout.
+# Each segment long enough to carry a voice is embedded with SpeechBrain's ECAPA speaker model
+# and the embeddings are clustered; progress goes to stderr as "Diarizing 40%".
+# CPU only: pip install speechbrain scikit-learn
+
+import json
+import sys
+
+MAX_SPEAKERS = 16
+MIN_SECONDS = 0.5  # shorter segments get their neighbour's speaker
+# Cosine distance below which two voices are the same speaker when the count is unknown
+DISTANCE_THRESHOLD = 0.7
+SAMPLE_RATE = 16000
+
+
+def main():
+    request = json.load(sys.stdin)
+
+    import numpy as np
+    import torch
+    import torchaudio
+    from sklearn.cluster import AgglomerativeClustering
+    try:
+        from speechbrain.inference.speaker import EncoderClassifier
+    except ImportError:  # speechbrain < 1.0
+        from speechbrain.pretrained import EncoderClassifier
+
+    print("Loading speaker model...", file=sys.stderr, flush=True)
+    encoder = EncoderClassifier.from_hparams(
+        source="speechbrain/spkrec-ecapa-voxceleb",
+        savedir=request["modelDir"],
+        run_opts={"device": "cpu"},
+    )
+
+    wav, rate = torchaudio.load(request["audio"])
+    wav = wav.mean(dim=0)
+    if rate != SAMPLE_RATE:
+        wav = torchaudio.functional.resample(wav, rate, SAMPLE_RATE)
+
+    segments = request["segments"]
+    embedded, embeddings = [], []
+    last_percent = -1
+    with torch.no_grad():
+        for i, segment in enumerate(segments):
+            start = int(float(segment["start"]) * SAMPLE_RATE)
+            end = int(float(segment["end"]) * SAMPLE_RATE)
+            if end - start >= MIN_SECONDS * SAMPLE_RATE:
+                chunk = wav[start:end].unsqueeze(0)
+                embeddings.append(encoder.encode_batch(chunk).squeeze().numpy())
+                embedded.append(i)
+            percent = int((i + 1) * 100 / len(segments))
+            if percent != last_percent:
+                last_percent = percent
+                print(f"Diarizing {percent}%", file=sys.stderr, flush=True)
+
+    labels = [None] * len(segments)
+    if len(embedded) == 1:
+        labels[embedded[0]] = 0
+    elif embedded:
+        vectors = np.stack(embeddings)
+        vectors /= np.linalg.norm(vectors, axis=1, keepdims=True)
+        wanted = request.get("numSpeakers")
+        if wanted:
+            clusters = cluster(AgglomerativeClustering, vectors, n_clusters=min(int(wanted), MAX_SPEAKERS, len(embedded)))
+        else:
+            clusters = cluster(AgglomerativeClustering, vectors, n_clusters=None, distance_threshold=DISTANCE_THRESHOLD)
+            if len(set(clusters)) > MAX_SPEAKERS:
+                clusters = cluster(AgglomerativeClustering, vectors, n_clusters=MAX_SPEAKERS)
+        for i, label in zip(embedded, clusters):
+            labels[i] = int(label)
+
+    print(json.dumps({"labels": labels, "speakers": len({l for l in labels if l is not None})}))
+
+
+def cluster(AgglomerativeClustering, vectors, **options):
+    try:
+        model = AgglomerativeClustering(metric="cosine", linkage="average", **options)
+    except TypeError:  # scikit-learn < 1.2
+        model = AgglomerativeClustering(affinity="cosine", linkage="average", **options)
+    return model.fit_predict(vectors)
+
+
+if __name__ == "__main__":
+    try:
+        main()
+    except Exception as e:
+        print(f"ERROR: {e}", file=sys.stderr)
+        import traceback
+        traceback.print_exc(file=sys.stderr)
+        sys.exit(1)
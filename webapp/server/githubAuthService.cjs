@@ -4,6 +4,20 @@
  */
 
 const { Octokit } = require('@octokit/rest');
+const { responseCache, cacheRule, countFetched, MINUTE, HOUR } = require('./responseCache.cjs');
+const billingService = require('./billingService.cjs');
+const { ToolError } = require('./toolRegistry.cjs');
+
+// How long GET responses are reused before they are revalidated with their ETag (a 304
+// does not count against the rate limit), by API path; anything else is always fetched
+const CACHE_RULES = [
+	{ type: 'commit', pattern: /^\/repos\/[^/]+\/[^/]+\/commits\/[^/]+$/, ttl: HOUR },
+	{ type: 'history', pattern: /^\/repos\/[^/]+\/[^/]+\/(commits|branches|pulls|issues)\b/, ttl: 2 * MINUTE },
+	{ type: 'contents', pattern: /^\/repos\/[^/]+\/[^/]+\/contents\//, ttl: 5 * MINUTE },
+	{ type: 'repos', pattern: /^\/(repos\/[^/]+\/[^/]+|orgs\/[^/]+\/repos|user\/repos)$/, ttl: 10 * MINUTE },
+	{ type: 'search', pattern: /^\/search\//, ttl: MINUTE },
+	{ type: 'account', pattern: /^\/(orgs\/[^/]+|user)$/, ttl: HOUR },
+];
 
 class GitHubAuthService {
 	constructor() {
@@ -25,6 +39,7 @@ class GitHubAuthService {
 
 		this.owner = owner;
 		this.octokit = new Octokit({ auth: token });
+		this.octokit.hook.wrap('request', (request, options) => this.cachedRequest(request, options));
 		this.authenticated = true;
 
 		console.log(`[GitHubAuth] Initialized for organization: ${owner}`);
@@ -257,6 +272,121 @@ class GitHubAuthService {
 		return response.data;
 	}
 
+	/**
+	 * Iterate commits newest first, one page at a time, within an optional since/until window.
+	 * Stops after `max` commits so callers can cap the scan.
+	 */
+	async *iterateCommits(repo, options = {}) {
+		yield* this.iterate(this.octokit.repos.listCommits, {
+			owner: this.owner,
+			repo: repo,
+			sha: options.branch,
+			since: options.since,
+			until: options.until,
+			per_page: 100
+		}, options.max);
+	}
+
+	/**
+	 * Iterate pull requests (all states) most recently updated first; stops at the first one
+	 * last updated before `since`, since every later page is older still
+	 */
+	async *iteratePullRequests(repo, options = {}) {
+		const since = options.since ? new Date(options.since).getTime() : 0;
+		for await (const pr of this.iterate(this.octokit.pulls.list, {
+			owner: this.owner,
+			repo: repo,
+			state: options.state || 'all',
+			sort: 'updated',
+			direction: 'desc',
+			per_page: 100
+		}, options.max)) {
+			if (new Date(pr.updated_at).getTime() < since) return;
+			yield pr;
+		}
+	}
+
+	/**
+	 * Iterate every branch of a repository
+	 */
+	async *iterateBranches(repo, options = {}) {
+		yield* this.iterate(this.octokit.repos.listBranches, {
+			owner: this.owner,
+			repo: repo,
+			per_page: 100
+		}, options.max);
+	}
+
+	async *iterate(method, params, max = Infinity) {
+		if (!this.isAuthenticated()) {
+			throw new Error('GitHub not authenticated');
+		}
+
+		let count = 0;
+		for await (const page of this.octokit.paginate.iterator(method, params)) {
+			for (const item of page.data) {
+				if (count++ >= max) return;
+				yield item;
+			}
+		}
+	}
+
+	/**
+	 * Octokit request hook: serve GETs from the response cache, revalidate expired entries
+	 * with If-None-Match, and drop a repository's entries after any write to it.
+	 * Requests that go out take a token from the GitHub rate-limit bucket and count as fetched
+	 * for the tool call, except revalidations answered 304 (GitHub does not bill those).
+	 */
+	async cachedRequest(request, options) {
+		const { method, url } = this.octokit.request.endpoint(options);
+		const path = new URL(url).pathname;
+
+		if (method !== 'GET') {
+			this.takeRateLimitToken(`${method} ${path}`);
+			countFetched();
+			const response = await request(options);
+			const repoPath = path.match(/^\/repos\/[^/]+\/[^/]+/)?.[0];
+			responseCache.invalidate('github', {
+				match: repoPath ? (key) => key.includes(`${repoPath}/`) || key.includes(`${repoPath}?`) || key.endsWith(repoPath) : undefined
+			});
+			return response;
+		}
+
+		const rule = cacheRule(CACHE_RULES, path);
+		if (!rule) {
+			this.takeRateLimitToken(`${method} ${path}`);
+			countFetched();
+			return request(options);
+		}
+
+		const key = `${method} ${url}`;
+		const cached = responseCache.get('github', key);
+		if (cached !== undefined) return cached;
+
+		this.takeRateLimitToken(`${method} ${path}`);
+		const stale = responseCache.stale(key);
+		// The hooks further down read this same options object
+		if (stale) options.headers = { ...options.headers, 'if-none-match': stale.etag };
+		try {
+			const response = await request(options);
+			countFetched();
+			if (stale) responseCache.count('github', 'misses');
+			responseCache.set('github', rule.type, key, response, rule.ttl, { etag: response.headers.etag });
+			return response;
+		} catch (error) {
+			if (stale && error.status === 304) return responseCache.revalidated(stale, rule.ttl);
+			countFetched();
+			throw error;
+		}
+	}
+
+	takeRateLimitToken(operation) {
+		const rate = billingService.checkRateLimit('github', { operation });
+		if (!rate.allowed) {
+			throw new ToolError(`GitHub rate limit reached (${rate.limit}). Try again in ${Math.ceil(rate.retryAfterMs / 1000)}s.`, 429);
+		}
+	}
+
 	/**
 	 * Get organization details
 	 */
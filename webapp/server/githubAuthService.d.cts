@@ -0,0 +1,13 @@
+// Types for githubAuthService.cjs (used by the unit tests in src/__tests__)
+
+declare const githubAuth: {
+	octokit: any;
+	owner: string | null;
+	authenticated: boolean;
+	isAuthenticated(): boolean;
+	iterateCommits(repo: string, options?: { branch?: string; since?: string | null; until?: string | null; max?: number }): AsyncGenerator<any>;
+	iteratePullRequests(repo: string, options?: { since?: string | null; state?: string; max?: number }): AsyncGenerator<any>;
+	iterateBranches(repo: string, options?: { max?: number }): AsyncGenerator<any>;
+};
+
+export default githubAuth;
@@ -1,67 +1,48 @@
 // Minimal local proxy for OpenAI and Gemini with streaming pass-through.
 // Reads keys from .env, handles CORS for http://localhost:5173
+// Run with --stdio to serve the tools as an MCP server over stdin/stdout.
 
+const STDIO_MODE = process.argv.includes("--stdio");
+if (STDIO_MODE) {
+	// stdout carries JSON-RPC frames in stdio mode; route all logging to stderr
+	console.log = console.info = console.debug = console.error;
+}
+
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
-const { google } = require("googleapis");
-const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
 
 dotenv.config();
 
 // Import Google services
 const googleAuth = require("./googleAuthService.cjs");
 const billingService = require("./billingService.cjs");
-const recordingService = require("./recordingService.cjs");
-const whisperService = require("./whisperService.cjs");
-const meetingAnalysis = require("./meetingAnalysisService.cjs");
+const jiraAuth = require("./jiraAuthService.cjs");
+const { toolRegistry } = require("./toolRegistry.cjs");
+const pluginLoader = require("./pluginLoader.cjs");
+const mcpServer = require("./mcpServer.cjs");
+const mcpClients = require("./mcpClientService.cjs");
+const conversationService = require("./conversationService.cjs");
+const { jobQueue } = require("./jobQueueService.cjs");
+const { responseCache } = require("./responseCache.cjs");
+const { createUsageMeter, openaiUsage, geminiUsage } = require("./llmPricing.cjs");
+const { appendAuditEntries, readAuditLog } = require("./auditLogService.cjs");
 
 const app = express();
 app.use(cors({
 	origin: ["http://localhost:5173", "http://127.0.0.1:5173"],
-	methods: ["GET", "POST", "OPTIONS"],
-	allowedHeaders: ["Content-Type", "Authorization"],
+	methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+	allowedHeaders: ["Content-Type", "Authorization", "Mcp-Session-Id", "Mcp-Protocol-Version", "X-Conversation-Id"],
+	exposedHeaders: ["Mcp-Session-Id"],
 }));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "500mb" }));
 
-// Configure multer for audio file uploads
-const upload = multer({
-	dest: path.join(__dirname, "recordings", "temp"),
-	limits: {
-		fileSize: 500 * 1024 * 1024 // 500MB max
-	},
-	fileFilter: (req, file, cb) => {
-		// Accept audio files
-		const allowedMimes = [
-			"audio/webm",
-			"audio/mp3",
-			"audio/wav",
-			"audio/m4a",
-			"audio/ogg",
-			"audio/x-m4a"
-		];
-		if (allowedMimes.includes(file.mimetype)) {
-			cb(null, true);
-		} else {
-			cb(new Error("Invalid file type. Only audio files are allowed."));
-		}
-	}
-});
-
-// Ensure temp directory exists
-const tempDir = path.join(__dirname, "recordings", "temp");
-if (!fs.existsSync(tempDir)) {
-	fs.mkdirSync(tempDir, { recursive: true });
-}
-
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
+// Bearer token for changing billing limits at runtime; unset = limits can only change through .env
+const BILLING_ADMIN_TOKEN = process.env.BILLING_ADMIN_TOKEN || "";
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || "";
-const JIRA_EMAIL = process.env.JIRA_EMAIL || "";
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN || "";
 
 app.get("/health", (req, res) => {
 	const googleStatus = googleAuth.getStatus();
@@ -69,753 +50,141 @@ app.get("/health", (req, res) => {
 		ok: true,
 		openai: !!OPENAI_API_KEY,
 		gemini: !!GEMINI_API_KEY,
-		jira: !!(JIRA_BASE_URL && JIRA_EMAIL && JIRA_API_TOKEN),
+		jira: jiraAuth.isAuthenticated(),
 		google: googleStatus.authenticated,
-		googleAvailable: googleStatus.available
+		googleAvailable: googleStatus.available,
+		plugins: pluginLoader.getStatus(),
+		mcpServers: mcpClients.getStatus(),
+		cache: responseCache.stats()
 	});
 });
 
-// Simple MCP-like tools registry
-const MCP_TOOLS = [
-	{
-		name: "add",
-		title: "Add two numbers",
-		inputSchema: {
-			type: "object",
-			properties: {
-				a: { type: "number" },
-				b: { type: "number" },
-			},
-			required: ["a", "b"],
-		},
-	},
-	{
-		name: "weather",
-		title: "Get weather for a location",
-		inputSchema: {
-			type: "object",
-			properties: {
-				location: { type: "string" },
-			},
-			required: ["location"],
-		},
-	},
-	{
-		name: "jira_list_projects",
-		title: "Jira: List projects",
-		inputSchema: { type: "object", properties: {}, required: [] },
-	},
-	{
-		name: "jira_get_issue",
-		title: "Jira: Get issue by key",
-		inputSchema: {
-			type: "object",
-			properties: { key: { type: "string" } },
-			required: ["key"],
-		},
-	},
-	{
-		name: "jira_search",
-		title: "Jira: Search issues (JQL)",
-		inputSchema: {
-			type: "object",
-			properties: {
-				jql: { type: "string" },
-				maxResults: { type: "number" },
-			},
-			required: ["jql"],
-		},
-	},
-	{
-		name: "jira_list_issues",
-		title: "Jira: List issues in a project/space",
-		inputSchema: {
-			type: "object",
-			properties: {
-				projectKey: { type: "string" },
-				jql: { type: "string" },
-				maxResults: { type: "number" },
-			},
-		},
-	},
-	{
-		name: "jira_issue_status",
-		title: "Jira: Get issue status",
-		inputSchema: {
-			type: "object",
-			properties: { key: { type: "string" } },
-			required: ["key"],
-		},
-	},
-	{
-		name: "jira_sprints",
-		title: "Jira: List sprints for a board",
-		inputSchema: {
-			type: "object",
-			properties: {
-				boardId: { type: "number" },
-				state: { type: "string" }, // active, future, closed
-				maxResults: { type: "number" },
-			},
-			required: ["boardId"],
-		},
-	},
-	{
-		name: "jira_issue_details",
-		title: "Jira: Get issue details (comments, parent, due date, labels, story points, sprint, team)",
-		inputSchema: {
-			type: "object",
-			properties: { key: { type: "string" } },
-			required: ["key"],
-		},
-	},
-	{
-		name: "jira_boards_for_project",
-		title: "Jira: List boards in a project/space",
-		inputSchema: {
-			type: "object",
-			properties: { projectKey: { type: "string" }, maxResults: { type: "number" } },
-			required: ["projectKey"],
-		},
-	},
-	{
-		name: "jira_issues_in_sprint",
-		title: "Jira: List tasks/issues in a sprint",
-		inputSchema: {
-			type: "object",
-			properties: { sprintId: { type: "number" }, maxResults: { type: "number" } },
-			required: ["sprintId"],
-		},
-	},
-	{
-		name: "jira_board_issues",
-		title: "Jira: List all issues in a board",
-		inputSchema: {
-			type: "object",
-			properties: { boardId: { type: "number" }, maxResults: { type: "number" } },
-			required: ["boardId"],
-		},
-	},
-	// Gmail Tools
-	{
-		name: "gmail_search",
-		title: "Gmail: Search emails",
-		inputSchema: {
-			type: "object",
-			properties: {
-				query: { type: "string" },
-				maxResults: { type: "number" }
-			},
-			required: ["query"],
-		},
-	},
-	{
-		name: "gmail_count_from",
-		title: "Gmail: Count emails from sender",
-		inputSchema: {
-			type: "object",
-			properties: { sender: { type: "string" } },
-			required: ["sender"],
-		},
-	},
-	{
-		name: "gmail_latest_from",
-		title: "Gmail: Get latest email from sender",
-		inputSchema: {
-			type: "object",
-			properties: { sender: { type: "string" } },
-			required: ["sender"],
-		},
-	},
-	{
-		name: "gmail_unread",
-		title: "Gmail: List unread emails",
-		inputSchema: {
-			type: "object",
-			properties: { maxResults: { type: "number" } },
-		},
-	},
-	{
-		name: "gmail_important_today",
-		title: "Gmail: Get important emails today",
-		inputSchema: {
-			type: "object",
-			properties: { maxResults: { type: "number" } },
-		},
-	},
-	// Calendar Tools
-	{
-		name: "calendar_today",
-		title: "Calendar: Today's events",
-		inputSchema: {
-			type: "object",
-			properties: {},
-		},
-	},
-	{
-		name: "calendar_upcoming",
-		title: "Calendar: Upcoming events",
-		inputSchema: {
-			type: "object",
-			properties: { days: { type: "number" } },
-		},
-	},
-	// Slack Tools
-	{
-		name: "slack_search",
-		title: "Slack: Search messages",
-		inputSchema: {
-			type: "object",
-			properties: {
-				query: { type: "string" },
-				maxResults: { type: "number" }
-			},
-			required: ["query"],
-		},
-	},
-	{
-		name: "slack_channels",
-		title: "Slack: List all channels",
-		inputSchema: {
-			type: "object",
-			properties: {},
-		},
-	},
-	{
-		name: "slack_channel_messages",
-		title: "Slack: Get messages from channel",
-		inputSchema: {
-			type: "object",
-			properties: {
-				channel: { type: "string" },
-				limit: { type: "number" }
-			},
-			required: ["channel"],
-		},
-	},
-	{
-		name: "slack_count_from_user",
-		title: "Slack: Count messages from user in channel",
-		inputSchema: {
-			type: "object",
-			properties: {
-				channel: { type: "string" },
-				user: { type: "string" }
-			},
-			required: ["channel", "user"],
-		},
-	},
-	{
-		name: "slack_latest_message",
-		title: "Slack: Get latest message in channel",
-		inputSchema: {
-			type: "object",
-			properties: {
-				channel: { type: "string" }
-			},
-			required: ["channel"],
-		},
-	},
-	{
-		name: "slack_mentions",
-		title: "Slack: Get my mentions",
-		inputSchema: {
-			type: "object",
-			properties: {},
-		},
-	},
-	// GitHub Tools
-	{
-		name: "github_list_repos",
-		title: "GitHub: List repositories",
-		inputSchema: {
-			type: "object",
-			properties: {
-				type: { type: "string" },
-				sort: { type: "string" }
-			},
-		},
-	},
-	{
-		name: "github_repo_details",
-		title: "GitHub: Get repository details",
-		inputSchema: {
-			type: "object",
-			properties: {
-				repo: { type: "string" }
-			},
-			required: ["repo"],
-		},
-	},
-	{
-		name: "github_commits",
-		title: "GitHub: List commits in repository",
-		inputSchema: {
-			type: "object",
-			properties: {
-				repo: { type: "string" },
-				branch: { type: "string" },
-				limit: { type: "number" }
-			},
-			required: ["repo"],
-		},
-	},
-	{
-		name: "github_commit_details",
-		title: "GitHub: Get commit details",
-		inputSchema: {
-			type: "object",
-			properties: {
-				repo: { type: "string" },
-				sha: { type: "string" }
-			},
-			required: ["repo", "sha"],
-		},
-	},
-	{
-		name: "github_search_code",
-		title: "GitHub: Search code across repositories",
-		inputSchema: {
-			type: "object",
-			properties: {
-				query: { type: "string" }
-			},
-			required: ["query"],
-		},
-	},
-	{
-		name: "github_pull_requests",
-		title: "GitHub: List pull requests",
-		inputSchema: {
-			type: "object",
-			properties: {
-				repo: { type: "string" },
-				state: { type: "string" }
-			},
-			required: ["repo"],
-		},
-	},
-	{
-		name: "github_issues",
-		title: "GitHub: List issues",
-		inputSchema: {
-			type: "object",
-			properties: {
-				repo: { type: "string" },
-				state: { type: "string" }
-			},
-			required: ["repo"],
-		},
-	},
-	// Jira-GitHub Integration Tools
-	{
-		name: "jira_github_verify_alignment",
-		title: "Jira-GitHub: Verify task alignment with code",
-		inputSchema: {
-			type: "object",
-			properties: {
-				repo: { 
-					type: "string", 
-					description: "GitHub repository name (e.g., oripro-jarvis-OperationalExcellence-proto1)" 
-				},
-				project: { 
-					type: "string", 
-					description: "Jira project key (e.g., SCRUM) or space name (optional)" 
-				},
-				statuses: { 
-					type: "array", 
-					items: { type: "string" },
-					description: "Filter by Jira statuses (e.g., ['Done', 'In Progress']) - optional" 
-				},
-				maxTasks: { 
-					type: "number", 
-					description: "Maximum tasks to analyze (default: 50)" 
-				}
-			},
-			required: ["repo"],
-		},
-	},
-	// Meeting Recording Tools
-	{
-		name: "meeting_list",
-		title: "List all recorded meetings",
-		inputSchema: {
-			type: "object",
-			properties: {},
-		},
-	},
-	{
-		name: "meeting_latest",
-		title: "Get the latest recorded meeting",
-		inputSchema: {
-			type: "object",
-			properties: {},
-		},
-	},
-	{
-		name: "meeting_transcript",
-		title: "Get transcript for a meeting",
-		inputSchema: {
-			type: "object",
-			properties: {
-				meetingId: {
-					type: "string",
-					description: "Meeting ID (optional, defaults to latest)"
-				}
-			},
-		},
-	},
-	{
-		name: "meeting_summarize",
-		title: "Summarize a meeting",
-		inputSchema: {
-			type: "object",
-			properties: {
-				meetingId: {
-					type: "string",
-					description: "Meeting ID (optional, defaults to latest)"
-				}
-			},
-		},
-	},
-	{
-		name: "meeting_sentiment",
-		title: "Analyze sentiment of a meeting",
-		inputSchema: {
-			type: "object",
-			properties: {
-				meetingId: {
-					type: "string",
-					description: "Meeting ID (optional, defaults to latest)"
-				}
-			},
-		},
-	},
-];
+// Built-in tools plus those of the external MCP servers in mcp-servers.json
+function listAllTools() {
+	return [...toolRegistry.list(), ...mcpClients.listTools()];
+}
 
 app.get("/mcp/tools", (req, res) => {
-	res.json({ tools: MCP_TOOLS });
+	res.json({ tools: listAllTools() });
 });
 
-// MCP-like tool: add two numbers
-app.post("/mcp/tools/add", (req, res) => {
-	const a = Number(req.body?.a);
-	const b = Number(req.body?.b);
-	if (!Number.isFinite(a) || !Number.isFinite(b)) {
-		return res.status(400).json({ ok: false, error: "Invalid input. Expect JSON { a: number, b: number }" });
-	}
-	return res.json({ ok: true, result: a + b });
+// Long-running tool calls and their latest progress update
+app.get("/mcp/tools/running", (req, res) => {
+	res.json({ ok: true, running: toolRegistry.listRunning() });
 });
 
-// Jira helpers
-function jiraAuthHeader() {
-	if (!JIRA_BASE_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
-		return null;
+// Run a built-in or external tool by name; resolves to the status and body its REST route would send
+async function invokeTool(name, args, options) {
+	if (toolRegistry.has(name)) return toolRegistry.invoke(name, args, options);
+	if (mcpClients.isExternalTool(name)) {
+		const body = await mcpClients.callTool(name, args);
+		return { status: body.ok ? 200 : 502, body };
 	}
-	const token = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
-	return `Basic ${token}`;
+	return { status: 404, body: { ok: false, error: `Unknown tool: ${name || "(none)"}` } };
 }
 
-// MCP: Jira list projects
-app.get("/mcp/tools/jira/projects", async (req, res) => {
-	try {
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		const resp = await fetch(`${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/project/search`, {
-			headers: { "Authorization": auth, "Accept": "application/json" },
-		});
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, projects: data?.values || [] });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira get issue by key
-app.post("/mcp/tools/jira/issue", async (req, res) => {
-	try {
-		const key = String(req.body?.key || "").trim();
-		if (!key) return res.status(400).json({ ok: false, error: "key is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/issue/${encodeURIComponent(key)}?expand=renderedFields`;
-		const resp = await fetch(url, { headers: { "Authorization": auth, "Accept": "application/json" } });
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, issue: data });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira search by JQL
-app.post("/mcp/tools/jira/search", async (req, res) => {
-	try {
-		const jql = String(req.body?.jql || "").trim();
-		const maxResults = Number(req.body?.maxResults || 25);
-		if (!jql) return res.status(400).json({ ok: false, error: "jql is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		
-		// Use v2 API with GET (more stable and widely supported)
-		const fields = ["summary","status","assignee","labels","duedate","parent"].join(",");
-		const params = new URLSearchParams({
-			jql: jql,
-			maxResults: String(maxResults),
-			fields: fields
-		});
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/2/search?${params.toString()}`;
-		
-		const resp = await fetch(url, {
-			method: "GET",
-			headers: { "Authorization": auth, "Accept": "application/json" },
-		});
-		const data = await resp.json().catch(() => ({}));
-		if (!resp.ok) {
-			// Enhanced error reporting
-			let errorMsg = "Jira error";
-			if (data?.errorMessages && Array.isArray(data.errorMessages)) {
-				errorMsg = data.errorMessages.join(", ");
-			} else if (data?.errorMessages) {
-				errorMsg = String(data.errorMessages);
-			} else if (data?.errors) {
-				errorMsg = JSON.stringify(data.errors);
-			}
-			console.error(`[Jira Search Error] Status ${resp.status}: ${errorMsg}`, { jql, maxResults, url });
-			return res.status(resp.status).json({ ok: false, error: `${errorMsg} (HTTP ${resp.status})`, errorMessages: data?.errorMessages });
-		}
-		return res.json({ ok: true, issues: data?.issues || [], total: data?.total || 0 });
-	} catch (e) {
-		console.error("[Jira Search Exception]", e);
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira list issues (projectKey or free JQL)
-app.post("/mcp/tools/jira/listIssues", async (req, res) => {
-	try {
-		const projectKey = (req.body?.projectKey || "").trim();
-		const jqlInput = (req.body?.jql || "").trim();
-		const maxResults = Number(req.body?.maxResults || 25);
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		let jql = jqlInput;
-		if (!jql) {
-			if (!projectKey) return res.status(400).json({ ok: false, error: "projectKey or jql is required" });
-			jql = `project=${projectKey} ORDER BY created DESC`;
-		}
-		// Use v2 API with GET
-		const fields = ["summary","status","assignee","labels","duedate","parent"].join(",");
-		const params = new URLSearchParams({
-			jql: jql,
-			maxResults: String(maxResults),
-			fields: fields
-		});
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/2/search?${params.toString()}`;
-		
-		const resp = await fetch(url, {
-			method: "GET",
-			headers: { "Authorization": auth, "Accept": "application/json" },
-		});
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, issues: data?.issues || [], total: data?.total || 0 });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira issue status
-app.post("/mcp/tools/jira/issueStatus", async (req, res) => {
-	try {
-		const key = String(req.body?.key || "").trim();
-		if (!key) return res.status(400).json({ ok: false, error: "key is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/issue/${encodeURIComponent(key)}?fields=status`;
-		const resp = await fetch(url, { headers: { "Authorization": auth, "Accept": "application/json" } });
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, key, status: data?.fields?.status || null });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira sprints by board (Agile API)
-app.post("/mcp/tools/jira/sprints", async (req, res) => {
-	try {
-		const boardId = Number(req.body?.boardId);
-		const state = (req.body?.state || "").trim(); // active, future, closed
-		const maxResults = Number(req.body?.maxResults || 50);
-		if (!boardId) return res.status(400).json({ ok: false, error: "boardId is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		const params = new URLSearchParams();
-		if (state) params.set("state", state);
-		if (maxResults) params.set("maxResults", String(maxResults));
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board/${boardId}/sprint?${params.toString()}`;
-		const resp = await fetch(url, { headers: { "Authorization": auth, "Accept": "application/json" } });
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, sprints: data?.values || [], total: data?.total || 0 });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira issue details (comments, parent, due date, labels, story points, sprint, team candidates)
-app.post("/mcp/tools/jira/issueDetails", async (req, res) => {
-	try {
-		const key = String(req.body?.key || "").trim();
-		if (!key) return res.status(400).json({ ok: false, error: "key is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		const fields = [
-			"summary","status","assignee","duedate","labels","components","parent","comment",
-			"customfield_10016", // story points (common)
-			"customfield_10020", // sprint (common)
-		].join(",");
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/issue/${encodeURIComponent(key)}?fields=${encodeURIComponent(fields)}&expand=renderedFields`;
-		const resp = await fetch(url, { headers: { "Authorization": auth, "Accept": "application/json" } });
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		const f = data?.fields || {};
-		const details = {
-			key,
-			summary: f.summary || null,
-			status: f.status || null,
-			assignee: f.assignee || null,
-			dueDate: f.duedate || null,
-			labels: f.labels || [],
-			components: f.components || [],
-			parent: f.parent || null,
-			comments: f.comment?.comments || [],
-			storyPoints: f.customfield_10016 ?? null,
-			rawSprintField: f.customfield_10020 ?? null,
-			teamCandidates: f.components || [],
-		};
-		return res.json({ ok: true, details });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira boards by project
-app.post("/mcp/tools/jira/boardsByProject", async (req, res) => {
-	try {
-		const projectKey = String(req.body?.projectKey || "").trim();
-		const maxResults = Number(req.body?.maxResults || 50);
-		if (!projectKey) return res.status(400).json({ ok: false, error: "projectKey is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		const params = new URLSearchParams({ projectKeyOrId: projectKey, maxResults: String(maxResults) });
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board?${params.toString()}`;
-		const resp = await fetch(url, { headers: { "Authorization": auth, "Accept": "application/json" } });
-		const data = await resp.json();
-		if (!resp.ok) return res.status(resp.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, boards: data?.values || [], total: data?.total || 0 });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
-
-// MCP: Jira all issues in a board (including backlog)
-app.post("/mcp/tools/jira/boardIssues", async (req, res) => {
-	try {
-		const boardId = Number(req.body?.boardId);
-		const maxResults = Number(req.body?.maxResults || 100);
-		if (!boardId) return res.status(400).json({ ok: false, error: "boardId is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		// Use Agile API to get all board issues
-		const params = new URLSearchParams({ maxResults: String(maxResults) });
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board/${boardId}/issue?${params.toString()}`;
-		const resp = await fetch(url, { headers: { "Authorization": auth, "Accept": "application/json" } });
-		const data = await resp.json().catch(() => ({}));
-		if (!resp.ok) {
-			console.error(`[Jira Board Issues Error] Status ${resp.status}:`, data?.errorMessages || data?.errors);
-			return res.status(resp.status).json({ ok: false, error: data?.errorMessages || data?.errors || "Jira error" });
-		}
-		return res.json({ ok: true, issues: data?.issues || [], total: data?.total || 0 });
-	} catch (e) {
-		console.error("[Jira Board Issues Exception]", e);
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
+// Execute a tool by name: { name, arguments } -> the tool route's JSON response.
+// This is what LLM function calling uses, so the model never needs to know route paths.
+// With background: true a built-in tool marked background (and read-only) runs as a job and
+// the response is its id (202). Tools that change data (readOnlyHint: false) run only with
+// confirmed: true, sent once the user approved the call.
+app.post("/mcp/tools/call", async (req, res) => {
+	const name = String(req.body?.name || "").trim();
+	const args = req.body?.arguments && typeof req.body.arguments === "object" ? req.body.arguments : {};
+	const tool = listAllTools().find(t => t.name === name);
+	if (tool?.annotations?.readOnlyHint === false && req.body?.confirmed !== true) {
+		return res.status(403).json({ ok: false, error: `${name} changes data and needs the user's confirmation (confirmed: true)` });
+	}
+	if (req.body?.background === true) {
+		if (!toolRegistry.has(name)) {
+			return res.status(404).json({ ok: false, error: `Unknown built-in tool: ${name || "(none)"}` });
+		}
+		if (!toolRegistry.canRunInBackground(name)) {
+			return res.status(400).json({ ok: false, error: `${name} cannot run in the background` });
+		}
+		const job = jobQueue.enqueue("tool", { name, arguments: args }, { label: name });
+		return res.status(202).json({ ok: true, jobId: job.id, job });
+	}
+	const { status, body } = await invokeTool(name, args);
+	res.status(status).json(body);
+});
+
+// Spec-compliant MCP endpoint (Streamable HTTP) for external agents; the same server backs --stdio
+const mcp = mcpServer.createMcpServer({
+	getTools: listAllTools,
+	callTool: async (name, args, options) => {
+		const { status, body } = await invokeTool(name, args, options);
+		return { status, data: body };
+	},
+});
+mcpServer.mountHttpTransport(app, "/mcp", mcp);
+
+// Tool: add two numbers
+toolRegistry.register({
+	name: "add",
+	title: "Add two numbers",
+	path: "/mcp/tools/add",
+	inputSchema: {
+		type: "object",
+		properties: {
+			a: { type: "number" },
+			b: { type: "number" },
+		},
+		required: ["a", "b"],
+	},
+	handler: async ({ a, b }) => ({ result: a + b }),
+});
+
+// Count a proxied LLM request against the provider's quota and rate limit; when it is over,
+// answer 429 (rate limit) or 403 (quota) in the providers' error shape and resolve false
+async function allowLlmRequest(service, res) {
+	const check = await billingService.checkAndUpdateUsage(service, "chat");
+	if (check.allowed) return true;
+	res.status(check.reason === "rate_limit" ? 429 : 403).json({ error: { message: check.message } });
+	return false;
+}
 
-// MCP: Jira issues by sprint ID
-app.post("/mcp/tools/jira/issuesInSprint", async (req, res) => {
-	try {
-		const sprintId = Number(req.body?.sprintId);
-		const maxResults = Number(req.body?.maxResults || 50);
-		if (!sprintId) return res.status(400).json({ ok: false, error: "sprintId is required" });
-		const auth = jiraAuthHeader();
-		if (!auth) return res.status(400).json({ ok: false, error: "Jira is not configured." });
-		// Use GET with query parameters
-		const jql = `sprint=${sprintId} ORDER BY created DESC`;
-		const fields = ["summary","status","assignee","labels","duedate","parent"].join(",");
-		const params = new URLSearchParams({
-			jql: jql,
-			maxResults: String(maxResults),
-			fields: fields
-		});
-		const url = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/search?${params.toString()}`;
-		
-		const search = await fetch(url, {
-			method: "GET",
-			headers: { "Authorization": auth, "Accept": "application/json" },
-		});
-		const data = await search.json();
-		if (!search.ok) return res.status(search.status).json({ ok: false, error: data?.errorMessages || "Jira error" });
-		return res.json({ ok: true, issues: data?.issues || [], total: data?.total || 0 });
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
-	}
-});
+// Pass an upstream LLM response through unchanged while reading the token usage it reports,
+// then price it into the monthly cost (and the conversation's, from X-Conversation-Id)
+async function relayMetered(req, resp, res, service, model) {
+	const meter = createUsageMeter(service === "openai" ? openaiUsage : geminiUsage);
+	const decoder = new TextDecoder();
+	const reader = resp.body.getReader();
+	while (true) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		meter.push(decoder.decode(value, { stream: true }));
+		res.write(Buffer.from(value));
+	}
+	res.end();
+	recordLlmUsage(req, service, model, meter.usage());
+}
 
-// MCP-like tool: get weather using Open-Meteo (no API key)
-app.post("/mcp/tools/weather", async (req, res) => {
-	try {
-		const location = String(req.body?.location || "").trim();
-		if (!location) return res.status(400).json({ ok: false, error: "location is required" });
-		const geo = await fetch(`https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(location)}&count=1`);
-		if (!geo.ok) return res.status(502).json({ ok: false, error: `geocoding failed: ${geo.status}` });
-		const geoJson = await geo.json();
-		const first = Array.isArray(geoJson?.results) ? geoJson.results[0] : undefined;
-		if (!first) return res.status(404).json({ ok: false, error: "location not found" });
-		const lat = first.latitude;
-		const lon = first.longitude;
-		const wx = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true`);
-		if (!wx.ok) return res.status(502).json({ ok: false, error: `weather failed: ${wx.status}` });
-		const wxJson = await wx.json();
-		return res.json({
-			ok: true,
-			location: {
-				name: first.name,
-				country: first.country,
-				latitude: lat,
-				longitude: lon,
-			},
-			current: wxJson.current_weather || null,
-		});
-	} catch (e) {
-		return res.status(500).json({ ok: false, error: (e && e.message) || "unknown error" });
+function recordLlmUsage(req, service, model, usage) {
+	if (!usage) {
+		console.warn(`[LLM] ${service} response for ${model} reported no token usage; not priced`);
+		return;
 	}
-});
+	const conversationId = req.get("X-Conversation-Id");
+	billingService.recordLlmUsage(service, model, usage, {
+		conversationId: conversationService.isValidId(conversationId) ? conversationId : undefined,
+	});
+}
 
 // OpenAI: proxy chat completions (stream and non-stream)
 app.post("/v1/chat/completions", async (req, res) => {
 	try {
+		if (!(await allowLlmRequest("openai", res))) return;
 		const upstream = "https://api.openai.com/v1/chat/completions";
+		// Streams only report token usage when asked to (in a last chunk without choices)
+		const body = req.body?.stream ? { ...req.body, stream_options: { ...req.body.stream_options, include_usage: true } } : req.body;
 		const resp = await fetch(upstream, {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json",
 				"Authorization": `Bearer ${OPENAI_API_KEY}`,
 			},
-			body: JSON.stringify(req.body),
+			body: JSON.stringify(body),
 		});
 		if (!resp.ok) {
 			const text = await resp.text().catch(() => "");
@@ -830,22 +199,18 @@ app.post("/v1/chat/completions", async (req, res) => {
 		} else {
 			res.setHeader("Content-Type", "application/json");
 		}
-		const reader = resp.body.getReader();
-		while (true) {
-			const { done, value } = await reader.read();
-			if (done) break;
-			res.write(Buffer.from(value));
-		}
-		res.end();
+		await relayMetered(req, resp, res, "openai", body?.model);
 	} catch (e) {
 		res.status(500).send(`Proxy error: ${(e && e.message) || "unknown"}`);
 	}
 });
 
-// Gemini: streamGenerateContent
-app.post("/v1beta/models/:model:streamGenerateContent", async (req, res) => {
+// Gemini: streamGenerateContent (regex routes: in an Express path, ":model:stream..." would
+// read as two parameters and capture only the model's first letter)
+app.post(/^\/v1beta\/models\/([^/:]+):streamGenerateContent$/, async (req, res) => {
 	try {
-		const model = req.params.model;
+		if (!(await allowLlmRequest("gemini", res))) return;
+		const model = req.params[0];
 		const upstream = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(GEMINI_API_KEY)}`;
 		const resp = await fetch(upstream, {
 			method: "POST",
@@ -859,22 +224,17 @@ app.post("/v1beta/models/:model:streamGenerateContent", async (req, res) => {
 		res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
 		res.setHeader("Cache-Control", "no-cache");
 		res.setHeader("Connection", "keep-alive");
-		const reader = resp.body.getReader();
-		while (true) {
-			const { done, value } = await reader.read();
-			if (done) break;
-			res.write(Buffer.from(value));
-		}
-		res.end();
+		await relayMetered(req, resp, res, "gemini", model);
 	} catch (e) {
 		res.status(500).send(`Proxy error: ${(e && e.message) || "unknown"}`);
 	}
 });
 
 // Gemini: generateContent (non-stream) for simple connectivity testing
-app.post("/v1beta/models/:model:generateContent", async (req, res) => {
+app.post(/^\/v1beta\/models\/([^/:]+):generateContent$/, async (req, res) => {
 	try {
-		const model = req.params.model;
+		if (!(await allowLlmRequest("gemini", res))) return;
+		const model = req.params[0];
 		const upstream = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(GEMINI_API_KEY)}`;
 		const resp = await fetch(upstream, {
 			method: "POST",
@@ -882,7 +242,12 @@ app.post("/v1beta/models/:model:generateContent", async (req, res) => {
 			body: JSON.stringify(req.body),
 		});
 		const text = await resp.text().catch(() => "");
-		return res.status(resp.status).send(text || "");
+		res.status(resp.status).send(text || "");
+		if (resp.ok) {
+			const meter = createUsageMeter(geminiUsage);
+			meter.push(text);
+			recordLlmUsage(req, "gemini", model, meter.usage());
+		}
 	} catch (e) {
 		res.status(500).send(`Proxy error: ${(e && e.message) || "unknown"}`);
 	}
@@ -937,2151 +302,243 @@ app.post("/auth/google/logout", async (req, res) => {
 });
 
 // Billing: Get current usage and costs
-app.get("/mcp/billing/status", (req, res) => {
+app.get("/mcp/billing/status", async (req, res) => {
+	// Reads the billing provider when its refresh interval has passed
+	await billingService.getCurrentMonthCosts();
 	const usage = billingService.getCurrentUsage();
 	const authStatus = googleAuth.getStatus();
 	res.json({
 		ok: true,
 		usage,
+		blocked: billingService.blocked,
 		authenticated: authStatus.authenticated
 	});
 });
 
-// ============================================================================
-// GMAIL MCP TOOLS
-// ============================================================================
-
-// Gmail: Search emails
-app.post("/mcp/tools/gmail/search", async (req, res) => {
-	try {
-		// Check authentication
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Gmail features"
-			});
-		}
-
-		// Check billing/quota limits
-		const check = await billingService.checkAndUpdateUsage('gmail', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				reason: check.reason,
-				message: check.message,
-				usage: check.usage || check.costs
-			});
+// Billing: units used per day (?from=YYYY-MM-DD&to=YYYY-MM-DD&service=gmail)
+app.get("/mcp/billing/history", (req, res) => {
+	const { from, to, service } = req.query;
+	for (const [name, value] of [["from", from], ["to", to]]) {
+		if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+			return res.status(400).json({ ok: false, error: `${name} must be a date like 2025-03-01` });
 		}
+	}
+	if (service !== undefined && !billingService.SERVICES.includes(String(service))) {
+		return res.status(400).json({ ok: false, error: `service must be one of ${billingService.SERVICES.join(", ")}` });
+	}
+	res.json({ ok: true, history: billingService.getUsageHistory({ from, to, service }) });
+});
 
-		// Ensure tokens are valid
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
+// Billing: LLM tokens and cost spent in one conversation (ChatHeader)
+app.get("/mcp/billing/conversations/:id", (req, res) => {
+	if (!conversationService.isValidId(req.params.id)) {
+		return res.status(400).json({ ok: false, error: "Invalid conversation id" });
+	}
+	res.json({ ok: true, usage: billingService.getConversationCost(req.params.id) });
+});
 
-		// Execute Gmail API call
-		const gmail = google.gmail({ version: 'v1', auth });
-		const query = req.body.query || '';
-		const maxResults = req.body.maxResults || 20;
+// Billing limits: only with Authorization: Bearer $BILLING_ADMIN_TOKEN
+function requireBillingAdmin(req, res, next) {
+	if (!BILLING_ADMIN_TOKEN) {
+		return res.status(403).json({ ok: false, error: "Set BILLING_ADMIN_TOKEN on the server to manage billing limits" });
+	}
+	const given = Buffer.from(String(req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+	const expected = Buffer.from(BILLING_ADMIN_TOKEN);
+	if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+		return res.status(401).json({ ok: false, error: "Invalid billing admin token" });
+	}
+	next();
+}
 
-		const response = await gmail.users.messages.list({
-			userId: 'me',
-			q: query,
-			maxResults
-		});
+// Billing limits: in effect, env defaults, runtime overrides and recent changes
+app.get("/mcp/billing/limits", requireBillingAdmin, (req, res) => {
+	res.json({ ok: true, ...billingService.getEditableLimits(), audit: readAuditLog({ limit: 50, source: "billing" }) });
+});
 
-		const messages = response.data.messages || [];
-		
-		// Get details for each message
-		const detailedMessages = await Promise.all(
-			messages.slice(0, 10).map(async (msg) => {
-				const details = await gmail.users.messages.get({
-					userId: 'me',
-					id: msg.id,
-					format: 'metadata',
-					metadataHeaders: ['From', 'Subject', 'Date']
-				});
-				return details.data;
-			})
-		);
+// Billing limits: change some ({ changes: { "slack.dailyQuota": 20000, "monthlyCostLimit": null }, note? });
+// null goes back to the .env value
+app.patch("/mcp/billing/limits", requireBillingAdmin, (req, res) => {
+	const { changes, note } = req.body || {};
+	if (!changes || typeof changes !== "object" || Array.isArray(changes) || !Object.keys(changes).length) {
+		return res.status(400).json({ ok: false, error: "changes must be an object like { \"slack.dailyQuota\": 20000 }" });
+	}
+	const result = billingService.updateLimits(changes);
+	if (!result.ok) {
+		return res.status(400).json({ ok: false, error: result.errors.join("; "), errors: result.errors });
+	}
+	appendAuditEntries(result.changes.map(c => ({
+		source: "billing",
+		action: "limit_changed",
+		...c,
+		note: typeof note === "string" && note.trim() ? note.trim().slice(0, 500) : null,
+		ip: req.ip,
+	})));
+	res.json({ ok: true, changes: result.changes, ...billingService.getEditableLimits() });
+});
 
-		res.json({
-			ok: true,
-			messages: detailedMessages,
-			total: response.data.resultSizeEstimate || 0,
-			warning: check.warning,
-			usage: check.usage
-		});
+// Conversations: list (summaries, or ?full=1 for messages too) and the ids of deleted ones
+app.get("/api/conversations", (req, res) => {
+	try {
+		const withMessages = req.query.full === "1" || req.query.full === "true";
+		res.json({ ok: true, conversations: conversationService.listConversations({ withMessages }), deleted: conversationService.listDeleted() });
 	} catch (error) {
-		console.error("[Gmail Search]", error.message);
+		console.error("[Conversations] Error listing conversations:", error);
 		res.status(500).json({ ok: false, error: error.message });
 	}
 });
 
-// Gmail: Count emails from sender
-app.post("/mcp/tools/gmail/count-from", async (req, res) => {
+// Conversations: one-time import of the browser's local history
+app.post("/api/conversations/import", (req, res) => {
+	const conversations = req.body?.conversations;
+	if (!Array.isArray(conversations)) {
+		return res.status(400).json({ ok: false, error: "conversations must be an array" });
+	}
 	try {
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Gmail features"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('gmail', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
-		const gmail = google.gmail({ version: 'v1', auth });
-
-		const sender = req.body.sender;
-		const response = await gmail.users.messages.list({
-			userId: 'me',
-			q: `from:${sender}`
-		});
-
-		res.json({
-			ok: true,
-			count: response.data.resultSizeEstimate || 0,
-			sender: sender,
-			warning: check.warning
-		});
+		res.json({ ok: true, ...conversationService.importConversations(conversations) });
 	} catch (error) {
-		console.error("[Gmail Count]", error.message);
+		console.error("[Conversations] Error importing conversations:", error);
 		res.status(500).json({ ok: false, error: error.message });
 	}
 });
 
-// Gmail: Get latest email from sender
-app.post("/mcp/tools/gmail/latest-from", async (req, res) => {
-	try {
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Gmail features"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('gmail', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
-		const gmail = google.gmail({ version: 'v1', auth });
-
-		const sender = req.body.sender;
-		const response = await gmail.users.messages.list({
-			userId: 'me',
-			q: `from:${sender}`,
-			maxResults: 1
-		});
-
-		if (!response.data.messages || response.data.messages.length === 0) {
-			return res.json({
-				ok: true,
-				found: false,
-				message: `No emails found from ${sender}`
-			});
-		}
-
-		const msgId = response.data.messages[0].id;
-		const details = await gmail.users.messages.get({
-			userId: 'me',
-			id: msgId,
-			format: 'full'
-		});
+// Conversations: get one with its messages
+app.get("/api/conversations/:id", (req, res) => {
+	const conversation = conversationService.getConversation(req.params.id);
+	if (!conversation) {
+		return res.status(404).json({ ok: false, error: "Conversation not found" });
+	}
+	res.json({ ok: true, conversation });
+});
 
-		res.json({
-			ok: true,
-			found: true,
-			message: details.data,
-			sender: sender,
-			warning: check.warning
-		});
+// Conversations: append (or update by id) messages, creating the conversation if needed
+app.post("/api/conversations/:id/messages", (req, res) => {
+	const { messages, title, createdAt } = req.body || {};
+	if (!conversationService.isValidId(req.params.id)) {
+		return res.status(400).json({ ok: false, error: "Invalid conversation id" });
+	}
+	if (!Array.isArray(messages)) {
+		return res.status(400).json({ ok: false, error: "messages must be an array" });
+	}
+	if (conversationService.isDeleted(req.params.id)) {
+		return res.status(410).json({ ok: false, error: "Conversation was deleted" });
+	}
+	try {
+		const conversation = conversationService.appendMessages(req.params.id, messages, { title, createdAt });
+		res.json({ ok: true, id: conversation.id, updatedAt: conversation.updatedAt, messageCount: conversation.messages.length });
 	} catch (error) {
-		console.error("[Gmail Latest]", error.message);
+		console.error("[Conversations] Error appending messages:", error);
 		res.status(500).json({ ok: false, error: error.message });
 	}
 });
 
-// Gmail: List unread emails
-app.post("/mcp/tools/gmail/unread", async (req, res) => {
-	try {
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Gmail features"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('gmail', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
-		const gmail = google.gmail({ version: 'v1', auth });
+// Conversations: rename
+app.patch("/api/conversations/:id", (req, res) => {
+	const conversation = conversationService.renameConversation(req.params.id, req.body?.title);
+	if (!conversation) {
+		return res.status(404).json({ ok: false, error: "Conversation not found" });
+	}
+	res.json({ ok: true, id: conversation.id, title: conversation.title });
+});
 
-		const maxResults = req.body.maxResults || 20;
-		const response = await gmail.users.messages.list({
-			userId: 'me',
-			q: 'is:unread',
-			maxResults
-		});
+// Conversations: delete
+app.delete("/api/conversations/:id", (req, res) => {
+	if (!conversationService.deleteConversation(req.params.id)) {
+		return res.status(404).json({ ok: false, error: "Conversation not found" });
+	}
+	res.json({ ok: true, message: "Conversation deleted" });
+});
 
-		const messages = response.data.messages || [];
-		
-		// Get details
-		const detailedMessages = await Promise.all(
-			messages.slice(0, 10).map(async (msg) => {
-				const details = await gmail.users.messages.get({
-					userId: 'me',
-					id: msg.id,
-					format: 'metadata',
-					metadataHeaders: ['From', 'Subject', 'Date']
-				});
-				return details.data;
-			})
-		);
+// Background jobs: list (?status=running&type=tool&limit=20), without results
+app.get("/api/jobs", (req, res) => {
+	const limit = Math.min(Number(req.query.limit) || 50, 200);
+	res.json({ ok: true, jobs: jobQueue.list({ status: req.query.status, type: req.query.type, limit }) });
+});
 
-		res.json({
-			ok: true,
-			messages: detailedMessages,
-			total: response.data.resultSizeEstimate || 0,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Gmail Unread]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
+// Background jobs: enqueue { type, params } (tool, transcription, meeting-summary)
+app.post("/api/jobs", (req, res) => {
+	const { type, params, label } = req.body || {};
+	if (!jobQueue.hasType(type)) {
+		return res.status(400).json({ ok: false, error: `Unknown job type: ${type || "(none)"}` });
 	}
+	const job = jobQueue.enqueue(type, params && typeof params === "object" ? params : {}, { label });
+	res.status(202).json({ ok: true, jobId: job.id, job });
 });
 
-// Gmail: Get important emails today
-app.post("/mcp/tools/gmail/important-today", async (req, res) => {
-	try {
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Gmail features"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('gmail', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
+// Background jobs: server-sent events for every job update (must be before /api/jobs/:id)
+app.get("/api/jobs/events", (req, res) => {
+	streamJobs(req, res, null);
+});
 
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
-		const gmail = google.gmail({ version: 'v1', auth });
+// Background jobs: status, progress and (once finished) the result
+app.get("/api/jobs/:id", (req, res) => {
+	const job = jobQueue.get(req.params.id);
+	if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+	res.json({ ok: true, job });
+});
 
-		const today = new Date().toISOString().split('T')[0].replace(/-/g, '/');
-		const maxResults = req.body.maxResults || 20;
+// Background jobs: server-sent events for one job, closed after it finishes
+app.get("/api/jobs/:id/events", (req, res) => {
+	if (!jobQueue.get(req.params.id)) return res.status(404).json({ ok: false, error: "Job not found" });
+	streamJobs(req, res, req.params.id);
+});
 
-		const response = await gmail.users.messages.list({
-			userId: 'me',
-			q: `is:important after:${today}`,
-			maxResults
-		});
+// Background jobs: cancel a queued or running job
+app.post("/api/jobs/:id/cancel", (req, res) => {
+	const job = jobQueue.cancel(req.params.id);
+	if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+	res.json({ ok: true, job });
+});
 
-		const messages = response.data.messages || [];
-		
-		// Get details
-		const detailedMessages = await Promise.all(
-			messages.map(async (msg) => {
-				const details = await gmail.users.messages.get({
-					userId: 'me',
-					id: msg.id,
-					format: 'metadata',
-					metadataHeaders: ['From', 'Subject', 'Date']
-				});
-				return details.data;
-			})
-		);
+/**
+ * Send `job` events (full job snapshots) as they change. A single job's stream starts with
+ * its current state and ends once it has finished; the all-jobs stream leaves out results.
+ */
+function streamJobs(req, res, jobId) {
+	res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+	res.setHeader("Cache-Control", "no-cache");
+	res.setHeader("Connection", "keep-alive");
+	res.flushHeaders();
+	const send = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
 
-		res.json({
-			ok: true,
-			messages: detailedMessages,
-			total: messages.length,
-			date: today,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Gmail Important]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
+	const current = jobId ? jobQueue.get(jobId) : null;
+	if (current) {
+		send(current);
+		if (jobQueue.isFinished(current)) return res.end();
 	}
-});
-
-// ============================================================================
-// GOOGLE CALENDAR MCP TOOLS
-// ============================================================================
-
-// Calendar: Today's events
-app.post("/mcp/tools/calendar/today", async (req, res) => {
-	try {
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Calendar features"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('calendar', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
-		const calendar = google.calendar({ version: 'v3', auth });
-
-		const now = new Date();
-		const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-		const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-
-		const response = await calendar.events.list({
-			calendarId: 'primary',
-			timeMin: startOfDay.toISOString(),
-			timeMax: endOfDay.toISOString(),
-			singleEvents: true,
-			orderBy: 'startTime'
-		});
-
-		res.json({
-			ok: true,
-			events: response.data.items || [],
-			date: startOfDay.toISOString().split('T')[0],
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Calendar Today]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Calendar: Upcoming events
-app.post("/mcp/tools/calendar/upcoming", async (req, res) => {
-	try {
-		if (!googleAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Please login to use Calendar features"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('calendar', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		await googleAuth.ensureValidTokens();
-		const auth = googleAuth.getClient();
-		const calendar = google.calendar({ version: 'v3', auth });
-
-		const days = req.body.days || 7;
-		const now = new Date();
-		const future = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
-
-		const response = await calendar.events.list({
-			calendarId: 'primary',
-			timeMin: now.toISOString(),
-			timeMax: future.toISOString(),
-			singleEvents: true,
-			orderBy: 'startTime',
-			maxResults: 50
-		});
-
-		res.json({
-			ok: true,
-			events: response.data.items || [],
-			days: days,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Calendar Upcoming]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// ============================================================================
-// SLACK MCP TOOLS
-// ============================================================================
-
-const slackAuth = require("./slackAuthService.cjs");
-
-// Slack: Search messages
-app.post("/mcp/tools/slack/search", async (req, res) => {
-	try {
-		if (!slackAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Slack token not configured. Set SLACK_BOT_TOKEN or SLACK_USER_TOKEN in .env"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('slack', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const query = req.body.query;
-		if (!query) {
-			return res.status(400).json({ ok: false, error: "Query is required" });
-		}
-
-		const result = await slackAuth.searchMessages(query, {
-			count: req.body.maxResults || 20
-		});
-
-		res.json({
-			ok: true,
-			messages: result.messages?.matches || [],
-			total: result.messages?.total || 0,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Slack Search]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Slack: List channels
-app.post("/mcp/tools/slack/channels", async (req, res) => {
-	try {
-		if (!slackAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Slack token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('slack', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const result = await slackAuth.listChannels();
-
-		res.json({
-			ok: true,
-			channels: result.channels.map(ch => ({
-				id: ch.id,
-				name: ch.name,
-				is_private: ch.is_private,
-				is_archived: ch.is_archived,
-				num_members: ch.num_members
-			})),
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Slack Channels]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Slack: Get channel messages
-app.post("/mcp/tools/slack/channel-messages", async (req, res) => {
-	try {
-		if (!slackAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Slack token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('slack', 'history');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const channelName = req.body.channel;
-		if (!channelName) {
-			return res.status(400).json({ ok: false, error: "Channel name is required" });
-		}
-
-		// Find channel by name
-		const channel = await slackAuth.findChannelByName(channelName);
-		
-		// Get messages
-		const result = await slackAuth.getChannelHistory(channel.id, {
-			limit: req.body.limit || 100
-		});
-
-		res.json({
-			ok: true,
-			channel: {
-				id: channel.id,
-				name: channel.name
-			},
-			messages: result.messages || [],
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Slack Channel Messages]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Slack: Count messages from user in channel
-app.post("/mcp/tools/slack/count-from-user", async (req, res) => {
-	try {
-		if (!slackAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Slack token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('slack', 'history');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const { channel: channelName, user: userName } = req.body;
-		if (!channelName || !userName) {
-			return res.status(400).json({ ok: false, error: "Channel and user are required" });
-		}
-
-		// Find channel and user
-		const channel = await slackAuth.findChannelByName(channelName);
-		const user = await slackAuth.findUserByName(userName);
-
-		// Get messages and count from user
-		const result = await slackAuth.getChannelHistory(channel.id, { limit: 1000 });
-		const userMessages = (result.messages || []).filter(msg => msg.user === user.id);
-
-		res.json({
-			ok: true,
-			count: userMessages.length,
-			channel: channel.name,
-			user: user.name,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Slack Count From User]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Slack: Get latest message in channel
-app.post("/mcp/tools/slack/latest-message", async (req, res) => {
-	try {
-		if (!slackAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Slack token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('slack', 'history');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const channelName = req.body.channel;
-		if (!channelName) {
-			return res.status(400).json({ ok: false, error: "Channel name is required" });
-		}
-
-		// Find channel
-		const channel = await slackAuth.findChannelByName(channelName);
-		
-		// Get latest message
-		const result = await slackAuth.getChannelHistory(channel.id, { limit: 1 });
-		const latestMessage = result.messages?.[0];
-
-		if (!latestMessage) {
-			return res.json({
-				ok: true,
-				found: false,
-				channel: channel.name
-			});
-		}
-
-		// Get user info for the message
-		let userName = 'Unknown';
-		try {
-			const userInfo = await slackAuth.getUserInfo(latestMessage.user);
-			userName = userInfo.user.name;
-		} catch (err) {
-			console.warn("[Slack] Could not fetch user info:", err.message);
-		}
-
-		res.json({
-			ok: true,
-			found: true,
-			channel: channel.name,
-			message: {
-				text: latestMessage.text,
-				user: userName,
-				timestamp: latestMessage.ts,
-				date: new Date(parseFloat(latestMessage.ts) * 1000).toISOString()
-			},
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Slack Latest Message]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Slack: Get mentions (unread)
-app.post("/mcp/tools/slack/mentions", async (req, res) => {
-	try {
-		if (!slackAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "Slack token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('slack', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		// Get workspace info to get current user ID
-		const workspace = await slackAuth.getWorkspaceInfo();
-		const userId = workspace.user_id;
-
-		// Search for mentions
-		const result = await slackAuth.searchMessages(`<@${userId}>`, {
-			count: 50,
-			sort: 'timestamp',
-			sortDir: 'desc'
-		});
-
-		res.json({
-			ok: true,
-			mentions: result.messages?.matches || [],
-			total: result.messages?.total || 0,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[Slack Mentions]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// ============================================================================
-// GITHUB MCP TOOLS
-// ============================================================================
-
-const githubAuth = require("./githubAuthService.cjs");
-
-// GitHub: List repositories
-app.post("/mcp/tools/github/repos", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured. Set GITHUB_TOKEN in .env"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const repos = await githubAuth.listRepositories({
-			type: req.body.type || 'all',
-			sort: req.body.sort || 'updated'
-		});
-
-		res.json({
-			ok: true,
-			repositories: repos.map(r => ({
-				name: r.name,
-				full_name: r.full_name,
-				description: r.description,
-				language: r.language,
-				stars: r.stargazers_count,
-				forks: r.forks_count,
-				updated_at: r.updated_at,
-				url: r.html_url,
-				private: r.private
-			})),
-			total: repos.length,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub List Repos]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// GitHub: Get repository details
-app.post("/mcp/tools/github/repo-details", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'get');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const repoName = req.body.repo;
-		if (!repoName) {
-			return res.status(400).json({ ok: false, error: "Repository name is required" });
-		}
-
-		const repo = await githubAuth.getRepository(repoName);
-
-		res.json({
-			ok: true,
-			repository: {
-				name: repo.name,
-				full_name: repo.full_name,
-				description: repo.description,
-				language: repo.language,
-				stars: repo.stargazers_count,
-				forks: repo.forks_count,
-				watchers: repo.watchers_count,
-				open_issues: repo.open_issues_count,
-				created_at: repo.created_at,
-				updated_at: repo.updated_at,
-				pushed_at: repo.pushed_at,
-				size: repo.size,
-				default_branch: repo.default_branch,
-				url: repo.html_url,
-				homepage: repo.homepage,
-				topics: repo.topics,
-				license: repo.license?.name
-			},
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub Repo Details]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// GitHub: List commits
-app.post("/mcp/tools/github/commits", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const repoName = req.body.repo;
-		if (!repoName) {
-			return res.status(400).json({ ok: false, error: "Repository name is required" });
-		}
-
-		const commits = await githubAuth.listCommits(repoName, {
-			perPage: req.body.limit || 30,
-			branch: req.body.branch
-		});
-
-		res.json({
-			ok: true,
-			repository: repoName,
-			commits: commits.map(c => ({
-				sha: c.sha.substring(0, 7),
-				full_sha: c.sha,
-				message: c.commit.message,
-				author: c.commit.author.name,
-				date: c.commit.author.date,
-				url: c.html_url
-			})),
-			total: commits.length,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub Commits]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// GitHub: Get commit details
-app.post("/mcp/tools/github/commit-details", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'get');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const { repo, sha } = req.body;
-		if (!repo || !sha) {
-			return res.status(400).json({ ok: false, error: "Repository and SHA are required" });
-		}
-
-		const commit = await githubAuth.getCommit(repo, sha);
-
-		res.json({
-			ok: true,
-			commit: {
-				sha: commit.sha.substring(0, 7),
-				full_sha: commit.sha,
-				message: commit.commit.message,
-				author: {
-					name: commit.commit.author.name,
-					email: commit.commit.author.email,
-					date: commit.commit.author.date
-				},
-				committer: {
-					name: commit.commit.committer.name,
-					date: commit.commit.committer.date
-				},
-				stats: commit.stats,
-				files: commit.files?.map(f => ({
-					filename: f.filename,
-					status: f.status,
-					additions: f.additions,
-					deletions: f.deletions,
-					changes: f.changes,
-					patch: f.patch // Include the actual code diff
-				})),
-				url: commit.html_url
-			},
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub Commit Details]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// GitHub: Search code
-app.post("/mcp/tools/github/search-code", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'search');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const query = req.body.query;
-		if (!query) {
-			return res.status(400).json({ ok: false, error: "Search query is required" });
-		}
-
-		const result = await githubAuth.searchCode(query, {
-			perPage: req.body.limit || 20
-		});
-
-		res.json({
-			ok: true,
-			items: result.items.map(item => ({
-				name: item.name,
-				path: item.path,
-				repository: item.repository.name,
-				url: item.html_url,
-				score: item.score
-			})),
-			total: result.total_count,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub Search Code]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// GitHub: List pull requests
-app.post("/mcp/tools/github/pull-requests", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const repoName = req.body.repo;
-		if (!repoName) {
-			return res.status(400).json({ ok: false, error: "Repository name is required" });
-		}
-
-		const prs = await githubAuth.listPullRequests(repoName, {
-			state: req.body.state || 'open'
-		});
-
-		res.json({
-			ok: true,
-			repository: repoName,
-			pull_requests: prs.map(pr => ({
-				number: pr.number,
-				title: pr.title,
-				state: pr.state,
-				author: pr.user.login,
-				created_at: pr.created_at,
-				updated_at: pr.updated_at,
-				url: pr.html_url
-			})),
-			total: prs.length,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub Pull Requests]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// GitHub: List issues
-app.post("/mcp/tools/github/issues", async (req, res) => {
-	try {
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		const check = await billingService.checkAndUpdateUsage('github', 'list');
-		if (!check.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: check.message
-			});
-		}
-
-		const repoName = req.body.repo;
-		if (!repoName) {
-			return res.status(400).json({ ok: false, error: "Repository name is required" });
-		}
-
-		const issues = await githubAuth.listIssues(repoName, {
-			state: req.body.state || 'open'
-		});
-
-		// Filter out pull requests (GitHub treats PRs as issues)
-		const actualIssues = issues.filter(issue => !issue.pull_request);
-
-		res.json({
-			ok: true,
-			repository: repoName,
-			issues: actualIssues.map(issue => ({
-				number: issue.number,
-				title: issue.title,
-				state: issue.state,
-				author: issue.user.login,
-				labels: issue.labels.map(l => l.name),
-				created_at: issue.created_at,
-				updated_at: issue.updated_at,
-				url: issue.html_url
-			})),
-			total: actualIssues.length,
-			warning: check.warning
-		});
-	} catch (error) {
-		console.error("[GitHub Issues]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// ============================================================================
-// JIRA-GITHUB ALIGNMENT VERIFICATION
-// ============================================================================
-
-// Jira-GitHub: Verify task alignment with code
-app.post("/mcp/tools/jira-github/verify-alignment", async (req, res) => {
-	try {
-		let { repo, project, statuses, maxTasks = 100 } = req.body; // Increased default to 100
-		
-		if (!repo) {
-			return res.status(400).json({ ok: false, error: "Repository name is required" });
-		}
-
-		// Check authentication for both services
-		const auth = jiraAuthHeader();
-		if (!auth) {
-			return res.status(400).json({ ok: false, error: "Jira is not configured" });
-		}
-
-		if (!githubAuth.isAuthenticated()) {
-			return res.status(401).json({
-				ok: false,
-				error: "Not authenticated",
-				message: "GitHub token not configured"
-			});
-		}
-
-		// Check rate limits
-		const githubCheck = await billingService.checkAndUpdateUsage('github', 'search');
-		if (!githubCheck.allowed) {
-			return res.status(403).json({
-				ok: false,
-				blocked: true,
-				message: githubCheck.message
-			});
-		}
-
-		// Normalize project key (uppercase, remove common prefixes)
-		if (project) {
-			project = project.toUpperCase().replace(/^(PROJECT|SPACE)-?/i, '');
-		}
-		
-		console.log(`[Jira-GitHub Alignment] Starting verification for repo: ${repo}, project: ${project || 'all'}`);
-
-		// Step 1: Fetch Jira tasks
-		let jiraTasks = [];
-		let actualProjectKey = project;
-		
-		// First, resolve space name to project key if needed
-		if (project) {
-			const projectsResp = await fetch(`${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/project/search`, {
-				headers: { "Authorization": auth, "Accept": "application/json" }
-			});
-			
-			if (projectsResp.ok) {
-				const projectsData = await projectsResp.json();
-				const projects = projectsData.values || [];
-				
-				// Try to find project by key first
-				let foundProject = projects.find(p => p.key.toUpperCase() === project.toUpperCase());
-				
-				// If not found by key, try to find by name (for space names)
-				if (!foundProject) {
-					foundProject = projects.find(p => 
-						p.name.toUpperCase() === project.toUpperCase() ||
-						p.name.toUpperCase().includes(project.toUpperCase())
-					);
-				}
-				
-				if (foundProject) {
-					actualProjectKey = foundProject.key;
-					console.log(`[Jira-GitHub Alignment] Resolved "${project}" to project key: ${actualProjectKey}`);
-				} else {
-					console.warn(`[Jira-GitHub Alignment] Project/space "${project}" not found, trying as project key`);
-				}
-			}
-		}
-		
-		if (actualProjectKey) {
-			// Use board API to get issues (more reliable than search API)
-			try {
-				// First, get boards for the project
-				const boardsUrl = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board?projectKeyOrId=${actualProjectKey}`;
-				const boardsResp = await fetch(boardsUrl, {
-					headers: { "Authorization": auth, "Accept": "application/json" }
-				});
-				
-				if (boardsResp.ok) {
-					const boardsData = await boardsResp.json();
-					const boards = boardsData.values || [];
-					
-					// Get issues from all boards with pagination
-					for (const board of boards) {
-						let startAt = 0;
-						const pageSize = 50;
-						let hasMore = true;
-						
-						// Paginate through all issues in the board
-						while (hasMore && jiraTasks.length < maxTasks) {
-							const issuesUrl = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board/${board.id}/issue?startAt=${startAt}&maxResults=${pageSize}`;
-							const issuesResp = await fetch(issuesUrl, {
-								headers: { "Authorization": auth, "Accept": "application/json" }
-							});
-							
-							if (issuesResp.ok) {
-								const issuesData = await issuesResp.json();
-								const issues = issuesData.issues || [];
-								
-								if (issues.length === 0) {
-									hasMore = false;
-									break;
-								}
-								
-								// Convert agile API format to standard format
-								for (const issue of issues) {
-									// Filter by status if specified
-									const issueStatus = issue.fields?.status?.name || '';
-									if (statuses && statuses.length > 0) {
-										if (!statuses.some(s => issueStatus.toLowerCase().includes(s.toLowerCase()))) {
-											continue;
-										}
-									}
-									
-									jiraTasks.push({
-										key: issue.key,
-										fields: {
-											summary: issue.fields?.summary || '',
-											status: issue.fields?.status || {},
-											assignee: issue.fields?.assignee || null,
-											labels: issue.fields?.labels || [],
-											created: issue.fields?.created || '',
-											updated: issue.fields?.updated || ''
-										}
-									});
-									
-									if (jiraTasks.length >= maxTasks) break;
-								}
-								
-								// Check if there are more pages
-								hasMore = issues.length === pageSize && jiraTasks.length < maxTasks;
-								startAt += pageSize;
-							} else {
-								hasMore = false;
-							}
-							
-							if (jiraTasks.length >= maxTasks) break;
-						}
-						
-						if (jiraTasks.length >= maxTasks) break;
-					}
-				}
-				
-				// If board API didn't work, fallback to search API
-				if (jiraTasks.length === 0) {
-					console.log(`[Jira-GitHub Alignment] Board API returned no results, trying search API...`);
-					const jql = statuses && statuses.length > 0
-						? `project = ${actualProjectKey} AND status IN (${statuses.map(s => `"${s}"`).join(', ')})`
-						: `project = ${actualProjectKey}`;
-					
-					const searchUrl = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/2/search?${new URLSearchParams({
-						jql: jql,
-						maxResults: String(maxTasks),
-						fields: "summary,status,assignee,labels,key,created,updated"
-					}).toString()}`;
-					
-					const searchResp = await fetch(searchUrl, {
-						headers: { "Authorization": auth, "Accept": "application/json" }
-					});
-					
-					if (searchResp.ok) {
-						const searchData = await searchResp.json();
-						jiraTasks = searchData.issues || [];
-					}
-				}
-			} catch (error) {
-				console.error(`[Jira-GitHub Alignment] Error fetching tasks via board API:`, error.message);
-				// Continue with fallback
-			}
+	const onUpdate = (job) => {
+		if (jobId && job.id !== jobId) return;
+		if (jobId) {
+			send(job);
+			if (jobQueue.isFinished(job)) res.end();
 		} else {
-			// Get all projects and fetch issues using board API
-			const projectsResp = await fetch(`${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/api/3/project/search`, {
-				headers: { "Authorization": auth, "Accept": "application/json" }
-			});
-			
-			if (projectsResp.ok) {
-				const projectsData = await projectsResp.json();
-				const projects = projectsData.values || [];
-				
-				console.log(`[Jira-GitHub Alignment] Fetching tasks from ${projects.length} projects using board API`);
-				
-				// Fetch issues from all projects using board API (more reliable)
-				for (const proj of projects) { // Process all projects
-					try {
-						// Get boards for this project
-						const boardsUrl = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board?projectKeyOrId=${proj.key}`;
-						const boardsResp = await fetch(boardsUrl, {
-							headers: { "Authorization": auth, "Accept": "application/json" }
-						});
-						
-						if (boardsResp.ok) {
-							const boardsData = await boardsResp.json();
-							const boards = boardsData.values || [];
-							
-							// Get issues from all boards for this project
-							for (const board of boards) {
-								let startAt = 0;
-								const pageSize = 50;
-								let hasMore = true;
-								
-								// Paginate through all issues in the board
-								while (hasMore && jiraTasks.length < maxTasks) {
-									const issuesUrl = `${JIRA_BASE_URL.replace(/\/+$/, "")}/rest/agile/1.0/board/${board.id}/issue?startAt=${startAt}&maxResults=${pageSize}`;
-									const issuesResp = await fetch(issuesUrl, {
-										headers: { "Authorization": auth, "Accept": "application/json" }
-									});
-									
-									if (issuesResp.ok) {
-										const issuesData = await issuesResp.json();
-										const issues = issuesData.issues || [];
-										
-										if (issues.length === 0) {
-											hasMore = false;
-											break;
-										}
-										
-										// Filter by status if specified
-										for (const issue of issues) {
-											const issueStatus = issue.fields?.status?.name || '';
-											if (statuses && statuses.length > 0) {
-												if (!statuses.some(s => issueStatus.toLowerCase().includes(s.toLowerCase()))) {
-													continue;
-												}
-											}
-											
-											// Convert agile API format to standard format
-											jiraTasks.push({
-												key: issue.key,
-												fields: {
-													summary: issue.fields?.summary || '',
-													status: issue.fields?.status || {},
-													assignee: issue.fields?.assignee || null,
-													labels: issue.fields?.labels || [],
-													created: issue.fields?.created || '',
-													updated: issue.fields?.updated || ''
-												}
-											});
-											
-											if (jiraTasks.length >= maxTasks) break;
-										}
-										
-										// Check if there are more pages
-										hasMore = issues.length === pageSize && jiraTasks.length < maxTasks;
-										startAt += pageSize;
-									} else {
-										hasMore = false;
-									}
-									
-									if (jiraTasks.length >= maxTasks) break;
-								}
-								
-								if (jiraTasks.length >= maxTasks) break;
-							}
-						}
-					} catch (error) {
-						console.warn(`[Jira-GitHub Alignment] Error fetching tasks for project ${proj.key}:`, error.message);
-					}
-					
-					if (jiraTasks.length >= maxTasks) break;
-				}
-				
-				console.log(`[Jira-GitHub Alignment] Fetched ${jiraTasks.length} tasks from all projects`);
-			}
-		}
-
-		if (jiraTasks.length === 0) {
-			return res.json({
-				ok: true,
-				repository: repo,
-				project: actualProjectKey || project || 'all',
-				originalProject: project || null,
-				tasksAnalyzed: 0,
-				aligned: [],
-				misalignments: [],
-				summary: `No Jira tasks found matching the criteria.${actualProjectKey && actualProjectKey !== project ? ` (Resolved "${project}" to "${actualProjectKey}")` : ''}`
-			});
-		}
-
-		console.log(`[Jira-GitHub Alignment] Found ${jiraTasks.length} Jira tasks to analyze`);
-		console.log(`[Jira-GitHub Alignment] Task keys: ${jiraTasks.map(t => t.key).join(', ')}`);
-		const taskKeys = jiraTasks.map(t => t.key).sort();
-		console.log(`[Jira-GitHub Alignment] Task keys: ${taskKeys.join(', ')}`);
-
-		// Step 2: For each task, search GitHub for evidence
-		const aligned = [];
-		const misalignments = [];
-
-		// Fetch recent commits for the repository
-		let allCommits = [];
-		try {
-			const commits = await githubAuth.listCommits(repo, { perPage: 100 });
-			allCommits = commits || [];
-		} catch (error) {
-			console.warn(`[Jira-GitHub Alignment] Could not fetch commits: ${error.message}`);
-		}
-
-		// Fetch PRs
-		let allPRs = [];
-		try {
-			const prs = await githubAuth.listPullRequests(repo, { state: 'all', perPage: 50 });
-			allPRs = prs || [];
-		} catch (error) {
-			console.warn(`[Jira-GitHub Alignment] Could not fetch PRs: ${error.message}`);
-		}
-
-		// Fetch branches
-		let allBranches = [];
-		try {
-			const branches = await githubAuth.listBranches(repo);
-			allBranches = branches || [];
-		} catch (error) {
-			console.warn(`[Jira-GitHub Alignment] Could not fetch branches: ${error.message}`);
-		}
-
-		// Analyze all tasks (don't limit here - we already limited during fetch)
-		for (const task of jiraTasks) {
-			const taskKey = task.key; // e.g., "ROC-5"
-			const taskStatus = task.fields?.status?.name || 'Unknown';
-			const taskSummary = task.fields?.summary || 'No summary';
-			
-			// Extract keywords from task summary for broader search
-			const stopWords = ['the', 'and', 'or', 'for', 'with', 'that', 'this', 'can', 'you', 'ask', 'way', 'called', 'on', 'in', 'to', 'a', 'an'];
-			const summaryWords = taskSummary.toLowerCase()
-				.split(/[\s,.'"()]+/)
-				.filter(word => word.length >= 3 && !stopWords.includes(word)) // Words 3+ chars, not stop words
-				.filter((word, index, arr) => arr.indexOf(word) === index) // Remove duplicates
-				.slice(0, 8); // Limit to 8 keywords
-			
-			console.log(`[Jira-GitHub Alignment] Task ${taskKey}: Extracted keywords: ${summaryWords.join(', ')}`);
-			
-			// Search for task key in various places
-			const evidence = {
-				commits: [],
-				prs: [],
-				branches: [],
-				codeMatches: []
-			};
-
-			// Search commits - multiple strategies
-			const commitMatches = allCommits.filter(commit => {
-				const message = (commit.commit?.message || '').toLowerCase();
-				const fullMessage = message;
-				
-				// Strategy 1: Exact task key match
-				if (message.includes(taskKey.toLowerCase()) || 
-				    message.includes(taskKey.replace('-', '').toLowerCase()) ||
-				    message.includes(taskKey.replace('-', ' ').toLowerCase())) {
-					return true;
-				}
-				
-				// Strategy 2: Keywords from task summary (for tasks that don't mention key in commits)
-				const keywordMatches = summaryWords.filter(keyword => 
-					fullMessage.includes(keyword)
-				).length;
-				
-				// If 2+ keywords match, likely related
-				if (keywordMatches >= 2) {
-					return true;
-				}
-				
-				// Strategy 3: Check for common patterns like "verify commit", "commit verification", etc.
-				const taskKeyLower = taskKey.toLowerCase();
-				if (taskKeyLower.includes('roc-5') || taskKeyLower.includes('roc-6')) {
-					// For ROC-5/ROC-6, look for commit verification keywords
-					const verificationKeywords = ['verify', 'commit', 'alignment', 'changelist', 'code', 'delivered'];
-					const keywordCount = verificationKeywords.filter(kw => fullMessage.includes(kw)).length;
-					if (keywordCount >= 2) {
-						return true;
-					}
-				}
-				
-				return false;
-			});
-			evidence.commits = commitMatches.slice(0, 5).map(c => ({
-				sha: c.sha.substring(0, 7),
-				message: c.commit.message.split('\n')[0],
-				date: c.commit.author.date,
-				url: c.html_url
-			}));
-			
-			// Log evidence found for debugging
-			if (commitMatches.length > 0) {
-				console.log(`[Jira-GitHub Alignment] Task ${taskKey}: Found ${commitMatches.length} commit(s) - ${commitMatches.slice(0, 2).map(c => c.sha.substring(0, 7)).join(', ')}`);
-			}
-
-			// Search PRs - also use keywords
-			const prMatches = allPRs.filter(pr => {
-				const title = (pr.title || '').toLowerCase();
-				const body = (pr.body || '').toLowerCase();
-				const combined = `${title} ${body}`;
-				
-				// Strategy 1: Task key
-				if (title.includes(taskKey.toLowerCase()) || 
-				    body.includes(taskKey.toLowerCase())) {
-					return true;
-				}
-				
-				// Strategy 2: Keywords from summary
-				const keywordMatches = summaryWords.filter(keyword => 
-					combined.includes(keyword)
-				).length;
-				
-				return keywordMatches >= 2;
-			});
-			evidence.prs = prMatches.slice(0, 5).map(pr => ({
-				number: pr.number,
-				title: pr.title,
-				state: pr.state,
-				url: pr.html_url
-			}));
-
-			// Search branches
-			const branchMatches = allBranches.filter(branch => {
-				const name = branch.name.toLowerCase();
-				return name.includes(taskKey.toLowerCase()) || 
-				       name.includes(taskKey.replace('-', '').toLowerCase());
-			});
-			evidence.branches = branchMatches.map(b => b.name);
-
-			// Search code (limited to avoid too many API calls)
-			// Try multiple search terms: task key and keywords
-			try {
-				const searchTerms = [taskKey, ...summaryWords.slice(0, 2)].filter(Boolean);
-				for (const term of searchTerms.slice(0, 2)) { // Limit to 2 searches per task
-					try {
-						const codeResults = await githubAuth.searchCode(term, { perPage: 3 });
-						if (codeResults.items && codeResults.items.length > 0) {
-							evidence.codeMatches.push(...codeResults.items.slice(0, 3).map(item => ({
-								path: item.path,
-								repository: item.repository.name,
-								url: item.html_url
-							})));
-							break; // Found results, no need to search more
-						}
-					} catch (error) {
-						// Continue to next search term
-					}
-				}
-				// Deduplicate
-				evidence.codeMatches = evidence.codeMatches.filter((item, index, self) =>
-					index === self.findIndex(t => t.path === item.path)
-				).slice(0, 5);
-			} catch (error) {
-				// Rate limit or other error - skip code search for this task
-			}
-
-			// Determine if evidence exists
-			const hasEvidence = evidence.commits.length > 0 || 
-			                   evidence.prs.length > 0 || 
-			                   evidence.branches.length > 0 || 
-			                   evidence.codeMatches.length > 0;
-
-			// Analyze alignment
-			const statusLower = taskStatus.toLowerCase();
-			const isDone = statusLower.includes('done') || statusLower.includes('closed') || statusLower.includes('resolved');
-			const isInProgress = statusLower.includes('progress') || statusLower.includes('in progress') || statusLower.includes('selected for development');
-			const isToDo = statusLower.includes('to do') || statusLower.includes('open') || statusLower.includes('backlog');
-
-			let alignment = 'aligned';
-			let warning = null;
-			let recommendation = null;
-
-			// Rule 1: DONE tasks MUST have evidence
-			if (isDone && !hasEvidence) {
-				alignment = 'misaligned';
-				warning = `Task marked as ${taskStatus} but no code evidence found`;
-				recommendation = "Verify task status or search for alternative task keys/descriptions";
-			}
-			// Rule 2: DONE tasks WITH evidence are aligned
-			else if (isDone && hasEvidence) {
-				alignment = 'aligned';
-				// No warning needed - this is correct
-			}
-			// Rule 3: IN PROGRESS tasks should have SOME evidence (commits, branches, or PRs)
-			else if (isInProgress && !hasEvidence) {
-				alignment = 'misaligned';
-				warning = `Task marked as ${taskStatus} but no code evidence found (no commits, branches, or PRs)`;
-				recommendation = "Task may not have been started yet, or evidence is in a different repository";
-			}
-			// Rule 4: IN PROGRESS tasks WITH evidence - check if it looks complete
-			else if (isInProgress && hasEvidence) {
-				// If there are commits, check if they suggest completion
-				if (evidence.commits.length > 0) {
-					const recentCommits = evidence.commits.filter(c => {
-						const commitDate = new Date(c.date);
-						const daysAgo = (Date.now() - commitDate.getTime()) / (1000 * 60 * 60 * 24);
-						return daysAgo < 30; // Check last 30 days, not just 7
-					});
-					
-					if (recentCommits.length > 0) {
-						const commitMessages = recentCommits.map(c => c.message.toLowerCase());
-						const completionKeywords = ['fix', 'complete', 'done', 'finish', 'implement', 'resolve', 'feat:', 'add', 'intelligent', 'verification'];
-						const hasCompletionKeywords = commitMessages.some(msg => 
-							completionKeywords.some(keyword => msg.includes(keyword))
-						);
-						
-						// Check if PRs are merged (strong indicator of completion)
-						const hasMergedPRs = evidence.prs.some(pr => pr.state === 'closed');
-						
-						if (hasCompletionKeywords || hasMergedPRs) {
-							alignment = 'misaligned';
-							warning = `Task IN PROGRESS but code appears complete (commits with completion keywords found${hasMergedPRs ? ', PRs merged' : ''})`;
-							recommendation = "Update Jira status to DONE";
-						} else {
-							// IN PROGRESS with evidence but not complete - this is aligned
-							alignment = 'aligned';
-						}
-					} else {
-						// IN PROGRESS with evidence but old commits - still aligned
-						alignment = 'aligned';
-					}
-				} else {
-					// IN PROGRESS with evidence (branches/PRs but no commits yet) - aligned
-					alignment = 'aligned';
-				}
-			}
-			// Rule 5: IN PROGRESS with no evidence - already handled above as misaligned
-			// Rule 6: TO DO tasks with evidence are misaligned
-			else if (isToDo && hasEvidence) {
-				alignment = 'misaligned';
-				warning = `Task TO DO but code already exists`;
-				recommendation = "Update Jira status to IN PROGRESS or DONE";
-			}
-			// Rule 7: TO DO with no evidence - aligned (not started yet)
-			else if (isToDo && !hasEvidence) {
-				alignment = 'aligned';
-			}
-
-			const taskResult = {
-				key: taskKey,
-				summary: taskSummary,
-				status: taskStatus,
-				assignee: task.fields?.assignee?.displayName || 'Unassigned',
-				evidence: {
-					commits: evidence.commits.length,
-					prs: evidence.prs.length,
-					branches: evidence.branches.length,
-					codeMatches: evidence.codeMatches.length,
-					total: evidence.commits.length + evidence.prs.length + evidence.branches.length + evidence.codeMatches.length
-				},
-				evidenceDetails: evidence,
-				alignment,
-				warning,
-				recommendation
-			};
-
-			if (alignment === 'aligned') {
-				aligned.push(taskResult);
-			} else {
-				misalignments.push(taskResult);
-			}
-		}
-
-		// Calculate alignment score
-		const totalTasks = jiraTasks.length;
-		const alignedCount = aligned.length;
-		const alignmentScore = totalTasks > 0 ? Math.round((alignedCount / totalTasks) * 100) : 0;
-
-		// Log all task keys for debugging
-		const allTaskKeys = [...aligned, ...misalignments].map(t => t.key).sort();
-		console.log(`[Jira-GitHub Alignment] All analyzed tasks: ${allTaskKeys.join(', ')}`);
-		
-		res.json({
-			ok: true,
-			repository: repo,
-			project: actualProjectKey || project || 'all',
-			originalProject: project && actualProjectKey !== project ? project : null,
-			tasksAnalyzed: totalTasks,
-			alignmentScore,
-			aligned: aligned, // Return all aligned tasks
-			misalignments: misalignments, // Return all misaligned tasks
-			summary: `${alignedCount}/${totalTasks} tasks aligned (${alignmentScore}%). ${misalignments.length} misalignment(s) found.${actualProjectKey && actualProjectKey !== project ? ` (Resolved "${project}" to "${actualProjectKey}")` : ''}`,
-			warning: githubCheck.warning
-		});
-
-	} catch (error) {
-		console.error("[Jira-GitHub Alignment]", error.message);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// ============================================
-// Meeting MCP Tools
-// ============================================
-
-// List all meetings
-app.post("/mcp/tools/meeting/list", async (req, res) => {
-	try {
-		const meetings = recordingService.getAllMeetings();
-		res.json({ ok: true, result: meetings });
-	} catch (error) {
-		console.error("[Meeting MCP]", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Get latest meeting
-app.post("/mcp/tools/meeting/latest", async (req, res) => {
-	try {
-		const meetings = recordingService.getAllMeetings();
-		const latest = meetings.length > 0 ? meetings[0] : null;
-		if (!latest) {
-			return res.json({ ok: true, result: "No meetings found." });
-		}
-		res.json({ ok: true, result: latest });
-	} catch (error) {
-		console.error("[Meeting MCP]", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Get transcript
-app.post("/mcp/tools/meeting/transcript", async (req, res) => {
-	try {
-		let { meetingId } = req.body;
-		
-		// If no meetingId, use latest
-		if (!meetingId) {
-			const meetings = recordingService.getAllMeetings();
-			if (meetings.length === 0) {
-				return res.json({ ok: true, result: "No meetings found." });
-			}
-			meetingId = meetings[0].id;
-		}
-		
-		const meeting = recordingService.getMeeting(meetingId);
-		if (!meeting) {
-			return res.json({ ok: true, result: `Meeting ${meetingId} not found.` });
-		}
-		
-		// Check meeting status
-		if (meeting.status === "processing") {
-			return res.json({ 
-				ok: true, 
-				result: `Transcription still in progress for meeting ${meetingId}. Please wait a few minutes and try again.` 
-			});
-		}
-		
-		if (meeting.status === "error") {
-			const errorMsg = meeting.error ? ` Error: ${meeting.error}` : "";
-			return res.json({ 
-				ok: true, 
-				result: `Transcription failed for meeting ${meetingId}.${errorMsg} Please check if Whisper is installed and configured correctly. See WHISPER_SETUP.md for instructions.` 
-			});
-		}
-		
-		const transcript = recordingService.getTranscript(meetingId);
-		if (!transcript) {
-			return res.json({ 
-				ok: true, 
-				result: `Transcript not found for meeting ${meetingId}. Status: ${meeting.status}. Transcription may have failed or is still in progress.` 
-			});
-		}
-		
-		const fullText = transcript.fullText || transcript.segments?.map(s => s.text).join(" ") || "";
-		res.json({ ok: true, result: fullText });
-	} catch (error) {
-		console.error("[Meeting MCP]", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Summarize meeting
-app.post("/mcp/tools/meeting/summarize", async (req, res) => {
-	try {
-		let { meetingId } = req.body;
-		
-		// If no meetingId, use latest
-		if (!meetingId) {
-			const meetings = recordingService.getAllMeetings();
-			if (meetings.length === 0) {
-				return res.json({ ok: true, result: "No meetings found." });
-			}
-			meetingId = meetings[0].id;
-		}
-		
-		const meeting = recordingService.getMeeting(meetingId);
-		if (!meeting) {
-			return res.json({ ok: true, result: `Meeting ${meetingId} not found.` });
-		}
-		
-		// Check meeting status
-		if (meeting.status === "processing") {
-			return res.json({ 
-				ok: true, 
-				result: `Transcription still in progress for meeting ${meetingId}. Please wait a few minutes and try again.` 
-			});
-		}
-		
-		if (meeting.status === "error") {
-			return res.json({ 
-				ok: true, 
-				result: `Transcription failed for meeting ${meetingId}. Please check if Whisper is installed and configured correctly. See WHISPER_SETUP.md for instructions.` 
-			});
-		}
-		
-		const transcript = recordingService.getTranscript(meetingId);
-		if (!transcript) {
-			return res.json({ 
-				ok: true, 
-				result: `Transcript not found for meeting ${meetingId}. Status: ${meeting.status}. Transcription may have failed or is still in progress.` 
-			});
-		}
-		
-		const summary = await meetingAnalysis.summarizeMeeting(transcript);
-		recordingService.updateMeetingAnalysis(meetingId, { summary });
-		
-		res.json({ ok: true, result: summary });
-	} catch (error) {
-		console.error("[Meeting MCP]", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Analyze sentiment
-app.post("/mcp/tools/meeting/sentiment", async (req, res) => {
-	try {
-		let { meetingId } = req.body;
-		
-		// If no meetingId, use latest
-		if (!meetingId) {
-			const meetings = recordingService.getAllMeetings();
-			if (meetings.length === 0) {
-				return res.json({ ok: true, result: "No meetings found." });
-			}
-			meetingId = meetings[0].id;
-		}
-		
-		const meeting = recordingService.getMeeting(meetingId);
-		if (!meeting) {
-			return res.json({ ok: true, result: `Meeting ${meetingId} not found.` });
-		}
-		
-		// Check meeting status
-		if (meeting.status === "processing") {
-			return res.json({ 
-				ok: true, 
-				result: `Transcription still in progress for meeting ${meetingId}. Please wait a few minutes and try again.` 
-			});
-		}
-		
-		if (meeting.status === "error") {
-			return res.json({ 
-				ok: true, 
-				result: `Transcription failed for meeting ${meetingId}. Please check if Whisper is installed and configured correctly. See WHISPER_SETUP.md for instructions.` 
-			});
-		}
-		
-		const transcript = recordingService.getTranscript(meetingId);
-		if (!transcript) {
-			return res.json({ 
-				ok: true, 
-				result: `Transcript not found for meeting ${meetingId}. Status: ${meeting.status}. Transcription may have failed or is still in progress.` 
-			});
-		}
-		
-		const sentiment = await meetingAnalysis.analyzeSentiment(transcript);
-		recordingService.updateMeetingAnalysis(meetingId, { sentiment });
-		
-		const result = `Sentiment Analysis:\n- Overall: ${sentiment.overall}\n- Score: ${sentiment.score.toFixed(2)} (range: -1 to 1)\n- Analysis: ${sentiment.analysis}`;
-		res.json({ ok: true, result });
-	} catch (error) {
-		console.error("[Meeting MCP]", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// ============================================
-// Meeting Recording Endpoints
-// ============================================
-
-// Create a new meeting
-app.post("/api/meetings/start", (req, res) => {
-	try {
-		const { title, participants } = req.body;
-		const meeting = recordingService.createMeeting(title, participants);
-		res.json({ ok: true, meeting });
-	} catch (error) {
-		console.error("[Meeting] Error creating meeting:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Upload audio file for a meeting
-app.post("/api/meetings/upload", upload.single("audio"), async (req, res) => {
-	try {
-		if (!req.file) {
-			return res.status(400).json({ ok: false, error: "No audio file provided" });
-		}
-		
-		const { meetingId } = req.body;
-		if (!meetingId) {
-			// Clean up uploaded file
-			fs.unlinkSync(req.file.path);
-			return res.status(400).json({ ok: false, error: "Meeting ID is required" });
-		}
-		
-		// Read the uploaded file
-		const audioBuffer = fs.readFileSync(req.file.path);
-		
-		// Update meeting with audio
-		const meeting = recordingService.updateMeetingWithAudio(meetingId, audioBuffer, req.file.originalname || "audio.webm");
-		
-		// Clean up temp file
-		fs.unlinkSync(req.file.path);
-		
-		// Start transcription in background (use the saved audio path)
-		const audioPath = recordingService.getAudioPath(meetingId);
-		if (audioPath) {
-			transcribeMeetingAsync(meetingId, audioPath).catch(err => {
-				console.error("[Meeting] Transcription error:", err);
-			});
-		}
-		
-		res.json({ ok: true, meeting, status: "processing" });
-	} catch (error) {
-		console.error("[Meeting] Error uploading audio:", error);
-		if (req.file && fs.existsSync(req.file.path)) {
-			fs.unlinkSync(req.file.path);
-		}
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Get all meetings
-app.get("/api/meetings", (req, res) => {
-	try {
-		const meetings = recordingService.getAllMeetings();
-		res.json({ ok: true, meetings });
-	} catch (error) {
-		console.error("[Meeting] Error getting meetings:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Retry transcription for a meeting (must be before /api/meetings/:id to avoid route conflict)
-app.post("/api/meetings/:id/retry-transcription", async (req, res) => {
-	try {
-		const meetingId = req.params.id;
-		const meeting = recordingService.getMeeting(meetingId);
-		if (!meeting) {
-			return res.status(404).json({ ok: false, error: "Meeting not found" });
-		}
-		
-		const audioPath = recordingService.getAudioPath(meetingId);
-		if (!audioPath || !fs.existsSync(audioPath)) {
-			return res.status(404).json({ ok: false, error: "Audio file not found" });
-		}
-		
-		// Update status to processing
-		meeting.status = "processing";
-		meeting.error = null;
-		recordingService.saveMeeting(meeting);
-		
-		// Start transcription in background
-		transcribeMeetingAsync(meetingId, audioPath).catch(err => {
-			console.error("[Meeting] Retry transcription error:", err);
-		});
-		
-		res.json({ ok: true, message: "Transcription retry started", meeting });
-	} catch (error) {
-		console.error("[Meeting] Error retrying transcription:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Get a specific meeting
-app.get("/api/meetings/:id", (req, res) => {
-	try {
-		const meeting = recordingService.getMeeting(req.params.id);
-		if (!meeting) {
-			return res.status(404).json({ ok: false, error: "Meeting not found" });
-		}
-		res.json({ ok: true, meeting });
-	} catch (error) {
-		console.error("[Meeting] Error getting meeting:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Get transcript for a meeting
-app.get("/api/meetings/:id/transcript", (req, res) => {
-	try {
-		const transcript = recordingService.getTranscript(req.params.id);
-		if (!transcript) {
-			return res.status(404).json({ ok: false, error: "Transcript not found" });
-		}
-		res.json({ ok: true, transcript });
-	} catch (error) {
-		console.error("[Meeting] Error getting transcript:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Get audio file for a meeting
-app.get("/api/meetings/:id/audio", (req, res) => {
-	try {
-		const audioPath = recordingService.getAudioPath(req.params.id);
-		if (!audioPath || !fs.existsSync(audioPath)) {
-			return res.status(404).json({ ok: false, error: "Audio file not found" });
-		}
-		res.sendFile(path.resolve(audioPath));
-	} catch (error) {
-		console.error("[Meeting] Error getting audio:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Summarize a meeting
-app.post("/api/meetings/:id/summarize", async (req, res) => {
-	try {
-		const meeting = recordingService.getMeeting(req.params.id);
-		if (!meeting) {
-			return res.status(404).json({ ok: false, error: "Meeting not found" });
-		}
-		
-		// Check meeting status
-		if (meeting.status === "processing") {
-			return res.status(202).json({ 
-				ok: false, 
-				error: "Transcription still in progress. Please wait and try again.",
-				status: "processing"
-			});
-		}
-		
-		if (meeting.status === "error") {
-			return res.status(500).json({ 
-				ok: false, 
-				error: "Transcription failed. Please check server logs for details.",
-				status: "error"
-			});
-		}
-		
-		const transcript = recordingService.getTranscript(req.params.id);
-		if (!transcript) {
-			return res.status(404).json({ 
-				ok: false, 
-				error: "Transcript not found. Transcription may have failed or is still in progress.",
-				status: meeting.status
-			});
-		}
-		
-		const summary = await meetingAnalysis.summarizeMeeting(transcript);
-		const updatedMeeting = recordingService.updateMeetingAnalysis(req.params.id, { summary });
-		
-		res.json({ ok: true, summary, meeting: updatedMeeting });
-	} catch (error) {
-		console.error("[Meeting] Error summarizing:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
-
-// Analyze sentiment of a meeting
-app.post("/api/meetings/:id/sentiment", async (req, res) => {
-	try {
-		const meeting = recordingService.getMeeting(req.params.id);
-		if (!meeting) {
-			return res.status(404).json({ ok: false, error: "Meeting not found" });
-		}
-		
-		// Check meeting status
-		if (meeting.status === "processing") {
-			return res.status(202).json({ 
-				ok: false, 
-				error: "Transcription still in progress. Please wait and try again.",
-				status: "processing"
-			});
-		}
-		
-		if (meeting.status === "error") {
-			return res.status(500).json({ 
-				ok: false, 
-				error: "Transcription failed. Please check server logs for details.",
-				status: "error"
-			});
-		}
-		
-		const transcript = recordingService.getTranscript(req.params.id);
-		if (!transcript) {
-			return res.status(404).json({ 
-				ok: false, 
-				error: "Transcript not found. Transcription may have failed or is still in progress.",
-				status: meeting.status
-			});
-		}
-		
-		const sentiment = await meetingAnalysis.analyzeSentiment(transcript);
-		const updatedMeeting = recordingService.updateMeetingAnalysis(req.params.id, { sentiment });
-		
-		res.json({ ok: true, sentiment, meeting: updatedMeeting });
-	} catch (error) {
-		console.error("[Meeting] Error analyzing sentiment:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
+			const { result, ...rest } = job;
+			send(rest);
+		}
+	};
+	// Comments keep proxies from closing an idle stream
+	const keepAlive = setInterval(() => res.write(": ping\n\n"), 25000);
+	jobQueue.on("update", onUpdate);
+	res.on("close", () => {
+		clearInterval(keepAlive);
+		jobQueue.off("update", onUpdate);
+	});
+}
 
-// Delete a meeting
-app.delete("/api/meetings/:id", (req, res) => {
-	try {
-		const deleted = recordingService.deleteMeeting(req.params.id);
-		if (!deleted) {
-			return res.status(404).json({ ok: false, error: "Meeting not found" });
-		}
-		res.json({ ok: true, message: "Meeting deleted" });
-	} catch (error) {
-		console.error("[Meeting] Error deleting meeting:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
-});
+// Integration plugins (ENABLED_PLUGINS), then REST routes for every registered tool
+pluginLoader.loadPlugins(app);
+toolRegistry.mount(app);
 
-// Check Whisper availability
-app.get("/api/meetings/whisper/status", async (req, res) => {
-	try {
-		const status = await whisperService.checkWhisperAvailable();
-		res.json({ ok: true, ...status });
-	} catch (error) {
-		console.error("[Meeting] Error checking Whisper:", error);
-		res.status(500).json({ ok: false, error: error.message });
-	}
+// Tool calls run as jobs (POST /mcp/tools/call with background: true); defined once the
+// plugins' tools exist
+jobQueue.defineType("tool", {
+	concurrency: 2,
+	run: async ({ name, arguments: args }, { progress, signal }) => {
+		if (!toolRegistry.canRunInBackground(name)) return { ok: false, error: `${name} cannot run in the background` };
+		const { body } = await invokeTool(name, args || {}, { onProgress: progress, signal });
+		return body;
+	},
 });
 
-// Async transcription function
-async function transcribeMeetingAsync(meetingId, tempAudioPath) {
-	try {
-		console.log(`[Meeting] Starting transcription for meeting ${meetingId}...`);
-		
-		const meeting = recordingService.getMeeting(meetingId);
-		if (!meeting) {
-			throw new Error(`Meeting ${meetingId} not found`);
-		}
-		
-		// Check if Whisper is available
-		const whisperStatus = await whisperService.checkWhisperAvailable();
-		if (!whisperStatus.available) {
-			const errorMsg = `Whisper not available. Python: ${whisperStatus.python}, Whisper: ${whisperStatus.whisper}. Please install Whisper: pip install openai-whisper`;
-			console.error(`[Meeting] ${errorMsg}`);
-			meeting.status = "error";
-			meeting.error = errorMsg;
-			recordingService.saveMeeting(meeting);
-			return;
-		}
-		
-		// Get the actual audio path from meeting
-		const audioPath = recordingService.getAudioPath(meetingId);
-		if (!audioPath || !fs.existsSync(audioPath)) {
-			throw new Error(`Audio file not found for meeting ${meetingId}`);
-		}
-		
-		console.log(`[Meeting] Transcribing audio file: ${audioPath}`);
-		console.log(`[Meeting] Audio file exists: ${fs.existsSync(audioPath)}`);
-		if (fs.existsSync(audioPath)) {
-			const stats = fs.statSync(audioPath);
-			console.log(`[Meeting] Audio file size: ${stats.size} bytes`);
-		}
-		
-		// Transcribe using Whisper
-		const transcript = await whisperService.transcribeAudio(audioPath);
-		
-		// Save transcript
-		recordingService.updateMeetingWithTranscript(meetingId, transcript);
-		
-		console.log(`[Meeting] Transcription completed for meeting ${meetingId}. Duration: ${transcript.segments?.length || 0} segments`);
-	} catch (error) {
-		console.error(`[Meeting] Transcription failed for meeting ${meetingId}:`, error);
-		const meeting = recordingService.getMeeting(meetingId);
-		if (meeting) {
-			meeting.status = "error";
-			meeting.error = error.message || "Unknown transcription error";
-			recordingService.saveMeeting(meeting);
-		}
-	}
-}
-
 // Global error handler - must be last, ensures all errors return JSON
 app.use((err, req, res, next) => {
 	console.error("[Server] Unhandled error:", err);
@@ -3102,8 +559,22 @@ app.use((req, res) => {
 });
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-	console.log(`[proxy] listening on http://localhost:${PORT}`);
-});
-
-
+if (STDIO_MODE) {
+	// Tools run in-process, so stdio mode needs no HTTP listener
+	mcpClients.initialize().finally(() => {
+		console.log("[MCP] stdio server ready");
+		mcpServer.startStdioTransport(mcp, {
+			onClose: () => {
+				// Write usage still waiting for its debounced save
+				billingService.save();
+				process.exit(0);
+			},
+		});
+	});
+} else {
+	app.listen(PORT, () => {
+		console.log(`[proxy] listening on http://localhost:${PORT}`);
+		console.log(`[MCP] Streamable HTTP endpoint at http://localhost:${PORT}/mcp`);
+		mcpClients.initialize();
+	});
+}
@@ -0,0 +1,197 @@
+/**
+ * Jira Authentication Service
+ * Handles Jira Cloud basic auth (email + API token) and REST requests
+ */
+
+const { ToolError } = require("./toolRegistry.cjs");
+const billingService = require("./billingService.cjs");
+const { responseCache, cacheRule, countFetched, MINUTE, HOUR } = require("./responseCache.cjs");
+
+// How long GET responses are reused, by endpoint; anything else is always fetched
+const CACHE_RULES = [
+	{ type: "projects", pattern: /^\/rest\/api\/3\/project\b/, ttl: 10 * MINUTE },
+	{ type: "fields", pattern: /^\/rest\/api\/3\/field\b/, ttl: HOUR },
+	{ type: "users", pattern: /^\/rest\/api\/3\/user\//, ttl: 10 * MINUTE },
+	{ type: "sprints", pattern: /^\/rest\/agile\/1\.0\/(sprint\/\d+(\?|$)|board\/\d+\/sprint\b)/, ttl: 5 * MINUTE },
+	{ type: "issues", pattern: /^\/rest\/(api\/[23]\/(issue|search)\b|agile\/1\.0\/board\/\d+\/issue\b)/, ttl: MINUTE },
+	{ type: "boards", pattern: /^\/rest\/agile\/1\.0\/board\b/, ttl: 10 * MINUTE },
+	{ type: "devStatus", pattern: /^\/rest\/dev-status\//, ttl: 2 * MINUTE },
+];
+// Endpoint types a write (create, transition, comment, assign, edit) can make out of date
+const WRITE_INVALIDATES = ["issues", "sprints", "devStatus"];
+
+class JiraAuthService {
+	constructor() {
+		this.baseUrl = "";
+		this.email = "";
+		this.apiToken = "";
+		this.initialize();
+	}
+
+	initialize() {
+		this.baseUrl = (process.env.JIRA_BASE_URL || "").replace(/\/+$/, "");
+		this.email = process.env.JIRA_EMAIL || "";
+		this.apiToken = process.env.JIRA_API_TOKEN || "";
+
+		if (!this.isAuthenticated()) {
+			console.warn('[JiraAuth] Missing JIRA_BASE_URL, JIRA_EMAIL or JIRA_API_TOKEN in .env');
+			console.warn('[JiraAuth] Jira features will be disabled');
+			return;
+		}
+
+		console.log(`[JiraAuth] Initialized for ${this.baseUrl}`);
+	}
+
+	isAuthenticated() {
+		return !!(this.baseUrl && this.email && this.apiToken);
+	}
+
+	/**
+	 * Basic auth header value, or null when Jira is not configured
+	 */
+	authHeader() {
+		if (!this.isAuthenticated()) {
+			return null;
+		}
+		const token = Buffer.from(`${this.email}:${this.apiToken}`).toString("base64");
+		return `Basic ${token}`;
+	}
+
+	/**
+	 * GET a Jira REST path (with query string); failures become a ToolError carrying Jira's status and messages.
+	 * Responses are cached per CACHE_RULES.
+	 */
+	async get(pathAndQuery) {
+		const rule = cacheRule(CACHE_RULES, pathAndQuery);
+		if (!rule) return this.request("GET", pathAndQuery);
+		return responseCache.wrap("jira", rule.type, `${this.baseUrl}${pathAndQuery}`, rule.ttl, () => this.request("GET", pathAndQuery));
+	}
+
+	async post(path, body) {
+		return this.write("POST", path, body);
+	}
+
+	async put(path, body) {
+		return this.write("PUT", path, body);
+	}
+
+	/**
+	 * Send a write and drop the cached issue data it may have changed (even when it failed part-way)
+	 */
+	async write(method, path, body) {
+		try {
+			return await this.request(method, path, body);
+		} finally {
+			responseCache.invalidate("jira", { types: WRITE_INVALIDATES });
+		}
+	}
+
+	/**
+	 * Transition of an issue that leads to a status (or is named like it), preferring the target status name.
+	 * Throws a ToolError listing the reachable statuses when none matches.
+	 */
+	async findTransition(key, status) {
+		const data = await this.get(`/rest/api/3/issue/${encodeURIComponent(key)}/transitions`);
+		const transitions = data?.transitions || [];
+		const wanted = String(status).toLowerCase();
+		const transition = transitions.find(t => t.to?.name?.toLowerCase() === wanted)
+			|| transitions.find(t => t.name?.toLowerCase() === wanted);
+		if (!transition) {
+			const available = transitions.map(t => t.to?.name || t.name);
+			throw new ToolError(`No transition to "${status}" from the current status of ${key}. Available: ${available.join(", ") || "none"}`, 400, { available });
+		}
+		return { id: transition.id, name: transition.name, status: transition.to?.name || transition.name };
+	}
+
+	async transitionIssue(key, status) {
+		const transition = await this.findTransition(key, status);
+		await this.post(`/rest/api/3/issue/${encodeURIComponent(key)}/transitions`, { transition: { id: transition.id } });
+		return transition;
+	}
+
+	/**
+	 * Add a plain-text comment; resolves to the created comment (id, ...)
+	 */
+	async addComment(key, text) {
+		return this.post(`/rest/api/3/issue/${encodeURIComponent(key)}/comment`, { body: this.toAdf(text) });
+	}
+
+	/**
+	 * Pull requests and branches Jira's development panel links to an issue. This is the
+	 * API behind the issue view; sites without a GitHub integration simply return nothing.
+	 */
+	async getDevelopmentInfo(issueId) {
+		const info = { pullRequests: [], branches: [] };
+		for (const dataType of ["pullrequest", "branch"]) {
+			const params = new URLSearchParams({ issueId: String(issueId), applicationType: "GitHub", dataType });
+			const data = await this.get(`/rest/dev-status/latest/issue/detail?${params.toString()}`);
+			for (const detail of data?.detail || []) {
+				info.pullRequests.push(...(detail.pullRequests || []));
+				info.branches.push(...(detail.branches || []));
+			}
+		}
+		return info;
+	}
+
+	/**
+	 * Plain text to Atlassian Document Format: blank lines split paragraphs, single newlines become hard breaks
+	 */
+	toAdf(text) {
+		const paragraphs = String(text).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+		return {
+			type: "doc",
+			version: 1,
+			content: paragraphs.map(p => ({
+				type: "paragraph",
+				content: p.split("\n").flatMap((line, i) => [
+					...(i ? [{ type: "hardBreak" }] : []),
+					...(line ? [{ type: "text", text: line }] : []),
+				]),
+			})),
+		};
+	}
+
+	browseUrl(key) {
+		return `${this.baseUrl}/browse/${key}`;
+	}
+
+	/**
+	 * Send a JSON request within the Jira rate limit; write endpoints often answer 204 with no body, which resolves to {}
+	 */
+	async request(method, pathAndQuery, body) {
+		const rate = billingService.checkRateLimit("jira", { operation: `${method} ${pathAndQuery.split("?")[0]}` });
+		if (!rate.allowed) {
+			throw new ToolError(`Jira rate limit reached (${rate.limit}). Try again in ${Math.ceil(rate.retryAfterMs / 1000)}s.`, 429);
+		}
+		const headers = { "Authorization": this.authHeader(), "Accept": "application/json" };
+		if (body !== undefined) headers["Content-Type"] = "application/json";
+		countFetched();
+		const resp = await fetch(`${this.baseUrl}${pathAndQuery}`, {
+			method,
+			headers,
+			body: body !== undefined ? JSON.stringify(body) : undefined,
+		});
+		const data = await resp.json().catch(() => ({}));
+		if (!resp.ok) {
+			const errorMsg = jiraErrorMessage(data);
+			console.error(`[Jira] ${method} ${pathAndQuery.split("?")[0]} failed with ${resp.status}: ${errorMsg}`);
+			throw new ToolError(`${errorMsg} (HTTP ${resp.status})`, resp.status);
+		}
+		return data;
+	}
+}
+
+function jiraErrorMessage(data) {
+	if (Array.isArray(data?.errorMessages) && data.errorMessages.length) {
+		return data.errorMessages.join(", ");
+	}
+	if (data?.errorMessages) {
+		return String(data.errorMessages);
+	}
+	if (data?.errors && Object.keys(data.errors).length) {
+		return JSON.stringify(data.errors);
+	}
+	return "Jira error";
+}
+
+module.exports = new JiraAuthService();
@@ -0,0 +1,17 @@
+// Types for jiraAuthService.cjs (used by the unit tests in src/__tests__)
+
+declare const jiraAuth: {
+	baseUrl: string;
+	email: string;
+	apiToken: string;
+	isAuthenticated(): boolean;
+	get(pathAndQuery: string): Promise<any>;
+	post(path: string, body: unknown): Promise<any>;
+	put(path: string, body: unknown): Promise<any>;
+	findTransition(key: string, status: string): Promise<{ id: string; name: string; status: string }>;
+	transitionIssue(key: string, status: string): Promise<{ id: string; name: string; status: string }>;
+	getDevelopmentInfo(issueId: string): Promise<{ pullRequests: any[]; branches: any[] }>;
+	browseUrl(key: string): string;
+};
+
+export default jiraAuth;
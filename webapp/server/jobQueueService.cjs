@@ -0,0 +1,228 @@
+/**
+ * Job Queue
+ * Runs long work (alignment checks, transcription, meeting summaries) in the background of
+ * this process instead of holding an HTTP request open. Jobs report progress, can be
+ * cancelled and are saved to disk: after a restart finished jobs keep their results and
+ * unfinished ones are marked failed rather than run again (a tool may have already sent
+ * its changes).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const JOBS_PATH = process.env.JOBS_PATH || path.join(__dirname, "jobs", "jobs.json");
+// Finished jobs kept on disk; the oldest are dropped beyond this
+const MAX_FINISHED_JOBS = 200;
+// Progress updates are frequent, so they are written at most this often
+const SAVE_DELAY_MS = 1000;
+
+const FINISHED = new Set(["succeeded", "failed", "cancelled"]);
+const INTERRUPTED = "Interrupted by a server restart";
+
+class JobQueue extends EventEmitter {
+	/**
+	 * @param {{ storePath?: string | null }} [options] null keeps jobs in memory only
+	 */
+	constructor({ storePath = JOBS_PATH } = {}) {
+		super();
+		// One listener per open SSE stream
+		this.setMaxListeners(0);
+		this.storePath = storePath;
+		this.types = new Map();
+		this.jobs = new Map();
+		this.controllers = new Map();
+		this.saveTimer = null;
+		// Jobs this process found unfinished on disk, until their type is defined
+		this.interrupted = [];
+		this.load();
+	}
+
+	/**
+	 * Declare a job type. run(params, { progress, signal }) resolves to the job's result;
+	 * a result of { ok: false, error } (the tool error shape) marks the job failed.
+	 * interrupted(params) is called for jobs of this type a restart stopped, to clean up after them.
+	 * @param {string} type
+	 * @param {{ run: (params: object, ctx: { progress: (update: { message: string, progress?: number, total?: number }) => void, signal: AbortSignal }) => Promise<any>, concurrency?: number, interrupted?: (params: object) => void }} spec
+	 */
+	defineType(type, { run, concurrency = 1, interrupted }) {
+		this.types.set(type, { run, concurrency });
+		const stopped = this.interrupted.filter(j => j.type === type);
+		this.interrupted = this.interrupted.filter(j => j.type !== type);
+		for (const job of stopped) {
+			try {
+				interrupted?.(job.params);
+			} catch (e) {
+				console.error(`[Jobs] Cleanup after interrupted ${type} job ${job.id} failed:`, e.message);
+			}
+		}
+	}
+
+	hasType(type) {
+		return this.types.has(type);
+	}
+
+	enqueue(type, params = {}, { label } = {}) {
+		if (!this.types.has(type)) throw new Error(`Unknown job type: ${type}`);
+		const job = {
+			id: crypto.randomUUID(),
+			type,
+			label: label || type,
+			params,
+			status: "queued",
+			progress: null,
+			result: null,
+			error: null,
+			attempts: 0,
+			createdAt: new Date().toISOString(),
+			startedAt: null,
+			finishedAt: null,
+		};
+		this.jobs.set(job.id, job);
+		console.log(`[Jobs] Queued ${type} job ${job.id} (${job.label})`);
+		this.changed(job);
+		this.pump();
+		return job;
+	}
+
+	get(id) {
+		return this.jobs.get(id) || null;
+	}
+
+	/**
+	 * Newest first, without results (GET /api/jobs/:id has those)
+	 */
+	list({ status, type, limit = 50 } = {}) {
+		return [...this.jobs.values()]
+			.filter(j => (!status || j.status === status) && (!type || j.type === type))
+			.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+			.slice(0, limit)
+			.map(({ result, ...job }) => job);
+	}
+
+	/**
+	 * Cancel a queued or running job. Running jobs see their signal abort and stop at the
+	 * next check; returns null for unknown ids.
+	 */
+	cancel(id) {
+		const job = this.jobs.get(id);
+		if (!job) return null;
+		if (job.status === "queued") {
+			this.finish(job, { status: "cancelled", error: "Cancelled" });
+		} else if (job.status === "running") {
+			this.controllers.get(id)?.abort();
+		}
+		return job;
+	}
+
+	isFinished(job) {
+		return FINISHED.has(job.status);
+	}
+
+	pump() {
+		for (const [type, spec] of this.types) {
+			const jobs = [...this.jobs.values()].filter(j => j.type === type);
+			const free = spec.concurrency - jobs.filter(j => j.status === "running").length;
+			const queued = jobs
+				.filter(j => j.status === "queued")
+				.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+			for (const job of queued.slice(0, Math.max(0, free))) {
+				this.start(job, spec);
+			}
+		}
+	}
+
+	async start(job, spec) {
+		const controller = new AbortController();
+		this.controllers.set(job.id, controller);
+		Object.assign(job, { status: "running", startedAt: new Date().toISOString(), attempts: job.attempts + 1, error: null });
+		this.changed(job);
+
+		const progress = (update) => {
+			if (controller.signal.aborted || this.isFinished(job)) return;
+			job.progress = { ...update, at: new Date().toISOString() };
+			this.changed(job, { saveLater: true });
+		};
+		try {
+			const result = await spec.run(job.params, { progress, signal: controller.signal });
+			if (controller.signal.aborted) {
+				this.finish(job, { status: "cancelled", error: "Cancelled" });
+			} else if (result?.ok === false) {
+				this.finish(job, { status: "failed", error: result.error || result.message || "Failed", result });
+			} else {
+				this.finish(job, { status: "succeeded", result });
+			}
+		} catch (e) {
+			this.finish(job, controller.signal.aborted
+				? { status: "cancelled", error: "Cancelled" }
+				: { status: "failed", error: (e && e.message) || "unknown error" });
+		} finally {
+			this.controllers.delete(job.id);
+			this.pump();
+		}
+	}
+
+	finish(job, { status, error = null, result = null }) {
+		Object.assign(job, { status, error, result, finishedAt: new Date().toISOString() });
+		console.log(`[Jobs] ${job.type} job ${job.id} ${status}${error ? `: ${error}` : ""}`);
+		this.changed(job);
+	}
+
+	changed(job, { saveLater = false } = {}) {
+		this.emit("update", { ...job });
+		if (saveLater) {
+			if (!this.saveTimer) {
+				this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+				this.saveTimer.unref?.();
+			}
+		} else {
+			this.save();
+		}
+	}
+
+	load() {
+		if (!this.storePath || !fs.existsSync(this.storePath)) return;
+		try {
+			const saved = JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+			for (const job of Array.isArray(saved.jobs) ? saved.jobs : []) {
+				// Work in progress died with the previous process. It is not run again: it may
+				// have sent part of its changes (a Jira transition, a comment) already.
+				if (!FINISHED.has(job.status)) {
+					Object.assign(job, { status: "failed", error: INTERRUPTED, finishedAt: new Date().toISOString() });
+					this.interrupted.push(job);
+				}
+				this.jobs.set(job.id, job);
+			}
+			console.log(`[Jobs] Restored ${this.jobs.size} job(s) from ${this.storePath}${this.interrupted.length ? `, ${this.interrupted.length} interrupted` : ""}`);
+			if (this.interrupted.length) this.save();
+		} catch (e) {
+			console.error(`[Jobs] Could not read ${this.storePath}:`, e.message);
+		}
+	}
+
+	save() {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+		const finished = [...this.jobs.values()]
+			.filter(j => FINISHED.has(j.status))
+			.sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+		for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+			this.jobs.delete(job.id);
+		}
+		if (!this.storePath) return;
+		try {
+			fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+			fs.writeFileSync(`${this.storePath}.tmp`, JSON.stringify({ jobs: [...this.jobs.values()] }, null, 2));
+			fs.renameSync(`${this.storePath}.tmp`, this.storePath);
+		} catch (e) {
+			console.error(`[Jobs] Could not save ${this.storePath}:`, e.message);
+		}
+	}
+}
+
+module.exports = {
+	JobQueue,
+	// A --stdio MCP server keeps its jobs in memory so it never re-runs the web server's jobs
+	jobQueue: new JobQueue({ storePath: process.argv.includes("--stdio") ? null : JOBS_PATH }),
+};
@@ -0,0 +1,42 @@
+// Types for jobQueueService.cjs (used by the unit tests in src/__tests__)
+
+export type JobStatus = "queued" | "running" | "succeeded" | "failed" | "cancelled";
+
+export type JobProgress = { message: string; progress?: number; total?: number; at?: string };
+
+export type Job = {
+	id: string;
+	type: string;
+	label: string;
+	params: Record<string, unknown>;
+	status: JobStatus;
+	progress: JobProgress | null;
+	result: any;
+	error: string | null;
+	attempts: number;
+	createdAt: string;
+	startedAt: string | null;
+	finishedAt: string | null;
+};
+
+export type JobRunner = (
+	params: any,
+	ctx: { progress: (update: JobProgress) => void; signal: AbortSignal },
+) => Promise<any>;
+
+// An EventEmitter: "update" fires with a snapshot of the job on every change
+export class JobQueue {
+	constructor(options?: { storePath?: string | null });
+	on(event: "update", listener: (job: Job) => void): this;
+	off(event: "update", listener: (job: Job) => void): this;
+	defineType(type: string, spec: { run: JobRunner; concurrency?: number; interrupted?: (params: any) => void }): void;
+	hasType(type: string): boolean;
+	enqueue(type: string, params?: Record<string, unknown>, options?: { label?: string }): Job;
+	get(id: string): Job | null;
+	list(filter?: { status?: JobStatus; type?: string; limit?: number }): Omit<Job, "result">[];
+	cancel(id: string): Job | null;
+	isFinished(job: Pick<Job, "status">): boolean;
+	save(): void;
+}
+
+export const jobQueue: JobQueue;
@@ -0,0 +1,137 @@
+// LLM Pricing
+// Prices OpenAI and Gemini requests from the token usage the providers report. Prices are
+// USD per million tokens, matched on the model name's longest known prefix so dated
+// variants (gpt-4o-2024-08-06, gemini-1.5-flash-002) use their family's price.
+
+const fs = require("fs");
+const path = require("path");
+
+const PRICES_PATH = process.env.LLM_PRICES_PATH || path.join(__dirname, "llm-prices.json");
+
+// List prices at the time of writing; override or extend them in llm-prices.json
+const DEFAULT_PRICES = {
+	"gpt-4o-mini": { input: 0.15, output: 0.6 },
+	"gpt-4o": { input: 2.5, output: 10 },
+	"gpt-4.1-nano": { input: 0.1, output: 0.4 },
+	"gpt-4.1-mini": { input: 0.4, output: 1.6 },
+	"gpt-4.1": { input: 2, output: 8 },
+	"gpt-4-turbo": { input: 10, output: 30 },
+	"gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+	"o3-mini": { input: 1.1, output: 4.4 },
+	"o4-mini": { input: 1.1, output: 4.4 },
+	"gemini-2.5-pro": { input: 1.25, output: 10 },
+	"gemini-2.5-flash": { input: 0.3, output: 2.5 },
+	"gemini-2.0-flash": { input: 0.1, output: 0.4 },
+	"gemini-1.5-pro": { input: 1.25, output: 5 },
+	"gemini-1.5-flash": { input: 0.075, output: 0.3 },
+	"gemini-pro": { input: 0.5, output: 1.5 },
+};
+
+const warnedModels = new Set();
+
+/**
+ * Built-in prices merged with the file at LLM_PRICES_PATH ({ "model": { input, output } })
+ */
+function loadPrices(filePath = PRICES_PATH) {
+	if (!fs.existsSync(filePath)) return { ...DEFAULT_PRICES };
+	try {
+		const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+		const custom = Object.entries(parsed).filter(([, price]) =>
+			price && typeof price.input === "number" && typeof price.output === "number");
+		return { ...DEFAULT_PRICES, ...Object.fromEntries(custom) };
+	} catch (e) {
+		console.error(`[LLMPricing] Invalid price table ${filePath}:`, e.message);
+		return { ...DEFAULT_PRICES };
+	}
+}
+
+/**
+ * Price of the longest model prefix in the table, or null for an unknown model
+ */
+function priceFor(model, prices) {
+	const name = String(model || "").replace(/^models\//, "").toLowerCase();
+	const match = Object.keys(prices)
+		.filter(prefix => name.startsWith(prefix.toLowerCase()))
+		.sort((a, b) => b.length - a.length)[0];
+	return match ? prices[match] : null;
+}
+
+/**
+ * Cost in USD of one request's tokens; unknown models cost 0 (logged once)
+ * @param {string} model
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ */
+function costOf(model, { inputTokens = 0, outputTokens = 0 }, prices = PRICES) {
+	const price = priceFor(model, prices);
+	if (!price) {
+		if (!warnedModels.has(model)) {
+			warnedModels.add(model);
+			console.warn(`[LLMPricing] No price for model "${model}", counting it as $0. Add it to ${PRICES_PATH}`);
+		}
+		return 0;
+	}
+	return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+// Chat completion body or stream chunk -> token usage (streams report it in their last
+// chunk when the request sets stream_options.include_usage)
+function openaiUsage(json) {
+	const usage = json?.usage;
+	if (!usage) return null;
+	return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+// generateContent body or stream chunk -> token usage (every stream chunk carries the
+// running totals, so the last one wins). Thinking tokens are billed as output.
+function geminiUsage(json) {
+	const usage = json?.usageMetadata;
+	if (!usage) return null;
+	return {
+		inputTokens: usage.promptTokenCount || 0,
+		outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+	};
+}
+
+/**
+ * Collects the usage reported in a response passed through as it arrives: an SSE stream
+ * (data: lines) or a plain JSON body
+ * @param {(json: any) => ({ inputTokens: number, outputTokens: number } | null)} parse
+ */
+function createUsageMeter(parse) {
+	let buffer = "";
+	let usage = null;
+	const read = text => {
+		try {
+			usage = parse(JSON.parse(text)) || usage;
+		} catch {
+			// not JSON ([DONE], partial body)
+		}
+	};
+	return {
+		push(text) {
+			buffer += text;
+		},
+		usage() {
+			const lines = buffer.split("\n").filter(line => line.startsWith("data:"));
+			if (lines.length) {
+				for (const line of lines) read(line.slice("data:".length).trim());
+			} else {
+				read(buffer);
+			}
+			return usage;
+		},
+	};
+}
+
+const PRICES = loadPrices();
+
+module.exports = {
+	DEFAULT_PRICES,
+	PRICES,
+	loadPrices,
+	priceFor,
+	costOf,
+	openaiUsage,
+	geminiUsage,
+	createUsageMeter,
+};
@@ -0,0 +1,14 @@
+// Types for llmPricing.cjs (used by the unit tests in src/__tests__)
+
+export type LlmPrice = { input: number; output: number }; // USD per million tokens
+
+export type LlmTokens = { inputTokens: number; outputTokens: number };
+
+export const DEFAULT_PRICES: Record<string, LlmPrice>;
+export const PRICES: Record<string, LlmPrice>;
+export function loadPrices(filePath?: string): Record<string, LlmPrice>;
+export function priceFor(model: string, prices: Record<string, LlmPrice>): LlmPrice | null;
+export function costOf(model: string, usage: Partial<LlmTokens>, prices?: Record<string, LlmPrice>): number;
+export function openaiUsage(json: any): LlmTokens | null;
+export function geminiUsage(json: any): LlmTokens | null;
+export function createUsageMeter(parse: (json: any) => LlmTokens | null): { push(text: string): void; usage(): LlmTokens | null };
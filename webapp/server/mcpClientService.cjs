@@ -0,0 +1,360 @@
+/**
+ * External MCP Servers
+ * Connects to the MCP servers listed in mcp-servers.json (stdio command or HTTP URL)
+ * and exposes their tools under a "<server>__" namespace prefix.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { SUPPORTED_PROTOCOL_VERSIONS } = require("./mcpServer.cjs");
+
+const CONFIG_PATH = process.env.MCP_SERVERS_CONFIG || path.join(__dirname, "mcp-servers.json");
+const NAMESPACE_SEPARATOR = "__";
+const REQUEST_TIMEOUT_MS = 30000;
+const CLIENT_INFO = { name: "jarvis", version: "1.0.0" };
+
+/**
+ * Newline-delimited JSON-RPC over a child process's stdin/stdout
+ */
+class StdioTransport {
+	constructor(name, { command, args = [], env = {}, cwd }) {
+		this.name = name;
+		this.command = command;
+		this.args = args;
+		this.env = env;
+		this.cwd = cwd;
+		this.child = null;
+		this.onMessage = null;
+		this.onClose = null;
+	}
+
+	async start() {
+		this.child = spawn(this.command, this.args, {
+			cwd: this.cwd,
+			env: { ...process.env, ...this.env },
+			stdio: ["pipe", "pipe", "pipe"],
+			// npx/.cmd shims on Windows need a shell
+			shell: process.platform === "win32",
+		});
+		let buffer = "";
+		this.child.stdout.setEncoding("utf8");
+		this.child.stdout.on("data", chunk => {
+			buffer += chunk;
+			let idx;
+			while ((idx = buffer.indexOf("\n")) >= 0) {
+				const line = buffer.slice(0, idx).trim();
+				buffer = buffer.slice(idx + 1);
+				if (!line) continue;
+				try {
+					this.onMessage && this.onMessage(JSON.parse(line));
+				} catch {
+					console.warn(`[MCP:${this.name}] Ignoring non-JSON output: ${line.slice(0, 200)}`);
+				}
+			}
+		});
+		this.child.stderr.setEncoding("utf8");
+		this.child.stderr.on("data", chunk => console.error(`[MCP:${this.name}] ${String(chunk).trimEnd()}`));
+		this.child.on("exit", code => {
+			this.child = null;
+			this.onClose && this.onClose(new Error(`process exited with code ${code}`));
+		});
+		await new Promise((resolve, reject) => {
+			this.child.once("spawn", resolve);
+			this.child.once("error", reject);
+		});
+	}
+
+	async send(msg) {
+		if (!this.child) throw new Error("process is not running");
+		this.child.stdin.write(`${JSON.stringify(msg)}\n`);
+	}
+
+	close() {
+		if (this.child) this.child.kill();
+		this.child = null;
+	}
+}
+
+/**
+ * Streamable HTTP: one POST per message; replies come back as JSON or as an SSE stream
+ */
+class HttpTransport {
+	constructor(name, { url, headers = {} }) {
+		this.name = name;
+		this.url = url;
+		this.headers = headers;
+		this.sessionId = null;
+		this.protocolVersion = null;
+		this.onMessage = null;
+		this.onClose = null;
+	}
+
+	async start() {}
+
+	async send(msg) {
+		const headers = {
+			"Content-Type": "application/json",
+			"Accept": "application/json, text/event-stream",
+			...this.headers,
+		};
+		if (this.sessionId) headers["Mcp-Session-Id"] = this.sessionId;
+		if (this.protocolVersion) headers["Mcp-Protocol-Version"] = this.protocolVersion;
+		const resp = await fetch(this.url, {
+			method: "POST",
+			headers,
+			body: JSON.stringify(msg),
+			signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+		});
+		const sessionId = resp.headers.get("mcp-session-id");
+		if (sessionId) this.sessionId = sessionId;
+		if (resp.status === 202) return;
+		if (!resp.ok) {
+			// A 404 on an established session means the server dropped it; reconnect on next use
+			if (resp.status === 404 && this.sessionId) this.onClose && this.onClose(new Error("session expired"));
+			throw new Error(`HTTP ${resp.status}`);
+		}
+		const contentType = resp.headers.get("content-type") || "";
+		const text = await resp.text();
+		const messages = contentType.includes("text/event-stream") ? parseSseMessages(text) : [JSON.parse(text)];
+		for (const m of messages.flat()) this.onMessage && this.onMessage(m);
+	}
+
+	close() {
+		if (!this.sessionId) return;
+		fetch(this.url, { method: "DELETE", headers: { ...this.headers, "Mcp-Session-Id": this.sessionId } }).catch(() => {});
+		this.sessionId = null;
+	}
+}
+
+/**
+ * One configured server: JSON-RPC request/response bookkeeping on top of a transport
+ */
+class McpConnection {
+	constructor(name, config) {
+		this.name = name;
+		this.config = config;
+		this.transport = null;
+		this.nextId = 1;
+		this.pending = new Map();
+		this.tools = [];
+		this.status = "disconnected";
+		this.error = null;
+		this.serverInfo = null;
+	}
+
+	async connect() {
+		this.close();
+		this.status = "connecting";
+		this.error = null;
+		this.transport = this.config.url
+			? new HttpTransport(this.name, this.config)
+			: new StdioTransport(this.name, this.config);
+		this.transport.onMessage = msg => this.handleMessage(msg);
+		this.transport.onClose = err => this.handleClose(err);
+		try {
+			await this.transport.start();
+			const init = await this.request("initialize", {
+				protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+				capabilities: {},
+				clientInfo: CLIENT_INFO,
+			});
+			this.serverInfo = init.serverInfo || null;
+			if (this.transport instanceof HttpTransport) this.transport.protocolVersion = init.protocolVersion;
+			await this.transport.send({ jsonrpc: "2.0", method: "notifications/initialized" });
+			this.tools = await this.listAllTools();
+			this.status = "connected";
+			console.log(`[MCP:${this.name}] Connected (${this.tools.length} tools)`);
+		} catch (e) {
+			this.status = "error";
+			this.error = (e && e.message) || "connection failed";
+			this.tools = [];
+			console.error(`[MCP:${this.name}] Connection failed: ${this.error}`);
+			this.close();
+		}
+	}
+
+	async listAllTools() {
+		const tools = [];
+		let cursor;
+		do {
+			const page = await this.request("tools/list", cursor ? { cursor } : {});
+			tools.push(...(page.tools || []));
+			cursor = page.nextCursor;
+		} while (cursor);
+		return tools;
+	}
+
+	async callTool(name, args) {
+		if (this.status !== "connected") await this.connect();
+		if (this.status !== "connected") throw new Error(`MCP server "${this.name}" is unavailable: ${this.error}`);
+		return this.request("tools/call", { name, arguments: args });
+	}
+
+	request(method, params) {
+		const id = this.nextId++;
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.pending.delete(id);
+				reject(new Error(`${method} timed out after ${REQUEST_TIMEOUT_MS / 1000}s`));
+			}, REQUEST_TIMEOUT_MS);
+			this.pending.set(id, { resolve, reject, timer });
+			this.transport.send({ jsonrpc: "2.0", id, method, params }).catch(err => {
+				clearTimeout(timer);
+				this.pending.delete(id);
+				reject(err);
+			});
+		});
+	}
+
+	handleMessage(msg) {
+		if (msg.id === undefined || msg.method) return; // server notifications/requests are not used
+		const entry = this.pending.get(msg.id);
+		if (!entry) return;
+		clearTimeout(entry.timer);
+		this.pending.delete(msg.id);
+		if (msg.error) entry.reject(new Error(msg.error.message || `JSON-RPC error ${msg.error.code}`));
+		else entry.resolve(msg.result);
+	}
+
+	handleClose(err) {
+		this.status = "disconnected";
+		this.error = err.message;
+		for (const { reject, timer } of this.pending.values()) {
+			clearTimeout(timer);
+			reject(err);
+		}
+		this.pending.clear();
+	}
+
+	close() {
+		if (this.transport) {
+			this.transport.onClose = null;
+			this.transport.close();
+		}
+		this.transport = null;
+	}
+}
+
+class McpClientService {
+	/**
+	 * @param {{ configPath?: string }} [options]
+	 */
+	constructor({ configPath = CONFIG_PATH } = {}) {
+		this.configPath = configPath;
+		this.connections = new Map();
+	}
+
+	/**
+	 * Read the config file and connect to every enabled server
+	 */
+	async initialize() {
+		const servers = this.loadConfig();
+		for (const [name, config] of Object.entries(servers)) {
+			if (config.disabled) continue;
+			if (!config.command && !config.url) {
+				console.warn(`[MCP:${name}] Skipped: needs "command" or "url"`);
+				continue;
+			}
+			this.connections.set(name, new McpConnection(name, config));
+		}
+		await Promise.all([...this.connections.values()].map(c => c.connect()));
+		process.once("exit", () => this.closeAll());
+	}
+
+	loadConfig() {
+		if (!fs.existsSync(this.configPath)) return {};
+		try {
+			const parsed = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+			return parsed.mcpServers || {};
+		} catch (e) {
+			console.error(`[MCP] Invalid config ${this.configPath}:`, e.message);
+			return {};
+		}
+	}
+
+	/**
+	 * Tools of all connected servers, renamed to "<server>__<tool>"
+	 */
+	listTools() {
+		const tools = [];
+		for (const conn of this.connections.values()) {
+			for (const tool of conn.tools) {
+				tools.push({
+					name: `${conn.name}${NAMESPACE_SEPARATOR}${tool.name}`,
+					title: tool.title || tool.annotations?.title || tool.name,
+					description: tool.description,
+					inputSchema: tool.inputSchema,
+					annotations: tool.annotations,
+					server: conn.name,
+				});
+			}
+		}
+		return tools;
+	}
+
+	isExternalTool(name) {
+		return !!this.resolve(name);
+	}
+
+	/**
+	 * Proxy a namespaced tool call; returns the same { ok, result | error } shape as our own routes
+	 */
+	async callTool(name, args) {
+		const target = this.resolve(name);
+		if (!target) return { ok: false, error: `Unknown tool: ${name}` };
+		try {
+			const result = await target.conn.callTool(target.tool, args);
+			const text = (result.content || [])
+				.map(c => c.type === "text" ? c.text : `[${c.type} content]`)
+				.join("\n");
+			if (result.isError) return { ok: false, error: text || "Tool reported an error" };
+			return { ok: true, result: result.structuredContent ?? text };
+		} catch (e) {
+			return { ok: false, error: (e && e.message) || "MCP call failed" };
+		}
+	}
+
+	resolve(name) {
+		const idx = String(name).indexOf(NAMESPACE_SEPARATOR);
+		if (idx <= 0) return null;
+		const conn = this.connections.get(name.slice(0, idx));
+		const tool = name.slice(idx + NAMESPACE_SEPARATOR.length);
+		if (!conn || !conn.tools.some(t => t.name === tool)) return null;
+		return { conn, tool };
+	}
+
+	getStatus() {
+		return [...this.connections.values()].map(c => ({
+			name: c.name,
+			transport: c.config.url ? "http" : "stdio",
+			status: c.status,
+			tools: c.tools.length,
+			error: c.error || undefined,
+		}));
+	}
+
+	closeAll() {
+		for (const conn of this.connections.values()) conn.close();
+	}
+}
+
+function parseSseMessages(text) {
+	const messages = [];
+	for (const event of text.split(/\r?\n\r?\n/)) {
+		const data = event
+			.split(/\r?\n/)
+			.filter(l => l.startsWith("data:"))
+			.map(l => l.slice(5).trimStart())
+			.join("\n");
+		if (!data) continue;
+		try {
+			messages.push(JSON.parse(data));
+		} catch {}
+	}
+	return messages;
+}
+
+// Export singleton instance
+module.exports = new McpClientService();
+module.exports.McpClientService = McpClientService;
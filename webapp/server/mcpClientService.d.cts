@@ -0,0 +1,19 @@
+// Types for mcpClientService.cjs (used by the unit tests in src/__tests__)
+
+export type ExternalTool = { name: string; title: string; description?: string; inputSchema?: object; annotations?: any; server: string };
+
+export type McpServerStatus = { name: string; transport: "http" | "stdio"; status: "disconnected" | "connecting" | "connected" | "error"; tools: number; error?: string };
+
+export class McpClientService {
+	constructor(options?: { configPath?: string });
+	configPath: string;
+	initialize(): Promise<void>;
+	listTools(): ExternalTool[];
+	isExternalTool(name: string): boolean;
+	callTool(name: string, args: object): Promise<{ ok: true; result: any } | { ok: false; error: string }>;
+	getStatus(): McpServerStatus[];
+	closeAll(): void;
+}
+
+declare const mcpClients: McpClientService & { McpClientService: typeof McpClientService };
+export default mcpClients;
@@ -0,0 +1,276 @@
+// Model Context Protocol server
+// JSON-RPC 2.0 dispatcher for initialize, tools/* and resources/* plus the
+// Streamable HTTP and stdio transports. Tools are supplied by index.cjs.
+
+const crypto = require("crypto");
+const readline = require("readline");
+const recordingService = require("./recordingService.cjs");
+
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const SERVER_INFO = { name: "jarvis-mcp", title: "Jarvis MCP Server", version: "1.0.0" };
+const TRANSCRIPT_URI = /^meeting:\/\/([^/]+)\/transcript$/;
+// HTTP sessions unused for this long are dropped; the client gets 404 and initializes again
+const SESSION_IDLE_MS = parseFloat(process.env.MCP_SESSION_IDLE_MINUTES || "30") * 60 * 1000;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+class McpError extends Error {
+	constructor(code, message) {
+		super(message);
+		this.code = code;
+	}
+}
+
+/**
+ * Create a protocol handler.
+ * @param {{ getTools: () => Array<{name: string, title?: string, description?: string, inputSchema?: object, annotations?: object}>,
+ *           callTool: (name: string, args: object, options?: { onProgress?: (update: object) => void }) => Promise<{status: number, data: any}> }} options
+ */
+function createMcpServer({ getTools, callTool }) {
+	const methods = {
+		initialize: async (params) => {
+			const requested = params?.protocolVersion;
+			return {
+				protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+				capabilities: {
+					tools: { listChanged: false },
+					resources: { subscribe: false, listChanged: false },
+				},
+				serverInfo: SERVER_INFO,
+				instructions: "Tools for Jira, Slack, GitHub, Gmail, Google Calendar, weather and recorded meetings. Meeting transcripts are also exposed as meeting://{id}/transcript resources.",
+			};
+		},
+		ping: async () => ({}),
+		"tools/list": async () => ({
+			tools: getTools().map(t => ({
+				name: t.name,
+				title: t.title,
+				description: t.description || t.title || t.name,
+				inputSchema: t.inputSchema || { type: "object", properties: {} },
+				...(t.annotations ? { annotations: t.annotations } : {}),
+			})),
+		}),
+		"tools/call": async (params, { notify }) => {
+			const name = params?.name;
+			if (typeof name !== "string" || !getTools().some(t => t.name === name)) {
+				throw new McpError(INVALID_PARAMS, `Unknown tool: ${name || "(none)"}`);
+			}
+			const args = params.arguments && typeof params.arguments === "object" ? params.arguments : {};
+			// Progress notifications need a transport that can send them mid-request (stdio)
+			const progressToken = params._meta?.progressToken;
+			let step = 0;
+			const onProgress = progressToken !== undefined && notify
+				? (update) => notify({
+					jsonrpc: "2.0",
+					method: "notifications/progress",
+					params: { progressToken, progress: ++step, message: update.message },
+				})
+				: undefined;
+			const { status, data } = await callTool(name, args, { onProgress });
+			// Tool failures (quota blocks, missing credentials, upstream errors) are results, not protocol errors
+			const isError = status >= 400 || data?.ok === false;
+			return {
+				content: [{ type: "text", text: typeof data === "string" ? data : JSON.stringify(data, null, 2) }],
+				...(data && typeof data === "object" && !Array.isArray(data) ? { structuredContent: data } : {}),
+				isError,
+			};
+		},
+		"resources/list": async () => ({
+			resources: recordingService.getAllMeetings()
+				.filter(m => m.transcriptPath)
+				.map(m => ({
+					uri: `meeting://${m.id}/transcript`,
+					name: `${m.id}-transcript`,
+					title: `Transcript: ${m.title || m.id}`,
+					description: `Meeting transcript recorded ${m.date || "at an unknown date"}`,
+					mimeType: "text/plain",
+				})),
+		}),
+		"resources/templates/list": async () => ({
+			resourceTemplates: [{
+				uriTemplate: "meeting://{meetingId}/transcript",
+				name: "meeting-transcript",
+				title: "Meeting transcript",
+				description: "Timestamped transcript of a recorded meeting, with speaker names when diarized",
+				mimeType: "text/plain",
+			}],
+		}),
+		"resources/read": async (params) => {
+			const uri = params?.uri;
+			const match = typeof uri === "string" ? uri.match(TRANSCRIPT_URI) : null;
+			if (!match) throw new McpError(INVALID_PARAMS, `Unsupported resource URI: ${uri || "(none)"}`);
+			const meetingId = decodeURIComponent(match[1]);
+			const transcript = recordingService.getTranscript(meetingId);
+			if (!transcript) throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+			const speakerNames = recordingService.getSpeakerNames(recordingService.getMeeting(meetingId));
+			return { contents: [{ uri, mimeType: "text/plain", text: formatTranscript(transcript, speakerNames) }] };
+		},
+	};
+
+	/**
+	 * Handle one JSON-RPC message. Returns the response object, or null for notifications and responses.
+	 * `notify` lets handlers send notifications before the response (transports that support it).
+	 */
+	async function handleMessage(msg, { notify } = {}) {
+		if (!msg || typeof msg !== "object" || msg.jsonrpc !== "2.0") {
+			return errorResponse(msg?.id ?? null, INVALID_REQUEST, "Invalid JSON-RPC message");
+		}
+		// Client responses or notifications (e.g. notifications/initialized) need no reply
+		if (typeof msg.method !== "string") return null;
+		const isNotification = msg.id === undefined;
+		const handler = methods[msg.method];
+		if (!handler) {
+			return isNotification ? null : errorResponse(msg.id, METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+		}
+		try {
+			const result = await handler(msg.params || {}, { notify });
+			return isNotification ? null : { jsonrpc: "2.0", id: msg.id, result };
+		} catch (e) {
+			if (isNotification) return null;
+			if (e instanceof McpError) return errorResponse(msg.id, e.code, e.message);
+			console.error(`[MCP] ${msg.method} failed:`, e);
+			return errorResponse(msg.id, INTERNAL_ERROR, (e && e.message) || "Internal error");
+		}
+	}
+
+	/**
+	 * Handle a single message or a batch; returns what should be written back (null when nothing).
+	 */
+	async function handlePayload(payload, context) {
+		if (Array.isArray(payload)) {
+			if (!payload.length) return errorResponse(null, INVALID_REQUEST, "Empty batch");
+			const responses = (await Promise.all(payload.map(msg => handleMessage(msg, context)))).filter(Boolean);
+			return responses.length ? responses : null;
+		}
+		return handleMessage(payload, context);
+	}
+
+	return { handleMessage, handlePayload };
+}
+
+/**
+ * Mount the Streamable HTTP transport (single endpoint, JSON responses, no server-initiated stream).
+ */
+function mountHttpTransport(app, endpoint, server) {
+	// Session id -> time of its last request
+	const sessions = new Map();
+	const expireIdleSessions = () => {
+		const cutoff = Date.now() - SESSION_IDLE_MS;
+		for (const [id, lastUsed] of sessions) {
+			if (lastUsed < cutoff) sessions.delete(id);
+		}
+	};
+
+	app.post(endpoint, async (req, res) => {
+		if (!isAllowedOrigin(req.headers.origin)) {
+			return res.status(403).json(errorResponse(null, INVALID_REQUEST, "Origin not allowed"));
+		}
+		const payload = req.body;
+		const messages = Array.isArray(payload) ? payload : [payload];
+		const initializing = messages.some(m => m && m.method === "initialize");
+		const sessionId = req.get("Mcp-Session-Id");
+		expireIdleSessions();
+		if (!initializing) {
+			if (!sessionId) return res.status(400).json(errorResponse(null, INVALID_REQUEST, "Missing Mcp-Session-Id header"));
+			if (!sessions.has(sessionId)) return res.status(404).json(errorResponse(null, INVALID_REQUEST, "Unknown or expired session"));
+			sessions.set(sessionId, Date.now());
+		}
+		const out = await server.handlePayload(payload);
+		if (initializing && out && !out.error) {
+			const id = crypto.randomUUID();
+			sessions.set(id, Date.now());
+			res.set("Mcp-Session-Id", id);
+		}
+		if (!out) return res.status(202).end();
+		res.json(out);
+	});
+
+	// We never push server-initiated messages, so there is no SSE stream to open
+	app.get(endpoint, (req, res) => {
+		res.set("Allow", "POST, DELETE").status(405).json({ ok: false, error: "SSE stream not supported" });
+	});
+
+	app.delete(endpoint, (req, res) => {
+		const sessionId = req.get("Mcp-Session-Id");
+		expireIdleSessions();
+		if (!sessionId || !sessions.delete(sessionId)) return res.status(404).json({ ok: false, error: "Unknown session" });
+		res.status(204).end();
+	});
+
+	// A body that is not JSON never reaches the handler above; answer it in JSON-RPC too
+	app.use(endpoint, (err, req, res, next) => {
+		if (err.type !== "entity.parse.failed") return next(err);
+		res.status(400).json(errorResponse(null, PARSE_ERROR, "Parse error"));
+	});
+}
+
+/**
+ * Run the stdio transport: newline-delimited JSON-RPC on stdin/stdout. Logs must go to stderr.
+ */
+function startStdioTransport(server, { input = process.stdin, output = process.stdout, onClose } = {}) {
+	const rl = readline.createInterface({ input, crlfDelay: Infinity });
+	const write = (msg) => output.write(`${JSON.stringify(msg)}\n`);
+	let pending = Promise.resolve();
+
+	rl.on("line", (line) => {
+		if (!line.trim()) return;
+		// Keep replies in request order
+		pending = pending
+			.then(() => {
+				let payload;
+				try {
+					payload = JSON.parse(line);
+				} catch {
+					return errorResponse(null, PARSE_ERROR, "Parse error");
+				}
+				return server.handlePayload(payload, { notify: write });
+			})
+			.then(out => { if (out) write(out); })
+			.catch(e => console.error("[MCP] stdio handler error:", e));
+	});
+	rl.on("close", () => {
+		pending.then(() => onClose && onClose());
+	});
+}
+
+function errorResponse(id, code, message) {
+	return { jsonrpc: "2.0", id, error: { code, message } };
+}
+
+function isAllowedOrigin(origin) {
+	if (!origin) return true;
+	try {
+		const host = new URL(origin).hostname;
+		return host === "localhost" || host === "127.0.0.1" || host === "[::1]";
+	} catch {
+		return false;
+	}
+}
+
+// "[mm:ss] text", or "[mm:ss] Alice: text" once diarized
+function formatTranscript(transcript, speakerNames = {}) {
+	if (!Array.isArray(transcript.segments) || !transcript.segments.length) return transcript.fullText || "";
+	return transcript.segments
+		.map(s => `[${formatTimestamp(s.start)}] ${s.speaker ? `${speakerNames[s.speaker] || s.speaker}: ` : ""}${String(s.text || "").trim()}`)
+		.join("\n");
+}
+
+function formatTimestamp(seconds) {
+	const total = Math.max(0, Math.floor(Number(seconds) || 0));
+	const m = Math.floor(total / 60);
+	const s = total % 60;
+	return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+}
+
+module.exports = {
+	SUPPORTED_PROTOCOL_VERSIONS,
+	createMcpServer,
+	mountHttpTransport,
+	startStdioTransport,
+};
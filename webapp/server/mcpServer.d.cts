@@ -0,0 +1,18 @@
+// Types for mcpServer.cjs (used by the unit tests in src/__tests__)
+
+export type McpToolInfo = { name: string; title?: string; description?: string; inputSchema?: object; annotations?: object };
+
+export type JsonRpcMessage = { jsonrpc: "2.0"; id?: string | number | null; method?: string; params?: any; result?: any; error?: { code: number; message: string } };
+
+export type McpServer = {
+	handleMessage(msg: unknown, context?: { notify?: (msg: JsonRpcMessage) => void }): Promise<JsonRpcMessage | null>;
+	handlePayload(payload: unknown, context?: { notify?: (msg: JsonRpcMessage) => void }): Promise<JsonRpcMessage | JsonRpcMessage[] | null>;
+};
+
+export const SUPPORTED_PROTOCOL_VERSIONS: string[];
+export function createMcpServer(options: {
+	getTools: () => McpToolInfo[];
+	callTool: (name: string, args: object, options?: { onProgress?: (update: { message: string }) => void }) => Promise<{ status: number; data: any }>;
+}): McpServer;
+export function mountHttpTransport(app: any, endpoint: string, server: McpServer): void;
+export function startStdioTransport(server: McpServer, options?: { input?: NodeJS.ReadableStream; output?: NodeJS.WritableStream; onClose?: () => void }): void;
@@ -1,8 +1,64 @@
 // Meeting Analysis Service
 // Provides summarization and sentiment analysis for meeting transcripts
 
+const billingService = require("./billingService.cjs");
+const { openaiUsage, geminiUsage } = require("./llmPricing.cjs");
+const { speakerTurns } = require("./diarizationService.cjs");
+
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
+const OPENAI_MODEL = "gpt-4o-mini";
+const GEMINI_MODEL = "gemini-pro";
+
+// What extractActionItems asks for (OpenAI structured output; Gemini gets it in the prompt).
+// timestamp is the [mm:ss] of the transcript line the item comes from.
+const ACTION_ITEMS_SCHEMA = {
+	type: "object",
+	additionalProperties: false,
+	required: ["actionItems", "decisions", "openQuestions"],
+	properties: {
+		actionItems: {
+			type: "array",
+			items: {
+				type: "object",
+				additionalProperties: false,
+				required: ["task", "owner", "dueDate", "timestamp"],
+				properties: {
+					task: { type: "string" },
+					owner: { type: ["string", "null"], description: "Who committed to it, null if nobody did" },
+					dueDate: { type: ["string", "null"], description: "YYYY-MM-DD, null if none was given" },
+					timestamp: { type: "string", description: "mm:ss of the transcript line" }
+				}
+			}
+		},
+		decisions: {
+			type: "array",
+			items: {
+				type: "object",
+				additionalProperties: false,
+				required: ["decision", "madeBy", "timestamp"],
+				properties: {
+					decision: { type: "string" },
+					madeBy: { type: ["string", "null"] },
+					timestamp: { type: "string" }
+				}
+			}
+		},
+		openQuestions: {
+			type: "array",
+			items: {
+				type: "object",
+				additionalProperties: false,
+				required: ["question", "askedBy", "timestamp"],
+				properties: {
+					question: { type: "string" },
+					askedBy: { type: ["string", "null"] },
+					timestamp: { type: "string" }
+				}
+			}
+		}
+	}
+};
 
 /**
  * Get the available AI provider
@@ -17,21 +73,59 @@ function getAIProvider() {
 }
 
 /**
- * Summarize a meeting transcript
+ * Meeting analysis spends the same OpenAI/Gemini budget as chat: each request is counted
+ * against the provider's quota and the monthly cost limit before it is sent
+ */
+async function checkLlmBudget(service) {
+	const check = await billingService.checkAndUpdateUsage(service, "chat");
+	if (!check.allowed) throw new Error(check.message);
+}
+
+function recordLlmUsage(service, model, usage) {
+	if (usage) billingService.recordLlmUsage(service, model, usage);
+}
+
+/**
+ * Transcript text for a prompt: one "Name: ..." line per speaker turn when diarized,
+ * otherwise the plain text
+ * @param {Record<string, string>} [speakerNames] - speaker id → participant name
  */
-async function summarizeMeeting(transcript) {
+function transcriptForPrompt(transcript, speakerNames = {}) {
+	const turns = speakerTurns(transcript, speakerNames);
+	if (turns.length) {
+		return { text: turns.map(t => `${t.name}: ${t.text}`).join("\n"), speakerAware: true, speakers: [...new Set(turns.map(t => t.name))] };
+	}
+	return { text: transcript.fullText || transcript.segments?.map(s => s.text).join(" ") || "", speakerAware: false, speakers: [] };
+}
+
+/**
+ * Summarize a meeting transcript; with speakers, decisions and action items name who made them
+ * @param {{ speakerNames?: Record<string, string> }} [options]
+ */
+async function summarizeMeeting(transcript, { speakerNames } = {}) {
 	const provider = getAIProvider();
 	if (!provider) {
 		throw new Error("No AI provider configured. Please set OPENAI_API_KEY or GEMINI_API_KEY");
 	}
 	
-	const fullText = transcript.fullText || transcript.segments?.map(s => s.text).join(" ") || "";
+	const { text: fullText, speakerAware } = transcriptForPrompt(transcript, speakerNames);
 	
 	if (!fullText.trim()) {
 		throw new Error("Transcript is empty");
 	}
 	
-	const prompt = `Please provide a concise summary of the following meeting transcript. Include:
+	const prompt = speakerAware
+		? `Please provide a concise summary of the following meeting transcript. Each line starts with the name of the person speaking. Include:
+1. Main topics discussed, and who raised them
+2. Key decisions made, and who made or agreed to them
+3. Action items (if any), each with the person who committed to it
+4. Important points
+
+Meeting transcript:
+${fullText}
+
+Summary:`
+		: `Please provide a concise summary of the following meeting transcript. Include:
 1. Main topics discussed
 2. Key decisions made
 3. Action items (if any)
@@ -50,15 +144,16 @@ Summary:`;
 }
 
 /**
- * Analyze sentiment of a meeting
+ * Analyze sentiment of a meeting; with speakers, also per participant
+ * @param {{ speakerNames?: Record<string, string> }} [options]
  */
-async function analyzeSentiment(transcript) {
+async function analyzeSentiment(transcript, { speakerNames } = {}) {
 	const provider = getAIProvider();
 	if (!provider) {
 		throw new Error("No AI provider configured. Please set OPENAI_API_KEY or GEMINI_API_KEY");
 	}
 	
-	const fullText = transcript.fullText || transcript.segments?.map(s => s.text).join(" ") || "";
+	const { text: fullText, speakerAware, speakers } = transcriptForPrompt(transcript, speakerNames);
 	
 	if (!fullText.trim()) {
 		throw new Error("Transcript is empty");
@@ -67,7 +162,8 @@ async function analyzeSentiment(transcript) {
 	const prompt = `Analyze the sentiment of the following meeting transcript. Provide:
 1. Overall sentiment (positive, neutral, or negative)
 2. A sentiment score from -1 (very negative) to 1 (very positive)
-3. Brief explanation
+3. Brief explanation${speakerAware ? `
+4. The sentiment of each speaker (each line of the transcript starts with the name of the person speaking), one line per speaker like "Name: positive"` : ""}
 
 Meeting transcript:
 ${fullText}
@@ -75,9 +171,168 @@ ${fullText}
 Analysis:`;
 	
 	if (provider === "openai") {
-		return await analyzeSentimentWithOpenAI(prompt);
+		return await analyzeSentimentWithOpenAI(prompt, speakers);
 	} else if (provider === "gemini") {
-		return await analyzeSentimentWithGemini(prompt);
+		return await analyzeSentimentWithGemini(prompt, speakers);
+	}
+}
+
+/**
+ * Action items (with owner, due date and where they were said), decisions and open questions
+ * of a meeting, with timestamps snapped to the start of the transcript segment they came from
+ * @param {{ speakerNames?: Record<string, string>, meetingDate?: string }} [options]
+ *        meetingDate (ISO) lets relative due dates ("by Friday") become dates
+ */
+async function extractActionItems(transcript, { speakerNames = {}, meetingDate } = {}) {
+	const provider = getAIProvider();
+	if (!provider) {
+		throw new Error("No AI provider configured. Please set OPENAI_API_KEY or GEMINI_API_KEY");
+	}
+	
+	const segments = transcript.segments || [];
+	if (!segments.some(s => String(s.text || "").trim())) {
+		throw new Error("Transcript is empty");
+	}
+	const lines = segments
+		.map(s => `[${formatTimestamp(s.start)}] ${s.speaker ? `${speakerNames[s.speaker] || s.speaker}: ` : ""}${String(s.text || "").trim()}`)
+		.join("\n");
+	const day = meetingDate ? new Date(meetingDate) : null;
+	
+	const prompt = `Extract the action items, decisions and open questions from the following meeting transcript.
+Each line starts with its [mm:ss] timestamp${segments.some(s => s.speaker) ? " and the name of the person speaking" : ""}.
+- actionItems: tasks someone agreed to do, with the owner (the person who committed to it, or null) and the due date as YYYY-MM-DD (or null)${day && !Number.isNaN(day.getTime()) ? `; the meeting took place on ${day.toLocaleDateString("en-CA")} (${day.toLocaleDateString("en-US", { weekday: "long" })}), so resolve relative dates like "by Friday" from there` : ""}
+- decisions: what was decided, and by whom (or null)
+- openQuestions: questions raised but not answered, and who asked (or null)
+For every entry, timestamp is the mm:ss of the line it comes from. Use empty arrays when there are none. Do not invent anything that was not said.
+
+Meeting transcript:
+${lines}`;
+	
+	const raw = provider === "openai" ? await extractWithOpenAI(prompt) : await extractWithGemini(prompt);
+	return normalizeActionItems(raw, segments);
+}
+
+/**
+ * Keep well-formed entries of an extraction and turn their "mm:ss" into the start (seconds)
+ * of the transcript segment they fall in
+ */
+function normalizeActionItems(raw, segments = []) {
+	const text = v => (typeof v === "string" && v.trim() ? v.trim() : null);
+	const date = v => (typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v.trim()) ? v.trim() : null);
+	const timestamp = v => snapToSegment(parseTimestamp(v), segments);
+	const list = (items, build) => (Array.isArray(items) ? items.map(item => build(item || {})).filter(Boolean) : []);
+	return {
+		actionItems: list(raw?.actionItems, i => text(i.task) && { task: text(i.task), owner: text(i.owner), dueDate: date(i.dueDate), timestamp: timestamp(i.timestamp) }),
+		decisions: list(raw?.decisions, d => text(d.decision) && { decision: text(d.decision), madeBy: text(d.madeBy), timestamp: timestamp(d.timestamp) }),
+		openQuestions: list(raw?.openQuestions, q => text(q.question) && { question: text(q.question), askedBy: text(q.askedBy), timestamp: timestamp(q.timestamp) })
+	};
+}
+
+// "mm:ss", "h:mm:ss" or seconds → seconds; null when unreadable
+function parseTimestamp(value) {
+	if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+	const match = String(value ?? "").trim().replace(/^\[|\]$/g, "").match(/^(?:(\d+):)?(\d+):(\d{1,2}(?:\.\d+)?)$/);
+	if (!match) return null;
+	return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// Start of the segment whose [mm:ss] (its start, rounded down) is the last at or before `seconds`
+function snapToSegment(seconds, segments) {
+	if (seconds === null) return null;
+	if (!segments.length) return seconds;
+	let snapped = segments[0].start;
+	for (const segment of segments) {
+		if (Math.floor(segment.start) > seconds) break;
+		snapped = segment.start;
+	}
+	return snapped;
+}
+
+function formatTimestamp(seconds) {
+	const total = Math.max(0, Math.floor(Number(seconds) || 0));
+	return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Extract using OpenAI structured output
+ */
+async function extractWithOpenAI(prompt) {
+	try {
+		await checkLlmBudget("openai");
+		const response = await fetch("https://api.openai.com/v1/chat/completions", {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				"Authorization": `Bearer ${OPENAI_API_KEY}`
+			},
+			body: JSON.stringify({
+				model: OPENAI_MODEL,
+				messages: [
+					{ role: "user", content: prompt }
+				],
+				temperature: 0.2,
+				max_tokens: 2000,
+				response_format: { type: "json_schema", json_schema: { name: "meeting_action_items", strict: true, schema: ACTION_ITEMS_SCHEMA } }
+			})
+		});
+		
+		if (!response.ok) {
+			const error = await response.text();
+			throw new Error(`OpenAI API error: ${response.status} - ${error}`);
+		}
+		
+		const data = await response.json();
+		recordLlmUsage("openai", OPENAI_MODEL, openaiUsage(data));
+		return parseJsonReply(data.choices[0].message.content);
+	} catch (error) {
+		throw new Error(`Failed to extract action items with OpenAI: ${error.message}`);
+	}
+}
+
+/**
+ * Extract using Gemini (the schema is spelled out in the prompt)
+ */
+async function extractWithGemini(prompt) {
+	try {
+		await checkLlmBudget("gemini");
+		const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json"
+			},
+			body: JSON.stringify({
+				contents: [{
+					parts: [{
+						text: `${prompt}\n\nAnswer with JSON only, matching this JSON schema:\n${JSON.stringify(ACTION_ITEMS_SCHEMA)}`
+					}]
+				}],
+				generationConfig: {
+					temperature: 0.2,
+					maxOutputTokens: 2000
+				}
+			})
+		});
+		
+		if (!response.ok) {
+			const error = await response.text();
+			throw new Error(`Gemini API error: ${response.status} - ${error}`);
+		}
+		
+		const data = await response.json();
+		recordLlmUsage("gemini", GEMINI_MODEL, geminiUsage(data));
+		return parseJsonReply(data.candidates[0].content.parts[0].text);
+	} catch (error) {
+		throw new Error(`Failed to extract action items with Gemini: ${error.message}`);
+	}
+}
+
+// JSON from a model reply, which may wrap it in a ```json fence
+function parseJsonReply(text) {
+	const body = String(text || "").trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+	try {
+		return JSON.parse(body);
+	} catch {
+		throw new Error(`Reply is not valid JSON: ${body.slice(0, 200)}`);
 	}
 }
 
@@ -86,6 +341,7 @@ Analysis:`;
  */
 async function summarizeWithOpenAI(prompt) {
 	try {
+		await checkLlmBudget("openai");
 		const response = await fetch("https://api.openai.com/v1/chat/completions", {
 			method: "POST",
 			headers: {
@@ -93,7 +349,7 @@ async function summarizeWithOpenAI(prompt) {
 				"Authorization": `Bearer ${OPENAI_API_KEY}`
 			},
 			body: JSON.stringify({
-				model: "gpt-4o-mini",
+				model: OPENAI_MODEL,
 				messages: [
 					{ role: "user", content: prompt }
 				],
@@ -108,6 +364,7 @@ async function summarizeWithOpenAI(prompt) {
 		}
 		
 		const data = await response.json();
+		recordLlmUsage("openai", OPENAI_MODEL, openaiUsage(data));
 		return data.choices[0].message.content.trim();
 	} catch (error) {
 		throw new Error(`Failed to summarize with OpenAI: ${error.message}`);
@@ -119,7 +376,8 @@ async function summarizeWithOpenAI(prompt) {
  */
 async function summarizeWithGemini(prompt) {
 	try {
-		const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${GEMINI_API_KEY}`, {
+		await checkLlmBudget("gemini");
+		const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`, {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json"
@@ -143,6 +401,7 @@ async function summarizeWithGemini(prompt) {
 		}
 		
 		const data = await response.json();
+		recordLlmUsage("gemini", GEMINI_MODEL, geminiUsage(data));
 		return data.candidates[0].content.parts[0].text.trim();
 	} catch (error) {
 		throw new Error(`Failed to summarize with Gemini: ${error.message}`);
@@ -152,8 +411,9 @@ async function summarizeWithGemini(prompt) {
 /**
  * Analyze sentiment using OpenAI
  */
-async function analyzeSentimentWithOpenAI(prompt) {
+async function analyzeSentimentWithOpenAI(prompt, speakers) {
 	try {
+		await checkLlmBudget("openai");
 		const response = await fetch("https://api.openai.com/v1/chat/completions", {
 			method: "POST",
 			headers: {
@@ -161,7 +421,7 @@ async function analyzeSentimentWithOpenAI(prompt) {
 				"Authorization": `Bearer ${OPENAI_API_KEY}`
 			},
 			body: JSON.stringify({
-				model: "gpt-4o-mini",
+				model: OPENAI_MODEL,
 				messages: [
 					{ role: "user", content: prompt }
 				],
@@ -176,10 +436,11 @@ async function analyzeSentimentWithOpenAI(prompt) {
 		}
 		
 		const data = await response.json();
+		recordLlmUsage("openai", OPENAI_MODEL, openaiUsage(data));
 		const analysis = data.choices[0].message.content.trim();
 		
 		// Parse sentiment from response
-		return parseSentimentResponse(analysis);
+		return parseSentimentResponse(analysis, speakers);
 	} catch (error) {
 		throw new Error(`Failed to analyze sentiment with OpenAI: ${error.message}`);
 	}
@@ -188,9 +449,10 @@ async function analyzeSentimentWithOpenAI(prompt) {
 /**
  * Analyze sentiment using Gemini
  */
-async function analyzeSentimentWithGemini(prompt) {
+async function analyzeSentimentWithGemini(prompt, speakers) {
 	try {
-		const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${GEMINI_API_KEY}`, {
+		await checkLlmBudget("gemini");
+		const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`, {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json"
@@ -214,19 +476,21 @@ async function analyzeSentimentWithGemini(prompt) {
 		}
 		
 		const data = await response.json();
+		recordLlmUsage("gemini", GEMINI_MODEL, geminiUsage(data));
 		const analysis = data.candidates[0].content.parts[0].text.trim();
 		
 		// Parse sentiment from response
-		return parseSentimentResponse(analysis);
+		return parseSentimentResponse(analysis, speakers);
 	} catch (error) {
 		throw new Error(`Failed to analyze sentiment with Gemini: ${error.message}`);
 	}
 }
 
 /**
- * Parse sentiment response from AI
+ * Parse sentiment response from AI; `bySpeaker` holds the "Name: positive" lines of the
+ * speakers given
  */
-function parseSentimentResponse(text) {
+function parseSentimentResponse(text, speakers = []) {
 	const lowerText = text.toLowerCase();
 	
 	// Extract sentiment label
@@ -251,14 +515,29 @@ function parseSentimentResponse(text) {
 		else if (overall === "negative") score = -0.5;
 	}
 	
+	const bySpeaker = {};
+	for (const line of text.split("\n")) {
+		// "- **Alice**: positive", "Alice: Neutral (...)"
+		const match = line.match(/^[\s\d.*#-]*(.+?)\**\s*:\s*\**\s*(positive|neutral|negative)\b/i);
+		const name = match && speakers.find(s => s.toLowerCase() === match[1].replace(/\*/g, "").trim().toLowerCase());
+		if (name) bySpeaker[name] = match[2].toLowerCase();
+	}
+	
 	return {
 		overall,
 		score,
-		analysis: text
+		analysis: text,
+		...(speakers.length ? { bySpeaker } : {})
 	};
 }
 
 module.exports = {
+	ACTION_ITEMS_SCHEMA,
+	transcriptForPrompt,
+	parseSentimentResponse,
+	normalizeActionItems,
+	formatTimestamp,
+	extractActionItems,
 	summarizeMeeting,
 	analyzeSentiment
 };
@@ -0,0 +1,20 @@
+// Types for meetingAnalysisService.cjs (used by the unit tests in src/__tests__)
+
+import type { Transcript } from "./diarizationService.cjs";
+
+export type Sentiment = { overall: "positive" | "neutral" | "negative"; score: number; analysis: string; bySpeaker?: Record<string, string> };
+
+export function transcriptForPrompt(transcript: Partial<Transcript>, speakerNames?: Record<string, string>): { text: string; speakerAware: boolean; speakers: string[] };
+export function parseSentimentResponse(text: string, speakers?: string[]): Sentiment;
+export function summarizeMeeting(transcript: Partial<Transcript>, options?: { speakerNames?: Record<string, string> }): Promise<string>;
+export function analyzeSentiment(transcript: Partial<Transcript>, options?: { speakerNames?: Record<string, string> }): Promise<Sentiment>;
+
+// Timestamps are seconds into the audio (snapped to the segment start), null when unknown
+export type ActionItems = {
+	actionItems: { task: string; owner: string | null; dueDate: string | null; timestamp: number | null }[];
+	decisions: { decision: string; madeBy: string | null; timestamp: number | null }[];
+	openQuestions: { question: string; askedBy: string | null; timestamp: number | null }[];
+};
+
+export function normalizeActionItems(raw: unknown, segments?: { start: number; end: number }[]): ActionItems;
+export function extractActionItems(transcript: Partial<Transcript>, options?: { speakerNames?: Record<string, string>; meetingDate?: string }): Promise<ActionItems>;
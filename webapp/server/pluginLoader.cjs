@@ -0,0 +1,115 @@
+/**
+ * Plugin Loader
+ * Each integration (Jira, Slack, GitHub, ...) lives in plugins/<name>.cjs and exports
+ * { name, dependsOn?, register({ app, tools }), health() }. ENABLED_PLUGINS (comma-separated)
+ * picks which ones load; by default all of them do, in the order below (a plugin's
+ * dependencies first).
+ */
+
+const path = require("path");
+const { toolRegistry } = require("./toolRegistry.cjs");
+
+const PLUGINS_DIR = path.join(__dirname, "plugins");
+// Load order is also the order tools appear in /mcp/tools
+const DEFAULT_PLUGINS = ["weather", "jira", "gmail", "calendar", "slack", "github", "alignment", "meetings"];
+
+class PluginLoader {
+	/**
+	 * @param {{ pluginsDir?: string, plugins?: string[], registry?: object }} [options]
+	 */
+	constructor({ pluginsDir = PLUGINS_DIR, plugins = DEFAULT_PLUGINS, registry = toolRegistry } = {}) {
+		this.pluginsDir = pluginsDir;
+		this.known = plugins;
+		this.registry = registry;
+		this.plugins = new Map();
+	}
+
+	/**
+	 * Names from ENABLED_PLUGINS, or every known plugin when unset
+	 */
+	getEnabledNames() {
+		const raw = process.env.ENABLED_PLUGINS;
+		if (!raw || !raw.trim()) return this.known;
+		return raw.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+	}
+
+	/**
+	 * Register the tools and routes of every enabled plugin
+	 */
+	loadPlugins(app) {
+		const enabled = this.getEnabledNames();
+		for (const name of enabled) {
+			if (!this.known.includes(name)) {
+				console.warn(`[Plugins] Unknown plugin "${name}" in ENABLED_PLUGINS`);
+			}
+		}
+
+		for (const name of this.known) {
+			if (!enabled.includes(name)) {
+				this.plugins.set(name, { name, enabled: false, loaded: false, tools: [] });
+				continue;
+			}
+			this.load(name, app, enabled);
+		}
+		const loaded = [...this.plugins.values()].filter(p => p.loaded).map(p => p.name);
+		console.log(`[Plugins] Loaded: ${loaded.join(", ") || "(none)"}`);
+	}
+
+	/**
+	 * Load one plugin after the plugins it depends on (wherever they are in the list).
+	 * A plugin that fails is reported in /health and leaves no tools behind.
+	 */
+	load(name, app, enabled) {
+		if (this.plugins.has(name)) return this.plugins.get(name);
+		const entry = { name, enabled: true, loaded: false, tools: [], module: null, error: null };
+		this.plugins.set(name, entry);
+		try {
+			const plugin = require(path.join(this.pluginsDir, `${name}.cjs`));
+			const dependsOn = plugin.dependsOn || [];
+			const missing = dependsOn.filter(dep => !enabled.includes(dep) || !this.known.includes(dep));
+			if (missing.length) {
+				throw new Error(`requires plugin(s): ${missing.join(", ")}`);
+			}
+			const failed = dependsOn.filter(dep => !this.load(dep, app, enabled).loaded);
+			if (failed.length) {
+				throw new Error(`requires plugin(s) that did not load: ${failed.join(", ")}`);
+			}
+			const before = new Set(this.registry.list().map(t => t.name));
+			const added = () => this.registry.list().map(t => t.name).filter(n => !before.has(n));
+			try {
+				plugin.register({ app, tools: this.registry });
+			} catch (e) {
+				for (const tool of added()) this.registry.unregister(tool);
+				throw e;
+			}
+			entry.tools = added();
+			entry.module = plugin;
+			entry.loaded = true;
+		} catch (e) {
+			entry.error = (e && e.message) || "failed to load";
+			console.error(`[Plugins] ${name} not loaded: ${entry.error}`);
+		}
+		return entry;
+	}
+
+	/**
+	 * Per-plugin status for /health
+	 */
+	getStatus() {
+		return [...this.plugins.values()].map(({ module, error, ...p }) => {
+			let health = {};
+			if (module && typeof module.health === "function") {
+				try {
+					health = module.health() || {};
+				} catch (e) {
+					health = { healthError: e.message };
+				}
+			}
+			return { ...p, tools: p.tools.length, ...health, ...(error ? { error } : {}) };
+		});
+	}
+}
+
+// Export singleton instance
+module.exports = new PluginLoader();
+module.exports.PluginLoader = PluginLoader;
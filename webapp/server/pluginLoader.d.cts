@@ -0,0 +1,15 @@
+// Types for pluginLoader.cjs (used by the unit tests in src/__tests__)
+
+import type { ToolRegistry } from "./toolRegistry.cjs";
+
+export type PluginStatus = { name: string; enabled: boolean; loaded: boolean; tools: number; error?: string; [health: string]: unknown };
+
+export class PluginLoader {
+	constructor(options?: { pluginsDir?: string; plugins?: string[]; registry?: ToolRegistry });
+	getEnabledNames(): string[];
+	loadPlugins(app: unknown): void;
+	getStatus(): PluginStatus[];
+}
+
+declare const pluginLoader: PluginLoader & { PluginLoader: typeof PluginLoader };
+export default pluginLoader;
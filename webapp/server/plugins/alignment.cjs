@@ -0,0 +1,865 @@
+/**
+ * Jira-GitHub alignment plugin
+ * Checks Jira tasks against GitHub commits, branches and pull requests, and applies
+ * the suggested Jira transitions/comments the user picks from the report
+ */
+
+const jiraAuth = require("../jiraAuthService.cjs");
+const githubAuth = require("../githubAuthService.cjs");
+const { ToolError } = require("../toolRegistry.cjs");
+const { appendAuditEntries, readAuditLog } = require("../auditLogService.cjs");
+const { createMatcher, loadAlignmentConfig } = require("../alignmentEvidence.cjs");
+
+// Upper bound on actions applied per request
+const MAX_ACTIONS = 50;
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/;
+// Recent commits whose changed files are fetched for path-ownership matching
+const OWNERSHIP_COMMIT_LIMIT = 30;
+// History scan caps: unique commits (overridable per call), branches and pull requests
+const DEFAULT_MAX_COMMITS = 2000;
+const MAX_BRANCHES = 100;
+const MAX_PULL_REQUESTS = 500;
+
+function register({ tools }) {
+	// Jira-GitHub: Verify task alignment with code
+	tools.register({
+		name: "jira_github_verify_alignment",
+		title: "Jira-GitHub: Verify task alignment with code",
+		service: "github",
+		operation: "search",
+		requires: ["jira", "github"],
+		path: "/mcp/tools/jira-github/verify-alignment",
+		inputSchema: {
+			type: "object",
+			properties: {
+				repo: { 
+					type: "string", 
+					description: "GitHub repository name (e.g., oripro-jarvis-OperationalExcellence-proto1)" 
+				},
+				repos: {
+					type: "array",
+					items: { type: "string" },
+					description: "Several repository names to gather evidence from (e.g., ['engine', 'tools', 'game']). Default: repo, else the project's repositories in alignment.config.json"
+				},
+				project: { 
+					type: "string", 
+					description: "Jira project key (e.g., SCRUM) or space name (optional)" 
+				},
+				statuses: { 
+					type: "array", 
+					items: { type: "string" },
+					description: "Filter by Jira statuses (e.g., ['Done', 'In Progress']) - optional" 
+				},
+				maxTasks: { 
+					type: "number", 
+					description: "Maximum tasks to analyze (default: 100)" 
+				},
+				minConfidence: {
+					type: "number",
+					description: "Evidence confidence (0-1) a task needs to count as having code evidence (default: alignment.config.json threshold, else 0.5)"
+				},
+				sprintId: {
+					type: "number",
+					description: "Check only this sprint's tasks, against GitHub history from the sprint start (or the oldest task's creation, if earlier) to its completion (optional)"
+				},
+				since: {
+					type: "string",
+					description: "Scan commits from this date (ISO 8601) and check only tasks updated since. Default: the sprint start, else when the oldest task was created"
+				},
+				until: {
+					type: "string",
+					description: "Scan commits up to this date (ISO 8601). Default: the sprint completion, else now"
+				},
+				maxCommits: {
+					type: "number",
+					description: `Maximum unique commits to scan across all branches of each repository (default: ${DEFAULT_MAX_COMMITS})`
+				}
+			},
+		},
+		background: true,
+		handler: async (args, { progress, signal }) => {
+			let { repo, repos, project, statuses, maxTasks = 100, minConfidence, sprintId, since, until, maxCommits = DEFAULT_MAX_COMMITS } = args;
+
+			// Normalize project key (uppercase, remove common prefixes)
+			if (project) {
+				project = project.toUpperCase().replace(/^(PROJECT|SPACE)-?/i, '');
+			}
+	
+			console.log(`[Jira-GitHub Alignment] Starting verification for project: ${project || 'all'}`);
+
+			// Step 1: Fetch Jira tasks
+			let jiraTasks = [];
+			let actualProjectKey = project;
+	
+			// First, resolve space name to project key if needed
+			if (project) {
+				const projectsData = await jiraGetOrNull("/rest/api/3/project/search");
+		
+				if (projectsData) {
+					const projects = projectsData.values || [];
+			
+					// Try to find project by key first
+					let foundProject = projects.find(p => p.key.toUpperCase() === project.toUpperCase());
+			
+					// If not found by key, try to find by name (for space names)
+					if (!foundProject) {
+						foundProject = projects.find(p => 
+							p.name.toUpperCase() === project.toUpperCase() ||
+							p.name.toUpperCase().includes(project.toUpperCase())
+						);
+					}
+			
+					if (foundProject) {
+						actualProjectKey = foundProject.key;
+						console.log(`[Jira-GitHub Alignment] Resolved "${project}" to project key: ${actualProjectKey}`);
+					} else {
+						console.warn(`[Jira-GitHub Alignment] Project/space "${project}" not found, trying as project key`);
+					}
+				}
+			}
+	
+			// Evidence can live in several repositories (engine, tools, game...)
+			const config = loadAlignmentConfig();
+			const repositories = resolveRepositories({ repo, repos, project: actualProjectKey, config });
+			const repository = repositories.join(', ');
+			console.log(`[Jira-GitHub Alignment] Checking repositories: ${repository}`);
+	
+			if (sprintId) {
+				// A board also holds other sprints' and backlog issues; check only the sprint's
+				jiraTasks = await fetchSprintTasks(sprintId, { statuses, maxTasks });
+				console.log(`[Jira-GitHub Alignment] Fetched ${jiraTasks.length} tasks from sprint ${sprintId}`);
+			} else if (actualProjectKey) {
+				// Use board API to get issues (more reliable than search API)
+				try {
+					// First, get boards for the project
+					const boardsUrl = `/rest/agile/1.0/board?projectKeyOrId=${actualProjectKey}`;
+					const boardsData = await jiraGetOrNull(boardsUrl);
+			
+					if (boardsData) {
+						const boards = boardsData.values || [];
+				
+						// Get issues from all boards with pagination
+						for (const board of boards) {
+							let startAt = 0;
+							const pageSize = 50;
+							let hasMore = true;
+					
+							// Paginate through all issues in the board
+							while (hasMore && jiraTasks.length < maxTasks) {
+								const issuesUrl = `/rest/agile/1.0/board/${board.id}/issue?startAt=${startAt}&maxResults=${pageSize}`;
+								const issuesData = await jiraGetOrNull(issuesUrl);
+						
+								if (issuesData) {
+									const issues = issuesData.issues || [];
+							
+									if (issues.length === 0) {
+										hasMore = false;
+										break;
+									}
+							
+									for (const issue of issues) {
+										if (!hasStatus(issue, statuses)) continue;
+										jiraTasks.push(toTask(issue));
+								
+										if (jiraTasks.length >= maxTasks) break;
+									}
+							
+									// Check if there are more pages
+									hasMore = issues.length === pageSize && jiraTasks.length < maxTasks;
+									startAt += pageSize;
+								} else {
+									hasMore = false;
+								}
+						
+								if (jiraTasks.length >= maxTasks) break;
+							}
+					
+							if (jiraTasks.length >= maxTasks) break;
+						}
+					}
+			
+					// If board API didn't work, fallback to search API
+					if (jiraTasks.length === 0) {
+						console.log(`[Jira-GitHub Alignment] Board API returned no results, trying search API...`);
+						const jql = statuses && statuses.length > 0
+							? `project = ${actualProjectKey} AND status IN (${statuses.map(s => `"${s}"`).join(', ')})`
+							: `project = ${actualProjectKey}`;
+				
+						const searchUrl = `/rest/api/2/search?${new URLSearchParams({
+							jql: jql,
+							maxResults: String(maxTasks),
+							fields: "summary,status,assignee,labels,components,key,created,updated"
+						}).toString()}`;
+				
+						const searchData = await jiraGetOrNull(searchUrl);
+				
+						if (searchData) {
+							jiraTasks = searchData.issues || [];
+						}
+					}
+				} catch (error) {
+					console.error(`[Jira-GitHub Alignment] Error fetching tasks via board API:`, error.message);
+					// Continue with fallback
+				}
+			} else {
+				// Get all projects and fetch issues using board API
+				const projectsData = await jiraGetOrNull("/rest/api/3/project/search");
+		
+				if (projectsData) {
+					const projects = projectsData.values || [];
+			
+					console.log(`[Jira-GitHub Alignment] Fetching tasks from ${projects.length} projects using board API`);
+			
+					// Fetch issues from all projects using board API (more reliable)
+					for (const proj of projects) { // Process all projects
+						try {
+							// Get boards for this project
+							const boardsUrl = `/rest/agile/1.0/board?projectKeyOrId=${proj.key}`;
+							const boardsData = await jiraGetOrNull(boardsUrl);
+					
+							if (boardsData) {
+								const boards = boardsData.values || [];
+						
+								// Get issues from all boards for this project
+								for (const board of boards) {
+									let startAt = 0;
+									const pageSize = 50;
+									let hasMore = true;
+							
+									// Paginate through all issues in the board
+									while (hasMore && jiraTasks.length < maxTasks) {
+										const issuesUrl = `/rest/agile/1.0/board/${board.id}/issue?startAt=${startAt}&maxResults=${pageSize}`;
+										const issuesData = await jiraGetOrNull(issuesUrl);
+								
+										if (issuesData) {
+											const issues = issuesData.issues || [];
+									
+											if (issues.length === 0) {
+												hasMore = false;
+												break;
+											}
+									
+											for (const issue of issues) {
+												if (!hasStatus(issue, statuses)) continue;
+												jiraTasks.push(toTask(issue));
+										
+												if (jiraTasks.length >= maxTasks) break;
+											}
+									
+											// Check if there are more pages
+											hasMore = issues.length === pageSize && jiraTasks.length < maxTasks;
+											startAt += pageSize;
+										} else {
+											hasMore = false;
+										}
+								
+										if (jiraTasks.length >= maxTasks) break;
+									}
+							
+									if (jiraTasks.length >= maxTasks) break;
+								}
+							}
+						} catch (error) {
+							console.warn(`[Jira-GitHub Alignment] Error fetching tasks for project ${proj.key}:`, error.message);
+						}
+				
+						if (jiraTasks.length >= maxTasks) break;
+					}
+			
+					console.log(`[Jira-GitHub Alignment] Fetched ${jiraTasks.length} tasks from all projects`);
+				}
+			}
+
+			if (jiraTasks.length === 0) {
+				return {
+					repository,
+					repositories,
+					project: actualProjectKey || project || 'all',
+					originalProject: project || null,
+					tasksAnalyzed: 0,
+					aligned: [],
+					misalignments: [],
+					summary: `No Jira tasks found matching the criteria.${actualProjectKey && actualProjectKey !== project ? ` (Resolved "${project}" to "${actualProjectKey}")` : ''}`
+				};
+			}
+
+			console.log(`[Jira-GitHub Alignment] Found ${jiraTasks.length} Jira tasks to analyze`);
+			console.log(`[Jira-GitHub Alignment] Task keys: ${jiraTasks.map(t => t.key).join(', ')}`);
+			const taskKeys = jiraTasks.map(t => t.key).sort();
+			console.log(`[Jira-GitHub Alignment] Task keys: ${taskKeys.join(', ')}`);
+
+			// Step 2: Score each task's GitHub evidence with the configured matcher strategies
+			const matcher = createMatcher({ weights: config.weights, threshold: minConfidence ?? config.threshold });
+			const aligned = [];
+			const misalignments = [];
+
+			// Scan the whole relevant history, not just the first page: tasks finished months ago
+			// would otherwise be reported as Done without evidence
+			const window = await scanWindow({ since, until, sprintId, tasks: jiraTasks });
+			if (window.source === 'requested dates') {
+				// Tasks worked on outside the dates would have no commits to match
+				jiraTasks = jiraTasks.filter(task => touchedInWindow(task, window));
+			}
+			progress({ message: `Scanning ${repository} from ${window.since || 'the first commit'} to ${window.until || 'now'} (${window.source})` });
+
+			const context = { commits: [], prs: [], branches: [], devPanel: {}, ownership: config.ownership };
+			const repoScans = [];
+			for (const name of repositories) {
+				const scanned = await scanRepository(name, {
+					window,
+					maxCommits,
+					progress,
+					signal,
+					// Path ownership needs each commit's changed files, which the list endpoint omits
+					withFiles: matcher.uses("fileOwnership") && config.ownership.length > 0,
+				});
+				context.commits.push(...scanned.commits);
+				context.prs.push(...scanned.prs);
+				context.branches.push(...scanned.branches.map(branch => ({ name: branch, repo: name })));
+				repoScans.push(scanned.scan);
+			}
+			const truncated = repoScans.some(r => r.truncated);
+
+			if (matcher.uses("devPanel")) {
+				for (const task of jiraTasks.filter(t => t.id)) {
+					signal?.throwIfAborted();
+					try {
+						context.devPanel[task.key] = devPanelForRepos(await jiraAuth.getDevelopmentInfo(task.id), repositories);
+					} catch (error) {
+						console.warn(`[Jira-GitHub Alignment] No development info for ${task.key}: ${error.message}`);
+					}
+				}
+			}
+
+			for (const [index, task] of jiraTasks.entries()) {
+				signal?.throwIfAborted();
+				if (index % 25 === 0) progress({ message: `Analyzing tasks ${index + 1}-${Math.min(index + 25, jiraTasks.length)} of ${jiraTasks.length}`, progress: index, total: jiraTasks.length });
+				const taskKey = task.key; // e.g., "ROC-5"
+				const taskStatus = task.fields?.status?.name || 'Unknown';
+				const taskSummary = task.fields?.summary || 'No summary';
+
+				const match = matcher.evaluate({
+					key: taskKey,
+					summary: taskSummary,
+					components: (task.fields?.components || []).map(c => c.name),
+					labels: task.fields?.labels || [],
+				}, context);
+				const { hasEvidence, confidence } = match;
+				const evidence = {
+					...match.evidence,
+					commits: match.evidence.commits.map(c => ({ ...c, message: c.message.split('\n')[0] })),
+				};
+				if (match.matchedStrategies.length) {
+					console.log(`[Jira-GitHub Alignment] Task ${taskKey}: confidence ${confidence} from ${match.matchedStrategies.map(m => m.name).join(', ')}`);
+				}
+
+				// Analyze alignment
+				const statusLower = taskStatus.toLowerCase();
+				const isDone = statusLower.includes('done') || statusLower.includes('closed') || statusLower.includes('resolved');
+				const isInProgress = statusLower.includes('progress') || statusLower.includes('in progress') || statusLower.includes('selected for development');
+				const isToDo = statusLower.includes('to do') || statusLower.includes('open') || statusLower.includes('backlog');
+
+				let alignment = 'aligned';
+				let warning = null;
+				let recommendation = null;
+				let targetStatus = null; // Jira status the suggested transition moves to
+
+				// Rule 1: DONE tasks MUST have evidence
+				if (isDone && !hasEvidence) {
+					alignment = 'misaligned';
+					warning = `Task marked as ${taskStatus} but no code evidence found`;
+					recommendation = "Verify task status or search for alternative task keys/descriptions";
+				}
+				// Rule 2: DONE tasks WITH evidence are aligned
+				else if (isDone && hasEvidence) {
+					alignment = 'aligned';
+					// No warning needed - this is correct
+				}
+				// Rule 3: IN PROGRESS tasks should have SOME evidence (commits, branches, or PRs)
+				else if (isInProgress && !hasEvidence) {
+					alignment = 'misaligned';
+					warning = `Task marked as ${taskStatus} but no code evidence found (no commits, branches, or PRs)`;
+					recommendation = "Task may not have been started yet, or evidence is in a different repository";
+				}
+				// Rule 4: IN PROGRESS tasks WITH evidence - check if it looks complete
+				else if (isInProgress && hasEvidence) {
+					// If there are commits, check if they suggest completion
+					if (evidence.commits.length > 0) {
+						const recentCommits = evidence.commits.filter(c => {
+							const commitDate = new Date(c.date);
+							const daysAgo = (Date.now() - commitDate.getTime()) / (1000 * 60 * 60 * 24);
+							return daysAgo < 30; // Check last 30 days, not just 7
+						});
+				
+						if (recentCommits.length > 0) {
+							const commitMessages = recentCommits.map(c => c.message.toLowerCase());
+							const completionKeywords = ['fix', 'complete', 'done', 'finish', 'implement', 'resolve', 'feat:', 'add', 'intelligent', 'verification'];
+							const hasCompletionKeywords = commitMessages.some(msg => 
+								completionKeywords.some(keyword => msg.includes(keyword))
+							);
+					
+							// Check if PRs are merged (strong indicator of completion)
+							const hasMergedPRs = evidence.prs.some(pr => pr.merged);
+					
+							if (hasCompletionKeywords || hasMergedPRs) {
+								alignment = 'misaligned';
+								warning = `Task IN PROGRESS but code appears complete (commits with completion keywords found${hasMergedPRs ? ', PRs merged' : ''})`;
+								recommendation = "Update Jira status to DONE";
+								targetStatus = "Done";
+							} else {
+								// IN PROGRESS with evidence but not complete - this is aligned
+								alignment = 'aligned';
+							}
+						} else {
+							// IN PROGRESS with evidence but old commits - still aligned
+							alignment = 'aligned';
+						}
+					} else {
+						// IN PROGRESS with evidence (branches/PRs but no commits yet) - aligned
+						alignment = 'aligned';
+					}
+				}
+				// Rule 5: IN PROGRESS with no evidence - already handled above as misaligned
+				// Rule 6: TO DO tasks with evidence are misaligned
+				else if (isToDo && hasEvidence) {
+					alignment = 'misaligned';
+					warning = `Task TO DO but code already exists`;
+					recommendation = "Update Jira status to IN PROGRESS or DONE";
+					targetStatus = "In Progress";
+				}
+				// Rule 7: TO DO with no evidence - aligned (not started yet)
+				else if (isToDo && !hasEvidence) {
+					alignment = 'aligned';
+				}
+
+				// Repositories that contributed evidence to this task
+				const taskRepos = [...new Set([...evidence.commits, ...evidence.prs, ...evidence.branches].map(item => item.repo).filter(Boolean))];
+
+				const taskResult = {
+					key: taskKey,
+					summary: taskSummary,
+					status: taskStatus,
+					assignee: task.fields?.assignee?.displayName || 'Unassigned',
+					evidence: {
+						commits: evidence.commits.length,
+						prs: evidence.prs.length,
+						branches: evidence.branches.length,
+						total: evidence.commits.length + evidence.prs.length + evidence.branches.length
+					},
+					repositories: taskRepos,
+					confidence,
+					matchedStrategies: match.matchedStrategies,
+					evidenceDetails: evidence,
+					alignment,
+					warning,
+					recommendation,
+					url: jiraAuth.browseUrl(taskKey),
+					suggestedActions: alignment === 'misaligned'
+						? suggestedActions({ key: taskKey, status: taskStatus, targetStatus, warning, evidence, repositories, confidence })
+						: []
+				};
+
+				if (alignment === 'aligned') {
+					aligned.push(taskResult);
+				} else {
+					misalignments.push(taskResult);
+				}
+			}
+
+			// Calculate alignment score
+			const totalTasks = jiraTasks.length;
+			const alignedCount = aligned.length;
+			const alignmentScore = totalTasks > 0 ? Math.round((alignedCount / totalTasks) * 100) : 0;
+
+			// Log all task keys for debugging
+			const allTaskKeys = [...aligned, ...misalignments].map(t => t.key).sort();
+			console.log(`[Jira-GitHub Alignment] All analyzed tasks: ${allTaskKeys.join(', ')}`);
+	
+			return {
+				repository,
+				repositories,
+				project: actualProjectKey || project || 'all',
+				originalProject: project && actualProjectKey !== project ? project : null,
+				tasksAnalyzed: totalTasks,
+				alignmentScore,
+				scan: {
+					since: window.since,
+					until: window.until,
+					window: window.source,
+					commits: context.commits.length,
+					pullRequests: context.prs.length,
+					branches: context.branches.length,
+					branchesScanned: repoScans.reduce((n, r) => n + r.branchesScanned, 0),
+					truncated,
+					repositories: repoScans,
+				},
+				aligned: aligned, // Return all aligned tasks
+				misalignments: misalignments, // Return all misaligned tasks
+				summary: `${alignedCount}/${totalTasks} tasks aligned (${alignmentScore}%). ${misalignments.length} misalignment(s) found.${truncated ? ` Commit scan stopped at ${maxCommits} commits in ${repoScans.filter(r => r.truncated).map(r => r.repo).join(', ')}; older evidence may be missing.` : ''}${actualProjectKey && actualProjectKey !== project ? ` (Resolved "${project}" to "${actualProjectKey}")` : ''}`
+			};
+		},
+	});
+
+	tools.register({
+		name: "jira_github_apply_alignment",
+		title: "Jira-GitHub: Apply suggested alignment actions",
+		description: "Apply suggestedActions from a jira_github_verify_alignment report (Jira transitions and evidence comments). dryRun (default true) only previews; pass dryRun: false to change Jira. Every applied change is written to the audit log.",
+		service: "jira",
+		operation: "update",
+		path: "/mcp/tools/jira-github/apply-alignment",
+		annotations: { readOnlyHint: false, destructiveHint: false },
+		inputSchema: {
+			type: "object",
+			properties: {
+				actions: {
+					type: "array",
+					items: { type: "object" },
+					description: "Subset of the report's suggestedActions, passed back unchanged",
+				},
+				dryRun: { type: "boolean", description: "Preview without changing Jira (default: true)" },
+				repo: { type: "string", description: "Repositories the report was run against (recorded in the audit log)" },
+			},
+			required: ["actions"],
+		},
+		handler: async ({ actions, dryRun = true, repo }) => {
+			if (actions.length > MAX_ACTIONS) throw new ToolError(`At most ${MAX_ACTIONS} actions per request`, 400);
+			const invalid = actions.map(actionError).filter(Boolean);
+			if (invalid.length) throw new ToolError(invalid.join("; "), 400);
+
+			// One failing issue (permissions, workflow changed since the report) must not stop the rest
+			const results = [];
+			for (const action of actions) {
+				results.push(await applyAction(action, dryRun));
+			}
+			if (!dryRun) {
+				appendAuditEntries(results.map(r => ({ source: "alignment", repo: repo || null, ...r })));
+			}
+			const failed = results.filter(r => !r.ok).length;
+			console.log(`[Jira-GitHub Alignment] ${dryRun ? "Previewed" : "Applied"} ${results.length - failed}/${results.length} action(s)`);
+			return { dryRun, succeeded: results.length - failed, failed, results };
+		},
+	});
+
+	tools.register({
+		name: "jira_github_alignment_audit",
+		title: "Jira-GitHub: Changes applied from alignment reports",
+		method: "GET",
+		path: "/mcp/tools/jira-github/audit",
+		inputSchema: {
+			type: "object",
+			properties: { limit: { type: "number" } },
+		},
+		handler: async ({ limit = 50 }) => ({ entries: readAuditLog({ limit, source: "alignment" }) }),
+	});
+}
+
+/**
+ * Repositories to check: explicit repos, else repo, else the project's mapping in alignment.config.json
+ */
+function resolveRepositories({ repo, repos, project, config }) {
+	const names = repos?.length ? repos : repo ? [repo] : config.repositories[project] || [];
+	const unique = [...new Set(names.map(n => String(n).trim()).filter(Boolean))];
+	if (!unique.length) {
+		throw new ToolError(`repo or repos is required${project ? ` (no repositories mapped to ${project} in alignment.config.json)` : ''}`, 400);
+	}
+	return unique;
+}
+
+/**
+ * Jira GET (cached by jiraAuth), or null when Jira answers with an error so the task
+ * lookup can fall back to the next source (hitting the rate limit still fails the check)
+ */
+async function jiraGetOrNull(pathAndQuery) {
+	try {
+		return await jiraAuth.get(pathAndQuery);
+	} catch (e) {
+		if (e instanceof ToolError && e.status !== 429) return null;
+		throw e;
+	}
+}
+
+/**
+ * Agile API issue in the shape the checks read
+ */
+function toTask(issue) {
+	return {
+		key: issue.key,
+		id: issue.id,
+		fields: {
+			summary: issue.fields?.summary || '',
+			status: issue.fields?.status || {},
+			assignee: issue.fields?.assignee || null,
+			labels: issue.fields?.labels || [],
+			components: issue.fields?.components || [],
+			created: issue.fields?.created || '',
+			updated: issue.fields?.updated || ''
+		}
+	};
+}
+
+function hasStatus(issue, statuses) {
+	if (!statuses?.length) return true;
+	const status = (issue.fields?.status?.name || '').toLowerCase();
+	return statuses.some(s => status.includes(s.toLowerCase()));
+}
+
+/**
+ * Tasks of a sprint, up to maxTasks
+ */
+async function fetchSprintTasks(sprintId, { statuses, maxTasks }) {
+	const tasks = [];
+	const pageSize = 50;
+	for (let startAt = 0; tasks.length < maxTasks; startAt += pageSize) {
+		const page = await jiraAuth.get(`/rest/agile/1.0/sprint/${sprintId}/issue?startAt=${startAt}&maxResults=${pageSize}`);
+		const issues = page.issues || [];
+		tasks.push(...issues.filter(issue => hasStatus(issue, statuses)).map(toTask));
+		if (issues.length < pageSize) break;
+	}
+	return tasks.slice(0, maxTasks);
+}
+
+/**
+ * Date range of the history scan: explicit dates win, then the sprint's dates, then from
+ * the creation of the oldest task being checked up to now
+ */
+async function scanWindow({ since, until, sprintId, tasks }) {
+	if (since || until) {
+		return { since: toIsoDate(since, "since"), until: toIsoDate(until, "until"), source: "requested dates" };
+	}
+	const created = tasks.map(t => Date.parse(t.fields?.created)).filter(Number.isFinite);
+	const oldestTask = created.length ? Math.min(...created) : null;
+	if (sprintId) {
+		const sprint = await jiraAuth.get(`/rest/agile/1.0/sprint/${sprintId}`);
+		// Work on a sprint task can start before the sprint does (carried over, picked up early)
+		const start = [Date.parse(sprint.startDate), oldestTask].filter(Number.isFinite);
+		return {
+			since: start.length ? new Date(Math.min(...start)).toISOString() : null,
+			until: sprint.completeDate || null,
+			source: `sprint ${sprint.name || sprintId}`,
+		};
+	}
+	return {
+		since: oldestTask !== null ? new Date(oldestTask).toISOString() : null,
+		until: null,
+		source: "oldest task",
+	};
+}
+
+/**
+ * Whether a task was created before the window ends and updated after it starts
+ */
+function touchedInWindow(task, { since, until }) {
+	const created = Date.parse(task.fields?.created);
+	const updated = Date.parse(task.fields?.updated);
+	if (since && Number.isFinite(updated) && updated < Date.parse(since)) return false;
+	if (until && Number.isFinite(created) && created > Date.parse(until)) return false;
+	return true;
+}
+
+function toIsoDate(value, name) {
+	if (!value) return null;
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) throw new ToolError(`${name} must be a date (e.g. 2025-03-01)`, 400);
+	return date.toISOString();
+}
+
+async function listBranchesDefaultFirst(repo) {
+	const names = [];
+	for await (const branch of githubAuth.iterateBranches(repo, { max: MAX_BRANCHES })) {
+		names.push(branch.name);
+	}
+	const defaultBranch = await githubAuth.getRepository(repo).then(r => r.default_branch).catch(() => null);
+	return defaultBranch && names.includes(defaultBranch)
+		? [defaultBranch, ...names.filter(n => n !== defaultBranch)]
+		: names;
+}
+
+/**
+ * Branches, commits and pull requests of one repository in the scan window, in the matcher's
+ * context shapes and tagged with the repository. A repository that cannot be read is reported
+ * in its scan summary instead of failing the whole check.
+ */
+async function scanRepository(repo, { window, maxCommits, progress, signal, withFiles }) {
+	const scan = { repo, commits: 0, pullRequests: 0, branches: 0, branchesScanned: 0, truncated: false };
+	const scoped = (update) => progress({ ...update, message: `${repo}: ${update.message}` });
+
+	let branches = [];
+	try {
+		branches = await listBranchesDefaultFirst(repo);
+	} catch (error) {
+		console.warn(`[Jira-GitHub Alignment] Could not fetch branches of ${repo}: ${error.message}`);
+		scan.error = error.message;
+	}
+
+	let commits = [];
+	try {
+		const scanned = await scanCommits(repo, { ...window, branches, maxCommits, progress: scoped, signal });
+		commits = scanned.commits.map(c => ({
+			sha: c.sha.substring(0, 7),
+			message: c.commit?.message || '',
+			date: c.commit?.author?.date,
+			url: c.html_url,
+			repo,
+		}));
+		scan.branchesScanned = scanned.branchesScanned;
+		scan.truncated = scanned.truncated;
+	} catch (error) {
+		if (signal?.aborted) throw error;
+		console.warn(`[Jira-GitHub Alignment] Could not fetch commits of ${repo}: ${error.message}`);
+		scan.error = scan.error || error.message;
+	}
+
+	const prs = [];
+	try {
+		for await (const pr of githubAuth.iteratePullRequests(repo, { since: window.since, max: MAX_PULL_REQUESTS })) {
+			signal?.throwIfAborted();
+			prs.push({
+				number: pr.number,
+				title: pr.title || '',
+				body: pr.body || '',
+				state: pr.state,
+				merged: !!pr.merged_at,
+				headRef: pr.head?.ref,
+				url: pr.html_url,
+				repo,
+			});
+		}
+		scoped({ message: `Found ${prs.length} pull request(s) updated since ${window.since || 'the start'}` });
+	} catch (error) {
+		if (signal?.aborted) throw error;
+		console.warn(`[Jira-GitHub Alignment] Could not fetch PRs of ${repo}: ${error.message}`);
+	}
+
+	if (withFiles) {
+		for (const commit of commits.slice(0, OWNERSHIP_COMMIT_LIMIT)) {
+			signal?.throwIfAborted();
+			try {
+				const details = await githubAuth.getCommit(repo, commit.sha);
+				commit.files = (details.files || []).map(f => f.filename);
+			} catch (error) {
+				console.warn(`[Jira-GitHub Alignment] Could not fetch files of ${repo}@${commit.sha}: ${error.message}`);
+			}
+		}
+	}
+
+	Object.assign(scan, { commits: commits.length, pullRequests: prs.length, branches: branches.length });
+	return { commits, prs, branches, scan };
+}
+
+/**
+ * Unique commits in the window across branches. Each branch is read to the end of the window:
+ * a commit already seen does not mean the rest is shared, since merging main into a feature
+ * branch puts main's commits above older branch-only ones.
+ */
+async function scanCommits(repo, { since, until, branches, maxCommits, progress, signal }) {
+	const commits = new Map();
+	let truncated = false;
+	let branchesScanned = 0;
+	// Without a branch list, fall back to the default branch
+	for (const branch of branches.length ? branches : [undefined]) {
+		for await (const commit of githubAuth.iterateCommits(repo, { branch, since, until })) {
+			signal?.throwIfAborted();
+			if (commits.has(commit.sha)) continue;
+			if (commits.size >= maxCommits) {
+				truncated = true;
+				break;
+			}
+			commits.set(commit.sha, commit);
+		}
+		branchesScanned++;
+		if (truncated) break;
+		if (branchesScanned === 1 || branchesScanned % 10 === 0 || branchesScanned === branches.length) {
+			progress({ message: `Scanned ${commits.size} commit(s) on ${branchesScanned}/${branches.length || 1} branch(es)`, progress: branchesScanned, total: branches.length || 1 });
+		}
+	}
+	return { commits: [...commits.values()], truncated, branchesScanned };
+}
+
+/**
+ * Machine-readable fixes for a misaligned task: a transition when the code shows the
+ * task has moved on, and a comment recording the evidence (or its absence)
+ */
+function suggestedActions({ key, status, targetStatus, warning, evidence, repositories, confidence }) {
+	const actions = [];
+	if (targetStatus) {
+		actions.push({ id: `${key}:transition`, type: "transition", key, fromStatus: status, toStatus: targetStatus });
+	}
+	actions.push({ id: `${key}:comment`, type: "comment", key, body: evidenceComment({ warning, evidence, repositories, confidence }) });
+	return actions;
+}
+
+function evidenceComment({ warning, evidence, repositories, confidence }) {
+	const lines = [`Jarvis alignment check against ${repositories.join(", ")}: ${warning} (evidence confidence ${Math.round(confidence * 100)}%).`];
+	// Name the repository of each item once more than one was checked
+	const from = (item) => repositories.length > 1 && item.repo ? `${item.repo} ` : "";
+	if (evidence.commits.length) {
+		lines.push("", "Commits:", ...evidence.commits.map(c => `${from(c)}${c.sha} ${c.message} ${c.url}`));
+	}
+	if (evidence.prs.length) {
+		lines.push("", "Pull requests:", ...evidence.prs.map(pr => `${from(pr)}#${pr.number} ${pr.title} (${pr.state}) ${pr.url}`));
+	}
+	if (evidence.branches.length) {
+		lines.push("", `Branches: ${evidence.branches.map(b => `${from(b)}${b.name}`).join(", ")}`);
+	}
+	return lines.join("\n");
+}
+
+/**
+ * Development-panel links that point at the checked repositories, in the matcher's PR/branch
+ * shapes and tagged with their repository
+ */
+function devPanelForRepos(info, repositories) {
+	const repoOf = (item) => repositories.find(repo => item.repositoryName === repo
+		|| item.repository?.name === repo
+		|| String(item.url || "").includes(`/${repo}/`));
+	return {
+		pullRequests: info.pullRequests.filter(repoOf).map(pr => ({
+			number: Number(String(pr.id || "").replace(/^#/, "")) || undefined,
+			title: pr.name || "",
+			state: pr.status === "OPEN" ? "open" : "closed",
+			merged: pr.status === "MERGED",
+			headRef: pr.source?.branch,
+			url: pr.url,
+			repo: repoOf(pr),
+		})),
+		branches: info.branches.filter(repoOf).map(b => ({ name: b.name, url: b.url, repo: repoOf(b) })),
+	};
+}
+
+function actionError(action, i) {
+	if (!action || typeof action !== "object") return `actions[${i}] must be an object`;
+	if (!ISSUE_KEY_PATTERN.test(String(action.key))) return `actions[${i}].key must be a Jira issue key`;
+	if (action.type === "transition") {
+		return typeof action.toStatus === "string" && action.toStatus ? null : `actions[${i}].toStatus is required`;
+	}
+	if (action.type === "comment") {
+		return typeof action.body === "string" && action.body.trim() ? null : `actions[${i}].body is required`;
+	}
+	return `actions[${i}].type must be "transition" or "comment"`;
+}
+
+async function applyAction(action, dryRun) {
+	const { id = `${action.key}:${action.type}`, type, key } = action;
+	const result = { id, type, key, url: jiraAuth.browseUrl(key) };
+	try {
+		if (type === "transition") {
+			// Resolving the transition is read-only, so a dry run still catches statuses the workflow cannot reach
+			const transition = dryRun
+				? await jiraAuth.findTransition(key, action.toStatus)
+				: await jiraAuth.transitionIssue(key, action.toStatus);
+			return { ...result, ok: true, fromStatus: action.fromStatus || null, toStatus: transition.status, transition: transition.name };
+		}
+		if (dryRun) return { ...result, ok: true, body: action.body };
+		const comment = await jiraAuth.addComment(key, action.body);
+		return { ...result, ok: true, body: action.body, commentId: comment.id };
+	} catch (e) {
+		return { ...result, ok: false, error: e.message };
+	}
+}
+
+module.exports = {
+	name: "alignment",
+	dependsOn: ["jira", "github"],
+	register,
+	health: () => ({ configured: jiraAuth.isAuthenticated() && githubAuth.isAuthenticated() }),
+};
@@ -0,0 +1,79 @@
+/**
+ * Calendar plugin
+ * Google Calendar event tools (Google OAuth, billed quota)
+ */
+
+const { google } = require("googleapis");
+const googleAuth = require("../googleAuthService.cjs");
+
+async function calendarClient() {
+	await googleAuth.ensureValidTokens();
+	return google.calendar({ version: 'v3', auth: googleAuth.getClient() });
+}
+
+function register({ tools }) {
+	tools.defineService("calendar", {
+		available: () => googleAuth.isAuthenticated(),
+		unavailable: { status: 401, error: "Not authenticated", message: "Please login to use Calendar features" },
+	});
+
+	tools.register({
+		name: "calendar_today",
+		title: "Calendar: Today's events",
+		service: "calendar",
+		operation: "list",
+		path: "/mcp/tools/calendar/today",
+		handler: async () => {
+			const calendar = await calendarClient();
+			const now = new Date();
+			const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+			const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+			const response = await calendar.events.list({
+				calendarId: 'primary',
+				timeMin: startOfDay.toISOString(),
+				timeMax: endOfDay.toISOString(),
+				singleEvents: true,
+				orderBy: 'startTime'
+			});
+			return {
+				events: response.data.items || [],
+				date: startOfDay.toISOString().split('T')[0]
+			};
+		},
+	});
+
+	tools.register({
+		name: "calendar_upcoming",
+		title: "Calendar: Upcoming events",
+		service: "calendar",
+		operation: "list",
+		path: "/mcp/tools/calendar/upcoming",
+		inputSchema: {
+			type: "object",
+			properties: { days: { type: "number" } },
+		},
+		handler: async ({ days = 7 }) => {
+			const calendar = await calendarClient();
+			const now = new Date();
+			const future = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+			const response = await calendar.events.list({
+				calendarId: 'primary',
+				timeMin: now.toISOString(),
+				timeMax: future.toISOString(),
+				singleEvents: true,
+				orderBy: 'startTime',
+				maxResults: 50
+			});
+			return {
+				events: response.data.items || [],
+				days: days
+			};
+		},
+	});
+}
+
+module.exports = {
+	name: "calendar",
+	register,
+	health: () => ({ configured: googleAuth.isAuthenticated() }),
+};
@@ -0,0 +1,321 @@
+/**
+ * GitHub plugin
+ * Repository, commit, pull request, issue and code search tools
+ */
+
+const githubAuth = require("../githubAuthService.cjs");
+
+/**
+ * Intelligent Commit Verification
+ * Analyzes commit message claims against actual code changes
+ */
+function analyzeCommitAlignment(commitMessage, files) {
+	const message = (commitMessage || "").toLowerCase();
+	let claimsFound = 0;
+	let claimsVerified = 0;
+	const evidence = [];
+	const missing = [];
+
+	// Claims commonly made in this project's commit messages and the files that back them
+	const claims = [
+		{ pattern: /github.*auth.*service|githubauth/i, files: ['githubAuthService', 'githubauth'], desc: 'GitHub Auth Service' },
+		{ pattern: /index\.cjs.*endpoint|7.*endpoint|mcp.*tool.*endpoint/i, files: ['index.cjs'], desc: 'MCP endpoints' },
+		{ pattern: /billing.*service|billing.*protection/i, files: ['billingService'], desc: 'Billing Service updates' },
+		{ pattern: /chatstore|pattern.*matching|natural.*language/i, files: ['chatStore'], desc: 'chatStore changes' },
+		{ pattern: /rightpanel|ui.*separat|visual.*separat/i, files: ['RightPanel'], desc: 'UI enhancements in RightPanel' },
+		{ pattern: /github.*setup|setup.*guide/i, files: ['GITHUB_SETUP.md', 'github_setup'], desc: 'Setup guide' },
+		{ pattern: /readme.*updat|readme/i, files: ['README.md', 'readme'], desc: 'README updates' },
+		{ pattern: /octokit|@octokit\/rest/i, files: ['package.json', 'package-lock'], desc: 'Octokit dependency' },
+		{ pattern: /commit.*verif|verify.*commit/i, files: ['chatStore', 'index.cjs'], desc: 'Commit verification feature' },
+	];
+
+	claims.forEach(claim => {
+		if (!claim.pattern.test(message)) return;
+		claimsFound++;
+		const matchingFiles = files.filter(f =>
+			claim.files.some(cf => f.filename.toLowerCase().includes(cf.toLowerCase()))
+		);
+		if (matchingFiles.length > 0) {
+			claimsVerified++;
+			matchingFiles.forEach(f => evidence.push({ claim: claim.desc, filename: f.filename, additions: f.additions, deletions: f.deletions }));
+		} else {
+			missing.push(claim.desc);
+		}
+	});
+
+	// Scope: big changes should be described as such, small ones should not
+	const totalLines = files.reduce((sum, f) => sum + (f.additions || 0) + (f.deletions || 0), 0);
+	const isMajorFeature = totalLines > 500;
+	const claimsMajor = /comprehensive|major|full/i.test(message);
+	const scopeMatch = isMajorFeature === claimsMajor;
+
+	const verificationRate = claimsFound > 0 ? (claimsVerified / claimsFound) : 0;
+	const score = Math.min(10, Math.round(verificationRate * 8 + (scopeMatch ? 2 : 0)));
+	const conclusion = score >= 9
+		? 'Excellent alignment! Commit message accurately describes all code changes.'
+		: score >= 7
+		? 'Good alignment. Commit message generally matches the code changes.'
+		: score >= 5
+		? 'Moderate alignment. Some claims verified, but gaps exist.'
+		: 'Poor alignment. Significant discrepancies between message and code.';
+
+	return { score, claimsFound, claimsVerified, evidence, unverifiedClaims: missing, scopeMatch, conclusion };
+}
+
+function register({ tools }) {
+	tools.defineService("github", {
+		available: () => githubAuth.isAuthenticated(),
+		unavailable: { status: 401, error: "Not authenticated", message: "GitHub token not configured. Set GITHUB_TOKEN in .env" },
+	});
+
+	tools.register({
+		name: "github_list_repos",
+		title: "GitHub: List repositories",
+		service: "github",
+		operation: "list",
+		path: "/mcp/tools/github/repos",
+		inputSchema: {
+			type: "object",
+			properties: {
+				type: { type: "string" },
+				sort: { type: "string" }
+			},
+		},
+		handler: async ({ type = 'all', sort = 'updated' }) => {
+			const repos = await githubAuth.listRepositories({ type, sort });
+			return {
+				repositories: repos.map(r => ({
+					name: r.name,
+					full_name: r.full_name,
+					description: r.description,
+					language: r.language,
+					stars: r.stargazers_count,
+					forks: r.forks_count,
+					updated_at: r.updated_at,
+					url: r.html_url,
+					private: r.private
+				})),
+				total: repos.length
+			};
+		},
+	});
+
+	tools.register({
+		name: "github_repo_details",
+		title: "GitHub: Get repository details",
+		service: "github",
+		operation: "get",
+		path: "/mcp/tools/github/repo-details",
+		inputSchema: {
+			type: "object",
+			properties: {
+				repo: { type: "string" }
+			},
+			required: ["repo"],
+		},
+		handler: async ({ repo: repoName }) => {
+			const repo = await githubAuth.getRepository(repoName);
+			return {
+				repository: {
+					name: repo.name,
+					full_name: repo.full_name,
+					description: repo.description,
+					language: repo.language,
+					stars: repo.stargazers_count,
+					forks: repo.forks_count,
+					watchers: repo.watchers_count,
+					open_issues: repo.open_issues_count,
+					created_at: repo.created_at,
+					updated_at: repo.updated_at,
+					pushed_at: repo.pushed_at,
+					size: repo.size,
+					default_branch: repo.default_branch,
+					url: repo.html_url,
+					homepage: repo.homepage,
+					topics: repo.topics,
+					license: repo.license?.name
+				}
+			};
+		},
+	});
+
+	tools.register({
+		name: "github_commits",
+		title: "GitHub: List commits in repository",
+		service: "github",
+		operation: "list",
+		path: "/mcp/tools/github/commits",
+		inputSchema: {
+			type: "object",
+			properties: {
+				repo: { type: "string" },
+				branch: { type: "string" },
+				limit: { type: "number" }
+			},
+			required: ["repo"],
+		},
+		handler: async ({ repo: repoName, branch, limit = 30 }) => {
+			const commits = await githubAuth.listCommits(repoName, { perPage: limit, branch });
+			return {
+				repository: repoName,
+				commits: commits.map(c => ({
+					sha: c.sha.substring(0, 7),
+					full_sha: c.sha,
+					message: c.commit.message,
+					author: c.commit.author.name,
+					date: c.commit.author.date,
+					url: c.html_url
+				})),
+				total: commits.length
+			};
+		},
+	});
+
+	tools.register({
+		name: "github_commit_details",
+		title: "GitHub: Get commit details",
+		service: "github",
+		operation: "get",
+		path: "/mcp/tools/github/commit-details",
+		inputSchema: {
+			type: "object",
+			properties: {
+				repo: { type: "string" },
+				sha: { type: "string" }
+			},
+			required: ["repo", "sha"],
+		},
+		handler: async ({ repo, sha }) => {
+			const commit = await githubAuth.getCommit(repo, sha);
+			return {
+				commit: {
+					sha: commit.sha.substring(0, 7),
+					full_sha: commit.sha,
+					message: commit.commit.message,
+					author: {
+						name: commit.commit.author.name,
+						email: commit.commit.author.email,
+						date: commit.commit.author.date
+					},
+					committer: {
+						name: commit.commit.committer.name,
+						date: commit.commit.committer.date
+					},
+					stats: commit.stats,
+					files: commit.files?.map(f => ({
+						filename: f.filename,
+						status: f.status,
+						additions: f.additions,
+						deletions: f.deletions,
+						changes: f.changes,
+						patch: f.patch // Include the actual code diff
+					})),
+					url: commit.html_url
+				},
+				verification: analyzeCommitAlignment(commit.commit.message, commit.files || [])
+			};
+		},
+	});
+
+	tools.register({
+		name: "github_search_code",
+		title: "GitHub: Search code across repositories",
+		service: "github",
+		operation: "search",
+		path: "/mcp/tools/github/search-code",
+		inputSchema: {
+			type: "object",
+			properties: {
+				query: { type: "string" },
+				limit: { type: "number" }
+			},
+			required: ["query"],
+		},
+		handler: async ({ query, limit = 20 }) => {
+			const result = await githubAuth.searchCode(query, { perPage: limit });
+			return {
+				items: result.items.map(item => ({
+					name: item.name,
+					path: item.path,
+					repository: item.repository.name,
+					url: item.html_url,
+					score: item.score
+				})),
+				total: result.total_count
+			};
+		},
+	});
+
+	tools.register({
+		name: "github_pull_requests",
+		title: "GitHub: List pull requests",
+		service: "github",
+		operation: "list",
+		path: "/mcp/tools/github/pull-requests",
+		inputSchema: {
+			type: "object",
+			properties: {
+				repo: { type: "string" },
+				state: { type: "string" }
+			},
+			required: ["repo"],
+		},
+		handler: async ({ repo: repoName, state = 'open' }) => {
+			const prs = await githubAuth.listPullRequests(repoName, { state });
+			return {
+				repository: repoName,
+				pull_requests: prs.map(pr => ({
+					number: pr.number,
+					title: pr.title,
+					state: pr.state,
+					author: pr.user.login,
+					created_at: pr.created_at,
+					updated_at: pr.updated_at,
+					url: pr.html_url
+				})),
+				total: prs.length
+			};
+		},
+	});
+
+	tools.register({
+		name: "github_issues",
+		title: "GitHub: List issues",
+		service: "github",
+		operation: "list",
+		path: "/mcp/tools/github/issues",
+		inputSchema: {
+			type: "object",
+			properties: {
+				repo: { type: "string" },
+				state: { type: "string" }
+			},
+			required: ["repo"],
+		},
+		handler: async ({ repo: repoName, state = 'open' }) => {
+			const issues = await githubAuth.listIssues(repoName, { state });
+			// Filter out pull requests (GitHub treats PRs as issues)
+			const actualIssues = issues.filter(issue => !issue.pull_request);
+			return {
+				repository: repoName,
+				issues: actualIssues.map(issue => ({
+					number: issue.number,
+					title: issue.title,
+					state: issue.state,
+					author: issue.user.login,
+					labels: issue.labels.map(l => l.name),
+					created_at: issue.created_at,
+					updated_at: issue.updated_at,
+					url: issue.html_url
+				})),
+				total: actualIssues.length
+			};
+		},
+	});
+}
+
+module.exports = {
+	name: "github",
+	register,
+	health: () => ({ configured: githubAuth.isAuthenticated(), owner: githubAuth.owner }),
+};
@@ -0,0 +1,181 @@
+/**
+ * Gmail plugin
+ * Gmail search and inbox tools (Google OAuth, billed quota)
+ */
+
+const { google } = require("googleapis");
+const googleAuth = require("../googleAuthService.cjs");
+
+async function gmailClient() {
+	await googleAuth.ensureValidTokens();
+	return google.gmail({ version: 'v1', auth: googleAuth.getClient() });
+}
+
+// Sender/subject/date headers for a list of message ids
+function gmailMetadata(gmail, messages) {
+	return Promise.all(messages.map(async (msg) => {
+		const details = await gmail.users.messages.get({
+			userId: 'me',
+			id: msg.id,
+			format: 'metadata',
+			metadataHeaders: ['From', 'Subject', 'Date']
+		});
+		return details.data;
+	}));
+}
+
+function register({ tools }) {
+	tools.defineService("gmail", {
+		available: () => googleAuth.isAuthenticated(),
+		unavailable: { status: 401, error: "Not authenticated", message: "Please login to use Gmail features" },
+	});
+
+	tools.register({
+		name: "gmail_search",
+		title: "Gmail: Search emails",
+		service: "gmail",
+		operation: "search",
+		path: "/mcp/tools/gmail/search",
+		inputSchema: {
+			type: "object",
+			properties: {
+				query: { type: "string" },
+				maxResults: { type: "number" }
+			},
+			required: ["query"],
+		},
+		handler: async ({ query, maxResults = 20 }, { check }) => {
+			const gmail = await gmailClient();
+			const response = await gmail.users.messages.list({
+				userId: 'me',
+				q: query,
+				maxResults
+			});
+			const messages = response.data.messages || [];
+			return {
+				messages: await gmailMetadata(gmail, messages.slice(0, 10)),
+				total: response.data.resultSizeEstimate || 0,
+				usage: check.usage
+			};
+		},
+	});
+
+	tools.register({
+		name: "gmail_count_from",
+		title: "Gmail: Count emails from sender",
+		service: "gmail",
+		operation: "search",
+		path: "/mcp/tools/gmail/count-from",
+		inputSchema: {
+			type: "object",
+			properties: { sender: { type: "string" } },
+			required: ["sender"],
+		},
+		handler: async ({ sender }) => {
+			const gmail = await gmailClient();
+			const response = await gmail.users.messages.list({
+				userId: 'me',
+				q: `from:${sender}`
+			});
+			return {
+				count: response.data.resultSizeEstimate || 0,
+				sender: sender
+			};
+		},
+	});
+
+	tools.register({
+		name: "gmail_latest_from",
+		title: "Gmail: Get latest email from sender",
+		service: "gmail",
+		operation: "search",
+		path: "/mcp/tools/gmail/latest-from",
+		inputSchema: {
+			type: "object",
+			properties: { sender: { type: "string" } },
+			required: ["sender"],
+		},
+		handler: async ({ sender }) => {
+			const gmail = await gmailClient();
+			const response = await gmail.users.messages.list({
+				userId: 'me',
+				q: `from:${sender}`,
+				maxResults: 1
+			});
+			if (!response.data.messages || response.data.messages.length === 0) {
+				return {
+					found: false,
+					message: `No emails found from ${sender}`
+				};
+			}
+			const details = await gmail.users.messages.get({
+				userId: 'me',
+				id: response.data.messages[0].id,
+				format: 'full'
+			});
+			return {
+				found: true,
+				message: details.data,
+				sender: sender
+			};
+		},
+	});
+
+	tools.register({
+		name: "gmail_unread",
+		title: "Gmail: List unread emails",
+		service: "gmail",
+		operation: "list",
+		path: "/mcp/tools/gmail/unread",
+		inputSchema: {
+			type: "object",
+			properties: { maxResults: { type: "number" } },
+		},
+		handler: async ({ maxResults = 20 }) => {
+			const gmail = await gmailClient();
+			const response = await gmail.users.messages.list({
+				userId: 'me',
+				q: 'is:unread',
+				maxResults
+			});
+			const messages = response.data.messages || [];
+			return {
+				messages: await gmailMetadata(gmail, messages.slice(0, 10)),
+				total: response.data.resultSizeEstimate || 0
+			};
+		},
+	});
+
+	tools.register({
+		name: "gmail_important_today",
+		title: "Gmail: Get important emails today",
+		service: "gmail",
+		operation: "search",
+		path: "/mcp/tools/gmail/important-today",
+		inputSchema: {
+			type: "object",
+			properties: { maxResults: { type: "number" } },
+		},
+		handler: async ({ maxResults = 20 }) => {
+			const gmail = await gmailClient();
+			const today = new Date().toISOString().split('T')[0].replace(/-/g, '/');
+			const response = await gmail.users.messages.list({
+				userId: 'me',
+				q: `is:important after:${today}`,
+				maxResults
+			});
+			const messages = response.data.messages || [];
+			return {
+				messages: await gmailMetadata(gmail, messages),
+				total: messages.length,
+				date: today
+			};
+		},
+	});
+}
+
+module.exports = {
+	name: "gmail",
+	register,
+	health: () => ({ configured: googleAuth.isAuthenticated() }),
+};
@@ -0,0 +1,402 @@
+/**
+ * Jira plugin
+ * Jira Cloud tools: projects, issues, boards and sprints, plus issue writes
+ * (create, transition, comment, assign, labels/story points)
+ */
+
+const jiraAuth = require("../jiraAuthService.cjs");
+const { ToolError } = require("../toolRegistry.cjs");
+
+// Fields returned by the issue list/search tools
+const JIRA_LIST_FIELDS = ["summary","status","assignee","labels","duedate","parent"].join(",");
+// Write tools change Jira; the chat asks the user before running anything not marked read-only
+const JIRA_WRITE = { readOnlyHint: false, destructiveHint: false };
+// Field names Jira Cloud uses for story points (company-managed / team-managed projects)
+const STORY_POINTS_FIELD_NAMES = ["story points", "story point estimate"];
+
+function register({ tools }) {
+	tools.defineService("jira", {
+		available: () => jiraAuth.isAuthenticated(),
+		unavailable: { status: 400, error: "Jira is not configured." },
+	});
+
+	tools.register({
+		name: "jira_list_projects",
+		title: "Jira: List projects",
+		service: "jira",
+		operation: "list",
+		method: "GET",
+		path: "/mcp/tools/jira/projects",
+		handler: async () => {
+			const data = await jiraAuth.get("/rest/api/3/project/search");
+			return { projects: data?.values || [] };
+		},
+	});
+
+	tools.register({
+		name: "jira_get_issue",
+		title: "Jira: Get issue by key",
+		service: "jira",
+		operation: "get",
+		path: "/mcp/tools/jira/issue",
+		inputSchema: {
+			type: "object",
+			properties: { key: { type: "string" } },
+			required: ["key"],
+		},
+		handler: async ({ key }) => {
+			const issue = await jiraAuth.get(`/rest/api/3/issue/${encodeURIComponent(key)}?expand=renderedFields`);
+			return { issue };
+		},
+	});
+
+	tools.register({
+		name: "jira_search",
+		title: "Jira: Search issues (JQL)",
+		service: "jira",
+		operation: "search",
+		path: "/mcp/tools/jira/search",
+		inputSchema: {
+			type: "object",
+			properties: {
+				jql: { type: "string" },
+				maxResults: { type: "number" },
+			},
+			required: ["jql"],
+		},
+		handler: async ({ jql, maxResults = 25 }) => {
+			// Use v2 API with GET (more stable and widely supported)
+			const params = new URLSearchParams({ jql, maxResults: String(maxResults), fields: JIRA_LIST_FIELDS });
+			const data = await jiraAuth.get(`/rest/api/2/search?${params.toString()}`);
+			return { issues: data?.issues || [], total: data?.total || 0 };
+		},
+	});
+
+	tools.register({
+		name: "jira_list_issues",
+		title: "Jira: List issues in a project/space",
+		service: "jira",
+		operation: "search",
+		path: "/mcp/tools/jira/listIssues",
+		inputSchema: {
+			type: "object",
+			properties: {
+				projectKey: { type: "string" },
+				jql: { type: "string" },
+				maxResults: { type: "number" },
+			},
+		},
+		handler: async ({ projectKey, jql, maxResults = 25 }) => {
+			if (!jql) {
+				if (!projectKey) throw new ToolError("projectKey or jql is required", 400);
+				jql = `project=${projectKey} ORDER BY created DESC`;
+			}
+			const params = new URLSearchParams({ jql, maxResults: String(maxResults), fields: JIRA_LIST_FIELDS });
+			const data = await jiraAuth.get(`/rest/api/2/search?${params.toString()}`);
+			return { issues: data?.issues || [], total: data?.total || 0 };
+		},
+	});
+
+	tools.register({
+		name: "jira_issue_status",
+		title: "Jira: Get issue status",
+		service: "jira",
+		operation: "get",
+		path: "/mcp/tools/jira/issueStatus",
+		inputSchema: {
+			type: "object",
+			properties: { key: { type: "string" } },
+			required: ["key"],
+		},
+		handler: async ({ key }) => {
+			const data = await jiraAuth.get(`/rest/api/3/issue/${encodeURIComponent(key)}?fields=status`);
+			return { key, status: data?.fields?.status || null };
+		},
+	});
+
+	tools.register({
+		name: "jira_sprints",
+		title: "Jira: List sprints for a board",
+		service: "jira",
+		operation: "list",
+		path: "/mcp/tools/jira/sprints",
+		inputSchema: {
+			type: "object",
+			properties: {
+				boardId: { type: "number" },
+				state: { type: "string" }, // active, future, closed
+				maxResults: { type: "number" },
+			},
+			required: ["boardId"],
+		},
+		handler: async ({ boardId, state, maxResults = 50 }) => {
+			const params = new URLSearchParams();
+			if (state) params.set("state", state);
+			if (maxResults) params.set("maxResults", String(maxResults));
+			const data = await jiraAuth.get(`/rest/agile/1.0/board/${boardId}/sprint?${params.toString()}`);
+			return { sprints: data?.values || [], total: data?.total || 0 };
+		},
+	});
+
+	tools.register({
+		name: "jira_issue_details",
+		title: "Jira: Get issue details (comments, parent, due date, labels, story points, sprint, team)",
+		service: "jira",
+		operation: "get",
+		path: "/mcp/tools/jira/issueDetails",
+		inputSchema: {
+			type: "object",
+			properties: { key: { type: "string" } },
+			required: ["key"],
+		},
+		handler: async ({ key }) => {
+			const fields = [
+				"summary","status","assignee","duedate","labels","components","parent","comment",
+				"customfield_10016", // story points (common)
+				"customfield_10020", // sprint (common)
+			].join(",");
+			const data = await jiraAuth.get(`/rest/api/3/issue/${encodeURIComponent(key)}?fields=${encodeURIComponent(fields)}&expand=renderedFields`);
+			const f = data?.fields || {};
+			const details = {
+				key,
+				summary: f.summary || null,
+				status: f.status || null,
+				assignee: f.assignee || null,
+				dueDate: f.duedate || null,
+				labels: f.labels || [],
+				components: f.components || [],
+				parent: f.parent || null,
+				comments: f.comment?.comments || [],
+				storyPoints: f.customfield_10016 ?? null,
+				rawSprintField: f.customfield_10020 ?? null,
+				teamCandidates: f.components || [],
+			};
+			return { details };
+		},
+	});
+
+	tools.register({
+		name: "jira_boards_for_project",
+		title: "Jira: List boards in a project/space",
+		service: "jira",
+		operation: "list",
+		path: "/mcp/tools/jira/boardsByProject",
+		inputSchema: {
+			type: "object",
+			properties: { projectKey: { type: "string" }, maxResults: { type: "number" } },
+			required: ["projectKey"],
+		},
+		handler: async ({ projectKey, maxResults = 50 }) => {
+			const params = new URLSearchParams({ projectKeyOrId: projectKey, maxResults: String(maxResults) });
+			const data = await jiraAuth.get(`/rest/agile/1.0/board?${params.toString()}`);
+			return { boards: data?.values || [], total: data?.total || 0 };
+		},
+	});
+
+	tools.register({
+		name: "jira_issues_in_sprint",
+		title: "Jira: List tasks/issues in a sprint",
+		service: "jira",
+		operation: "search",
+		path: "/mcp/tools/jira/issuesInSprint",
+		inputSchema: {
+			type: "object",
+			properties: { sprintId: { type: "number" }, maxResults: { type: "number" } },
+			required: ["sprintId"],
+		},
+		handler: async ({ sprintId, maxResults = 50 }) => {
+			const params = new URLSearchParams({
+				jql: `sprint=${sprintId} ORDER BY created DESC`,
+				maxResults: String(maxResults),
+				fields: JIRA_LIST_FIELDS,
+			});
+			const data = await jiraAuth.get(`/rest/api/3/search?${params.toString()}`);
+			return { issues: data?.issues || [], total: data?.total || 0 };
+		},
+	});
+
+	tools.register({
+		name: "jira_board_issues",
+		title: "Jira: List all issues in a board",
+		service: "jira",
+		operation: "list",
+		path: "/mcp/tools/jira/boardIssues",
+		inputSchema: {
+			type: "object",
+			properties: { boardId: { type: "number" }, maxResults: { type: "number" } },
+			required: ["boardId"],
+		},
+		handler: async ({ boardId, maxResults = 100 }) => {
+			// Agile API returns every issue on the board, backlog included
+			const params = new URLSearchParams({ maxResults: String(maxResults) });
+			const data = await jiraAuth.get(`/rest/agile/1.0/board/${boardId}/issue?${params.toString()}`);
+			return { issues: data?.issues || [], total: data?.total || 0 };
+		},
+	});
+
+	tools.register({
+		name: "jira_create_issue",
+		title: "Jira: Create an issue",
+		description: "Create a Jira issue. assignee is a name, email or account id; description is plain text.",
+		service: "jira",
+		operation: "create",
+		path: "/mcp/tools/jira/createIssue",
+		annotations: JIRA_WRITE,
+		inputSchema: {
+			type: "object",
+			properties: {
+				projectKey: { type: "string" },
+				summary: { type: "string" },
+				issueType: { type: "string" }, // Task, Bug, Story, ...
+				description: { type: "string" },
+				assignee: { type: "string" },
+				labels: { type: "array", items: { type: "string" } },
+				storyPoints: { type: "number" },
+			},
+			required: ["projectKey", "summary"],
+		},
+		handler: async ({ projectKey, summary, issueType = "Task", description, assignee, labels, storyPoints }) => {
+			const fields = {
+				project: { key: projectKey },
+				summary,
+				issuetype: { name: issueType },
+			};
+			if (description) fields.description = jiraAuth.toAdf(description);
+			if (labels) fields.labels = labels.map(toLabel);
+			if (assignee) fields.assignee = { accountId: await resolveAssignee(assignee, { project: projectKey }) };
+			if (storyPoints !== undefined) fields[await storyPointsField()] = storyPoints;
+			const created = await jiraAuth.post("/rest/api/3/issue", { fields });
+			return { key: created.key, id: created.id, url: jiraAuth.browseUrl(created.key) };
+		},
+	});
+
+	tools.register({
+		name: "jira_transition_issue",
+		title: "Jira: Move an issue to another status",
+		description: "Transition an issue by workflow name: status is the target status or transition name, e.g. \"Done\" or \"In Progress\".",
+		service: "jira",
+		operation: "update",
+		path: "/mcp/tools/jira/transitionIssue",
+		annotations: JIRA_WRITE,
+		inputSchema: {
+			type: "object",
+			properties: { key: { type: "string" }, status: { type: "string" } },
+			required: ["key", "status"],
+		},
+		handler: async ({ key, status }) => {
+			const transition = await jiraAuth.transitionIssue(key, status);
+			return { key, transition: transition.name, status: transition.status, url: jiraAuth.browseUrl(key) };
+		},
+	});
+
+	tools.register({
+		name: "jira_add_comment",
+		title: "Jira: Comment on an issue",
+		description: "Add a plain-text comment to an issue; blank lines separate paragraphs.",
+		service: "jira",
+		operation: "update",
+		path: "/mcp/tools/jira/addComment",
+		annotations: JIRA_WRITE,
+		inputSchema: {
+			type: "object",
+			properties: { key: { type: "string" }, body: { type: "string" } },
+			required: ["key", "body"],
+		},
+		handler: async ({ key, body }) => {
+			const comment = await jiraAuth.addComment(key, body);
+			return { key, commentId: comment.id, url: `${jiraAuth.browseUrl(key)}?focusedCommentId=${comment.id}` };
+		},
+	});
+
+	tools.register({
+		name: "jira_assign_issue",
+		title: "Jira: Assign an issue",
+		description: "Assign an issue to a user by name, email or account id; \"unassigned\" clears the assignee.",
+		service: "jira",
+		operation: "update",
+		path: "/mcp/tools/jira/assignIssue",
+		annotations: JIRA_WRITE,
+		inputSchema: {
+			type: "object",
+			properties: { key: { type: "string" }, assignee: { type: "string" } },
+			required: ["key", "assignee"],
+		},
+		handler: async ({ key, assignee }) => {
+			const accountId = /^(unassigned|none)$/i.test(assignee) ? null : await resolveAssignee(assignee, { issueKey: key });
+			await jiraAuth.put(`/rest/api/3/issue/${encodeURIComponent(key)}/assignee`, { accountId });
+			return { key, accountId, url: jiraAuth.browseUrl(key) };
+		},
+	});
+
+	tools.register({
+		name: "jira_update_fields",
+		title: "Jira: Set labels and story points",
+		description: "Update an issue's labels (replaces the whole list) and/or story points.",
+		service: "jira",
+		operation: "update",
+		path: "/mcp/tools/jira/updateFields",
+		annotations: JIRA_WRITE,
+		inputSchema: {
+			type: "object",
+			properties: {
+				key: { type: "string" },
+				labels: { type: "array", items: { type: "string" } },
+				storyPoints: { type: "number" },
+			},
+			required: ["key"],
+		},
+		handler: async ({ key, labels, storyPoints }) => {
+			const fields = {};
+			if (labels) fields.labels = labels.map(toLabel);
+			if (storyPoints !== undefined) fields[await storyPointsField()] = storyPoints;
+			if (!Object.keys(fields).length) throw new ToolError("labels or storyPoints is required", 400);
+			await jiraAuth.put(`/rest/api/3/issue/${encodeURIComponent(key)}`, { fields });
+			return { key, updated: Object.keys(fields), url: jiraAuth.browseUrl(key) };
+		},
+	});
+}
+
+// Jira labels cannot contain spaces
+function toLabel(label) {
+	return label.replace(/\s+/g, "-");
+}
+
+/**
+ * Account id of the assignable user matching a name, email or account id
+ * @param {string} query
+ * @param {{ issueKey?: string, project?: string }} scope
+ */
+async function resolveAssignee(query, scope) {
+	const params = new URLSearchParams({ query, maxResults: "20", ...scope });
+	const users = await jiraAuth.get(`/rest/api/3/user/assignable/search?${params.toString()}`);
+	const list = Array.isArray(users) ? users : [];
+	const wanted = query.toLowerCase();
+	const exact = list.find(u => u.accountId === query
+		|| u.emailAddress?.toLowerCase() === wanted
+		|| u.displayName?.toLowerCase() === wanted);
+	if (exact) return exact.accountId;
+	if (list.length === 1) return list[0].accountId;
+	if (!list.length) throw new ToolError(`No assignable Jira user matches "${query}"`, 404);
+	const candidates = list.map(u => u.displayName);
+	throw new ToolError(`"${query}" matches several users: ${candidates.join(", ")}`, 400, { candidates });
+}
+
+let storyPointsFieldId = null;
+
+/**
+ * Story points are a custom field whose id differs per site; look it up once
+ */
+async function storyPointsField() {
+	if (storyPointsFieldId) return storyPointsFieldId;
+	const fields = await jiraAuth.get("/rest/api/3/field");
+	const match = (Array.isArray(fields) ? fields : [])
+		.find(f => STORY_POINTS_FIELD_NAMES.includes(String(f.name).toLowerCase()));
+	storyPointsFieldId = match?.id || "customfield_10016";
+	return storyPointsFieldId;
+}
+
+module.exports = {
+	name: "jira",
+	register,
+	health: () => ({ configured: jiraAuth.isAuthenticated(), baseUrl: jiraAuth.baseUrl || null }),
+};
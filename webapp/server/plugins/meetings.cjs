@@ -0,0 +1,657 @@
+/**
+ * Meetings plugin
+ * Meeting recording, Whisper transcription, speaker diarization and analysis: MCP tools plus
+ * the /api/meetings endpoints
+ */
+
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+const recordingService = require("../recordingService.cjs");
+const whisperService = require("../whisperService.cjs");
+const diarization = require("../diarizationService.cjs");
+const meetingAnalysis = require("../meetingAnalysisService.cjs");
+const { jobQueue } = require("../jobQueueService.cjs");
+
+// Ensure temp directory exists
+const tempDir = path.join(__dirname, "..", "recordings", "temp");
+if (!fs.existsSync(tempDir)) {
+	fs.mkdirSync(tempDir, { recursive: true });
+}
+
+// Configure multer for audio file uploads
+const upload = multer({
+	dest: tempDir,
+	limits: {
+		fileSize: 500 * 1024 * 1024 // 500MB max
+	},
+	fileFilter: (req, file, cb) => {
+		// Accept audio files
+		const allowedMimes = [
+			"audio/webm",
+			"audio/mp3",
+			"audio/wav",
+			"audio/m4a",
+			"audio/ogg",
+			"audio/x-m4a"
+		];
+		if (allowedMimes.includes(file.mimetype)) {
+			cb(null, true);
+		} else {
+			cb(new Error("Invalid file type. Only audio files are allowed."));
+		}
+	}
+});
+
+const MEETING_ID_SCHEMA = {
+	type: "object",
+	properties: {
+		meetingId: {
+			type: "string",
+			description: "Meeting ID (optional, defaults to latest)"
+		}
+	},
+};
+
+/**
+ * Transcript text for the meeting_transcript tool: "Name: ..." per speaker turn when diarized
+ */
+function transcriptText(transcript, meeting) {
+	const turns = diarization.speakerTurns(transcript, recordingService.getSpeakerNames(meeting));
+	if (turns.length) return turns.map(t => `${t.name}: ${t.text}`).join("\n");
+	return transcript.fullText || transcript.segments?.map(s => s.text).join(" ") || "";
+}
+
+/**
+ * Resolve a meeting (latest when no id is given) and its transcript.
+ * Returns { message } explaining why no transcript is available instead.
+ */
+function resolveMeetingTranscript(meetingId) {
+	if (!meetingId) {
+		const meetings = recordingService.getAllMeetings();
+		if (meetings.length === 0) return { message: "No meetings found." };
+		meetingId = meetings[0].id;
+	}
+	const meeting = recordingService.getMeeting(meetingId);
+	if (!meeting) return { message: `Meeting ${meetingId} not found.` };
+	if (meeting.status === "processing") {
+		return { message: `Transcription still in progress for meeting ${meetingId}. Please wait a few minutes and try again.` };
+	}
+	if (meeting.status === "error") {
+		const errorMsg = meeting.error ? ` Error: ${meeting.error}` : "";
+		return { message: `Transcription failed for meeting ${meetingId}.${errorMsg} Please check if Whisper is installed and configured correctly. See WHISPER_SETUP.md for instructions.` };
+	}
+	const transcript = recordingService.getTranscript(meetingId);
+	if (!transcript) {
+		return { message: `Transcript not found for meeting ${meetingId}. Status: ${meeting.status}. Transcription may have failed or is still in progress.` };
+	}
+	return { meetingId, meeting, transcript };
+}
+
+/**
+ * Transcribe a meeting's audio (the "transcription" job). Failures are recorded on the
+ * meeting and rethrown so the job fails too.
+ */
+async function transcribeMeeting(meetingId, { progress, signal } = {}) {
+	try {
+		console.log(`[Meeting] Starting transcription for meeting ${meetingId}...`);
+		
+		const meeting = recordingService.getMeeting(meetingId);
+		if (!meeting) {
+			throw new Error(`Meeting ${meetingId} not found`);
+		}
+		
+		// Check if Whisper is available
+		const whisperStatus = await whisperService.checkWhisperAvailable();
+		if (!whisperStatus.available) {
+			throw new Error(`Whisper not available. Python: ${whisperStatus.python}, Whisper: ${whisperStatus.whisper}. Please install Whisper: pip install openai-whisper`);
+		}
+		
+		// Get the actual audio path from meeting
+		const audioPath = recordingService.getAudioPath(meetingId);
+		if (!audioPath || !fs.existsSync(audioPath)) {
+			throw new Error(`Audio file not found for meeting ${meetingId}`);
+		}
+		
+		console.log(`[Meeting] Transcribing audio file: ${audioPath}`);
+		console.log(`[Meeting] Audio file exists: ${fs.existsSync(audioPath)}`);
+		if (fs.existsSync(audioPath)) {
+			const stats = fs.statSync(audioPath);
+			console.log(`[Meeting] Audio file size: ${stats.size} bytes`);
+		}
+		
+		// Transcribe using Whisper
+		let transcript = await whisperService.transcribeAudio(audioPath, undefined, { onProgress: progress, signal });
+		
+		// Optional: label segments with speakers. A failure keeps the transcript without them.
+		if (diarization.DIARIZATION_ENABLED) {
+			try {
+				transcript = await diarization.diarizeTranscript(audioPath, transcript, {
+					numSpeakers: recordingService.getExpectedSpeakers(meeting),
+					onProgress: progress,
+					signal,
+				});
+			} catch (error) {
+				if (signal?.aborted) throw error;
+				console.warn(`[Meeting] Diarization failed for meeting ${meetingId}, keeping the transcript without speakers:`, error.message);
+				transcript = { ...transcript, diarizationError: error.message };
+			}
+		}
+		
+		// Save transcript
+		recordingService.updateMeetingWithTranscript(meetingId, transcript);
+		
+		console.log(`[Meeting] Transcription completed for meeting ${meetingId}. Duration: ${transcript.segments?.length || 0} segments`);
+		return { meetingId, segments: transcript.segments?.length || 0 };
+	} catch (error) {
+		console.error(`[Meeting] Transcription failed for meeting ${meetingId}:`, error);
+		const meeting = recordingService.getMeeting(meetingId);
+		if (meeting) {
+			meeting.status = "error";
+			meeting.error = error.message || "Unknown transcription error";
+			recordingService.saveMeeting(meeting);
+		}
+		throw error;
+	}
+}
+
+/**
+ * Label an already transcribed meeting with speakers (the "diarization" job)
+ */
+async function diarizeMeetingJob({ meetingId, numSpeakers }, { progress, signal }) {
+	const resolved = resolveMeetingTranscript(meetingId);
+	if (!resolved.transcript) return { ok: false, error: resolved.message };
+	const audioPath = recordingService.getAudioPath(resolved.meetingId);
+	if (!audioPath || !fs.existsSync(audioPath)) {
+		throw new Error(`Audio file not found for meeting ${resolved.meetingId}`);
+	}
+	const { diarizationError, ...transcript } = resolved.transcript;
+	const labelled = await diarization.diarizeTranscript(audioPath, transcript, {
+		numSpeakers: numSpeakers || recordingService.getExpectedSpeakers(resolved.meeting),
+		onProgress: progress,
+		signal,
+	});
+	recordingService.updateMeetingWithTranscript(resolved.meetingId, labelled);
+	return { meetingId: resolved.meetingId, speakers: labelled.speakers };
+}
+
+/**
+ * Summarize a meeting's transcript and store the summary (the "meeting-summary" job and
+ * the meeting_summarize tool)
+ */
+async function summarizeMeetingJob({ meetingId }, { progress }) {
+	const resolved = resolveMeetingTranscript(meetingId);
+	if (!resolved.transcript) return { ok: false, error: resolved.message };
+	progress({ message: `Summarizing ${resolved.meeting.title || resolved.meetingId}` });
+	const summary = await meetingAnalysis.summarizeMeeting(resolved.transcript, { speakerNames: recordingService.getSpeakerNames(resolved.meeting) });
+	const meeting = recordingService.updateMeetingAnalysis(resolved.meetingId, { summary });
+	return { summary, meeting };
+}
+
+/**
+ * A meeting's action items, decisions and open questions: the stored ones, or extracted
+ * (and stored) when there are none yet or `refresh` is set
+ */
+async function meetingActionItems(resolved, { refresh = false, progress } = {}) {
+	const { meeting } = resolved;
+	if (!refresh && Array.isArray(meeting.actionItems)) {
+		return { actionItems: meeting.actionItems, decisions: meeting.decisions || [], openQuestions: meeting.openQuestions || [], cached: true };
+	}
+	progress?.({ message: `Extracting action items from ${meeting.title || resolved.meetingId}` });
+	const extracted = await meetingAnalysis.extractActionItems(resolved.transcript, {
+		speakerNames: recordingService.getSpeakerNames(meeting),
+		meetingDate: meeting.date,
+	});
+	recordingService.updateMeetingAnalysis(resolved.meetingId, extracted);
+	return { ...extracted, cached: false };
+}
+
+/**
+ * Plain-text list for the model, with [mm:ss] where each item was said
+ */
+function describeActionItems({ actionItems, decisions, openQuestions }) {
+	const at = seconds => (seconds === null ? "" : `[${meetingAnalysis.formatTimestamp(seconds)}] `);
+	const section = (title, rows) => `${title}:\n${rows.length ? rows.join("\n") : "- none"}`;
+	return [
+		section("Action items", actionItems.map(a => `- ${at(a.timestamp)}${a.task} (owner: ${a.owner || "unassigned"}${a.dueDate ? `, due ${a.dueDate}` : ""})`)),
+		section("Decisions", decisions.map(d => `- ${at(d.timestamp)}${d.decision}${d.madeBy ? ` (${d.madeBy})` : ""}`)),
+		section("Open questions", openQuestions.map(q => `- ${at(q.timestamp)}${q.question}${q.askedBy ? ` (${q.askedBy})` : ""}`)),
+	].join("\n\n");
+}
+
+/**
+ * Extract and store a meeting's action items (the "meeting-action-items" job and the
+ * meeting_action_items tool)
+ */
+async function actionItemsJob({ meetingId, refresh }, { progress }) {
+	const resolved = resolveMeetingTranscript(meetingId);
+	if (!resolved.transcript) return { ok: false, error: resolved.message };
+	const extracted = await meetingActionItems(resolved, { refresh, progress });
+	return { ...extracted, meeting: recordingService.getMeeting(resolved.meetingId) };
+}
+
+// What the meeting tools return about the meeting they worked on
+function meetingRef({ id, title, date, duration }) {
+	return { id, title, date, duration };
+}
+
+function enqueueTranscription(meeting) {
+	return jobQueue.enqueue("transcription", { meetingId: meeting.id }, { label: `Transcribe ${meeting.title || meeting.id}` });
+}
+
+function register({ app, tools }) {
+	// Whisper is CPU-heavy: one transcription at a time
+	jobQueue.defineType("transcription", {
+		run: ({ meetingId }, ctx) => transcribeMeeting(meetingId, ctx),
+		// Otherwise the meeting would stay "processing"; retry-transcription starts over
+		interrupted: ({ meetingId }) => {
+			const meeting = recordingService.getMeeting(meetingId);
+			if (meeting?.status !== "processing") return;
+			meeting.status = "error";
+			meeting.error = "Transcription interrupted by a server restart";
+			recordingService.saveMeeting(meeting);
+		},
+	});
+	jobQueue.defineType("meeting-summary", { run: summarizeMeetingJob });
+	jobQueue.defineType("diarization", { run: diarizeMeetingJob });
+	jobQueue.defineType("meeting-action-items", { run: actionItemsJob });
+
+	tools.register({
+		name: "meeting_list",
+		title: "List all recorded meetings",
+		path: "/mcp/tools/meeting/list",
+		handler: async () => ({ result: recordingService.getAllMeetings() }),
+	});
+
+	tools.register({
+		name: "meeting_latest",
+		title: "Get the latest recorded meeting",
+		path: "/mcp/tools/meeting/latest",
+		handler: async () => {
+			const meetings = recordingService.getAllMeetings();
+			return { result: meetings.length > 0 ? meetings[0] : "No meetings found." };
+		},
+	});
+
+	tools.register({
+		name: "meeting_transcript",
+		title: "Get transcript for a meeting",
+		path: "/mcp/tools/meeting/transcript",
+		inputSchema: MEETING_ID_SCHEMA,
+		handler: async ({ meetingId }) => {
+			const { transcript, meeting, message } = resolveMeetingTranscript(meetingId);
+			if (!transcript) return { result: message };
+			return { result: transcriptText(transcript, meeting) };
+		},
+	});
+
+	tools.register({
+		name: "meeting_summarize",
+		title: "Summarize a meeting",
+		path: "/mcp/tools/meeting/summarize",
+		inputSchema: MEETING_ID_SCHEMA,
+		background: true,
+		handler: async ({ meetingId }, ctx) => {
+			const done = await summarizeMeetingJob({ meetingId }, ctx);
+			if (done.ok === false) return { result: done.error };
+			return { result: done.summary, meeting: meetingRef(done.meeting) };
+		},
+	});
+
+	tools.register({
+		name: "meeting_action_items",
+		title: "Action items, decisions and open questions of a meeting",
+		description: "Action items (task, owner, due date), decisions and open questions of a recorded meeting, each with the [mm:ss] where it was said. Extracted once and stored; set refresh to extract again.",
+		path: "/mcp/tools/meeting/action-items",
+		inputSchema: {
+			type: "object",
+			properties: {
+				meetingId: MEETING_ID_SCHEMA.properties.meetingId,
+				refresh: { type: "boolean", description: "Extract again even if already stored" },
+			},
+		},
+		background: true,
+		handler: async ({ meetingId, refresh }, ctx) => {
+			const { meeting, ...done } = await actionItemsJob({ meetingId, refresh }, ctx);
+			if (done.ok === false) return { result: done.error };
+			return { result: describeActionItems(done), meeting: meetingRef(meeting), ...done };
+		},
+	});
+
+	tools.register({
+		name: "meeting_sentiment",
+		title: "Analyze sentiment of a meeting",
+		path: "/mcp/tools/meeting/sentiment",
+		inputSchema: MEETING_ID_SCHEMA,
+		handler: async ({ meetingId }) => {
+			const resolved = resolveMeetingTranscript(meetingId);
+			if (!resolved.transcript) return { result: resolved.message };
+			const sentiment = await meetingAnalysis.analyzeSentiment(resolved.transcript, { speakerNames: recordingService.getSpeakerNames(resolved.meeting) });
+			recordingService.updateMeetingAnalysis(resolved.meetingId, { sentiment });
+			const bySpeaker = Object.entries(sentiment.bySpeaker || {}).map(([name, value]) => `\n  - ${name}: ${value}`).join("");
+			return { result: `Sentiment Analysis:\n- Overall: ${sentiment.overall}\n- Score: ${sentiment.score.toFixed(2)} (range: -1 to 1)${bySpeaker ? `\n- By speaker:${bySpeaker}` : ""}\n- Analysis: ${sentiment.analysis}` };
+		},
+	});
+
+	// Create a new meeting
+	app.post("/api/meetings/start", (req, res) => {
+		try {
+			const { title, participants } = req.body;
+			const count = Array.isArray(participants) ? participants.length : participants;
+			if (count != null && !(Number.isInteger(count) && count >= 0 && count <= diarization.MAX_SPEAKERS)) {
+				return res.status(400).json({ ok: false, error: `participants must be a count or a list of up to ${diarization.MAX_SPEAKERS} names` });
+			}
+			const meeting = recordingService.createMeeting(title, participants);
+			res.json({ ok: true, meeting });
+		} catch (error) {
+			console.error("[Meeting] Error creating meeting:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Upload audio file for a meeting
+	app.post("/api/meetings/upload", upload.single("audio"), async (req, res) => {
+		try {
+			if (!req.file) {
+				return res.status(400).json({ ok: false, error: "No audio file provided" });
+			}
+		
+			const { meetingId } = req.body;
+			if (!meetingId) {
+				// Clean up uploaded file
+				fs.unlinkSync(req.file.path);
+				return res.status(400).json({ ok: false, error: "Meeting ID is required" });
+			}
+		
+			// Read the uploaded file
+			const audioBuffer = fs.readFileSync(req.file.path);
+		
+			// Update meeting with audio
+			const meeting = recordingService.updateMeetingWithAudio(meetingId, audioBuffer, req.file.originalname || "audio.webm");
+		
+			// Clean up temp file
+			fs.unlinkSync(req.file.path);
+		
+			// Transcribe in the background job queue; progress streams from /api/jobs/:id/events
+			const job = recordingService.getAudioPath(meetingId) ? enqueueTranscription(meeting) : null;
+		
+			res.json({ ok: true, meeting, status: "processing", jobId: job?.id || null });
+		} catch (error) {
+			console.error("[Meeting] Error uploading audio:", error);
+			if (req.file && fs.existsSync(req.file.path)) {
+				fs.unlinkSync(req.file.path);
+			}
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Get all meetings
+	app.get("/api/meetings", (req, res) => {
+		try {
+			const meetings = recordingService.getAllMeetings();
+			res.json({ ok: true, meetings });
+		} catch (error) {
+			console.error("[Meeting] Error getting meetings:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Retry transcription for a meeting (must be before /api/meetings/:id to avoid route conflict)
+	app.post("/api/meetings/:id/retry-transcription", async (req, res) => {
+		try {
+			const meetingId = req.params.id;
+			const meeting = recordingService.getMeeting(meetingId);
+			if (!meeting) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+		
+			const audioPath = recordingService.getAudioPath(meetingId);
+			if (!audioPath || !fs.existsSync(audioPath)) {
+				return res.status(404).json({ ok: false, error: "Audio file not found" });
+			}
+		
+			// Update status to processing
+			meeting.status = "processing";
+			meeting.error = null;
+			recordingService.saveMeeting(meeting);
+		
+			// Start transcription in background
+			const job = enqueueTranscription(meeting);
+		
+			res.json({ ok: true, message: "Transcription retry started", meeting, jobId: job.id });
+		} catch (error) {
+			console.error("[Meeting] Error retrying transcription:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Get a specific meeting
+	app.get("/api/meetings/:id", (req, res) => {
+		try {
+			const meeting = recordingService.getMeeting(req.params.id);
+			if (!meeting) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+			res.json({ ok: true, meeting });
+		} catch (error) {
+			console.error("[Meeting] Error getting meeting:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Get transcript for a meeting
+	app.get("/api/meetings/:id/transcript", (req, res) => {
+		try {
+			const transcript = recordingService.getTranscript(req.params.id);
+			if (!transcript) {
+				return res.status(404).json({ ok: false, error: "Transcript not found" });
+			}
+			const meeting = recordingService.getMeeting(req.params.id);
+			const speakerNames = recordingService.getSpeakerNames(meeting);
+			res.json({ ok: true, transcript, speakerNames, turns: diarization.speakerTurns(transcript, speakerNames) });
+		} catch (error) {
+			console.error("[Meeting] Error getting transcript:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Get audio file for a meeting
+	app.get("/api/meetings/:id/audio", (req, res) => {
+		try {
+			const audioPath = recordingService.getAudioPath(req.params.id);
+			if (!audioPath || !fs.existsSync(audioPath)) {
+				return res.status(404).json({ ok: false, error: "Audio file not found" });
+			}
+			res.sendFile(path.resolve(audioPath));
+		} catch (error) {
+			console.error("[Meeting] Error getting audio:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Summarize a meeting
+	app.post("/api/meetings/:id/summarize", async (req, res) => {
+		try {
+			const meeting = recordingService.getMeeting(req.params.id);
+			if (!meeting) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+		
+			// Check meeting status
+			if (meeting.status === "processing") {
+				return res.status(202).json({ 
+					ok: false, 
+					error: "Transcription still in progress. Please wait and try again.",
+					status: "processing"
+				});
+			}
+		
+			if (meeting.status === "error") {
+				return res.status(500).json({ 
+					ok: false, 
+					error: "Transcription failed. Please check server logs for details.",
+					status: "error"
+				});
+			}
+		
+			const transcript = recordingService.getTranscript(req.params.id);
+			if (!transcript) {
+				return res.status(404).json({ 
+					ok: false, 
+					error: "Transcript not found. Transcription may have failed or is still in progress.",
+					status: meeting.status
+				});
+			}
+		
+			// Runs as a "meeting-summary" job; the summary is the job's result
+			const job = jobQueue.enqueue("meeting-summary", { meetingId: req.params.id }, { label: `Summarize ${meeting.title || meeting.id}` });
+		
+			res.status(202).json({ ok: true, jobId: job.id, status: "queued" });
+		} catch (error) {
+			console.error("[Meeting] Error summarizing:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Analyze sentiment of a meeting
+	app.post("/api/meetings/:id/sentiment", async (req, res) => {
+		try {
+			const meeting = recordingService.getMeeting(req.params.id);
+			if (!meeting) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+		
+			// Check meeting status
+			if (meeting.status === "processing") {
+				return res.status(202).json({ 
+					ok: false, 
+					error: "Transcription still in progress. Please wait and try again.",
+					status: "processing"
+				});
+			}
+		
+			if (meeting.status === "error") {
+				return res.status(500).json({ 
+					ok: false, 
+					error: "Transcription failed. Please check server logs for details.",
+					status: "error"
+				});
+			}
+		
+			const transcript = recordingService.getTranscript(req.params.id);
+			if (!transcript) {
+				return res.status(404).json({ 
+					ok: false, 
+					error: "Transcript not found. Transcription may have failed or is still in progress.",
+					status: meeting.status
+				});
+			}
+		
+			const sentiment = await meetingAnalysis.analyzeSentiment(transcript, { speakerNames: recordingService.getSpeakerNames(meeting) });
+			const updatedMeeting = recordingService.updateMeetingAnalysis(req.params.id, { sentiment });
+		
+			res.json({ ok: true, sentiment, meeting: updatedMeeting });
+		} catch (error) {
+			console.error("[Meeting] Error analyzing sentiment:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Extract action items, decisions and open questions ({ refresh? }); runs as a
+	// "meeting-action-items" job and stores them on the meeting
+	app.post("/api/meetings/:id/action-items", (req, res) => {
+		try {
+			const meeting = recordingService.getMeeting(req.params.id);
+			if (!meeting) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+			if (!meeting.transcriptPath) {
+				return res.status(409).json({ ok: false, error: "Meeting has no transcript yet", status: meeting.status });
+			}
+			const job = jobQueue.enqueue("meeting-action-items", { meetingId: meeting.id, refresh: req.body?.refresh === true }, { label: `Action items for ${meeting.title || meeting.id}` });
+			res.status(202).json({ ok: true, jobId: job.id, status: "queued" });
+		} catch (error) {
+			console.error("[Meeting] Error extracting action items:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Label an already transcribed meeting with speakers ({ numSpeakers? }); runs as a "diarization" job
+	app.post("/api/meetings/:id/diarize", (req, res) => {
+		try {
+			const meeting = recordingService.getMeeting(req.params.id);
+			if (!meeting) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+			if (!meeting.transcriptPath) {
+				return res.status(409).json({ ok: false, error: "Meeting has no transcript yet", status: meeting.status });
+			}
+			const numSpeakers = req.body?.numSpeakers ?? null;
+			if (numSpeakers !== null && !(Number.isInteger(numSpeakers) && numSpeakers >= 1 && numSpeakers <= diarization.MAX_SPEAKERS)) {
+				return res.status(400).json({ ok: false, error: `numSpeakers must be between 1 and ${diarization.MAX_SPEAKERS}` });
+			}
+			const job = jobQueue.enqueue("diarization", { meetingId: meeting.id, numSpeakers }, { label: `Identify speakers in ${meeting.title || meeting.id}` });
+			res.status(202).json({ ok: true, jobId: job.id, status: "queued" });
+		} catch (error) {
+			console.error("[Meeting] Error starting diarization:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Name diarized speakers: { speakers: { "Speaker 1": "Alice", "Speaker 2": "" } } (empty unmaps)
+	app.put("/api/meetings/:id/speakers", (req, res) => {
+		try {
+			const speakers = req.body?.speakers;
+			if (!speakers || typeof speakers !== "object" || Array.isArray(speakers)) {
+				return res.status(400).json({ ok: false, error: "speakers must be an object like { \"Speaker 1\": \"Alice\" }" });
+			}
+			for (const [speaker, name] of Object.entries(speakers)) {
+				if (!/^Speaker ([1-9]|1[0-6])$/.test(speaker)) {
+					return res.status(400).json({ ok: false, error: `Unknown speaker "${speaker}" (expected "Speaker 1" to "Speaker ${diarization.MAX_SPEAKERS}")` });
+				}
+				if (name !== null && (typeof name !== "string" || name.length > 100)) {
+					return res.status(400).json({ ok: false, error: `Name for ${speaker} must be a string of up to 100 characters` });
+				}
+			}
+			if (!recordingService.getMeeting(req.params.id)) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+			const meeting = recordingService.setSpeakerNames(req.params.id, speakers);
+			res.json({ ok: true, meeting, speakerNames: recordingService.getSpeakerNames(meeting) });
+		} catch (error) {
+			console.error("[Meeting] Error naming speakers:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Delete a meeting
+	app.delete("/api/meetings/:id", (req, res) => {
+		try {
+			const deleted = recordingService.deleteMeeting(req.params.id);
+			if (!deleted) {
+				return res.status(404).json({ ok: false, error: "Meeting not found" });
+			}
+			res.json({ ok: true, message: "Meeting deleted" });
+		} catch (error) {
+			console.error("[Meeting] Error deleting meeting:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+
+	// Check Whisper availability
+	app.get("/api/meetings/whisper/status", async (req, res) => {
+		try {
+			const status = await whisperService.checkWhisperAvailable();
+			res.json({ ok: true, ...status, diarization: await diarization.checkDiarizationAvailable() });
+		} catch (error) {
+			console.error("[Meeting] Error checking Whisper:", error);
+			res.status(500).json({ ok: false, error: error.message });
+		}
+	});
+}
+
+module.exports = {
+	name: "meetings",
+	register,
+	health: () => ({ meetings: recordingService.getAllMeetings().length }),
+};
@@ -0,0 +1,180 @@
+/**
+ * Slack plugin
+ * Slack search, channel and mention tools
+ */
+
+const slackAuth = require("../slackAuthService.cjs");
+
+function register({ tools }) {
+	tools.defineService("slack", {
+		available: () => slackAuth.isAuthenticated(),
+		unavailable: { status: 401, error: "Not authenticated", message: "Slack token not configured. Set SLACK_BOT_TOKEN or SLACK_USER_TOKEN in .env" },
+	});
+
+	tools.register({
+		name: "slack_search",
+		title: "Slack: Search messages",
+		service: "slack",
+		operation: "search",
+		path: "/mcp/tools/slack/search",
+		inputSchema: {
+			type: "object",
+			properties: {
+				query: { type: "string" },
+				maxResults: { type: "number" }
+			},
+			required: ["query"],
+		},
+		handler: async ({ query, maxResults = 20 }) => {
+			const result = await slackAuth.searchMessages(query, { count: maxResults });
+			return {
+				messages: result.messages?.matches || [],
+				total: result.messages?.total || 0
+			};
+		},
+	});
+
+	tools.register({
+		name: "slack_channels",
+		title: "Slack: List all channels",
+		service: "slack",
+		operation: "list",
+		path: "/mcp/tools/slack/channels",
+		handler: async () => {
+			const result = await slackAuth.listChannels();
+			return {
+				channels: result.channels.map(ch => ({
+					id: ch.id,
+					name: ch.name,
+					is_private: ch.is_private,
+					is_archived: ch.is_archived,
+					num_members: ch.num_members
+				}))
+			};
+		},
+	});
+
+	tools.register({
+		name: "slack_channel_messages",
+		title: "Slack: Get messages from channel",
+		service: "slack",
+		operation: "history",
+		path: "/mcp/tools/slack/channel-messages",
+		inputSchema: {
+			type: "object",
+			properties: {
+				channel: { type: "string" },
+				limit: { type: "number" }
+			},
+			required: ["channel"],
+		},
+		handler: async ({ channel: channelName, limit = 100 }) => {
+			const channel = await slackAuth.findChannelByName(channelName);
+			const result = await slackAuth.getChannelHistory(channel.id, { limit });
+			return {
+				channel: {
+					id: channel.id,
+					name: channel.name
+				},
+				messages: result.messages || []
+			};
+		},
+	});
+
+	tools.register({
+		name: "slack_count_from_user",
+		title: "Slack: Count messages from user in channel",
+		service: "slack",
+		operation: "history",
+		path: "/mcp/tools/slack/count-from-user",
+		inputSchema: {
+			type: "object",
+			properties: {
+				channel: { type: "string" },
+				user: { type: "string" }
+			},
+			required: ["channel", "user"],
+		},
+		handler: async ({ channel: channelName, user: userName }) => {
+			const channel = await slackAuth.findChannelByName(channelName);
+			const user = await slackAuth.findUserByName(userName);
+			const result = await slackAuth.getChannelHistory(channel.id, { limit: 1000 });
+			const userMessages = (result.messages || []).filter(msg => msg.user === user.id);
+			return {
+				count: userMessages.length,
+				channel: channel.name,
+				user: user.name
+			};
+		},
+	});
+
+	tools.register({
+		name: "slack_latest_message",
+		title: "Slack: Get latest message in channel",
+		service: "slack",
+		operation: "history",
+		path: "/mcp/tools/slack/latest-message",
+		inputSchema: {
+			type: "object",
+			properties: {
+				channel: { type: "string" }
+			},
+			required: ["channel"],
+		},
+		handler: async ({ channel: channelName }) => {
+			const channel = await slackAuth.findChannelByName(channelName);
+			const result = await slackAuth.getChannelHistory(channel.id, { limit: 1 });
+			const latestMessage = result.messages?.[0];
+			if (!latestMessage) {
+				return { found: false, channel: channel.name };
+			}
+
+			// Get user info for the message
+			let userName = 'Unknown';
+			try {
+				const userInfo = await slackAuth.getUserInfo(latestMessage.user);
+				userName = userInfo.user.name;
+			} catch (err) {
+				console.warn("[Slack] Could not fetch user info:", err.message);
+			}
+
+			return {
+				found: true,
+				channel: channel.name,
+				message: {
+					text: latestMessage.text,
+					user: userName,
+					timestamp: latestMessage.ts,
+					date: new Date(parseFloat(latestMessage.ts) * 1000).toISOString()
+				}
+			};
+		},
+	});
+
+	tools.register({
+		name: "slack_mentions",
+		title: "Slack: Get my mentions",
+		service: "slack",
+		operation: "search",
+		path: "/mcp/tools/slack/mentions",
+		handler: async () => {
+			// Mentions are searched by the current user's id
+			const workspace = await slackAuth.getWorkspaceInfo();
+			const result = await slackAuth.searchMessages(`<@${workspace.user_id}>`, {
+				count: 50,
+				sort: 'timestamp',
+				sortDir: 'desc'
+			});
+			return {
+				mentions: result.messages?.matches || [],
+				total: result.messages?.total || 0
+			};
+		},
+	});
+}
+
+module.exports = {
+	name: "slack",
+	register,
+	health: () => ({ configured: slackAuth.isAuthenticated() }),
+};
@@ -0,0 +1,49 @@
+/**
+ * Weather plugin
+ * Current weather via Open-Meteo (no API key)
+ */
+
+const { ToolError } = require("../toolRegistry.cjs");
+
+function register({ tools }) {
+	// Tool: get weather using Open-Meteo (no API key)
+	tools.register({
+		name: "weather",
+		title: "Get weather for a location",
+		path: "/mcp/tools/weather",
+		inputSchema: {
+			type: "object",
+			properties: {
+				location: { type: "string" },
+			},
+			required: ["location"],
+		},
+		handler: async ({ location }) => {
+			const geo = await fetch(`https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(location)}&count=1`);
+			if (!geo.ok) throw new ToolError(`geocoding failed: ${geo.status}`, 502);
+			const geoJson = await geo.json();
+			const first = Array.isArray(geoJson?.results) ? geoJson.results[0] : undefined;
+			if (!first) throw new ToolError("location not found", 404);
+			const lat = first.latitude;
+			const lon = first.longitude;
+			const wx = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true`);
+			if (!wx.ok) throw new ToolError(`weather failed: ${wx.status}`, 502);
+			const wxJson = await wx.json();
+			return {
+				location: {
+					name: first.name,
+					country: first.country,
+					latitude: lat,
+					longitude: lon,
+				},
+				current: wxJson.current_weather || null,
+			};
+		},
+	});
+}
+
+module.exports = {
+	name: "weather",
+	register,
+	health: () => ({ configured: true }),
+};
@@ -72,8 +72,68 @@ function saveMeeting(meetingData) {
 	}
 }
 
+/**
+ * Participants as stored in the metadata: a head count (number), or one entry per person,
+ * { name, speaker }, where speaker is the diarized id ("Speaker 2") their voice was given
+ */
+function normalizeParticipants(participants) {
+	if (typeof participants === "number") return participants > 0 ? Math.floor(participants) : null;
+	if (!Array.isArray(participants)) return null;
+	const list = participants
+		.map(p => (typeof p === "string" ? { name: p } : p || {}))
+		.map(p => ({ name: String(p.name || "").trim(), speaker: p.speaker || null }))
+		.filter(p => p.name);
+	return list.length ? list : null;
+}
+
+/**
+ * Speaker id → participant name, for the speakers that have been named
+ */
+function getSpeakerNames(meeting) {
+	if (!Array.isArray(meeting?.participants)) return {};
+	return Object.fromEntries(meeting.participants.filter(p => p.speaker).map(p => [p.speaker, p.name]));
+}
+
+/**
+ * How many people to look for when diarizing, if the meeting says
+ */
+function getExpectedSpeakers(meeting) {
+	const participants = meeting?.participants;
+	if (typeof participants === "number") return participants;
+	return Array.isArray(participants) && participants.length ? participants.length : null;
+}
+
+/**
+ * Name diarized speakers: { "Speaker 1": "Alice" }. A name that is already a participant
+ * gets the speaker id, otherwise it is added; an empty name unmaps the speaker.
+ */
+function setSpeakerNames(meetingId, names) {
+	const meeting = getMeeting(meetingId);
+	if (!meeting) {
+		throw new Error(`Meeting ${meetingId} not found`);
+	}
+	
+	const participants = Array.isArray(meeting.participants) ? meeting.participants.map(p => ({ ...p })) : [];
+	for (const [speaker, rawName] of Object.entries(names)) {
+		const name = String(rawName || "").trim();
+		for (const p of participants) {
+			if (p.speaker === speaker) p.speaker = null;
+		}
+		if (!name) continue;
+		const existing = participants.find(p => p.name === name);
+		if (existing) existing.speaker = speaker;
+		else participants.push({ name, speaker });
+	}
+	meeting.participants = participants.length ? participants : null;
+	
+	saveMeeting(meeting);
+	return meeting;
+}
+
 /**
  * Create a new meeting
+ * @param {string | null} title
+ * @param {number | (string | { name: string, speaker?: string })[] | null} participants - head count or names
  */
 function createMeeting(title = null, participants = null) {
 	const meetingId = generateMeetingId();
@@ -89,12 +149,16 @@ function createMeeting(title = null, participants = null) {
 		title: title || `Meeting ${new Date().toLocaleString()}`,
 		date: new Date().toISOString(),
 		duration: 0,
-		participants: participants || null,
+		participants: normalizeParticipants(participants),
 		status: "recording",
 		audioPath: null,
 		transcriptPath: null,
 		summary: null,
 		sentiment: null,
+		// Structured extraction (meeting_action_items); timestamps are seconds into the audio
+		actionItems: null,
+		decisions: null,
+		openQuestions: null,
 		error: null
 	};
 	
@@ -186,7 +250,8 @@ function getTranscript(meetingId) {
 }
 
 /**
- * Update meeting analysis (summary, sentiment)
+ * Update meeting analysis (summary, sentiment, or the actionItems, decisions and openQuestions
+ * extracted together)
  */
 function updateMeetingAnalysis(meetingId, analysis) {
 	const meeting = getMeeting(meetingId);
@@ -200,6 +265,12 @@ function updateMeetingAnalysis(meetingId, analysis) {
 	if (analysis.sentiment) {
 		meeting.sentiment = analysis.sentiment;
 	}
+	if (analysis.actionItems) {
+		meeting.actionItems = analysis.actionItems;
+		meeting.decisions = analysis.decisions || [];
+		meeting.openQuestions = analysis.openQuestions || [];
+		meeting.actionItemsExtractedAt = new Date().toISOString();
+	}
 	
 	saveMeeting(meeting);
 	return meeting;
@@ -264,6 +335,10 @@ module.exports = {
 	getAudioPath,
 	getTranscript,
 	updateMeetingAnalysis,
+	normalizeParticipants,
+	getSpeakerNames,
+	getExpectedSpeakers,
+	setSpeakerNames,
 	deleteMeeting,
 	saveMeeting
 };
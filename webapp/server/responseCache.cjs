@@ -0,0 +1,180 @@
+/**
+ * Response Cache
+ * Shared in-memory cache for Jira, GitHub and Slack read requests. Each service decides
+ * which endpoints are cached and for how long (see cacheRule), clears what its writes
+ * change, and GitHub revalidates stale entries with their ETag. Hit counts per service
+ * are reported in /health.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Oldest (least recently used) entries are dropped beyond this
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || "500", 10);
+const ENABLED = process.env.RESPONSE_CACHE !== "off";
+
+// Requests made during one tool call (see track)
+const callRequests = new AsyncLocalStorage();
+
+class ResponseCache {
+	/**
+	 * @param {{ maxEntries?: number, enabled?: boolean }} [options]
+	 */
+	constructor({ maxEntries = MAX_ENTRIES, enabled = ENABLED } = {}) {
+		this.maxEntries = maxEntries;
+		this.enabled = enabled;
+		this.entries = new Map();
+		this.counters = new Map();
+	}
+
+	/**
+	 * Fresh cached value for a key, or undefined. Expired entries with an ETag are kept and
+	 * not counted as a miss yet: the caller revalidates them (see stale) and counts the outcome.
+	 */
+	get(service, key) {
+		if (!this.enabled) return undefined;
+		const entry = this.entries.get(key);
+		if (!entry || entry.expiresAt <= Date.now()) {
+			if (!entry?.etag) this.count(service, "misses");
+			return undefined;
+		}
+		// Most recently used last, so eviction drops the oldest
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		this.count(service, "hits");
+		return structuredClone(entry.value);
+	}
+
+	/**
+	 * Expired entry that still carries an ETag, for a conditional request
+	 */
+	stale(key) {
+		const entry = this.entries.get(key);
+		return entry && entry.etag ? { key, ...entry } : null;
+	}
+
+	/**
+	 * Keep a stale entry (from stale()) for another TTL after the server answered 304 Not Modified
+	 */
+	revalidated(stale, ttl) {
+		const { key, ...entry } = stale;
+		this.entries.delete(key);
+		this.entries.set(key, { ...entry, expiresAt: Date.now() + ttl });
+		this.count(entry.service, "revalidated");
+		return structuredClone(entry.value);
+	}
+
+	set(service, type, key, value, ttl, { etag } = {}) {
+		if (!this.enabled || !(ttl > 0)) return;
+		this.entries.delete(key);
+		this.entries.set(key, { service, type, value: structuredClone(value), etag: etag || null, expiresAt: Date.now() + ttl });
+		while (this.entries.size > this.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Cached value for key, else the result of load() stored for ttl ms
+	 */
+	async wrap(service, type, key, ttl, load) {
+		const cached = this.get(service, key);
+		if (cached !== undefined) return cached;
+		const value = await load();
+		this.set(service, type, key, value, ttl);
+		return value;
+	}
+
+	/**
+	 * Drop a service's entries, optionally only some endpoint types or keys; returns how many went
+	 * @param {string} service
+	 * @param {{ types?: string[], match?: (key: string) => boolean }} [filter]
+	 */
+	invalidate(service, { types, match } = {}) {
+		let removed = 0;
+		for (const [key, entry] of this.entries) {
+			if (entry.service !== service) continue;
+			if (types && !types.includes(entry.type)) continue;
+			if (match && !match(key)) continue;
+			this.entries.delete(key);
+			removed++;
+		}
+		if (removed) console.log(`[Cache] Invalidated ${removed} ${service} entr${removed === 1 ? "y" : "ies"}`);
+		return removed;
+	}
+
+	clear() {
+		this.entries.clear();
+		this.counters.clear();
+	}
+
+	count(service, field) {
+		if (!this.counters.has(service)) this.counters.set(service, { hits: 0, misses: 0, revalidated: 0 });
+		this.counters.get(service)[field]++;
+		// A miss is counted as fetched by the request that follows (countFetched)
+		const requests = callRequests.getStore();
+		if (requests && field !== "misses") requests.cached++;
+	}
+
+	/**
+	 * Hit counts and entry totals per service (GET /health)
+	 */
+	stats() {
+		const services = {};
+		for (const [service, counters] of this.counters) {
+			const served = counters.hits + counters.revalidated;
+			const total = served + counters.misses;
+			services[service] = {
+				...counters,
+				entries: 0,
+				hitRate: total ? Math.round((served / total) * 100) / 100 : 0,
+			};
+		}
+		for (const entry of this.entries.values()) {
+			if (services[entry.service]) services[entry.service].entries++;
+		}
+		return { enabled: this.enabled, entries: this.entries.size, maxEntries: this.maxEntries, services };
+	}
+}
+
+/**
+ * First rule whose pattern matches, as { type, ttl }; null means "do not cache"
+ * @param {{ type: string, pattern: RegExp, ttl: number }[]} rules
+ * @param {string} target
+ */
+function cacheRule(rules, target) {
+	return rules.find(rule => rule.pattern.test(target)) || null;
+}
+
+/**
+ * Count a request sent to a service's API during the current tool call (see track). The
+ * services call this for every request that goes out, cached type or not, reads and writes.
+ */
+function countFetched() {
+	const requests = callRequests.getStore();
+	if (requests) requests.fetched++;
+}
+
+/**
+ * Run fn and count the cached and fetched requests made inside it (used to refund quota
+ * for tool calls answered entirely from the cache)
+ * @returns {Promise<{ result: any, requests: { cached: number, fetched: number } }>}
+ */
+async function track(fn) {
+	const requests = { cached: 0, fetched: 0 };
+	const result = await callRequests.run(requests, fn);
+	return { result, requests };
+}
+
+module.exports = {
+	ResponseCache,
+	responseCache: new ResponseCache(),
+	cacheRule,
+	countFetched,
+	track,
+	SECOND,
+	MINUTE,
+	HOUR,
+};
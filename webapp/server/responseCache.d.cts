@@ -0,0 +1,28 @@
+// Types for responseCache.cjs (used by the unit tests in src/__tests__)
+
+export type CacheRule = { type: string; pattern: RegExp; ttl: number };
+
+export type StaleEntry = { key: string; service: string; type: string; value: any; etag: string | null; expiresAt: number };
+
+export type ServiceCacheStats = { hits: number; misses: number; revalidated: number; entries: number; hitRate: number };
+
+export class ResponseCache {
+	constructor(options?: { maxEntries?: number; enabled?: boolean });
+	get(service: string, key: string): any;
+	stale(key: string): StaleEntry | null;
+	revalidated(stale: StaleEntry, ttl: number): any;
+	set(service: string, type: string, key: string, value: unknown, ttl: number, options?: { etag?: string }): void;
+	wrap<T>(service: string, type: string, key: string, ttl: number, load: () => Promise<T>): Promise<T>;
+	invalidate(service: string, filter?: { types?: string[]; match?: (key: string) => boolean }): number;
+	clear(): void;
+	count(service: string, field: "hits" | "misses" | "revalidated"): void;
+	stats(): { enabled: boolean; entries: number; maxEntries: number; services: Record<string, ServiceCacheStats> };
+}
+
+export const responseCache: ResponseCache;
+export function cacheRule(rules: CacheRule[], target: string): CacheRule | null;
+export function countFetched(): void;
+export function track<T>(fn: () => Promise<T>): Promise<{ result: T; requests: { cached: number; fetched: number } }>;
+export const SECOND: number;
+export const MINUTE: number;
+export const HOUR: number;
@@ -3,6 +3,19 @@
  * Handles Slack API authentication and requests
  */
 
+const { responseCache, cacheRule, countFetched, SECOND, MINUTE, HOUR } = require('./responseCache.cjs');
+const billingService = require('./billingService.cjs');
+const { ToolError } = require('./toolRegistry.cjs');
+
+// How long responses are reused, by API method; other methods are always called and
+// clear the cached messages (they may post or edit some)
+const CACHE_RULES = [
+	{ type: 'directory', pattern: /^(users|conversations)\.(list|info)$/, ttl: 10 * MINUTE },
+	{ type: 'workspace', pattern: /^(auth\.test|team\.info)$/, ttl: HOUR },
+	{ type: 'messages', pattern: /^search\.messages$/, ttl: MINUTE },
+	{ type: 'messages', pattern: /^conversations\.(history|replies)$/, ttl: 30 * SECOND },
+];
+
 class SlackAuthService {
 	constructor() {
 		this.token = null;
@@ -31,13 +44,34 @@ class SlackAuthService {
 	}
 
 	/**
-	 * Make authenticated API call to Slack
+	 * Make authenticated API call to Slack (read methods are cached per CACHE_RULES)
 	 */
 	async callSlackAPI(method, params = {}) {
 		if (!this.isAuthenticated()) {
 			throw new Error('Slack not authenticated');
 		}
 
+		const rule = cacheRule(CACHE_RULES, method);
+		if (!rule) {
+			try {
+				return await this.request(method, params);
+			} finally {
+				responseCache.invalidate('slack', { types: ['messages'] });
+			}
+		}
+		const key = `${method}?${new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== null)).toString()}`;
+		return responseCache.wrap('slack', rule.type, key, rule.ttl, () => this.request(method, params));
+	}
+
+	/**
+	 * One Slack Web API call, within the rate limit of the method's tier; errors carry Slack's error code
+	 */
+	async request(method, params) {
+		const rate = billingService.checkRateLimit('slack', { method });
+		if (!rate.allowed) {
+			throw new ToolError(`Slack rate limit reached for ${method} (${rate.limit}). Try again in ${Math.ceil(rate.retryAfterMs / 1000)}s.`, 429);
+		}
+
 		const url = new URL(`https://slack.com/api/${method}`);
 		
 		// For GET requests, add params to URL
@@ -49,6 +83,7 @@ class SlackAuthService {
 			});
 		}
 
+		countFetched();
 		const response = await fetch(url.toString(), {
 			method: 'GET',
 			headers: {
@@ -0,0 +1,243 @@
+/**
+ * Tool Registry
+ * Each tool is declared once (name, JSON Schema, service, quota operation, handler).
+ * The REST route, the /mcp/tools listing, input validation, credential checks and
+ * billing gating are all derived from that declaration.
+ */
+
+const billingService = require("./billingService.cjs");
+const { track } = require("./responseCache.cjs");
+
+/**
+ * Error a handler can throw to control the HTTP status and extra response fields
+ */
+class ToolError extends Error {
+	constructor(message, status = 500, details = {}) {
+		super(message);
+		this.status = status;
+		this.details = details;
+	}
+}
+
+class ToolRegistry {
+	constructor() {
+		this.tools = new Map();
+		this.services = new Map();
+		this.running = new Map();
+		this.nextRunId = 1;
+	}
+
+	/**
+	 * Declare how to tell whether a service's credentials are configured.
+	 * @param {string} name
+	 * @param {{ available: () => boolean, unavailable: { status: number, error: string, message?: string } }} spec
+	 */
+	defineService(name, spec) {
+		this.services.set(name, spec);
+	}
+
+	/**
+	 * Register a tool.
+	 * @param {{
+	 *   name: string, title: string, description?: string,
+	 *   path: string, method?: "GET" | "POST",
+	 *   inputSchema?: object,
+	 *   service?: string, operation?: string, requires?: string[],
+	 *   annotations?: { readOnlyHint?: boolean, destructiveHint?: boolean, idempotentHint?: boolean },
+	 *   background?: boolean,
+	 *   handler: (args: object, ctx: { check: object | null, progress: (update: { message: string, progress?: number, total?: number }) => void, signal?: AbortSignal }) => Promise<object>
+	 * }} tool
+	 * background: true marks long-running tools the chat runs as jobs (see jobQueueService);
+	 * their handlers should stop when ctx.signal aborts.
+	 */
+	register(tool) {
+		if (!tool.name || !tool.path || typeof tool.handler !== "function") {
+			throw new Error(`[ToolRegistry] Tool ${tool.name || "(unnamed)"} needs name, path and handler`);
+		}
+		if (this.tools.has(tool.name)) throw new Error(`[ToolRegistry] Duplicate tool: ${tool.name}`);
+		if (tool.operation && !tool.service) throw new Error(`[ToolRegistry] ${tool.name}: operation without service`);
+		this.tools.set(tool.name, {
+			method: "POST",
+			inputSchema: { type: "object", properties: {} },
+			requires: tool.service ? [tool.service] : [],
+			...tool,
+		});
+	}
+
+	/**
+	 * Remove a tool again (the tools of a plugin that failed to load)
+	 */
+	unregister(name) {
+		this.tools.delete(name);
+	}
+
+	has(name) {
+		return this.tools.has(name);
+	}
+
+	/**
+	 * Whether a tool may run as a job: it declares background: true and only reads.
+	 * Tools that change data wait for the chat's confirmation, and a job could be cut
+	 * short after sending part of its changes.
+	 */
+	canRunInBackground(name) {
+		const tool = this.tools.get(name);
+		return !!tool?.background && tool.annotations?.readOnlyHint !== false;
+	}
+
+	/**
+	 * Public listing (GET /mcp/tools, MCP tools/list)
+	 */
+	list() {
+		return [...this.tools.values()].map(t => ({
+			name: t.name,
+			title: t.title,
+			description: t.description,
+			inputSchema: t.inputSchema,
+			// MCP tool hints; readOnlyHint: false makes the chat ask before running the tool
+			...(t.annotations ? { annotations: t.annotations } : {}),
+			...(t.background ? { background: true } : {}),
+		}));
+	}
+
+	/**
+	 * Tool calls in flight with their latest progress update (GET /mcp/tools/running)
+	 */
+	listRunning() {
+		return [...this.running.values()];
+	}
+
+	/**
+	 * Run a tool: credentials -> input validation -> billing gate -> handler.
+	 * Resolves to the HTTP status and JSON body the REST route would send.
+	 * onProgress receives the handler's progress updates (MCP progress notifications, jobs);
+	 * signal cancels the call (jobs).
+	 */
+	async invoke(name, rawArgs, { onProgress, signal } = {}) {
+		const tool = this.tools.get(name);
+		if (!tool) return { status: 404, body: { ok: false, error: `Unknown tool: ${name || "(none)"}` } };
+
+		for (const service of tool.requires) {
+			const spec = this.services.get(service);
+			if (spec && !spec.available()) {
+				const { status, ...rest } = spec.unavailable;
+				return { status, body: { ok: false, ...rest } };
+			}
+		}
+
+		const { args, errors } = validateArgs(tool.inputSchema, rawArgs || {});
+		if (errors.length) return { status: 400, body: { ok: false, error: errors.join("; ") } };
+
+		let check = null;
+		if (tool.operation) {
+			check = await billingService.checkAndUpdateUsage(tool.service, tool.operation);
+			if (!check.allowed) {
+				return {
+					status: 403,
+					body: { ok: false, blocked: true, reason: check.reason, message: check.message, usage: check.usage || check.costs },
+				};
+			}
+		}
+
+		const run = { id: this.nextRunId++, tool: name, startedAt: new Date().toISOString(), progress: null };
+		const progress = (update) => {
+			run.progress = update;
+			if (onProgress) onProgress(update);
+		};
+		this.running.set(run.id, run);
+		try {
+			const { result, requests } = await track(() => tool.handler(args, { check, progress, signal }));
+			// A call answered entirely from the response cache used none of the service's quota
+			if (check && requests.cached && !requests.fetched) billingService.refundUsage(tool.service, tool.operation);
+			return { status: 200, body: { ok: true, ...result, ...(check?.warning ? { warning: check.warning } : {}) } };
+		} catch (e) {
+			if (e instanceof ToolError) {
+				return { status: e.status, body: { ok: false, error: e.message, ...e.details } };
+			}
+			console.error(`[Tool ${name}]`, (e && e.message) || e);
+			return { status: 500, body: { ok: false, error: (e && e.message) || "unknown error" } };
+		} finally {
+			this.running.delete(run.id);
+		}
+	}
+
+	/**
+	 * Mount one REST route per tool (GET tools read their arguments from the query string)
+	 */
+	mount(app) {
+		for (const tool of this.tools.values()) {
+			app[tool.method.toLowerCase()](tool.path, async (req, res) => {
+				const { status, body } = await this.invoke(tool.name, tool.method === "GET" ? req.query : req.body);
+				res.status(status).json(body);
+			});
+		}
+	}
+}
+
+/**
+ * Validate arguments against the subset of JSON Schema our tools use (object properties,
+ * required, type, enum, array items). Strings are trimmed and numeric/boolean strings are
+ * coerced, since models and query strings often send "25" for 25.
+ */
+function validateArgs(schema, input) {
+	const errors = [];
+	const args = { ...input };
+	const properties = schema?.properties || {};
+	for (const [key, prop] of Object.entries(properties)) {
+		if (args[key] === undefined || args[key] === null) continue;
+		const { value, error } = coerce(key, prop, args[key]);
+		if (error) errors.push(error);
+		else args[key] = value;
+	}
+	for (const key of schema?.required || []) {
+		if (args[key] === undefined || args[key] === null || args[key] === "") errors.push(`${key} is required`);
+	}
+	return { args, errors };
+}
+
+function coerce(key, prop, value) {
+	switch (prop.type) {
+		case "string":
+			if (typeof value === "number" || typeof value === "boolean") value = String(value);
+			if (typeof value !== "string") return { error: `${key} must be a string` };
+			value = value.trim();
+			break;
+		case "number":
+		case "integer":
+			if (typeof value === "string" && value.trim() !== "") value = Number(value);
+			if (typeof value !== "number" || !Number.isFinite(value)) return { error: `${key} must be a number` };
+			if (prop.type === "integer" && !Number.isInteger(value)) return { error: `${key} must be an integer` };
+			break;
+		case "boolean":
+			if (value === "true" || value === "false") value = value === "true";
+			if (typeof value !== "boolean") return { error: `${key} must be a boolean` };
+			break;
+		case "array":
+			if (typeof value === "string") value = value.split(",").map(s => s.trim()).filter(Boolean);
+			if (!Array.isArray(value)) return { error: `${key} must be an array` };
+			if (prop.items) {
+				const items = [];
+				for (const [i, item] of value.entries()) {
+					const r = coerce(`${key}[${i}]`, prop.items, item);
+					if (r.error) return r;
+					items.push(r.value);
+				}
+				value = items;
+			}
+			break;
+		case "object":
+			if (typeof value !== "object" || Array.isArray(value)) return { error: `${key} must be an object` };
+			break;
+	}
+	if (Array.isArray(prop.enum) && !prop.enum.includes(value)) {
+		return { error: `${key} must be one of: ${prop.enum.join(", ")}` };
+	}
+	return { value };
+}
+
+module.exports = {
+	ToolError,
+	ToolRegistry,
+	toolRegistry: new ToolRegistry(),
+	validateArgs,
+};
@@ -0,0 +1,37 @@
+// Types for toolRegistry.cjs (used by the unit tests in src/__tests__)
+
+export class ToolError extends Error {
+	constructor(message: string, status?: number, details?: Record<string, unknown>);
+	status: number;
+	details: Record<string, unknown>;
+}
+
+export type ToolProgress = { message: string; progress?: number; total?: number };
+
+export type ToolSpec = {
+	name: string;
+	title: string;
+	description?: string;
+	path: string;
+	method?: "GET" | "POST";
+	inputSchema?: object;
+	service?: string;
+	operation?: string;
+	requires?: string[];
+	annotations?: { readOnlyHint?: boolean; destructiveHint?: boolean; idempotentHint?: boolean };
+	background?: boolean;
+	handler: (args: any, ctx: { check: object | null; progress: (update: ToolProgress) => void; signal?: AbortSignal }) => Promise<object>;
+};
+
+export class ToolRegistry {
+	register(tool: ToolSpec): void;
+	unregister(name: string): void;
+	has(name: string): boolean;
+	list(): { name: string; title: string; description?: string; inputSchema: object; annotations?: ToolSpec["annotations"]; background?: true }[];
+	canRunInBackground(name: string): boolean;
+	invoke(name: string, args?: Record<string, unknown>, options?: { onProgress?: (update: ToolProgress) => void; signal?: AbortSignal }): Promise<{ status: number; body: any }>;
+}
+
+export const toolRegistry: ToolRegistry;
+
+export function validateArgs(schema: object, args: Record<string, unknown>): { args: Record<string, unknown>; errors: string[] };
@@ -112,9 +112,11 @@ function convertToWav(inputPath, outputPath) {
  * Transcribe audio file using local Whisper
  * @param {string} audioPath - Path to audio file
  * @param {string} model - Whisper model to use (tiny, base, small, medium, large)
+ * @param {{ onProgress?: (update: { message: string, progress?: number, total?: number }) => void, signal?: AbortSignal }} [options]
+ *        onProgress gets Whisper's stage messages and percentage; signal stops the Python process
  * @returns {Promise<Object>} Transcript object with segments and fullText
  */
-function transcribeAudio(audioPath, model = "base") {
+function transcribeAudio(audioPath, model = "base", { onProgress, signal } = {}) {
 	return new Promise(async (resolve, reject) => {
 		try {
 			// Check if Whisper is available
@@ -125,6 +127,7 @@ function transcribeAudio(audioPath, model = "base") {
 			}
 			
 			// Convert to WAV if needed
+			onProgress?.({ message: "Converting audio" });
 			const audioDir = path.dirname(audioPath);
 			const audioName = path.basename(audioPath, path.extname(audioPath));
 			const wavPath = path.join(audioDir, `${audioName}.wav`);
@@ -196,11 +199,19 @@ except Exception as e:
 			// Write Python script
 			fs.writeFileSync(scriptPath, scriptContent);
 			
+			if (signal?.aborted) {
+				reject(new Error("Transcription cancelled"));
+				return;
+			}
+			
 			// Run Python script
 			const python = spawn("python", [scriptPath], { shell: true });
+			const onAbort = () => python.kill();
+			signal?.addEventListener("abort", onAbort, { once: true });
 			
 			let stdout = "";
 			let stderr = "";
+			let lastPercent = -1;
 			
 			python.stdout.on("data", (data) => {
 				stdout += data.toString();
@@ -208,12 +219,24 @@ except Exception as e:
 			
 			python.stderr.on("data", (data) => {
 				stderr += data.toString();
-				// Log all output to console for debugging
 				const message = data.toString();
+				// verbose=False shows a tqdm bar (" 42%|████ | 1200/2860 [...]"); report each new percent
+				const bars = [...message.matchAll(/(\d{1,3})%\|/g)];
+				if (bars.length) {
+					const percent = Number(bars[bars.length - 1][1]);
+					if (percent !== lastPercent) {
+						lastPercent = percent;
+						onProgress?.({ message: `Transcribing ${percent}%`, progress: percent, total: 100 });
+					}
+					return;
+				}
+				if (message.includes("Loading Whisper model")) onProgress?.({ message: "Loading Whisper model" });
+				// Log all output to console for debugging
 				console.log(`[WhisperService] ${message}`);
 			});
 			
 			python.on("close", (code) => {
+				signal?.removeEventListener("abort", onAbort);
 				// Clean up script file
 				try {
 					if (fs.existsSync(scriptPath)) {
@@ -223,7 +246,9 @@ except Exception as e:
 					console.warn("[WhisperService] Error cleaning up script:", error);
 				}
 				
-				if (code === 0) {
+				if (signal?.aborted) {
+					reject(new Error("Transcription cancelled"));
+				} else if (code === 0) {
 					try {
 						const transcript = JSON.parse(stdout);
 						resolve(transcript);
@@ -250,6 +275,7 @@ except Exception as e:
 
 module.exports = {
 	checkWhisperAvailable,
+	convertToWav,
 	transcribeAudio
 };
 
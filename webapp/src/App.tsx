@@ -4,6 +4,7 @@ import { ChatHeader } from "./components/ChatHeader";
 import { MessageList } from "./components/MessageList";
 import { Composer } from "./components/Composer";
 import { SettingsModal } from "./components/SettingsModal";
+import { BillingDashboard } from "./components/BillingDashboard";
 import { RightPanel } from "./components/RightPanel";
 import { useChatStore } from "./store/chatStore";
 
@@ -82,6 +83,7 @@ export default function App() {
 				<Composer />
 			</footer>
 			{ui.showSettings && <SettingsModal />}
+			{ui.showBilling && <BillingDashboard />}
 		</div>
 	);
 }
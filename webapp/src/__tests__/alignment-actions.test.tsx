@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, waitFor, cleanup } from "@testing-library/react";
+import { ToolResultCard } from "../components/ToolResultCard";
+import { toToolResultPayload, type ToolResultPayload } from "../utils/toolResults";
+
+const report = {
+	ok: true,
+	repository: "game",
+	project: "ROC",
+	alignmentScore: 50,
+	summary: "1/2 tasks aligned (50%). 1 misalignment(s) found.",
+	aligned: [],
+	misalignments: [{
+		key: "ROC-5",
+		summary: "Commit verification",
+		status: "In Progress",
+		warning: "Task IN PROGRESS but code appears complete",
+		url: "https://x.atlassian.net/browse/ROC-5",
+		suggestedActions: [
+			{ id: "ROC-5:transition", type: "transition", key: "ROC-5", fromStatus: "In Progress", toStatus: "Done" },
+			{ id: "ROC-5:comment", type: "comment", key: "ROC-5", body: "Commits:\nabc1234 feat: verify" },
+		],
+	}],
+};
+
+describe("alignment report card", () => {
+	afterEach(() => {
+		cleanup();
+		vi.unstubAllGlobals();
+	});
+
+	it("previews then applies only the ticked actions", async () => {
+		const calls: any[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (_url: string, init?: RequestInit) => {
+			const { arguments: args } = JSON.parse(String(init?.body));
+			calls.push(args);
+			const results = args.actions.map((a: any) => ({ id: a.id, ok: true, toStatus: a.toStatus }));
+			return new Response(JSON.stringify({ ok: true, dryRun: args.dryRun, results }));
+		}));
+		const payload = toToolResultPayload("jira_github_verify_alignment", report) as ToolResultPayload;
+		render(<ToolResultCard payload={payload} />);
+
+		fireEvent.click(screen.getByLabelText(/Comment with evidence/));
+		fireEvent.click(screen.getByText("Preview"));
+		await waitFor(() => expect(screen.getByText("✓ ready (Done)")).toBeTruthy());
+		expect(calls[0]).toEqual({ actions: [report.misalignments[0].suggestedActions[0]], dryRun: true, repo: "game" });
+
+		fireEvent.click(screen.getByText("Apply 1 selected"));
+		await waitFor(() => expect(screen.getByText("✓ applied (Done)")).toBeTruthy());
+		expect(calls[1].dryRun).toBe(false);
+		expect((screen.getByLabelText(/Move to Done/) as HTMLInputElement).disabled).toBe(true);
+	});
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { createMatcher, DEFAULT_STRATEGIES, keyPattern, type EvidenceContext } from "../../server/alignmentEvidence.cjs";
+import fixture from "./fixtures/alignment-evidence.json";
+
+const context = fixture.context as EvidenceContext;
+const task = (key: string) => fixture.tasks.find(t => t.key === key)!;
+
+describe("alignment evidence matcher", () => {
+	const matcher = createMatcher();
+
+	it("matches task keys exactly, not as prefixes", () => {
+		expect(keyPattern("ROC-5").test("ROC-50: fix save slot")).toBe(false);
+		expect(keyPattern("ROC-5").test("XROC-5 typo")).toBe(false);
+		expect(["roc_5 done", "[ROC5] done", "feature/ROC-5-x"].every(s => keyPattern("ROC-5").test(s))).toBe(true);
+	});
+
+	it("does not count shared summary keywords alone as evidence", () => {
+		const result = matcher.evaluate(task("ROC-5"), context);
+		expect(result.matchedStrategies.map(s => s.name)).toEqual(["summaryKeywords"]);
+		expect(result.confidence).toBe(0.15);
+		expect(result.hasEvidence).toBe(false);
+	});
+
+	it("combines independent strategies into one confidence", () => {
+		const result = matcher.evaluate(task("ROC-6"), context);
+		expect(result.matchedStrategies.map(s => s.name)).toEqual(["commitKey", "prLink", "fileOwnership"]);
+		expect(result.confidence).toBe(0.91);
+		expect(result.evidence.commits.map(c => c.sha)).toEqual(["c3d4e5f"]);
+		expect(result.evidence.prs.map(pr => pr.number)).toEqual([41]);
+	});
+
+	it("uses Jira development-panel links and path ownership", () => {
+		const result = matcher.evaluate(task("ROC-12"), context);
+		expect(result.matchedStrategies.map(s => s.name)).toEqual(["devPanel", "fileOwnership"]);
+		expect(result.confidence).toBeCloseTo(0.93, 2);
+		expect(result.evidence.prs.map(pr => pr.number)).toEqual([43]);
+		expect(result.evidence.commits.map(c => c.sha)).toEqual(["d4e5f6a"]);
+	});
+
+	it("finds branch and pull request links by key", () => {
+		const result = matcher.evaluate(task("ROC-40"), context);
+		expect(result.evidence.branches).toEqual([{ name: "feature/ROC-40-rumble" }]);
+		expect(result.confidence).toBe(0.85);
+		expect(result.hasEvidence).toBe(true);
+	});
+
+	it("keeps evidence from several repositories apart", () => {
+		const result = matcher.evaluate({ ...task("ROC-40"), labels: ["input"] }, {
+			commits: [
+				{ sha: "aaa1111", message: "ROC-40: rumble curve", repo: "engine", files: ["Source/Input/Rumble.cpp"] },
+				{ sha: "aaa1111", message: "ROC-40: rumble presets", repo: "game" },
+			],
+			branches: [{ name: "feature/ROC-40", repo: "engine" }, { name: "feature/ROC-40", repo: "game" }],
+			ownership: [{ path: "Source/Input/", repo: "game", labels: ["input"] }],
+		});
+		expect(result.evidence.commits.map(c => c.repo)).toEqual(["engine", "game"]);
+		expect(result.evidence.branches).toEqual([{ name: "feature/ROC-40", repo: "engine" }, { name: "feature/ROC-40", repo: "game" }]);
+		expect(result.matchedStrategies.map(s => s.name)).not.toContain("fileOwnership");
+	});
+
+	it("honours configured weights, threshold and extra strategies", () => {
+		const custom = createMatcher({
+			weights: { commitKey: 0.4, prLink: 0, fileOwnership: 0 },
+			threshold: 0.6,
+			strategies: [
+				...DEFAULT_STRATEGIES,
+				{ name: "hotfixBranch", weight: 0.3, match: (t, ctx) => ctx.commits.filter(c => c.message.includes("hitch") && t.components.includes("Rendering")).map(c => ({ kind: "commit", ...c })) },
+			],
+		});
+		expect(custom.uses("prLink")).toBe(false);
+		const result = custom.evaluate(task("ROC-6"), context);
+		expect(result.matchedStrategies).toEqual([
+			{ name: "commitKey", weight: 0.4, matches: 1 },
+			{ name: "hotfixBranch", weight: 0.3, matches: 1 },
+		]);
+		expect(result.confidence).toBe(0.58);
+		expect(result.hasEvidence).toBe(false);
+	});
+});
@@ -0,0 +1,163 @@
+/// <reference types="node" />
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createRequire } from "node:module";
+
+// Loaded with Node's require so the stubs below are the instances the plugin uses
+const require = createRequire(import.meta.url);
+const jiraAuth: typeof import("../../server/jiraAuthService.cjs").default = require("../../server/jiraAuthService.cjs");
+const githubAuth: typeof import("../../server/githubAuthService.cjs").default = require("../../server/githubAuthService.cjs");
+const alignment: { register(context: { tools: { register(tool: any): void } }): void } = require("../../server/plugins/alignment.cjs");
+
+type Commit = { sha: string; commit: { message: string; author: { date: string } } };
+const commit = (sha: string, message: string, date: string): Commit => ({ sha, commit: { message, author: { date } } });
+const issue = (key: string, status: string, created: string, updated = created) => ({ key, id: key, fields: { summary: key, status: { name: status }, created, updated } });
+const pull = (number: number, updated_at: string) => ({ number, title: `PR ${number}`, state: "closed", merged_at: updated_at, updated_at });
+const day = (d: number) => `2025-03-${String(d).padStart(2, "0")}T00:00:00.000Z`;
+
+/**
+ * A GitHub stand-in behind octokit's paginate.iterator: commits per branch (newest first,
+ * filtered by since/until like the API) and pull requests, served in pages of pageSize
+ */
+function fakeGithub({ branches, pulls = [], pageSize = 2 }: { branches: Record<string, Commit[]>; pulls?: object[]; pageSize?: number }) {
+	const requested: { branch?: string; since?: string; until?: string }[] = [];
+	const served = { pages: 0 };
+	async function* pages(items: unknown[]) {
+		for (let i = 0; i < items.length; i += pageSize) {
+			served.pages++;
+			yield { data: items.slice(i, i + pageSize) };
+		}
+	}
+	const octokit = {
+		paginate: { iterator: (method: (params: any) => AsyncGenerator, params: any) => method(params) },
+		repos: {
+			listBranches: () => pages(Object.keys(branches).map(name => ({ name }))),
+			listCommits: ({ sha, since, until }: any) => {
+				requested.push({ branch: sha, since, until });
+				return pages((branches[sha] || []).filter(c => (!since || c.commit.author.date >= since) && (!until || c.commit.author.date <= until)));
+			},
+			get: async () => ({ data: { default_branch: "main" } }),
+		},
+		pulls: { list: () => pages(pulls) },
+	};
+	Object.assign(githubAuth, { octokit, owner: "acme", authenticated: true });
+	return { requested, served };
+}
+
+function fakeJira(responses: Record<string, unknown>) {
+	const requested: string[] = [];
+	vi.spyOn(jiraAuth, "get").mockImplementation(async path => {
+		requested.push(path);
+		return responses[path] ?? {};
+	});
+	return { requested };
+}
+
+function verifyTool() {
+	let tool: any;
+	alignment.register({ tools: { register: t => { if (t.name === "jira_github_verify_alignment") tool = t; } } });
+	return (args: object) => tool.handler(args, { progress: () => {} });
+}
+
+describe("alignment history scan", () => {
+	const unauthenticated = { octokit: githubAuth.octokit, owner: githubAuth.owner, authenticated: githubAuth.authenticated };
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+		Object.assign(githubAuth, unauthenticated);
+	});
+
+	it("checks only the sprint's tasks, from the sprint start or the oldest task if earlier", async () => {
+		const jira = fakeJira({
+			"/rest/agile/1.0/sprint/7/issue?startAt=0&maxResults=50": {
+				issues: [issue("ROC-1", "Done", "2025-02-01T00:00:00.000Z"), issue("ROC-2", "Done", "2025-03-02T00:00:00.000Z")],
+			},
+			"/rest/agile/1.0/sprint/7": { name: "Sprint 7", startDate: "2025-03-01T00:00:00.000Z", completeDate: "2025-03-14T00:00:00.000Z" },
+		});
+		const github = fakeGithub({
+			branches: {
+				main: [
+					commit("c2", "ROC-2 finish the menu", "2025-03-05T00:00:00.000Z"),
+					// Carried over: worked on before the sprint started
+					commit("c1", "ROC-1 add the save slot", "2025-02-10T00:00:00.000Z"),
+				],
+			},
+		});
+
+		const report = await verifyTool()({ repo: "game", sprintId: 7 });
+		expect(jira.requested.filter(p => p.includes("/board"))).toEqual([]);
+		expect(report.tasksAnalyzed).toBe(2);
+		expect(report.misalignments).toEqual([]);
+		expect(report.scan).toMatchObject({ since: "2025-02-01T00:00:00.000Z", until: "2025-03-14T00:00:00.000Z", window: "sprint Sprint 7", commits: 2 });
+		expect(github.requested).toEqual([{ branch: "main", since: "2025-02-01T00:00:00.000Z", until: "2025-03-14T00:00:00.000Z" }]);
+	});
+
+	it("reads branch-only commits below main's commits merged into the branch", async () => {
+		fakeJira({
+			"/rest/agile/1.0/sprint/7/issue?startAt=0&maxResults=50": { issues: [issue("ROC-3", "Done", day(1)), issue("ROC-4", "Done", day(1))] },
+			"/rest/agile/1.0/sprint/7": { name: "Sprint 7", startDate: day(1) },
+		});
+		const main = [commit("m3", "Tidy", day(9)), commit("m2", "Fix the build", day(6)), commit("m1", "Start", day(2))];
+		const github = fakeGithub({
+			branches: {
+				main,
+				feature: [commit("f3", "Merge main into feature", day(10)), main[0], main[1], commit("f2", "ROC-4 wire the menu", day(5)), commit("f1", "ROC-3 add the menu", day(4)), main[2]],
+			},
+		});
+
+		const report = await verifyTool()({ repo: "game", sprintId: 7 });
+		expect(report.misalignments.map((t: any) => t.key)).toEqual([]);
+		expect(report.scan).toMatchObject({ commits: 6, branchesScanned: 2, truncated: false });
+		// One page of branches, then both branches paged to the end (2 + 3 pages of 2 commits)
+		expect(github.served.pages).toBe(6);
+	});
+
+	it("stops at maxCommits and says evidence may be missing", async () => {
+		fakeJira({
+			"/rest/agile/1.0/sprint/7/issue?startAt=0&maxResults=50": { issues: [issue("ROC-1", "Done", day(1))] },
+			"/rest/agile/1.0/sprint/7": { name: "Sprint 7", startDate: day(1) },
+		});
+		fakeGithub({ branches: { main: [5, 4, 3, 2].map(d => commit(`c${d}`, `Change ${d}`, day(d))).concat(commit("c1", "ROC-1 done", day(1))) } });
+
+		const report = await verifyTool()({ repo: "game", sprintId: 7, maxCommits: 3 });
+		expect(report.scan).toMatchObject({ commits: 3, truncated: true });
+		expect(report.misalignments.map((t: any) => t.key)).toEqual(["ROC-1"]);
+		expect(report.summary).toContain("Commit scan stopped at 3 commits in game");
+	});
+
+	it("scans the requested dates and checks only the tasks updated in them", async () => {
+		fakeJira({
+			"/rest/agile/1.0/sprint/7/issue?startAt=0&maxResults=50": {
+				issues: [issue("ROC-1", "Done", day(1), day(2)), issue("ROC-2", "Done", day(1), day(8))],
+			},
+		});
+		const github = fakeGithub({ branches: { main: [commit("c2", "ROC-2 ship it", day(8)), commit("c1", "ROC-1 ship it", day(2))] } });
+
+		const report = await verifyTool()({ repo: "game", sprintId: 7, since: "2025-03-05", until: "2025-03-10" });
+		expect(report.scan).toMatchObject({ since: day(5), until: day(10), window: "requested dates", commits: 1 });
+		expect(github.requested).toEqual([{ branch: "main", since: day(5), until: day(10) }]);
+		expect(report.tasksAnalyzed).toBe(1);
+		expect(report.aligned.map((t: any) => t.key)).toEqual(["ROC-2"]);
+	});
+
+	it("pages pull requests until one was last updated before the window", async () => {
+		const github = fakeGithub({ branches: {}, pulls: [pull(9, day(9)), pull(8, day(8)), pull(7, day(7)), pull(3, day(3)), pull(2, day(2)), pull(1, day(1))] });
+		const numbers = async (options: { since?: string; max?: number }) => {
+			const seen: number[] = [];
+			for await (const pr of githubAuth.iteratePullRequests("game", options)) seen.push(pr.number);
+			return seen;
+		};
+
+		expect(await numbers({ since: day(5) })).toEqual([9, 8, 7]);
+		// The third page is never requested
+		expect(github.served.pages).toBe(2);
+		expect(await numbers({ max: 4 })).toEqual([9, 8, 7, 3]);
+	});
+
+	it("passes the window to the commit listing and stops at max", async () => {
+		const github = fakeGithub({ branches: { main: [5, 4, 3, 2, 1].map(d => commit(`c${d}`, "Change", day(d))) } });
+		const shas = [];
+		for await (const c of githubAuth.iterateCommits("game", { branch: "main", since: day(2), until: day(4), max: 2 })) shas.push(c.sha);
+		expect(shas).toEqual(["c4", "c3"]);
+		expect(github.requested).toEqual([{ branch: "main", since: day(2), until: day(4) }]);
+	});
+});
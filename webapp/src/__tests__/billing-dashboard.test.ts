@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { dailySeries, weeklySeries, newWarnings, type ServiceUsage } from "../utils/billing";
+
+const usage = (percent: number): ServiceUsage => ({
+	used: percent,
+	limit: 100,
+	percent,
+	warningPercent: 80,
+	blockPercent: 95,
+	resetTime: "",
+	rateLimit: null,
+});
+
+describe("billing dashboard data", () => {
+	const history = [
+		{ date: "2025-02-24", gmail: 10 },
+		{ date: "2025-03-02", gmail: 5, github: 1 },
+		{ date: "2025-03-03", gmail: 7 },
+		{ date: "2025-03-05", gmail: 3 },
+	];
+	// Wednesday
+	const today = new Date(2025, 2, 5, 15, 0);
+
+	it("fills days without usage and groups weeks from Monday", () => {
+		expect(dailySeries(history, "gmail", 4, today)).toEqual([
+			{ label: "2025-03-02", value: 5 },
+			{ label: "2025-03-03", value: 7 },
+			{ label: "2025-03-04", value: 0 },
+			{ label: "2025-03-05", value: 3 },
+		]);
+		expect(weeklySeries(history, "gmail", 3, today)).toEqual([
+			{ label: "2025-02-17", value: 0 },
+			{ label: "2025-02-24", value: 15 },
+			{ label: "2025-03-03", value: 10 },
+		]);
+	});
+
+	it("reports a service once a day after it crosses its warning threshold", () => {
+		const warned: Record<string, string> = { calendar: "2025-03-05" };
+		const current = { gmail: usage(81), calendar: usage(90), github: usage(79.9) };
+		expect(newWarnings(current, warned, "2025-03-05")).toEqual([{ service: "gmail", percent: 81, warningPercent: 80, blockPercent: 95 }]);
+		expect(newWarnings(current, warned, "2025-03-05")).toEqual([]);
+		expect(newWarnings(current, warned, "2025-03-06").map(w => w.service)).toEqual(["gmail", "calendar"]);
+	});
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { BillingProtectionService } from "../../server/billingService.cjs";
+import { FileBillingProvider, createBillingProvider } from "../../server/billingProviders.cjs";
+import { tempFiles } from "./helpers/tempFiles";
+
+describe("billing providers", () => {
+	const temp = tempFiles("billing-costs-");
+	afterEach(() => {
+		vi.useRealTimers();
+		temp.cleanup();
+	});
+
+	it("blocks paid Google requests on the spend read from a local costs file", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		vi.setSystemTime(new Date(2025, 2, 10, 9, 0));
+		const file = temp.file("costs.json", JSON.stringify({ "2025-02": 9, "2025-03": 2.5 }));
+		const billing = new BillingProtectionService({ storePath: null, billingProvider: new FileBillingProvider(file) });
+
+		expect(await billing.checkAndUpdateUsage("gmail", "list")).toMatchObject({ allowed: false, reason: "cost_limit" });
+		expect((await billing.checkAndUpdateUsage("github", "list")).allowed).toBe(true);
+		expect(billing.getCurrentUsage().costs).toMatchObject({ thisMonth: 2.5, google: 2.5, provider: "file", error: null });
+	});
+
+	it("reads the provider once per refresh interval", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		vi.setSystemTime(new Date(2025, 2, 10, 9, 0));
+		const provider = { name: "test", getMonthCosts: vi.fn(async () => 0) };
+		const billing = new BillingProtectionService({ storePath: null, billingProvider: provider });
+		billing.limits.costRefreshMs = 60 * 60_000;
+
+		await Promise.all([billing.checkAndUpdateUsage("gmail", "list"), billing.checkAndUpdateUsage("calendar", "list")]);
+		vi.setSystemTime(new Date(2025, 2, 10, 9, 59));
+		await billing.checkAndUpdateUsage("gmail", "list");
+		expect(provider.getMonthCosts).toHaveBeenCalledTimes(1);
+
+		vi.setSystemTime(new Date(2025, 2, 10, 10, 1));
+		await billing.checkAndUpdateUsage("gmail", "list");
+		expect(provider.getMonthCosts).toHaveBeenCalledTimes(2);
+		expect(provider.getMonthCosts).toHaveBeenLastCalledWith("2025-03");
+	});
+
+	it("blocks only paid Google requests in strict mode while billing cannot be verified", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		vi.setSystemTime(new Date(2025, 2, 10, 9, 0));
+		const provider = { name: "test", getMonthCosts: vi.fn(async (): Promise<number> => { throw new Error("permission denied"); }) };
+		const billing = new BillingProtectionService({ storePath: null, billingProvider: provider });
+
+		expect(await billing.checkAndUpdateUsage("gmail", "list")).toMatchObject({ allowed: true, warning: expect.stringContaining("permission denied") });
+		billing.limits.strictBilling = true;
+		expect(await billing.checkAndUpdateUsage("gmail", "list")).toMatchObject({ allowed: false, reason: "billing_unverified" });
+		expect((await billing.checkAndUpdateUsage("openai", "chat")).allowed).toBe(true);
+		expect((await billing.checkAndUpdateUsage("slack", "search")).allowed).toBe(true);
+
+		// A failed read is retried after a minute rather than the full refresh interval
+		provider.getMonthCosts.mockResolvedValue(0);
+		vi.setSystemTime(new Date(2025, 2, 10, 9, 1, 1));
+		expect((await billing.checkAndUpdateUsage("gmail", "list")).allowed).toBe(true);
+		expect(billing.getCurrentUsage().costs.error).toBeNull();
+	});
+
+	it("picks the provider from BILLING_PROVIDER and rejects an unsafe export table", () => {
+		expect(createBillingProvider(() => 0, {}).name).toBe("manual");
+		expect(createBillingProvider(() => 0, { BILLING_PROVIDER: "file", BILLING_COSTS_FILE: "/tmp/c.json" })).toMatchObject({ name: "file", filePath: "/tmp/c.json" });
+		expect(createBillingProvider(() => 0, { BILLING_PROVIDER: "bigquery", GOOGLE_CLOUD_PROJECT_ID: "p", BILLING_EXPORT_TABLE: "p.billing.gcp_billing_export_v1_0A1B2C" }).name).toBe("bigquery");
+		expect(() => createBillingProvider(() => 0, { BILLING_PROVIDER: "bigquery", GOOGLE_CLOUD_PROJECT_ID: "p", BILLING_EXPORT_TABLE: "p.d.t` WHERE 1=1 --" })).toThrow(/BILLING_EXPORT_TABLE/);
+		expect(() => createBillingProvider(() => 0, { BILLING_PROVIDER: "cloud" })).toThrow(/Unknown BILLING_PROVIDER/);
+	});
+});
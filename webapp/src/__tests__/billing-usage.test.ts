@@ -0,0 +1,211 @@
+/// <reference types="node" />
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { BillingProtectionService } from "../../server/billingService.cjs";
+import { readFileSync, utimesSync } from "node:fs";
+import { tempFiles } from "./helpers/tempFiles";
+import { startServer } from "./helpers/server";
+
+describe("billing rate limits", () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("keeps a bucket per service and per Slack method tier", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		vi.setSystemTime(new Date(2025, 2, 1, 10, 0));
+		const billing = new BillingProtectionService({ storePath: null });
+
+		for (let i = 0; i < 20; i++) billing.checkRateLimit("slack", { method: "search.messages" });
+		expect(billing.checkRateLimit("slack", { method: "search.messages" })).toEqual({ allowed: false, limit: "20/minute", retryAfterMs: 3000 });
+		expect(billing.checkRateLimit("slack", { method: "users.info" }).allowed).toBe(true);
+		expect((await billing.checkAndUpdateUsage("gmail", "list")).allowed).toBe(true);
+
+		for (let i = 0; i < 15; i++) await billing.checkAndUpdateUsage("gemini", "chat");
+		expect(await billing.checkAndUpdateUsage("gemini", "chat")).toMatchObject({ allowed: false, reason: "rate_limit", retryAfterMs: 4000 });
+		expect(billing.usage.gemini.today).toBe(15);
+
+		vi.setSystemTime(new Date(2025, 2, 1, 10, 0, 3));
+		expect(billing.checkRateLimit("slack", { method: "search.messages" }).allowed).toBe(true);
+		expect(billing.blocked.map(b => [b.service, b.operation, b.reason])).toEqual([
+			["gemini", "chat", "rate_limit"],
+			["slack", "search.messages", "rate_limit"],
+		]);
+		const usage = billing.getCurrentUsage();
+		expect(usage.slack.rateLimit.methods["search.messages"]).toEqual({ limit: 20, window: "minute", remaining: 0, tier: 2 });
+		expect(usage.gemini.rateLimit).toMatchObject({ limit: 15, window: "minute", remaining: 0 });
+		expect(usage.github.rateLimit).toMatchObject({ limit: 5000, window: "hour", remaining: 5000 });
+	});
+});
+
+describe("billing LLM costs", () => {
+	it("adds priced tokens to the month and the conversation, and caps LLM spend once a limit is set", async () => {
+		const billing = new BillingProtectionService({ storePath: null });
+		billing.updateCosts(0.5);
+		billing.recordLlmUsage("openai", "gpt-4o", { inputTokens: 1000, outputTokens: 100 }, { conversationId: "c1" });
+		billing.recordLlmUsage("gemini", "gemini-1.5-flash", { inputTokens: 2000, outputTokens: 0 }, { conversationId: "c1" });
+
+		expect(await billing.getCurrentMonthCosts()).toBeCloseTo(0.5 + 0.0035 + 0.00015, 8);
+		expect(billing.getConversationCost("c1")).toEqual({ inputTokens: 3000, outputTokens: 100, cost: expect.closeTo(0.00365, 8), requests: 2 });
+		expect(billing.getConversationCost("c2")).toEqual({ inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 });
+		expect(billing.getCurrentUsage().costs.models["gpt-4o"]).toMatchObject({ service: "openai", inputTokens: 1000, requests: 1 });
+
+		// At the default $0 (and $10 for LLM spend) only Google spend blocks, and only Google requests
+		billing.updateCosts(0);
+		expect((await billing.checkAndUpdateUsage("openai", "chat")).allowed).toBe(true);
+		expect((await billing.checkAndUpdateUsage("gmail", "list")).allowed).toBe(true);
+
+		// LLM spend has its own limit
+		billing.limits.monthlyLlmCostLimit = 0.003;
+		expect(await billing.checkAndUpdateUsage("gemini", "chat")).toMatchObject({ allowed: false, reason: "cost_limit", costs: { limit: 0.003 } });
+		expect((await billing.checkAndUpdateUsage("gmail", "list")).allowed).toBe(true);
+		billing.limits.monthlyLlmCostLimit = 10;
+
+		billing.limits.monthlyCostLimit = 0.003;
+		expect(await billing.checkAndUpdateUsage("openai", "chat")).toMatchObject({ allowed: false, reason: "cost_limit" });
+		expect((await billing.checkAndUpdateUsage("gmail", "list")).allowed).toBe(false);
+		expect((await billing.checkAndUpdateUsage("jira", "get")).allowed).toBe(true);
+	});
+});
+
+describe("billing usage persistence", () => {
+	const temp = tempFiles("billing-");
+	const storePath = () => temp.file("usage.json");
+
+	afterEach(() => {
+		vi.useRealTimers();
+		temp.cleanup();
+	});
+
+	it("keeps quota, rate-limit windows and costs across a restart on the same day", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		vi.setSystemTime(new Date(2025, 2, 1, 10, 0));
+		const file = storePath();
+		const before = new BillingProtectionService({ storePath: file });
+		await before.checkAndUpdateUsage("gmail", "send");
+		await before.checkAndUpdateUsage("github", "list");
+		before.updateCosts(0);
+
+		vi.setSystemTime(new Date(2025, 2, 1, 10, 0, 30));
+		const after = new BillingProtectionService({ storePath: file });
+		expect(after.usage.gmail.today).toBe(100);
+		expect(after.usage.github.today).toBe(1);
+		expect(after.usage.buckets.gmail.tokens).toBe(150);
+		expect(after.usage.costs.month).toBe("2025-03");
+		expect(after.getUsageHistory()).toEqual([{ date: "2025-03-01", gmail: 100, calendar: 0, slack: 0, github: 1, jira: 0, openai: 0, gemini: 0 }]);
+	});
+
+	it("starts a new day and month after a restart but keeps the daily history", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		vi.setSystemTime(new Date(2025, 2, 31, 23, 0));
+		const file = storePath();
+		const before = new BillingProtectionService({ storePath: file });
+		await before.checkAndUpdateUsage("calendar", "insert");
+		before.updateCosts(1.5);
+
+		vi.setSystemTime(new Date(2025, 3, 1, 9, 0));
+		const after = new BillingProtectionService({ storePath: file });
+		expect(after.usage.calendar.today).toBe(0);
+		expect(after.usage.costs).toMatchObject({ thisMonth: 0, month: "2025-04" });
+
+		await after.checkAndUpdateUsage("calendar", "list");
+		expect(after.getUsageHistory({ service: "calendar" })).toEqual([
+			{ date: "2025-03-31", calendar: 50 },
+			{ date: "2025-04-01", calendar: 1 },
+		]);
+		expect(after.getUsageHistory({ from: "2025-04-01" }).map(d => d.date)).toEqual(["2025-04-01"]);
+	});
+
+	it("applies limit changes live, rejects invalid sets as a whole and keeps them across a restart", async () => {
+		const file = storePath();
+		const before = new BillingProtectionService({ storePath: file });
+
+		expect(before.updateLimits({ "slack.dailyQuota": 0, "slack.warningThreshold": 0.99, "gmail.hardLimit": 0.5 })).toEqual({
+			ok: false,
+			errors: [
+				"slack.dailyQuota must be a whole number of at least 1",
+				"gmail.warningThreshold (0.8) must not be above gmail.hardLimit (0.5)",
+				"slack.warningThreshold (0.99) must not be above slack.hardLimit (0.95)",
+			],
+		});
+		expect(before.updateLimits({ "jira.dailyQuota": 10, "jira.speed": 1 })).toMatchObject({ ok: false, errors: ["Unknown limit jira.speed"] });
+		expect(before.limits.jira.dailyQuota).toBe(50000);
+
+		expect(before.updateLimits({ "jira.dailyQuota": 2, monthlyCostLimit: 5 })).toEqual({
+			ok: true,
+			changes: [
+				{ field: "jira.dailyQuota", from: 50000, to: 2 },
+				{ field: "monthlyCostLimit", from: 0, to: 5 },
+			],
+		});
+		expect((await before.checkAndUpdateUsage("jira", "get")).allowed).toBe(true);
+		expect(await before.checkAndUpdateUsage("jira", "get")).toMatchObject({ allowed: false, reason: "quota_exceeded" });
+
+		const after = new BillingProtectionService({ storePath: file });
+		expect(after.getEditableLimits()).toMatchObject({ overrides: { "jira.dailyQuota": 2, monthlyCostLimit: 5 } });
+		expect(after.limits.jira.dailyQuota).toBe(2);
+
+		expect(after.updateLimits({ "jira.dailyQuota": null })).toEqual({ ok: true, changes: [{ field: "jira.dailyQuota", from: 2, to: 50000 }] });
+		expect(after.getEditableLimits().overrides).toEqual({ monthlyCostLimit: 5 });
+	});
+
+	it("keeps stdio usage in its own file and follows the web server's limits", async () => {
+		const webFile = storePath();
+		const stdioFile = temp.file("usage.stdio.json");
+		const web = new BillingProtectionService({ storePath: webFile });
+		web.updateLimits({ "jira.dailyQuota": 3 });
+		const webSaved = readFileSync(webFile, "utf8");
+
+		const stdio = new BillingProtectionService({ storePath: stdioFile, limitsPath: webFile });
+		expect(stdio.limits.jira.dailyQuota).toBe(3);
+		await stdio.checkAndUpdateUsage("jira", "get");
+		stdio.save();
+		expect(readFileSync(webFile, "utf8")).toBe(webSaved);
+
+		const restarted = new BillingProtectionService({ storePath: stdioFile, limitsPath: webFile });
+		expect(restarted.usage.jira.today).toBe(1);
+		expect(restarted.limits.jira.dailyQuota).toBe(3);
+
+		web.updateLimits({ "jira.dailyQuota": null });
+		// The change is picked up from the file's modification time
+		utimesSync(webFile, new Date(), new Date(Date.now() + 5000));
+		await restarted.checkAndUpdateUsage("jira", "get");
+		expect(restarted.limits.jira.dailyQuota).toBe(50000);
+		expect(restarted.getEditableLimits().overrides).toEqual({});
+	});
+
+	it("writes per-request usage once after a short delay instead of on every request", async () => {
+		vi.useFakeTimers({ toFake: ["Date", "setTimeout", "clearTimeout"] });
+		const file = storePath();
+		const billing = new BillingProtectionService({ storePath: file });
+		const save = vi.spyOn(billing, "save");
+		for (let i = 0; i < 5; i++) await billing.checkAndUpdateUsage("github", "list");
+		expect(save).not.toHaveBeenCalled();
+		expect(new BillingProtectionService({ storePath: file }).usage.github.today).toBe(0);
+
+		vi.advanceTimersByTime(1000);
+		expect(save).toHaveBeenCalledTimes(1);
+		expect(new BillingProtectionService({ storePath: file }).usage.github.today).toBe(5);
+	});
+});
+
+describe("LLM proxy cost limit", () => {
+	let server: Awaited<ReturnType<typeof startServer>> | undefined;
+
+	afterEach(() => {
+		server?.stop();
+	});
+
+	it("blocks /v1/chat/completions once the month's LLM spend is over the limit", async () => {
+		const month = `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, "0")}`;
+		const costs = { month, google: 0, llm: 5.5, thisMonth: 5.5, models: {}, lastUpdate: 0 };
+		server = await startServer({ env: { LLM_MONTHLY_COST_LIMIT: "5" }, files: { "usage.json": JSON.stringify({ usage: { costs } }) } });
+
+		const r = await fetch(`${server.url}/v1/chat/completions`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ model: "gpt-4o", messages: [{ role: "user", content: "hi" }] }),
+		});
+		expect(r.status).toBe(403);
+		expect((await r.json()).error.message).toContain("Monthly LLM cost limit exceeded: $5.50/$5.00");
+	}, 30000);
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from "vitest";
+import { exportConversations } from "../utils/conversationExport";
+import { useChatStore, type Conversation } from "../store/chatStore";
+
+const conv: Conversation = {
+	id: "c1",
+	title: "ROC sprint",
+	createdAt: 1,
+	updatedAt: 2,
+	messageIds: ["m1", "m2"],
+	messages: [
+		{ id: "m1", role: "user", content: "What is left?", createdAt: 1, attachments: [{ id: "a1", type: "image", name: "board.png", dataUrl: "data:image/png;base64,AAAA" }] },
+		{
+			id: "m2", role: "assistant", content: "One issue <b>left</b>.", createdAt: 2, status: "complete",
+			toolSteps: [{
+				id: "call_0", name: "jira_search", arguments: { jql: "project = ROC" }, result: "{}", ok: true,
+				payload: { kind: "jira_issues", total: 1, issues: [{ key: "ROC-1", summary: "Fix | crash", status: "To Do", assignee: "Dana", url: "https://x.atlassian.net/browse/ROC-1" }] },
+			}],
+		},
+	],
+};
+
+describe("conversation export", () => {
+	it("writes tool results as Markdown tables", () => {
+		const { filename, content } = exportConversations([conv], "markdown");
+		expect(filename).toMatch(/^jarvis-roc-sprint-\d{4}-\d{2}-\d{2}\.md$/);
+		expect(content).toContain("# ROC sprint");
+		expect(content).toContain("| Key | Summary | Status | Assignee | Due |");
+		expect(content).toContain("| [ROC-1](https://x.atlassian.net/browse/ROC-1) | Fix \\| crash | To Do | Dana |  |");
+	});
+
+	it("produces self-contained HTML without passing raw HTML through", () => {
+		const { content } = exportConversations([conv], "html");
+		expect(content).toContain("<table>");
+		expect(content).toContain('<img src="data:image/png;base64,AAAA" alt="board.png">');
+		expect(content).not.toContain("<b>left</b>");
+	});
+
+	it("round-trips JSON through the validated import", async () => {
+		vi.stubGlobal("fetch", vi.fn(async () => new Response(JSON.stringify({ ok: true, imported: 1, skipped: 0 }))));
+		useChatStore.setState({ conversations: [], activeConversationId: undefined });
+		const { content } = exportConversations([conv], "json");
+
+		await expect(useChatStore.getState().importConversations(JSON.parse(content))).resolves.toBe(1);
+		expect(useChatStore.getState().conversations).toEqual([conv]);
+		expect(useChatStore.getState().activeConversationId).toBe("c1");
+
+		await expect(useChatStore.getState().importConversations({ conversations: [{ id: "c2", title: 3 }] })).rejects.toThrow(/title/);
+		vi.unstubAllGlobals();
+	});
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { buildSearchIndex, searchConversations } from "../utils/conversationSearch";
+import type { Conversation } from "../store/chatStore";
+
+const day = (iso: string) => new Date(`${iso}T12:00:00`).getTime();
+
+const conversations: Conversation[] = [
+	{
+		id: "c1", title: "Sprint review", createdAt: day("2025-03-01"), updatedAt: day("2025-03-01"), messageIds: ["m1", "m2"],
+		messages: [
+			{ id: "m1", role: "user", content: "What is left in the ROC sprint?", createdAt: day("2025-03-01") },
+			{
+				id: "m2", role: "assistant", content: "Two issues remain.", createdAt: day("2025-03-01"),
+				toolSteps: [{
+					id: "call_0", name: "jira_search", arguments: {}, result: "", ok: true,
+					payload: { kind: "jira_issues", issues: [{ key: "ROC-12", summary: "Fix shader crash", status: "In Progress", assignee: "Dana" }] },
+				}],
+			},
+		],
+	},
+	{
+		id: "c2", title: "Weather", createdAt: day("2025-04-10"), updatedAt: day("2025-04-10"), messageIds: ["m3"],
+		messages: [{ id: "m3", role: "user", content: "Will it rain in Montreal for the ROC offsite?", createdAt: day("2025-04-10") }],
+	},
+];
+
+describe("conversation search", () => {
+	const index = buildSearchIndex(conversations);
+
+	it("matches every term by word prefix, including tool-result text", () => {
+		const hits = searchConversations(index, "shader cras");
+		expect(hits.map(h => h.messageId)).toEqual(["m2"]);
+		const hit = hits[0];
+		expect(hit.highlights.map(([s, e]) => hit.snippet.slice(s, e).toLowerCase())).toEqual(["shader", "cras"]);
+	});
+
+	it("applies inclusive date filters", () => {
+		expect(searchConversations(index, "roc").map(h => h.messageId).sort()).toEqual(["m1", "m2", "m3"]);
+		expect(searchConversations(index, "roc", { from: "2025-04-10" }).map(h => h.messageId)).toEqual(["m3"]);
+		expect(searchConversations(index, "roc", { to: "2025-03-01" }).map(h => h.conversationId)).toEqual(["c1", "c1"]);
+	});
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { assignSpeakers, speakerTurns } from "../../server/diarizationService.cjs";
+import { transcriptForPrompt, parseSentimentResponse } from "../../server/meetingAnalysisService.cjs";
+
+const segment = (start: number, text: string) => ({ start, end: start + 2, text });
+
+describe("speaker diarization", () => {
+	it("numbers speakers by first appearance and gives short segments a neighbour's speaker", () => {
+		const segments = [segment(0, "Morning."), segment(2, "Hi."), segment(4, "Let's start."), segment(6, "Sure."), segment(8, "I'll take the migration.")];
+		expect(assignSpeakers(segments, [null, 4, 4, 1, null]).map(s => s.speaker)).toEqual(["Speaker 1", "Speaker 1", "Speaker 1", "Speaker 2", "Speaker 2"]);
+		expect(assignSpeakers(segments, [null, null, null, null, null]).every(s => !("speaker" in s))).toBe(true);
+	});
+
+	it("merges turns and names speakers from the meeting's participants", () => {
+		const transcript = {
+			segments: [
+				{ ...segment(0, "Let's start."), speaker: "Speaker 1" },
+				{ ...segment(2, "Agenda first."), speaker: "Speaker 1" },
+				{ ...segment(4, "I'll take the migration."), speaker: "Speaker 2" },
+			],
+		};
+		expect(speakerTurns(transcript, { "Speaker 2": "Bob" })).toEqual([
+			{ speaker: "Speaker 1", name: "Speaker 1", start: 0, end: 4, text: "Let's start. Agenda first." },
+			{ speaker: "Speaker 2", name: "Bob", start: 4, end: 6, text: "I'll take the migration." },
+		]);
+		expect(transcriptForPrompt(transcript, { "Speaker 2": "Bob" })).toEqual({
+			text: "Speaker 1: Let's start. Agenda first.\nBob: I'll take the migration.",
+			speakerAware: true,
+			speakers: ["Speaker 1", "Bob"],
+		});
+		expect(transcriptForPrompt({ fullText: "Plain text", segments: [segment(0, "Plain text")] })).toMatchObject({ text: "Plain text", speakerAware: false });
+	});
+
+	it("reads each speaker's sentiment from the analysis", () => {
+		const analysis = "1. Overall sentiment: positive\n2. Score: 0.6\n3. Constructive.\n4. Sentiment by speaker:\n- **Alice**: Neutral (asks questions)\n- Bob: positive\n- Carol: negative";
+		expect(parseSentimentResponse(analysis, ["Alice", "Bob"]).bySpeaker).toEqual({ Alice: "neutral", Bob: "positive" });
+		expect(parseSentimentResponse(analysis)).not.toHaveProperty("bySpeaker");
+	});
+});
@@ -0,0 +1,8 @@
+// Test plugin listed before the plugin it depends on
+module.exports = {
+	name: "addon",
+	dependsOn: ["base"],
+	register({ tools }) {
+		tools.register({ name: "addon_report", title: "Report", path: "/mcp/tools/addon/report", handler: async () => ({}) });
+	},
+};
@@ -0,0 +1,10 @@
+// Test plugin with no dependencies
+module.exports = {
+	name: "base",
+	register({ tools }) {
+		tools.register({ name: "base_ping", title: "Ping", path: "/mcp/tools/base/ping", handler: async () => ({}) });
+	},
+	health() {
+		return { configured: true };
+	},
+};
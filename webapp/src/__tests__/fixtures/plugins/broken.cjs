@@ -0,0 +1,8 @@
+// Test plugin that fails halfway through registering its tools
+module.exports = {
+	name: "broken",
+	register({ tools }) {
+		tools.register({ name: "broken_first", title: "First", path: "/mcp/tools/broken/first", handler: async () => ({}) });
+		throw new Error("missing credentials file");
+	},
+};
@@ -0,0 +1,8 @@
+// Test plugin that depends on the failing one
+module.exports = {
+	name: "extra",
+	dependsOn: ["broken"],
+	register({ tools }) {
+		tools.register({ name: "extra_tool", title: "Extra", path: "/mcp/tools/extra/tool", handler: async () => ({}) });
+	},
+};
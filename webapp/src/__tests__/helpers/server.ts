@@ -0,0 +1,74 @@
+/// <reference types="node" />
+// Runs server/index.cjs in a child process on a free port, for tests of its HTTP routes.
+// Its stores live in a temp directory, and it starts outside webapp/ so no local .env is read.
+
+import { spawn } from "node:child_process";
+import { createRequire } from "node:module";
+import * as fs from "node:fs";
+import * as net from "node:net";
+import * as os from "node:os";
+import * as path from "node:path";
+
+const SERVER = createRequire(import.meta.url).resolve("../../../server/index.cjs");
+const START_TIMEOUT_MS = 20000;
+
+/**
+ * Start the server; files are written to its temp directory first (e.g. a usage file).
+ * Call stop() in afterEach.
+ */
+export async function startServer({ env = {}, files = {} }: { env?: Record<string, string>; files?: Record<string, string> } = {}) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+	for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+	const port = await freePort();
+	const child = spawn(process.execPath, [SERVER], {
+		cwd: dir,
+		env: {
+			...process.env,
+			PORT: String(port),
+			BILLING_USAGE_PATH: path.join(dir, "usage.json"),
+			CONVERSATIONS_DIR: path.join(dir, "conversations"),
+			JOBS_PATH: path.join(dir, "jobs.json"),
+			AUDIT_LOG_PATH: path.join(dir, "audit.jsonl"),
+			MCP_SERVERS_CONFIG: path.join(dir, "mcp-servers.json"),
+			...env,
+		},
+		stdio: ["ignore", "pipe", "pipe"],
+	});
+	let output = "";
+	await new Promise<void>((resolve, reject) => {
+		const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+		const read = (chunk: Buffer) => {
+			output += chunk.toString();
+			if (output.includes("[proxy] listening")) {
+				clearTimeout(timer);
+				resolve();
+			}
+		};
+		child.stdout.on("data", read);
+		child.stderr.on("data", read);
+		child.on("exit", code => {
+			clearTimeout(timer);
+			reject(new Error(`Server exited with ${code}:\n${output}`));
+		});
+	});
+	return {
+		url: `http://localhost:${port}`,
+		dir,
+		output: () => output,
+		stop() {
+			child.kill();
+			fs.rmSync(dir, { recursive: true, force: true });
+		},
+	};
+}
+
+function freePort(): Promise<number> {
+	return new Promise((resolve, reject) => {
+		const probe = net.createServer();
+		probe.once("error", reject);
+		probe.listen(0, () => {
+			const { port } = probe.address() as net.AddressInfo;
+			probe.close(() => resolve(port));
+		});
+	});
+}
@@ -0,0 +1,26 @@
+/// <reference types="node" />
+// Temp files for tests that persist to disk (stores, cost files); the app's own
+// tsconfig types are browser-only, hence the node reference
+
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+/**
+ * A fresh directory per file() call, all removed by cleanup() (call it in afterEach)
+ */
+export function tempFiles(prefix: string) {
+	const dirs: string[] = [];
+	return {
+		file(name: string, content?: string): string {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+			dirs.push(dir);
+			const file = path.join(dir, name);
+			if (content !== undefined) fs.writeFileSync(file, content);
+			return file;
+		},
+		cleanup() {
+			for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+		},
+	};
+}
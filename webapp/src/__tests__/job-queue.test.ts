@@ -0,0 +1,80 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { JobQueue, type Job } from "../../server/jobQueueService.cjs";
+import { tempFiles } from "./helpers/tempFiles";
+
+const finished = (queue: JobQueue, id: string) => new Promise<Job>(resolve => {
+	const onUpdate = (job: Job) => {
+		if (job.id !== id || !queue.isFinished(job)) return;
+		queue.off("update", onUpdate);
+		resolve(job);
+	};
+	queue.on("update", onUpdate);
+});
+
+describe("job queue", () => {
+	const temp = tempFiles("jobs-");
+	const storePath = () => temp.file("jobs.json");
+
+	afterEach(() => {
+		temp.cleanup();
+	});
+
+	it("runs queued jobs one at a time and reports progress", async () => {
+		const queue = new JobQueue({ storePath: null });
+		const messages: string[] = [];
+		queue.on("update", job => { if (job.status === "running" && job.progress) messages.push(job.progress.message); });
+		queue.defineType("count", {
+			run: async ({ n }, { progress }) => {
+				progress({ message: `counting to ${n}`, progress: 1, total: 2 });
+				return { ok: true, n };
+			},
+		});
+
+		const first = queue.enqueue("count", { n: 1 });
+		const second = queue.enqueue("count", { n: 2 });
+		expect([first.status, second.status]).toEqual(["running", "queued"]);
+		const done = await Promise.all([finished(queue, first.id), finished(queue, second.id)]);
+
+		expect(done.map(j => [j.status, j.result])).toEqual([["succeeded", { ok: true, n: 1 }], ["succeeded", { ok: true, n: 2 }]]);
+		expect(messages).toEqual(["counting to 1", "counting to 2"]);
+		expect(queue.list()[0]).not.toHaveProperty("result");
+	});
+
+	it("fails on tool errors and cancels through the abort signal", async () => {
+		const queue = new JobQueue({ storePath: null });
+		queue.defineType("tool", { run: async () => ({ ok: false, error: "Jira is down" }) });
+		queue.defineType("wait", {
+			run: (_params, { signal }) => new Promise((_resolve, reject) => signal.addEventListener("abort", () => reject(new Error("stopped")))),
+		});
+
+		const failed = queue.enqueue("tool");
+		expect(await finished(queue, failed.id)).toMatchObject({ status: "failed", error: "Jira is down", result: { ok: false } });
+
+		const waiting = queue.enqueue("wait");
+		const queued = queue.enqueue("wait");
+		queue.cancel(queued.id);
+		expect(queue.get(queued.id)?.status).toBe("cancelled");
+		queue.cancel(waiting.id);
+		expect(await finished(queue, waiting.id)).toMatchObject({ status: "cancelled", error: "Cancelled" });
+	});
+
+	it("keeps finished jobs and fails interrupted ones after a restart", async () => {
+		const file = storePath();
+		const before = new JobQueue({ storePath: file });
+		before.defineType("quick", { run: async () => "transcribed" });
+		before.defineType("slow", { run: () => new Promise(() => {}) });
+		const done = before.enqueue("quick");
+		await finished(before, done.id);
+		const interrupted = before.enqueue("slow", { meetingId: "m1" });
+
+		const after = new JobQueue({ storePath: file });
+		expect(after.get(done.id)).toMatchObject({ status: "succeeded", result: "transcribed" });
+		expect(after.get(interrupted.id)).toMatchObject({ status: "failed", error: "Interrupted by a server restart", attempts: 1 });
+		const cleanedUp: unknown[] = [];
+		const run = vi.fn(async () => "ran again");
+		after.defineType("slow", { run, interrupted: params => cleanedUp.push(params) });
+		expect(cleanedUp).toEqual([{ meetingId: "m1" }]);
+		expect(run).not.toHaveBeenCalled();
+		expect(new JobQueue({ storePath: file }).get(interrupted.id)?.status).toBe("failed");
+	});
+});
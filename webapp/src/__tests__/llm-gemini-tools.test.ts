@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { callWithTools } from "../vendor/llm";
+
+describe("Gemini function declarations", () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it("keeps nested free-form objects as OBJECT and drops empty parameter lists", async () => {
+		let body: any;
+		vi.stubGlobal("fetch", vi.fn(async (_url: string, init?: RequestInit) => {
+			body = JSON.parse(String(init?.body));
+			return new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: "ok" }] } }] }));
+		}));
+
+		await callWithTools({
+			history: [{ role: "user", content: "Set the fields" }],
+			settings: { provider: "gemini", model: "gemini-1.5-flash", apiKey: "key", temperature: 0 },
+			tools: [
+				{
+					name: "update",
+					parameters: {
+						type: "object",
+						properties: {
+							key: { type: "string" },
+							fields: { type: "object", description: "Field id to value" },
+							labels: { type: "array", items: { type: "object" } },
+						},
+						required: ["key", "fields"],
+					},
+				},
+				{ name: "list", parameters: { type: "object", properties: {} } },
+			],
+		});
+
+		const [update, list] = body.tools[0].functionDeclarations;
+		expect(update.parameters).toEqual({
+			type: "OBJECT",
+			properties: {
+				key: { type: "STRING" },
+				fields: { type: "OBJECT", description: "Field id to value" },
+				labels: { type: "ARRAY", items: { type: "OBJECT" } },
+			},
+			required: ["key", "fields"],
+		});
+		expect(list).toEqual({ name: "list" });
+	});
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_PRICES, priceFor, costOf, openaiUsage, geminiUsage, createUsageMeter } from "../../server/llmPricing.cjs";
+
+describe("LLM pricing", () => {
+	it("prices dated model variants by their family's longest prefix", () => {
+		expect(priceFor("gpt-4o-mini-2024-07-18", DEFAULT_PRICES)).toEqual({ input: 0.15, output: 0.6 });
+		expect(priceFor("gpt-4o-2024-08-06", DEFAULT_PRICES)).toEqual({ input: 2.5, output: 10 });
+		expect(priceFor("models/gemini-1.5-flash-002", DEFAULT_PRICES)).toEqual({ input: 0.075, output: 0.3 });
+		expect(priceFor("llama3", DEFAULT_PRICES)).toBeNull();
+		expect(costOf("gpt-4o", { inputTokens: 1_000_000, outputTokens: 500_000 }, DEFAULT_PRICES)).toBe(7.5);
+		expect(costOf("my-local-model", { inputTokens: 1000, outputTokens: 1000 }, DEFAULT_PRICES)).toBe(0);
+	});
+
+	it("reads the usage chunk of a streamed OpenAI response split across reads", () => {
+		const meter = createUsageMeter(openaiUsage);
+		const stream = [
+			'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+			'data: {"choices":[],"usage":{"prompt_tokens":12,',
+			'"completion_tokens":3,"total_tokens":15}}\n\ndata: [DONE]\n\n',
+		];
+		for (const chunk of stream) meter.push(chunk);
+		expect(meter.usage()).toEqual({ inputTokens: 12, outputTokens: 3 });
+	});
+
+	it("keeps the last running total of a Gemini stream and reads plain JSON bodies", () => {
+		const stream = createUsageMeter(geminiUsage);
+		stream.push('data: {"candidates":[],"usageMetadata":{"promptTokenCount":40,"candidatesTokenCount":2}}\r\n\r\n');
+		stream.push('data: {"candidates":[],"usageMetadata":{"promptTokenCount":40,"candidatesTokenCount":9,"thoughtsTokenCount":5}}\r\n\r\n');
+		expect(stream.usage()).toEqual({ inputTokens: 40, outputTokens: 14 });
+
+		const body = createUsageMeter(openaiUsage);
+		body.push(JSON.stringify({ choices: [{ message: { content: "ok" } }], usage: { prompt_tokens: 7, completion_tokens: 1 } }, null, 2));
+		expect(body.usage()).toEqual({ inputTokens: 7, outputTokens: 1 });
+		expect(createUsageMeter(geminiUsage).usage()).toBeNull();
+	});
+});
@@ -0,0 +1,103 @@
+/// <reference types="node" />
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createRequire } from "node:module";
+import type { AddressInfo, Server } from "node:net";
+import { McpClientService } from "../../server/mcpClientService.cjs";
+import { tempFiles } from "./helpers/tempFiles";
+
+const require = createRequire(import.meta.url);
+const { createMcpServer, mountHttpTransport }: typeof import("../../server/mcpServer.cjs") = require("../../server/mcpServer.cjs");
+const express = require("express");
+
+const tools = [
+	{ name: "changes", title: "Recent changes", inputSchema: { type: "object", properties: { depot: { type: "string" } } } },
+	{ name: "submit", annotations: { readOnlyHint: false } },
+];
+
+describe("external MCP servers", () => {
+	const files = tempFiles("mcp-client-");
+	const clients: McpClientService[] = [];
+	let http: Server | undefined;
+
+	afterEach(async () => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+		for (const client of clients.splice(0)) client.closeAll();
+		await new Promise(resolve => http ? http.close(resolve) : resolve(undefined));
+		http = undefined;
+		files.cleanup();
+	});
+
+	// An in-process MCP server on the Streamable HTTP transport
+	async function perforceServer(callTool: Parameters<typeof createMcpServer>[0]["callTool"]) {
+		const app = express();
+		app.use(express.json());
+		const received: string[] = [];
+		app.use((req: { body?: { method?: string } }, _res: unknown, next: () => void) => {
+			received.push(req.body?.method ?? "");
+			next();
+		});
+		mountHttpTransport(app, "/mcp", createMcpServer({ getTools: () => tools, callTool }));
+		http = await new Promise<Server>(resolve => {
+			const s = app.listen(0, () => resolve(s));
+		});
+		return { url: `http://localhost:${(http.address() as AddressInfo).port}/mcp`, received };
+	}
+
+	async function connect(servers: Record<string, object>) {
+		vi.spyOn(console, "log").mockImplementation(() => {});
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		const client = new McpClientService({ configPath: files.file("mcp-servers.json", JSON.stringify({ mcpServers: servers })) });
+		clients.push(client);
+		await client.initialize();
+		return client;
+	}
+
+	it("initializes, lists the tools under the server's namespace and proxies calls", async () => {
+		const calls: unknown[] = [];
+		const server = await perforceServer(async (name, args) => {
+			calls.push({ name, args });
+			return { status: 200, data: { ok: true, changes: [123] } };
+		});
+		const client = await connect({ perforce: { url: server.url }, off: { url: server.url, disabled: true } });
+
+		expect(server.received.slice(0, 3)).toEqual(["initialize", "notifications/initialized", "tools/list"]);
+		expect(client.getStatus()).toEqual([{ name: "perforce", transport: "http", status: "connected", tools: 2, error: undefined }]);
+		expect(client.listTools()).toEqual([
+			expect.objectContaining({ name: "perforce__changes", title: "Recent changes", server: "perforce", inputSchema: tools[0].inputSchema }),
+			expect.objectContaining({ name: "perforce__submit", title: "submit", annotations: { readOnlyHint: false } }),
+		]);
+		expect(client.isExternalTool("perforce__changes")).toBe(true);
+		expect(client.isExternalTool("perforce__missing")).toBe(false);
+		expect(client.isExternalTool("jira_search")).toBe(false);
+
+		expect(await client.callTool("perforce__changes", { depot: "//game" })).toEqual({ ok: true, result: { ok: true, changes: [123] } });
+		expect(calls).toEqual([{ name: "changes", args: { depot: "//game" } }]);
+	});
+
+	it("turns tool failures, unknown tools and unreachable servers into errors", async () => {
+		const server = await perforceServer(async () => ({ status: 500, data: { ok: false, error: "p4 login required" } }));
+		const client = await connect({ perforce: { url: server.url }, missing: { command: "/nonexistent/mcp-server" } });
+
+		expect(await client.callTool("perforce__changes", {})).toMatchObject({ ok: false, error: expect.stringContaining("p4 login required") });
+		expect(await client.callTool("perforce__nope", {})).toEqual({ ok: false, error: "Unknown tool: perforce__nope" });
+		const missing = client.getStatus().find(s => s.name === "missing");
+		expect(missing).toMatchObject({ transport: "stdio", status: "error", tools: 0, error: expect.stringContaining("ENOENT") });
+		expect(client.listTools().every(t => t.server === "perforce")).toBe(true);
+	});
+
+	it("gives up on a server that never answers after 30 seconds", async () => {
+		vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout"] });
+		vi.spyOn(console, "log").mockImplementation(() => {});
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		const client = new McpClientService({
+			configPath: files.file("mcp-servers.json", JSON.stringify({ mcpServers: { silent: { command: process.execPath, args: ["-e", "process.stdin.resume()"] } } })),
+		});
+		clients.push(client);
+		const connecting = client.initialize();
+		await vi.waitFor(() => expect(vi.getTimerCount()).toBe(1));
+		await vi.advanceTimersByTimeAsync(30000);
+		await connecting;
+		expect(client.getStatus()).toEqual([{ name: "silent", transport: "stdio", status: "error", tools: 0, error: "initialize timed out after 30s" }]);
+	});
+});
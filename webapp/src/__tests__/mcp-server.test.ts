@@ -0,0 +1,140 @@
+/// <reference types="node" />
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createRequire } from "node:module";
+import { PassThrough } from "node:stream";
+import type { AddressInfo, Server } from "node:net";
+
+const require = createRequire(import.meta.url);
+const { createMcpServer, mountHttpTransport, startStdioTransport, SUPPORTED_PROTOCOL_VERSIONS }: typeof import("../../server/mcpServer.cjs") = require("../../server/mcpServer.cjs");
+const express = require("express");
+
+const tools = [{ name: "echo", title: "Echo", inputSchema: { type: "object", properties: { text: { type: "string" } } } }];
+
+function testServer(callTool = async (_name: string, args: object) => ({ status: 200, data: { ok: true, ...args } })) {
+	return createMcpServer({ getTools: () => tools, callTool });
+}
+
+describe("MCP server messages", () => {
+	it("answers initialize with the requested protocol version when supported, else the latest", async () => {
+		const mcp = testServer();
+		const older = await mcp.handleMessage({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05" } });
+		expect(older?.result.protocolVersion).toBe("2024-11-05");
+		expect(older?.result.capabilities.tools).toBeDefined();
+		const unknown = await mcp.handleMessage({ jsonrpc: "2.0", id: 2, method: "initialize", params: { protocolVersion: "1999-01-01" } });
+		expect(unknown?.result.protocolVersion).toBe(SUPPORTED_PROTOCOL_VERSIONS[0]);
+	});
+
+	it("reports unknown methods, answers no notification and rejects an empty batch", async () => {
+		const mcp = testServer();
+		expect(await mcp.handleMessage({ jsonrpc: "2.0", id: 3, method: "tools/frobnicate" })).toEqual({
+			jsonrpc: "2.0", id: 3, error: { code: -32601, message: "Method not found: tools/frobnicate" },
+		});
+		expect(await mcp.handleMessage({ jsonrpc: "2.0", method: "notifications/initialized" })).toBeNull();
+		// Even a known method sent as a notification gets no reply
+		expect(await mcp.handleMessage({ jsonrpc: "2.0", method: "ping" })).toBeNull();
+		expect(await mcp.handlePayload([])).toEqual({ jsonrpc: "2.0", id: null, error: { code: -32600, message: "Empty batch" } });
+		expect(await mcp.handleMessage({ id: 4, method: "ping" })).toMatchObject({ id: 4, error: { code: -32600 } });
+	});
+
+	it("returns tool failures as results and unknown tools as invalid params", async () => {
+		const mcp = testServer(async () => ({ status: 429, data: { ok: false, error: "Quota exceeded" } }));
+		const failed = await mcp.handleMessage({ jsonrpc: "2.0", id: 5, method: "tools/call", params: { name: "echo", arguments: {} } });
+		expect(failed?.result).toMatchObject({ isError: true, structuredContent: { error: "Quota exceeded" } });
+		const unknown = await mcp.handleMessage({ jsonrpc: "2.0", id: 6, method: "tools/call", params: { name: "nope" } });
+		expect(unknown?.error).toEqual({ code: -32602, message: "Unknown tool: nope" });
+	});
+});
+
+describe("MCP Streamable HTTP transport", () => {
+	let http: Server | undefined;
+
+	afterEach(async () => {
+		vi.useRealTimers();
+		await new Promise(resolve => http ? http.close(resolve) : resolve(undefined));
+		http = undefined;
+	});
+
+	async function listen() {
+		const app = express();
+		app.use(express.json());
+		mountHttpTransport(app, "/mcp", testServer());
+		http = await new Promise<Server>(resolve => {
+			const s = app.listen(0, () => resolve(s));
+		});
+		const url = `http://localhost:${(http.address() as AddressInfo).port}/mcp`;
+		return (body: unknown, headers: Record<string, string> = {}) =>
+			fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+	}
+
+	const initialize = { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18" } };
+	const list = { jsonrpc: "2.0", id: 2, method: "tools/list" };
+
+	it("requires the session created by initialize", async () => {
+		const post = await listen();
+		expect((await post(list)).status).toBe(400);
+		expect((await post(list, { "Mcp-Session-Id": "made-up" })).status).toBe(404);
+
+		const init = await post(initialize);
+		const session = init.headers.get("Mcp-Session-Id");
+		expect(session).toBeTruthy();
+		const listed = await post(list, { "Mcp-Session-Id": session! });
+		expect(listed.status).toBe(200);
+		expect((await listed.json()).result.tools.map((t: { name: string }) => t.name)).toEqual(["echo"]);
+		// Notifications are accepted without a body
+		expect((await post({ jsonrpc: "2.0", method: "notifications/initialized" }, { "Mcp-Session-Id": session! })).status).toBe(202);
+	});
+
+	it("rejects requests from other origins", async () => {
+		const post = await listen();
+		const r = await post(initialize, { Origin: "https://evil.example" });
+		expect(r.status).toBe(403);
+		expect(r.headers.get("Mcp-Session-Id")).toBeNull();
+		expect((await post(initialize, { Origin: "http://localhost:5173" })).status).toBe(200);
+	});
+
+	it("expires sessions left idle for 30 minutes", async () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		const post = await listen();
+		const active = (await post(initialize)).headers.get("Mcp-Session-Id")!;
+		const idle = (await post(initialize)).headers.get("Mcp-Session-Id")!;
+
+		vi.setSystemTime(Date.now() + 20 * 60 * 1000);
+		expect((await post(list, { "Mcp-Session-Id": active })).status).toBe(200);
+		vi.setSystemTime(Date.now() + 20 * 60 * 1000);
+		// 20 minutes since its last request, 40 since the idle one's
+		expect((await post(list, { "Mcp-Session-Id": active })).status).toBe(200);
+		expect((await post(list, { "Mcp-Session-Id": idle })).status).toBe(404);
+	});
+});
+
+describe("MCP stdio transport", () => {
+	it("answers unparsable lines with -32700 and keeps replies in request order", async () => {
+		const input = new PassThrough();
+		const output = new PassThrough();
+		let release!: () => void;
+		const slow = new Promise<void>(resolve => { release = resolve; });
+		const mcp = testServer(async (_name, args) => {
+			if ((args as { text?: string }).text === "slow") await slow;
+			return { status: 200, data: { ok: true, ...args } };
+		});
+		const closed = new Promise<void>(resolve => startStdioTransport(mcp, { input, output, onClose: resolve }));
+		const replies: any[] = [];
+		output.on("data", (chunk: Buffer) => {
+			for (const line of chunk.toString().split("\n").filter(Boolean)) replies.push(JSON.parse(line));
+		});
+
+		input.write(`${JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "echo", arguments: { text: "slow" } } })}\n`);
+		input.write("{not json\n");
+		input.write(`${JSON.stringify({ jsonrpc: "2.0", id: 2, method: "ping" })}\n`);
+		await new Promise(resolve => setTimeout(resolve, 20));
+		// The ping is answered, but only after the slow call before it
+		expect(replies).toEqual([]);
+
+		release();
+		input.end();
+		await closed;
+		expect(replies.map(r => r.id)).toEqual([1, null, 2]);
+		expect(replies[1].error).toEqual({ code: -32700, message: "Parse error" });
+		expect(replies[0].result.structuredContent).toEqual({ ok: true, text: "slow" });
+	});
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { normalizeActionItems } from "../../server/meetingAnalysisService.cjs";
+import { ToolResultCard } from "../components/ToolResultCard";
+import { toToolResultPayload, toolResultToMarkdown, type ToolResultPayload } from "../utils/toolResults";
+
+const segments = [{ start: 0, end: 2.5 }, { start: 2.5, end: 64 }, { start: 64, end: 70 }];
+
+describe("meeting action items", () => {
+	afterEach(() => {
+		cleanup();
+		vi.restoreAllMocks();
+	});
+
+	it("keeps well-formed entries and snaps cited timestamps to their segment", () => {
+		const raw = {
+			actionItems: [
+				{ task: " Ship the migration ", owner: "Bob", dueDate: "2026-10-23", timestamp: "00:02" },
+				{ task: "", owner: "Alice", dueDate: null, timestamp: "00:00" },
+				{ task: "Update the docs", owner: "", dueDate: "next week", timestamp: "1:05" },
+			],
+			decisions: [{ decision: "Postgres stays", madeBy: null, timestamp: "later" }],
+			openQuestions: "none",
+		};
+		expect(normalizeActionItems(raw, segments)).toEqual({
+			actionItems: [
+				{ task: "Ship the migration", owner: "Bob", dueDate: "2026-10-23", timestamp: 2.5 },
+				{ task: "Update the docs", owner: null, dueDate: null, timestamp: 64 },
+			],
+			decisions: [{ decision: "Postgres stays", madeBy: null, timestamp: null }],
+			openQuestions: [],
+		});
+	});
+
+	it("renders the card with timestamps that seek the recording", () => {
+		const play = vi.spyOn(HTMLMediaElement.prototype, "play").mockResolvedValue();
+		const payload = toToolResultPayload("meeting_action_items", {
+			result: "1 action item",
+			meeting: { id: "m1", title: "Standup", date: "2026-10-19T09:00:00Z" },
+			actionItems: [{ task: "Ship the migration", owner: "Bob", dueDate: "2026-10-23", timestamp: 64 }],
+			decisions: [{ decision: "Postgres stays", madeBy: "Alice", timestamp: null }],
+			openQuestions: [],
+			cached: true,
+		}) as ToolResultPayload;
+		expect(payload).toMatchObject({ kind: "meeting_action_items", meetingId: "m1", decisions: [{ decision: "Postgres stays", madeBy: "Alice", timestamp: undefined }] });
+		expect(toolResultToMarkdown(payload)).toContain("| Ship the migration | Bob | 2026-10-23 | [01:04](http://localhost:3001/api/meetings/m1/audio#t=64) |");
+
+		const { container } = render(<ToolResultCard payload={payload} />);
+		expect(screen.getByText("Action items · Standup (1)")).toBeTruthy();
+		const link = screen.getByText("[01:04]");
+		expect(link.getAttribute("href")).toBe("http://localhost:3001/api/meetings/m1/audio#t=64");
+		fireEvent.click(link);
+		expect(container.querySelector("audio")!.currentTime).toBe(64);
+		expect(play).toHaveBeenCalled();
+	});
+});
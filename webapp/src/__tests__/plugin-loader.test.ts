@@ -0,0 +1,92 @@
+/// <reference types="node" />
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createRequire } from "node:module";
+import * as path from "node:path";
+import { startServer } from "./helpers/server";
+
+// Loaded with Node's require so the fixture plugins register on the same ToolRegistry class
+const require = createRequire(import.meta.url);
+const { PluginLoader }: typeof import("../../server/pluginLoader.cjs") = require("../../server/pluginLoader.cjs");
+const { ToolRegistry }: typeof import("../../server/toolRegistry.cjs") = require("../../server/toolRegistry.cjs");
+
+// fixtures/plugins: addon depends on base, broken throws while registering, extra depends on broken
+const pluginsDir = path.dirname(require.resolve("./fixtures/plugins/base.cjs"));
+
+function loadPlugins(enabled?: string) {
+	if (enabled !== undefined) vi.stubEnv("ENABLED_PLUGINS", enabled);
+	const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+	vi.spyOn(console, "error").mockImplementation(() => {});
+	vi.spyOn(console, "log").mockImplementation(() => {});
+	const registry = new ToolRegistry();
+	const loader = new PluginLoader({ pluginsDir, plugins: ["addon", "base", "broken", "extra"], registry });
+	loader.loadPlugins({});
+	return { loader, registry, warn, tools: registry.list().map(t => t.name) };
+}
+
+describe("plugin loader", () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+		vi.restoreAllMocks();
+	});
+
+	it("loads only the plugins in ENABLED_PLUGINS", () => {
+		const { loader, tools, warn } = loadPlugins(" Base, addon ,weather");
+		expect(tools).toEqual(["base_ping", "addon_report"]);
+		expect(loader.getStatus().map(p => [p.name, p.enabled, p.loaded])).toEqual([
+			["addon", true, true],
+			["base", true, true],
+			["broken", false, false],
+			["extra", false, false],
+		]);
+		expect(warn).toHaveBeenCalledWith('[Plugins] Unknown plugin "weather" in ENABLED_PLUGINS');
+	});
+
+	it("registers a plugin after the plugins it depends on", () => {
+		const { loader, tools } = loadPlugins("addon,base");
+		expect(tools).toEqual(["base_ping", "addon_report"]);
+		// /health keeps the listed order
+		expect(loader.getStatus()).toEqual([
+			{ name: "addon", enabled: true, loaded: true, tools: 1 },
+			{ name: "base", enabled: true, loaded: true, tools: 1, configured: true },
+			{ name: "broken", enabled: false, loaded: false, tools: 0 },
+			{ name: "extra", enabled: false, loaded: false, tools: 0 },
+		]);
+	});
+
+	it("skips a plugin whose dependency is not enabled", () => {
+		const { loader, tools } = loadPlugins("addon");
+		expect(tools).toEqual([]);
+		expect(loader.getStatus()[0]).toEqual({ name: "addon", enabled: true, loaded: false, tools: 0, error: "requires plugin(s): base" });
+	});
+
+	it("isolates a plugin that fails to load, and the plugins that depend on it", () => {
+		const { loader, tools } = loadPlugins();
+		// The tool registered before the failure is removed again
+		expect(tools).toEqual(["base_ping", "addon_report"]);
+		const status = Object.fromEntries(loader.getStatus().map(p => [p.name, p]));
+		expect(status.broken).toEqual({ name: "broken", enabled: true, loaded: false, tools: 0, error: "missing credentials file" });
+		expect(status.extra).toMatchObject({ loaded: false, error: "requires plugin(s) that did not load: broken" });
+		expect(status.addon.loaded).toBe(true);
+	});
+});
+
+describe("plugins in /health", () => {
+	let server: Awaited<ReturnType<typeof startServer>> | undefined;
+
+	afterEach(() => {
+		server?.stop();
+	});
+
+	it("reports disabled plugins and a plugin whose dependency is missing", async () => {
+		server = await startServer({ env: { ENABLED_PLUGINS: "jira,alignment" } });
+		const health = await (await fetch(`${server.url}/health`)).json();
+		const plugins = Object.fromEntries(health.plugins.map((p: { name: string }) => [p.name, p]));
+		expect(plugins.jira).toMatchObject({ enabled: true, loaded: true });
+		expect(plugins.github).toMatchObject({ enabled: false, loaded: false });
+		expect(plugins.alignment).toMatchObject({ enabled: true, loaded: false, tools: 0, error: "requires plugin(s): github" });
+		// The server still serves the plugins that loaded
+		const tools = (await (await fetch(`${server.url}/mcp/tools`)).json()).tools.map((t: { name: string }) => t.name);
+		expect(tools).toContain("jira_search");
+		expect(tools).not.toContain("verify_alignment");
+	}, 30000);
+});
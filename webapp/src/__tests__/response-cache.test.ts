@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { ResponseCache, cacheRule, track } from "../../server/responseCache.cjs";
+
+describe("response cache", () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("reuses responses until their TTL runs out and counts hits per service", async () => {
+		vi.useFakeTimers();
+		const cache = new ResponseCache({ enabled: true });
+		const load = vi.fn(async () => ({ values: [{ key: "ROC" }] }));
+
+		const first = await cache.wrap("jira", "projects", "/rest/api/3/project/search", 60_000, load);
+		first.values.push({ key: "MUTATED" });
+		expect(await cache.wrap("jira", "projects", "/rest/api/3/project/search", 60_000, load)).toEqual({ values: [{ key: "ROC" }] });
+		expect(load).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(60_001);
+		await cache.wrap("jira", "projects", "/rest/api/3/project/search", 60_000, load);
+		expect(load).toHaveBeenCalledTimes(2);
+		expect(cache.stats().services.jira).toEqual({ hits: 1, misses: 2, revalidated: 0, entries: 1, hitRate: 0.33 });
+	});
+
+	it("drops only the endpoint types a write changes, and the least recently used entries when full", () => {
+		const cache = new ResponseCache({ enabled: true, maxEntries: 2 });
+		cache.set("jira", "projects", "projects", 1, 60_000);
+		cache.set("jira", "issues", "ROC-1", 2, 60_000);
+		expect(cache.invalidate("jira", { types: ["issues"] })).toBe(1);
+		expect([cache.get("jira", "projects"), cache.get("jira", "ROC-1")]).toEqual([1, undefined]);
+
+		cache.set("slack", "directory", "users.list", 3, 60_000);
+		cache.get("jira", "projects");
+		cache.set("slack", "messages", "search.messages", 4, 60_000);
+		expect(cache.get("slack", "users.list")).toBeUndefined();
+		expect(cache.get("jira", "projects")).toBe(1);
+	});
+
+	it("revalidates expired GitHub responses by ETag and tracks what a call fetched", async () => {
+		vi.useFakeTimers();
+		const cache = new ResponseCache({ enabled: true });
+		cache.set("github", "history", "GET /repos/o/r/commits", { data: ["abc"] }, 1000, { etag: "W/\"1\"" });
+		vi.advanceTimersByTime(1001);
+
+		const { result, requests } = await track(async () => {
+			expect(cache.get("github", "GET /repos/o/r/commits")).toBeUndefined();
+			const stale = cache.stale("GET /repos/o/r/commits");
+			expect(stale?.etag).toBe("W/\"1\"");
+			return cache.revalidated(stale!, 1000);
+		});
+
+		expect(result).toEqual({ data: ["abc"] });
+		expect(requests).toEqual({ cached: 1, fetched: 0 });
+		expect(cache.get("github", "GET /repos/o/r/commits")).toEqual({ data: ["abc"] });
+		expect(cache.stats().services.github).toMatchObject({ hits: 1, misses: 0, revalidated: 1 });
+	});
+
+	it("picks the first matching rule", () => {
+		const rules = [
+			{ type: "sprints", pattern: /^\/rest\/agile\/1\.0\/board\/\d+\/sprint/, ttl: 1 },
+			{ type: "boards", pattern: /^\/rest\/agile\/1\.0\/board/, ttl: 2 },
+		];
+		expect(cacheRule(rules, "/rest/agile/1.0/board/3/sprint")?.type).toBe("sprints");
+		expect(cacheRule(rules, "/rest/agile/1.0/board?projectKeyOrId=ROC")?.type).toBe("boards");
+		expect(cacheRule(rules, "/rest/api/3/myself")).toBeNull();
+	});
+});
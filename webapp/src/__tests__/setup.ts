@@ -0,0 +1,15 @@
+/// <reference types="node" />
+// Runs before each test file: the server modules it loads (the billing service singleton via
+// the tool registry and plugins) keep their usage in a temp file instead of server/logs
+
+import { afterAll } from "vitest";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "billing-tests-"));
+process.env.BILLING_USAGE_PATH = path.join(dir, "billing-usage.json");
+
+afterAll(() => {
+	fs.rmSync(dir, { recursive: true, force: true });
+});
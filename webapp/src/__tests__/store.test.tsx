@@ -1,8 +1,12 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { act } from "@testing-library/react";
 import * as llm from "../vendor/llm";
+import * as idb from "idb-keyval";
 import { useChatStore } from "../store/chatStore";
 
+// jsdom has no IndexedDB
+vi.mock("idb-keyval", () => ({ get: vi.fn(async () => undefined), set: vi.fn(async () => {}) }));
+
 describe("chat store", () => {
 	beforeEach(() => {
 		// reset store
@@ -10,6 +14,16 @@ describe("chat store", () => {
 		setState({ ...getState(), conversations: [], activeConversationId: undefined });
 	});
 
+	it("enables the read tools a board-to-commits question chains by default", () => {
+		const { activeTools } = useChatStore.getState();
+		for (const name of ["jira_boards_for_project", "jira_sprints", "jira_issues_in_sprint", "jira_board_issues", "github_commits"]) {
+			expect(activeTools[name], name).toBe(true);
+		}
+		// Mail and calendar stay opt-in
+		expect(activeTools.gmail_search).toBeFalsy();
+		expect(activeTools.calendar_today).toBeFalsy();
+	});
+
 	it("creates a conversation and sends a message", async () => {
 		const gen = (async function* () {
 			yield "Hello";
@@ -30,6 +44,444 @@ describe("chat store", () => {
 		expect(conv.messages[1].content).toBe("Hello, world!");
 		spy.mockRestore();
 	});
-});
 
+	it("shows usage notices in the chat without sending them to the model", async () => {
+		let seenHistory: llm.ChatHistoryItem[] = [];
+		const spy = vi.spyOn(llm, "sendWithProvider").mockImplementation(args => {
+			seenHistory = args.history;
+			return (async function* () { yield "ok"; })();
+		});
+
+		const { createConversation, addNotice, sendMessage } = useChatStore.getState();
+		await act(async () => {
+			await createConversation();
+		});
+		await act(async () => {
+			await addNotice("⚠️ Usage warning: gmail is at 81.0% of its daily quota.");
+			await sendMessage("Hi");
+		});
+		const conv = useChatStore.getState().conversations[0];
+		expect(conv.messages.map(m => m.role)).toEqual(["system", "user", "assistant"]);
+		expect(seenHistory.map(h => h.content)).not.toContain(conv.messages[0].content);
+		expect(seenHistory.at(-1)).toMatchObject({ role: "user", content: "Hi" });
+		spy.mockRestore();
+	});
+
+	it("lets the model call an MCP tool and answers from its result", async () => {
+		const fetchMock = vi.fn(async (url: string, init?: RequestInit) => {
+			if (url.endsWith("/mcp/tools")) {
+				return new Response(JSON.stringify({ tools: [{ name: "add", title: "Add two numbers", inputSchema: { type: "object" } }] }));
+			}
+			if (url.endsWith("/mcp/tools/call")) {
+				expect(JSON.parse(String(init?.body))).toEqual({ name: "add", arguments: { a: 2, b: 3 } });
+				return new Response(JSON.stringify({ ok: true, result: 5 }));
+			}
+			throw new Error(`unexpected fetch ${url}`);
+		});
+		vi.stubGlobal("fetch", fetchMock);
+		const toolSpy = vi.spyOn(llm, "callWithTools")
+			.mockResolvedValueOnce({ content: "", toolCalls: [{ id: "call_0", name: "add", arguments: { a: 2, b: 3 } }] })
+			.mockResolvedValueOnce({ content: "", toolCalls: [] });
+		let seenHistory: llm.ChatHistoryItem[] = [];
+		const sendSpy = vi.spyOn(llm, "sendWithProvider").mockImplementation(args => {
+			seenHistory = args.history;
+			return (async function* () { yield "It is 5."; })();
+		});
+
+		const { createConversation, sendMessage } = useChatStore.getState();
+		await act(async () => {
+			await createConversation();
+		});
+		await act(async () => {
+			await sendMessage("what is two plus three?");
+		});
+		const conv = useChatStore.getState().conversations[0];
+		expect(conv.messages[1].content).toBe("It is 5.");
+		expect(conv.messages[1].toolSteps).toEqual([
+			{ id: "call_0", name: "add", arguments: { a: 2, b: 3 }, result: expect.stringContaining("\"result\": 5"), ok: true },
+		]);
+		expect(seenHistory.at(-1)).toMatchObject({ role: "tool", name: "add", toolCallId: "call_0", content: "{\"ok\":true,\"result\":5}" });
+		toolSpy.mockRestore();
+		sendSpy.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	it("stops calling tools once the step budget is spent", async () => {
+		vi.stubGlobal("fetch", vi.fn(async (url: string) => {
+			if (url.endsWith("/mcp/tools")) {
+				return new Response(JSON.stringify({ tools: [{ name: "jira_search", inputSchema: { type: "object" } }] }));
+			}
+			return new Response(JSON.stringify({ ok: false, error: "Jira not configured" }));
+		}));
+		const toolSpy = vi.spyOn(llm, "callWithTools").mockResolvedValue({
+			content: "",
+			toolCalls: [{ id: "call_1", name: "jira_search", arguments: { jql: "project = X" } }],
+		});
+		let seenHistory: llm.ChatHistoryItem[] = [];
+		const sendSpy = vi.spyOn(llm, "sendWithProvider").mockImplementation(args => {
+			seenHistory = args.history;
+			return (async function* () { yield "Jira is not configured."; })();
+		});
+
+		const { createConversation, sendMessage } = useChatStore.getState();
+		useChatStore.setState(s => ({ settings: { ...s.settings, maxAgentSteps: 2 } }));
+		await act(async () => {
+			await createConversation();
+		});
+		await act(async () => {
+			await sendMessage("find my tickets");
+		});
+		const conv = useChatStore.getState().conversations[0];
+		expect(toolSpy).toHaveBeenCalledTimes(2);
+		expect(conv.messages[1].toolSteps?.map(s => s.ok)).toEqual([false, false]);
+		expect(seenHistory.at(-1)).toMatchObject({ role: "system" });
+		expect(conv.messages[1].content).toBe("Jira is not configured.");
+		toolSpy.mockRestore();
+		sendSpy.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	it("keeps typed tool results on the message and replays them on follow-ups", async () => {
+		const issue = { key: "GAME-1", self: "https://studio.atlassian.net/rest/api/2/issue/10001", fields: { summary: "Crash on load", status: { name: "To Do" }, assignee: null } };
+		vi.stubGlobal("fetch", vi.fn(async (url: string) => {
+			if (url.endsWith("/mcp/tools")) {
+				return new Response(JSON.stringify({ tools: [{ name: "jira_search", inputSchema: { type: "object" } }] }));
+			}
+			return new Response(JSON.stringify({ ok: true, issues: [issue], total: 1 }));
+		}));
+		const toolSpy = vi.spyOn(llm, "callWithTools")
+			.mockResolvedValueOnce({ content: "", toolCalls: [{ id: "call_0", name: "jira_search", arguments: { jql: "project = GAME" } }] })
+			.mockResolvedValue({ content: "", toolCalls: [] });
+		let seenHistory: llm.ChatHistoryItem[] = [];
+		const sendSpy = vi.spyOn(llm, "sendWithProvider").mockImplementation(args => {
+			seenHistory = args.history;
+			return (async function* () { yield "One issue."; })();
+		});
+
+		const { createConversation, sendMessage } = useChatStore.getState();
+		await act(async () => {
+			await createConversation();
+		});
+		await act(async () => {
+			await sendMessage("open bugs in GAME?");
+		});
+		const step = useChatStore.getState().conversations[0].messages[1].toolSteps?.[0];
+		expect(step?.payload).toEqual({
+			kind: "jira_issues",
+			total: 1,
+			issues: [{ key: "GAME-1", summary: "Crash on load", status: "To Do", assignee: "Unassigned", due: undefined, url: "https://studio.atlassian.net/browse/GAME-1" }],
+		});
+
+		await act(async () => {
+			await sendMessage("who owns it?");
+		});
+		const replayed = seenHistory.find(h => h.role === "tool");
+		expect(replayed).toMatchObject({ toolCallId: "call_0", name: "jira_search" });
+		expect(JSON.parse(replayed!.content)).toEqual(step!.payload);
+		expect(seenHistory.some(h => h.role === "assistant" && h.toolCalls?.[0]?.name === "jira_search")).toBe(true);
+		toolSpy.mockRestore();
+		sendSpy.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	it("waits for the user to approve tools that change data", async () => {
+		const called: unknown[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			if (url.endsWith("/mcp/tools")) {
+				const annotations = { readOnlyHint: false };
+				return new Response(JSON.stringify({ tools: [{ name: "jira_transition_issue", annotations }, { name: "jira_add_comment", annotations }] }));
+			}
+			if (url.endsWith("/mcp/tools/call")) called.push(JSON.parse(String(init?.body)));
+			return new Response(JSON.stringify({ ok: true, key: "GAME-1", commentId: "7" }));
+		}));
+		const toolSpy = vi.spyOn(llm, "callWithTools")
+			.mockResolvedValueOnce({
+				content: "",
+				toolCalls: [
+					{ id: "call_0", name: "jira_transition_issue", arguments: { key: "GAME-1", status: "Done" } },
+					{ id: "call_1", name: "jira_add_comment", arguments: { key: "GAME-1", body: "Shipped" } },
+				],
+			})
+			.mockResolvedValue({ content: "", toolCalls: [] });
+		let seenHistory: llm.ChatHistoryItem[] = [];
+		const sendSpy = vi.spyOn(llm, "sendWithProvider").mockImplementation(args => {
+			seenHistory = args.history;
+			return (async function* () { yield "Commented, status unchanged."; })();
+		});
+		const steps = () => useChatStore.getState().conversations[0].messages[1].toolSteps ?? [];
+
+		await act(async () => {
+			await useChatStore.getState().createConversation();
+		});
+		let sending!: Promise<void>;
+		act(() => {
+			sending = useChatStore.getState().sendMessage("close GAME-1 and say it shipped");
+		});
+		await vi.waitFor(() => expect(steps()[0]?.confirmation).toBe("pending"));
+		expect(called).toEqual([]);
+		const messageId = useChatStore.getState().conversations[0].messages[1].id;
+		act(() => useChatStore.getState().confirmToolCall(messageId, 0, false));
+		await vi.waitFor(() => expect(steps()[1]?.confirmation).toBe("pending"));
+		act(() => useChatStore.getState().confirmToolCall(messageId, 1, true));
+		await act(async () => {
+			await sending;
+		});
+
+		expect(called).toEqual([{ name: "jira_add_comment", arguments: { key: "GAME-1", body: "Shipped" }, confirmed: true }]);
+		expect(steps().map(s => [s.confirmation, s.ok])).toEqual([["declined", false], ["approved", true]]);
+		expect(seenHistory.find(h => h.role === "tool" && h.name === "jira_transition_issue")?.content).toContain("declined");
+		toolSpy.mockRestore();
+		sendSpy.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	it("never runs a tool that is not in the active list", async () => {
+		const called: unknown[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			if (url.endsWith("/mcp/tools")) {
+				return new Response(JSON.stringify({ tools: [{ name: "jira_get_issue" }, { name: "jira_create_issue", annotations: { readOnlyHint: false } }] }));
+			}
+			if (url.endsWith("/mcp/tools/call")) called.push(JSON.parse(String(init?.body)));
+			return new Response(JSON.stringify({ ok: true, key: "GAME-2" }));
+		}));
+		useChatStore.setState({ activeTools: { ...useChatStore.getState().activeTools, jira_create_issue: false } });
+		const toolSpy = vi.spyOn(llm, "callWithTools")
+			.mockResolvedValueOnce({ content: "", toolCalls: [{ id: "call_0", name: "jira_create_issue", arguments: { project: "GAME", summary: "New" } }] })
+			.mockResolvedValue({ content: "", toolCalls: [] });
+		let seenHistory: llm.ChatHistoryItem[] = [];
+		const sendSpy = vi.spyOn(llm, "sendWithProvider").mockImplementation(args => {
+			seenHistory = args.history;
+			return (async function* () { yield "I cannot create issues."; })();
+		});
+
+		await act(async () => {
+			await useChatStore.getState().createConversation();
+		});
+		await act(async () => {
+			await useChatStore.getState().sendMessage("create an issue");
+		});
+
+		expect(called).toEqual([]);
+		const steps = useChatStore.getState().conversations[0].messages[1].toolSteps ?? [];
+		expect(steps.map(s => [s.name, s.ok, s.confirmation])).toEqual([["jira_create_issue", false, undefined]]);
+		expect(seenHistory.find(h => h.role === "tool")?.content).toContain("not an available tool");
+		useChatStore.setState({ activeTools: { ...useChatStore.getState().activeTools, jira_create_issue: true } });
+		toolSpy.mockRestore();
+		sendSpy.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	it("runs long tools as background jobs and shows their progress", async () => {
+		const streams: { url: string; emit: (job: object) => void }[] = [];
+		vi.stubGlobal("EventSource", class {
+			static CLOSED = 2;
+			readyState = 1;
+			onerror: (() => void) | null = null;
+			private listeners: ((event: MessageEvent) => void)[] = [];
+			constructor(url: string) {
+				streams.push({ url, emit: job => this.listeners.forEach(fn => fn(new MessageEvent("job", { data: JSON.stringify(job) }))) });
+			}
+			addEventListener(_type: string, fn: (event: MessageEvent) => void) { this.listeners.push(fn); }
+			close() { this.readyState = 2; }
+		});
+		const calls: any[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			if (url.endsWith("/mcp/tools")) return new Response(JSON.stringify({ tools: [{ name: "jira_github_verify_alignment", background: true }] }));
+			if (url.endsWith("/mcp/tools/call")) {
+				calls.push(JSON.parse(String(init?.body)));
+				return new Response(JSON.stringify({ ok: true, jobId: "job-1" }), { status: 202 });
+			}
+			return new Response(JSON.stringify({ ok: true }));
+		}));
+		const toolSpy = vi.spyOn(llm, "callWithTools")
+			.mockResolvedValueOnce({ content: "", toolCalls: [{ id: "call_0", name: "jira_github_verify_alignment", arguments: { repo: "game" } }] })
+			.mockResolvedValue({ content: "", toolCalls: [] });
+		const sendSpy = vi.spyOn(llm, "sendWithProvider").mockImplementation(() => (async function* () { yield "All aligned."; })());
+		const steps = () => useChatStore.getState().conversations[0].messages[1].toolSteps ?? [];
+
+		await act(async () => {
+			await useChatStore.getState().createConversation();
+		});
+		let sending!: Promise<void>;
+		act(() => {
+			sending = useChatStore.getState().sendMessage("check game");
+		});
+		await vi.waitFor(() => expect(streams).toHaveLength(1));
+		expect(calls).toEqual([{ name: "jira_github_verify_alignment", arguments: { repo: "game" }, background: true }]);
+		expect(streams[0].url).toMatch(/\/api\/jobs\/job-1\/events$/);
+		const job = { id: "job-1", type: "tool", label: "jira_github_verify_alignment", error: null, createdAt: "", startedAt: "", finishedAt: null };
+		act(() => streams[0].emit({ ...job, status: "running", progress: { message: "game: Scanned 400 commit(s) on 2/5 branch(es)", progress: 2, total: 5 } }));
+		await vi.waitFor(() => expect(steps()[0]?.job).toEqual({ id: "job-1", status: "running", message: "game: Scanned 400 commit(s) on 2/5 branch(es)", progress: 2, total: 5 }));
+		act(() => streams[0].emit({ ...job, status: "succeeded", progress: null, result: { ok: true, summary: "2/2 tasks aligned" } }));
+		await act(async () => {
+			await sending;
+		});
+
+		expect(steps()[0]).toMatchObject({ ok: true, job: { id: "job-1", status: "succeeded" } });
+		expect(steps()[0].result).toContain("2/2 tasks aligned");
+		toolSpy.mockRestore();
+		sendSpy.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	it("imports local history once, then loads conversations from the server store", async () => {
+		const localConv = { id: "local-1", title: "Old chat", createdAt: 1, updatedAt: 1, messageIds: ["m0"], messages: [{ id: "m0", role: "user", content: "hello", createdAt: 1 }] };
+		const serverConv = { id: "conv-1", title: "From another browser", createdAt: 1, updatedAt: 2, messageIds: ["m1"], messages: [{ id: "m1", role: "user", content: "hi", createdAt: 1 }] };
+		vi.mocked(idb.get).mockImplementation(async key => (key === "app.conversations.v1" ? [localConv] : undefined));
+		const imported: unknown[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			if (url.endsWith("/api/conversations/import")) {
+				imported.push(...JSON.parse(String(init?.body)).conversations);
+				return new Response(JSON.stringify({ ok: true, imported: 1, skipped: 0 }));
+			}
+			if (url.endsWith("/api/conversations?full=1")) {
+				return new Response(JSON.stringify({ ok: true, conversations: [serverConv, ...imported] }));
+			}
+			throw new Error(`unexpected fetch ${url}`);
+		}));
+
+		const { ensureInitialized } = useChatStore.getState();
+		await act(async () => {
+			await ensureInitialized();
+		});
+		expect(imported).toEqual([localConv]);
+		expect(useChatStore.getState().conversations.map(c => c.id)).toEqual(["conv-1", "local-1"]);
+		expect(useChatStore.getState().activeConversationId).toBe("conv-1");
+
+		await act(async () => {
+			await ensureInitialized();
+		});
+		expect(imported).toHaveLength(1);
+		vi.mocked(idb.get).mockImplementation(async () => undefined);
+		vi.unstubAllGlobals();
+	});
+
+	it("uploads messages saved while the server was unreachable on the next sync", async () => {
+		const synced = { id: "m1", role: "user", content: "hi", createdAt: 1 };
+		const serverConv = { id: "conv-1", title: "Chat", createdAt: 1, updatedAt: 2, messageIds: ["m1"], messages: [synced] };
+		const offline = [{ id: "m2", role: "user", content: "sent offline", createdAt: 3 }, { id: "m3", role: "assistant", content: "answer", createdAt: 3, status: "complete" }];
+		const localConv = { ...serverConv, updatedAt: 3, messageIds: ["m1", "m2", "m3"], messages: [synced, ...offline] };
+		const offlineChat = { id: "local-2", title: "Offline chat", createdAt: 3, updatedAt: 3, messageIds: ["m4"], messages: [{ id: "m4", role: "user", content: "new", createdAt: 3 }] };
+		vi.mocked(idb.get).mockImplementation(async key => (key === "app.conversations.v1" ? [localConv, offlineChat] : undefined));
+		const server = new Map<string, any>([["conv-1", serverConv]]);
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			const body = init?.body ? JSON.parse(String(init.body)) : undefined;
+			if (url.endsWith("/api/conversations/import")) {
+				for (const c of body.conversations) server.set(c.id, c);
+				return new Response(JSON.stringify({ ok: true, imported: 1, skipped: 0 }));
+			}
+			const append = url.match(/\/api\/conversations\/([^/]+)\/messages$/);
+			if (append) {
+				const conv = server.get(append[1]);
+				const messages = [...conv.messages, ...body.messages];
+				server.set(conv.id, { ...conv, updatedAt: 4, messages, messageIds: messages.map((m: any) => m.id) });
+				return new Response(JSON.stringify({ ok: true }));
+			}
+			if (url.endsWith("/api/conversations?full=1")) {
+				return new Response(JSON.stringify({ ok: true, conversations: [...server.values()] }));
+			}
+			throw new Error(`unexpected fetch ${url}`);
+		}));
+
+		await act(async () => {
+			await useChatStore.getState().ensureInitialized();
+		});
+		const conversations = useChatStore.getState().conversations;
+		expect(conversations.find(c => c.id === "conv-1")?.messages.map(m => m.content)).toEqual(["hi", "sent offline", "answer"]);
+		expect(conversations.find(c => c.id === "local-2")?.messages).toHaveLength(1);
+		expect(idb.set).toHaveBeenLastCalledWith("app.conversations.v1", conversations);
+		vi.mocked(idb.get).mockImplementation(async () => undefined);
+		vi.unstubAllGlobals();
+	});
 
+	it("does not bring back a conversation deleted in another browser or while offline", async () => {
+		const chat = (id: string) => ({ id, title: id, createdAt: 1, updatedAt: 1, messageIds: ["m1"], messages: [{ id: "m1", role: "user", content: "hi", createdAt: 1 }] });
+		const server = new Map<string, any>([["conv-1", chat("conv-1")], ["conv-2", chat("conv-2")]]);
+		const deleted = new Set<string>();
+		let online = true;
+		const uploaded: string[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			if (!online) throw new Error("offline");
+			const body = init?.body ? JSON.parse(String(init.body)) : undefined;
+			if (url.endsWith("/api/conversations/import")) {
+				for (const c of body.conversations) {
+					uploaded.push(c.id);
+					server.set(c.id, c);
+				}
+				return new Response(JSON.stringify({ ok: true, imported: 1, skipped: 0 }));
+			}
+			if (url.endsWith("/api/conversations?full=1")) {
+				return new Response(JSON.stringify({ ok: true, conversations: [...server.values()], deleted: [...deleted] }));
+			}
+			const one = url.match(/\/api\/conversations\/([^/]+)$/);
+			if (one && init?.method === "DELETE") {
+				server.delete(one[1]);
+				deleted.add(one[1]);
+				return new Response(JSON.stringify({ ok: true }));
+			}
+			throw new Error(`unexpected fetch ${url}`);
+		}));
+		// One IndexedDB per browser
+		const browser = (conversations: unknown[]) => new Map<string, unknown>([["app.conversations.v1", conversations]]);
+		const open = async (db: Map<string, unknown>) => {
+			vi.mocked(idb.get).mockImplementation(async key => db.get(String(key)));
+			vi.mocked(idb.set).mockImplementation(async (key, value) => { db.set(String(key), value); });
+			await act(async () => {
+				await useChatStore.getState().ensureInitialized();
+			});
+		};
+		const ids = () => useChatStore.getState().conversations.map(c => c.id);
+
+		const first = browser([chat("conv-1"), chat("conv-2")]);
+		const second = browser([chat("conv-1"), chat("conv-2")]);
+		await open(first);
+		await act(async () => {
+			await useChatStore.getState().deleteConversation("conv-1");
+		});
+		online = false;
+		await act(async () => {
+			await useChatStore.getState().deleteConversation("conv-2");
+		});
+		expect(first.get("app.conversations.pendingDeletes.v1")).toEqual(["conv-2"]);
+		expect(server.has("conv-2")).toBe(true);
+
+		online = true;
+		await open(second);
+		expect(ids()).not.toContain("conv-1");
+		expect(ids()).toContain("conv-2");
+		await open(first);
+		expect(deleted).toEqual(new Set(["conv-1", "conv-2"]));
+		expect(first.get("app.conversations.pendingDeletes.v1")).toEqual([]);
+		await open(second);
+		expect(ids()).not.toContain("conv-1");
+		expect(ids()).not.toContain("conv-2");
+		expect(uploaded).toEqual([]);
+		vi.mocked(idb.get).mockImplementation(async () => undefined);
+		vi.mocked(idb.set).mockImplementation(async () => {});
+		vi.unstubAllGlobals();
+	});
+
+	it("expires confirmations left pending by a reload and finishes the reply", async () => {
+		const step = { id: "call-1", name: "jira_transition_issue", arguments: { issueKey: "ROC-5", status: "Done" }, result: "", ok: true, confirmation: "pending" };
+		const localConv = {
+			id: "conv-1", title: "Chat", createdAt: 1, updatedAt: 1, messageIds: ["m1", "m2"],
+			messages: [
+				{ id: "m1", role: "user", content: "Close ROC-5", createdAt: 1 },
+				{ id: "m2", role: "assistant", content: "", toolSteps: [step], createdAt: 1, status: "streaming" },
+			],
+		};
+		vi.mocked(idb.get).mockImplementation(async key => (key === "app.conversations.v1" ? [localConv] : undefined));
+		vi.stubGlobal("fetch", vi.fn(async () => { throw new Error("offline"); }));
+
+		await act(async () => {
+			await useChatStore.getState().ensureInitialized();
+		});
+		const reply = useChatStore.getState().conversations[0].messages[1];
+		expect(reply.status).toBe("error");
+		expect(reply.content).toContain("interrupted");
+		expect(reply.toolSteps?.[0]).toMatchObject({ confirmation: "declined", ok: false, result: expect.stringContaining("reloaded") });
+		expect(idb.set).toHaveBeenLastCalledWith("app.conversations.v1", useChatStore.getState().conversations);
+		vi.mocked(idb.get).mockImplementation(async () => undefined);
+		vi.unstubAllGlobals();
+	});
+});
@@ -0,0 +1,129 @@
+/// <reference types="node" />
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createRequire } from "node:module";
+
+// Loaded with Node's require, like the server modules load each other, so the test spies on
+// the same billing service and cache instances the registry uses
+const require = createRequire(import.meta.url);
+const billingService: typeof import("../../server/billingService.cjs").default = require("../../server/billingService.cjs");
+const jiraAuth: typeof import("../../server/jiraAuthService.cjs").default = require("../../server/jiraAuthService.cjs");
+const { toolRegistry, validateArgs, ToolRegistry }: typeof import("../../server/toolRegistry.cjs") = require("../../server/toolRegistry.cjs");
+const { responseCache }: typeof import("../../server/responseCache.cjs") = require("../../server/responseCache.cjs");
+
+const transitions = { transitions: [{ id: "31", name: "Done", to: { name: "Done" } }] };
+
+describe("tool registry quota refunds", () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+		vi.unstubAllGlobals();
+		responseCache.clear();
+	});
+
+	it("refunds calls answered from the cache, but not a cache hit followed by a write", async () => {
+		vi.spyOn(billingService, "checkAndUpdateUsage").mockResolvedValue({ allowed: true });
+		vi.spyOn(billingService, "checkRateLimit").mockReturnValue({ allowed: true });
+		const refund = vi.spyOn(billingService, "refundUsage").mockImplementation(() => {});
+		const sent: string[] = [];
+		vi.stubGlobal("fetch", vi.fn(async (url: string, init?: RequestInit) => {
+			sent.push(`${init?.method} ${new URL(url).pathname}`);
+			return init?.method === "POST" ? new Response(null, { status: 204 }) : new Response(JSON.stringify(transitions));
+		}));
+		Object.assign(jiraAuth, { baseUrl: "https://x.atlassian.net", email: "me@x.com", apiToken: "token" });
+		toolRegistry.register({
+			name: "test_transitions",
+			title: "Transitions",
+			path: "/test/transitions",
+			service: "jira",
+			operation: "read",
+			handler: async () => jiraAuth.get("/rest/api/3/issue/ROC-1/transitions"),
+		});
+		toolRegistry.register({
+			name: "test_transition",
+			title: "Transition",
+			path: "/test/transition",
+			service: "jira",
+			operation: "write",
+			handler: async () => ({ transition: await jiraAuth.transitionIssue("ROC-1", "Done") }),
+		});
+
+		// The dry run fetches the transitions, then is answered from the cache
+		await toolRegistry.invoke("test_transitions");
+		expect(refund).not.toHaveBeenCalled();
+		await toolRegistry.invoke("test_transitions");
+		expect(refund).toHaveBeenCalledTimes(1);
+
+		const { body } = await toolRegistry.invoke("test_transition");
+		expect(body).toMatchObject({ ok: true, transition: { id: "31" } });
+		expect(sent).toEqual(["GET /rest/api/3/issue/ROC-1/transitions", "POST /rest/api/3/issue/ROC-1/transitions"]);
+		expect(refund).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe("tool argument validation", () => {
+	const schema = {
+		type: "object",
+		properties: {
+			issueKey: { type: "string" },
+			maxResults: { type: "integer" },
+			includeDone: { type: "boolean" },
+			labels: { type: "array", items: { type: "string" } },
+			ids: { type: "array", items: { type: "integer" } },
+			state: { type: "string", enum: ["open", "closed"] },
+			filters: { type: "object" },
+		},
+		required: ["issueKey"],
+	};
+
+	it("reports a missing or blank required field", () => {
+		expect(validateArgs(schema, {}).errors).toEqual(["issueKey is required"]);
+		expect(validateArgs(schema, { issueKey: null }).errors).toEqual(["issueKey is required"]);
+		// Strings are trimmed first, so whitespace counts as missing
+		expect(validateArgs(schema, { issueKey: "   " }).errors).toEqual(["issueKey is required"]);
+	});
+
+	it("reports every argument of the wrong type", () => {
+		const { errors } = validateArgs(schema, {
+			issueKey: { key: "GAME-1" },
+			maxResults: 2.5,
+			includeDone: "yes",
+			ids: "1,two",
+			state: "merged",
+			filters: ["a"],
+		});
+		expect(errors).toEqual([
+			"issueKey must be a string",
+			"maxResults must be an integer",
+			"includeDone must be a boolean",
+			"ids[1] must be a number",
+			"state must be one of: open, closed",
+			"filters must be an object",
+		]);
+		expect(validateArgs(schema, { issueKey: "GAME-1", maxResults: "ten" }).errors).toEqual(["maxResults must be a number"]);
+	});
+
+	it("coerces the strings and numbers models send for other types", () => {
+		const { args, errors } = validateArgs(schema, {
+			issueKey: " GAME-1 ",
+			maxResults: "20",
+			includeDone: "false",
+			labels: "ui, input ,",
+			ids: ["3", 4],
+			state: "open",
+			extra: "kept",
+		});
+		expect(errors).toEqual([]);
+		expect(args).toEqual({ issueKey: "GAME-1", maxResults: 20, includeDone: false, labels: ["ui", "input"], ids: [3, 4], state: "open", extra: "kept" });
+		expect(validateArgs(schema, { issueKey: 42 }).args.issueKey).toBe("42");
+	});
+
+	it("rejects invalid arguments with 400 before the handler runs", async () => {
+		const registry = new ToolRegistry();
+		const handler = vi.fn(async () => ({}));
+		registry.register({ name: "test_tool", title: "Test", path: "/test", inputSchema: schema, handler });
+		expect(await registry.invoke("test_tool", { maxResults: "ten" })).toEqual({
+			status: 400,
+			body: { ok: false, error: "maxResults must be a number; issueKey is required" },
+		});
+		expect(handler).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { callMcpTool } from "../utils/mcp";
+import { describeAlignmentAction, type AlignmentAction, type AlignmentRow } from "../utils/toolResults";
+
+type ActionResult = {
+	id: string;
+	ok: boolean;
+	toStatus?: string;
+	error?: string;
+};
+
+/**
+ * Misalignments with their suggested Jira actions. The user ticks actions, previews them
+ * (dry run) and applies them; clicking "Apply" is the confirmation.
+ */
+export function AlignmentActions({ repository, misalignments }: { repository: string; misalignments: AlignmentRow[] }) {
+	const [selected, setSelected] = useState<Set<string>>(() => new Set(misalignments.flatMap(m => m.actions.map(a => a.id))));
+	const [results, setResults] = useState<Record<string, ActionResult & { dryRun: boolean }>>({});
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState<string | null>(null);
+
+	if (!misalignments.length) return <div className="p-2 text-neutral-500">No misalignments.</div>;
+
+	// Applied actions stay visible but cannot be sent twice
+	const isApplied = (a: AlignmentAction) => results[a.id]?.ok && !results[a.id].dryRun;
+	const pending = misalignments.flatMap(m => m.actions).filter(a => selected.has(a.id) && !isApplied(a));
+
+	function toggle(id: string) {
+		setSelected(prev => {
+			const next = new Set(prev);
+			if (next.has(id)) next.delete(id);
+			else next.add(id);
+			return next;
+		});
+	}
+
+	async function run(dryRun: boolean) {
+		setBusy(true);
+		setError(null);
+		const res = await callMcpTool("jira_github_apply_alignment", { actions: pending, dryRun, repo: repository });
+		setBusy(false);
+		if (res?.ok === false) {
+			setError(res.error || "Request failed");
+			return;
+		}
+		setResults(prev => {
+			const next = { ...prev };
+			for (const r of (res.results ?? []) as ActionResult[]) next[r.id] = { ...r, dryRun };
+			return next;
+		});
+	}
+
+	return (
+		<div>
+			<table className="w-full text-left">
+				<thead>
+					<tr className="text-neutral-500">
+						<th className="px-2 py-1 font-medium">Key</th>
+						<th className="px-2 py-1 font-medium">Status</th>
+						<th className="px-2 py-1 font-medium">Warning</th>
+						<th className="px-2 py-1 font-medium">Suggested actions</th>
+					</tr>
+				</thead>
+				<tbody>
+					{misalignments.map(m => (
+						<tr key={m.key} className="border-t border-neutral-100 dark:border-neutral-800 align-top">
+							<td className="px-2 py-1">
+								{m.url ? <a href={m.url} target="_blank" rel="noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">{m.key}</a> : m.key}
+								{m.repositories?.length ? <div className="text-neutral-500">{m.repositories.join(", ")}</div> : null}
+							</td>
+							<td className="px-2 py-1 text-neutral-700 dark:text-neutral-300">{m.status}</td>
+							<td className="px-2 py-1 text-neutral-700 dark:text-neutral-300">{m.warning}</td>
+							<td className="px-2 py-1 space-y-1">
+								{m.actions.map(a => (
+									<div key={a.id}>
+										<label className="flex items-center gap-1 text-neutral-700 dark:text-neutral-300">
+											<input type="checkbox" checked={selected.has(a.id)} disabled={busy || isApplied(a)} onChange={() => toggle(a.id)} />
+											{describeAlignmentAction(a)}
+											<ResultBadge result={results[a.id]} />
+										</label>
+										{a.type === "comment" && a.body ? (
+											<details className="ml-5">
+												<summary className="cursor-pointer text-neutral-500">Comment text</summary>
+												<pre className="whitespace-pre-wrap break-all bg-neutral-50 dark:bg-neutral-900 rounded p-1">{a.body}</pre>
+											</details>
+										) : null}
+									</div>
+								))}
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			<div className="flex items-center gap-2 px-2 py-1 border-t border-neutral-200 dark:border-neutral-800">
+				<button
+					type="button"
+					disabled={busy || !pending.length}
+					onClick={() => void run(true)}
+					className="px-2 py-0.5 rounded border border-neutral-300 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-800 disabled:opacity-50"
+				>
+					Preview
+				</button>
+				<button
+					type="button"
+					disabled={busy || !pending.length}
+					onClick={() => void run(false)}
+					className="px-2 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+				>
+					Apply {pending.length} selected
+				</button>
+				{busy ? <span className="text-neutral-500">Working…</span> : null}
+				{error ? <span className="text-red-600">{error}</span> : null}
+			</div>
+		</div>
+	);
+}
+
+function ResultBadge({ result }: { result?: ActionResult & { dryRun: boolean } }) {
+	if (!result) return null;
+	if (!result.ok) return <span className="text-red-600" title={result.error}>✗ {result.error}</span>;
+	return <span className="text-emerald-600">{result.dryRun ? "✓ ready" : "✓ applied"}{result.toStatus ? ` (${result.toStatus})` : ""}</span>;
+}
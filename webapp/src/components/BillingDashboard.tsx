@@ -0,0 +1,219 @@
+import { useEffect, useState } from "react";
+import { useChatStore } from "../store/chatStore";
+import { t, type Language } from "../i18n/translations";
+import {
+	BILLING_SERVICES,
+	dailySeries,
+	dayKey,
+	fetchBillingHistory,
+	fetchBillingStatus,
+	weeklySeries,
+	type BillingServiceName,
+	type BillingStatus,
+	type ChartPoint,
+	type ServiceUsage,
+	type UsageHistoryDay,
+} from "../utils/billing";
+import { formatCost } from "../utils/llmCost";
+import { BillingLimitsEditor } from "./BillingLimitsEditor";
+
+const DAYS_SHOWN = 14;
+const WEEKS_SHOWN = 12;
+
+const SERVICE_LABELS: Record<BillingServiceName, string> = {
+	gmail: "📧 Gmail",
+	calendar: "📅 Calendar",
+	slack: "💬 Slack",
+	github: "🐙 GitHub",
+	jira: "🎫 Jira",
+	openai: "🤖 OpenAI",
+	gemini: "✨ Gemini",
+};
+
+/**
+ * Usage gauges, history charts, costs and recently blocked requests (GET /mcp/billing/*)
+ */
+export function BillingDashboard() {
+	const { settings, setUi } = useChatStore();
+	const currentLang = (settings.language || 'en') as Language;
+	const [status, setStatus] = useState<BillingStatus | null>(null);
+	const [history, setHistory] = useState<UsageHistoryDay[]>([]);
+	const [error, setError] = useState("");
+	const [period, setPeriod] = useState<"daily" | "weekly">("daily");
+	const [service, setService] = useState<BillingServiceName>("gmail");
+	const [showLimits, setShowLimits] = useState(false);
+	// Bumped after limits are saved, to reload the gauges
+	const [reloads, setReloads] = useState(0);
+
+	useEffect(() => {
+		let aborted = false;
+		const load = async () => {
+			const from = new Date();
+			from.setDate(from.getDate() - WEEKS_SHOWN * 7);
+			const [s, h] = await Promise.all([
+				fetchBillingStatus(),
+				fetchBillingHistory(dayKey(from)).catch(e => {
+					if (!aborted) setError((e as Error).message);
+					return null;
+				}),
+			]);
+			if (aborted) return;
+			if (s) setStatus(s);
+			if (h) setHistory(h);
+		};
+		load();
+		const interval = setInterval(load, 60000);
+		return () => {
+			aborted = true;
+			clearInterval(interval);
+		};
+	}, [reloads]);
+
+	const today = new Date();
+	const points = period === "daily"
+		? dailySeries(history, service, DAYS_SHOWN, today)
+		: weeklySeries(history, service, WEEKS_SHOWN, today);
+	const costs = status?.usage.costs;
+
+	return (
+		<div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+			<div className="w-full max-w-3xl max-h-full overflow-y-auto rounded-xl border border-neutral-300 dark:border-neutral-700 bg-white dark:bg-neutral-950 p-4 space-y-4 text-sm">
+				<div className="flex items-center justify-between">
+					<h2 className="text-lg font-semibold">{t("usageDashboard", currentLang)}</h2>
+					<button onClick={() => setUi({ showBilling: false })} className="text-xl">×</button>
+				</div>
+				{!status && <div className="text-neutral-500">{error || t("billingUnavailable", currentLang)}</div>}
+
+				{costs && (
+					<section className="rounded border border-neutral-200 dark:border-neutral-800 p-3 flex flex-wrap gap-x-6 gap-y-1">
+						<div>
+							{t("monthlyCosts", currentLang)}: <span className="font-mono font-semibold">{formatCost(costs.thisMonth)}</span>
+							<span className="text-neutral-500"> (Google {formatCost(costs.google)}, LLM {formatCost(costs.llm)}/${costs.llmLimit.toFixed(2)})</span>
+						</div>
+						<div className="text-neutral-500">
+							{t("costLimit", currentLang)} {costs.limit > 0 ? `$${costs.limit.toFixed(2)}` : t("paidGoogleLimit", currentLang)}
+							{costs.warningThreshold > 0 && ` · ${fill(t("costWarningAt", currentLang), { amount: `$${costs.warningThreshold.toFixed(2)}` })}`}
+						</div>
+						<div className="text-neutral-500">
+							{t("billingSource", currentLang)}: {costs.provider}{costs.strict ? ` (${t("strictBilling", currentLang)})` : ""}
+							{costs.verifiedAt && ` · ${fill(t("verifiedAt", currentLang), { time: new Date(costs.verifiedAt).toLocaleTimeString() })}`}
+						</div>
+						{costs.error && <div className="text-red-600 w-full">{t("billingNotVerified", currentLang)}: {costs.error}</div>}
+					</section>
+				)}
+
+				{status && (
+					<section className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+						{BILLING_SERVICES.filter(s => status.usage[s]).map(s => (
+							<UsageGauge key={s} label={SERVICE_LABELS[s]} usage={status.usage[s]} lang={currentLang} />
+						))}
+					</section>
+				)}
+
+				<section className="space-y-2">
+					<div className="flex items-center gap-2">
+						<select value={service} onChange={e => setService(e.target.value as BillingServiceName)} className="rounded border border-neutral-300 dark:border-neutral-700 bg-transparent px-2 py-1">
+							{BILLING_SERVICES.map(s => <option key={s} value={s}>{SERVICE_LABELS[s]}</option>)}
+						</select>
+						{(["daily", "weekly"] as const).map(p => (
+							<button
+								key={p}
+								onClick={() => setPeriod(p)}
+								className={`rounded px-2 py-1 border border-neutral-300 dark:border-neutral-700 ${period === p ? "bg-neutral-200 dark:bg-neutral-800" : "hover:bg-neutral-100 dark:hover:bg-neutral-900"}`}
+							>
+								{t(p === "daily" ? "dailyHistory" : "weeklyHistory", currentLang)}
+							</button>
+						))}
+					</div>
+					<BarChart points={points} />
+				</section>
+
+				{status && (
+					<section>
+						<h3 className="font-medium mb-1">{t("blockedRequests", currentLang)}</h3>
+						{status.blocked.length === 0 ? (
+							<div className="text-neutral-500">{t("noBlockedRequests", currentLang)}</div>
+						) : (
+							<table className="w-full text-xs">
+								<tbody>
+									{status.blocked.slice(0, 20).map((b, i) => (
+										<tr key={`${b.at}-${i}`} className="border-t border-neutral-200 dark:border-neutral-800 align-top">
+											<td className="py-1 pr-2 whitespace-nowrap text-neutral-500">{new Date(b.at).toLocaleString()}</td>
+											<td className="py-1 pr-2 whitespace-nowrap">{b.service} <span className="text-neutral-500">{b.operation}</span></td>
+											<td className="py-1 pr-2"><code>{b.reason}</code></td>
+											<td className="py-1 text-neutral-600 dark:text-neutral-400">{b.message}</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						)}
+					</section>
+				)}
+
+				{showLimits ? (
+					<BillingLimitsEditor lang={currentLang} onSaved={() => setReloads(n => n + 1)} />
+				) : (
+					<button onClick={() => setShowLimits(true)} className="text-sky-600 hover:underline">
+						{t("billingLimits", currentLang)} →
+					</button>
+				)}
+			</div>
+		</div>
+	);
+}
+
+function UsageGauge({ label, usage, lang }: { label: string; usage: ServiceUsage; lang: Language }) {
+	const color = usage.percent >= usage.blockPercent ? "bg-red-500" : usage.percent >= usage.warningPercent ? "bg-orange-500" : "bg-emerald-500";
+	const rate = usage.rateLimit;
+	return (
+		<div className="rounded border border-neutral-200 dark:border-neutral-800 p-2 space-y-1">
+			<div className="flex justify-between">
+				<span className="font-medium">{label}</span>
+				<span className="font-mono text-xs">{usage.percent.toFixed(1)}%</span>
+			</div>
+			<div className="relative h-2 rounded bg-neutral-200 dark:bg-neutral-800" title={fill(t("gaugeThresholds", lang), { warn: usage.warningPercent, block: usage.blockPercent })}>
+				<div className={`h-2 rounded ${color}`} style={{ width: `${Math.min(100, usage.percent)}%` }} />
+				<div className="absolute top-[-2px] h-3 w-px bg-orange-600" style={{ left: `${usage.warningPercent}%` }} />
+				<div className="absolute top-[-2px] h-3 w-px bg-red-600" style={{ left: `${usage.blockPercent}%` }} />
+			</div>
+			<div className="text-xs text-neutral-500">
+				{fill(t("usageToday", lang), {
+					used: usage.used.toLocaleString(),
+					limit: usage.limit.toLocaleString(),
+					warn: usage.warningPercent,
+					block: usage.blockPercent,
+				})}
+			</div>
+			{rate && "methods" in rate ? (
+				Object.keys(rate.methods).length > 0 && (
+					<div className="text-xs text-neutral-500">
+						{fill(t("methodsPerMinute", lang), { methods: Object.entries(rate.methods).map(([m, r]) => `${m} ${r.remaining}/${r.limit}`).join(" · ") })}
+					</div>
+				)
+			) : rate && (
+				<div className="text-xs text-neutral-500">
+					{fill(t("rateLimitLeft", lang), { remaining: rate.remaining.toLocaleString(), limit: rate.limit.toLocaleString(), window: rate.window })}
+				</div>
+			)}
+		</div>
+	);
+}
+
+// A translation with its {placeholders} filled in
+function fill(text: string, values: Record<string, string | number>) {
+	return Object.entries(values).reduce((out, [name, value]) => out.replace(`{${name}}`, String(value)), text);
+}
+
+function BarChart({ points }: { points: ChartPoint[] }) {
+	const max = Math.max(1, ...points.map(p => p.value));
+	return (
+		<div className="flex items-end gap-1 h-32 border-b border-neutral-200 dark:border-neutral-800">
+			{points.map(p => (
+				<div key={p.label} className="flex-1 flex flex-col items-center justify-end h-full" title={`${p.label}: ${p.value.toLocaleString()}`}>
+					<div className="w-full rounded-t bg-sky-500" style={{ height: `${(p.value / max) * 100}%`, minHeight: p.value ? 2 : 0 }} />
+					<div className="text-[9px] text-neutral-500 mt-0.5">{p.label.slice(5)}</div>
+				</div>
+			))}
+		</div>
+	);
+}
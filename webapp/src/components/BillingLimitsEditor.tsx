@@ -0,0 +1,195 @@
+import { useState } from "react";
+import { t, type Language } from "../i18n/translations";
+import { BILLING_SERVICES, fetchBillingLimits, updateBillingLimits, type BillingLimits } from "../utils/billing";
+
+// Kept for the browser session only
+const TOKEN_KEY = "app.billing.adminToken";
+
+const THRESHOLD_FIELDS = new Set(["warningThreshold", "hardLimit"]);
+
+/**
+ * Edit quotas, thresholds and cost limits on the server (PATCH /mcp/billing/limits).
+ * Thresholds are shown as percent of the daily quota; the server stores fractions.
+ */
+export function BillingLimitsEditor({ lang, onSaved }: { lang: Language; onSaved?: () => void }) {
+	const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || "");
+	const [data, setData] = useState<BillingLimits | null>(null);
+	const [drafts, setDrafts] = useState<Record<string, string>>({});
+	const [note, setNote] = useState("");
+	const [error, setError] = useState("");
+	const [busy, setBusy] = useState(false);
+
+	function show(next: BillingLimits) {
+		setData(prev => ({ ...next, audit: next.audit ?? prev?.audit }));
+		setDrafts(Object.fromEntries(Object.entries(next.limits).map(([field, value]) => [field, toInput(field, value)])));
+	}
+
+	async function run(action: () => Promise<BillingLimits>) {
+		setBusy(true);
+		setError("");
+		try {
+			show(await action());
+			sessionStorage.setItem(TOKEN_KEY, token);
+		} catch (e) {
+			setError((e as Error).message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	const load = () => run(() => fetchBillingLimits(token));
+
+	async function apply(changes: Record<string, number | null>) {
+		await run(async () => {
+			await updateBillingLimits(token, changes, note.trim() || undefined);
+			setNote("");
+			onSaved?.();
+			// Reload for the audit trail
+			return fetchBillingLimits(token);
+		});
+	}
+
+	function save() {
+		if (!data) return;
+		const changes: Record<string, number> = {};
+		const invalid: string[] = [];
+		for (const [field, draft] of Object.entries(drafts)) {
+			const value = fromInput(field, draft);
+			if (!Number.isFinite(value)) invalid.push(field);
+			else if (value !== data.limits[field]) changes[field] = value;
+		}
+		// JSON would turn NaN into null, which resets the field
+		if (invalid.length) setError(`Not a number: ${invalid.join(", ")}`);
+		else if (Object.keys(changes).length) apply(changes);
+	}
+
+	function field(name: string, unit: string) {
+		const overridden = data && name in data.overrides;
+		return (
+			<td className="py-1 pr-2">
+				<div className="flex items-center gap-1">
+					<input
+						value={drafts[name] ?? ""}
+						onChange={e => setDrafts(d => ({ ...d, [name]: e.target.value }))}
+						inputMode="decimal"
+						className={`w-28 rounded border bg-transparent px-1.5 py-0.5 font-mono ${overridden ? "border-sky-500" : "border-neutral-300 dark:border-neutral-700"}`}
+					/>
+					<span className="text-neutral-500">{unit}</span>
+					{overridden && (
+						<button
+							onClick={() => apply({ [name]: null })}
+							disabled={busy}
+							title={`${t("resetToEnv", lang)} (${toInput(name, data.defaults[name])}${unit})`}
+							className="text-neutral-500 hover:text-neutral-900 dark:hover:text-neutral-100"
+						>
+							↺
+						</button>
+					)}
+				</div>
+			</td>
+		);
+	}
+
+	return (
+		<section className="space-y-2">
+			<h3 className="font-medium">{t("billingLimits", lang)}</h3>
+			<div className="flex items-center gap-2">
+				<input
+					type="password"
+					value={token}
+					onChange={e => setToken(e.target.value)}
+					placeholder={t("adminToken", lang)}
+					className="flex-1 rounded border border-neutral-300 dark:border-neutral-700 bg-transparent px-2 py-1"
+				/>
+				<button
+					onClick={load}
+					disabled={busy || !token}
+					className="rounded px-2 py-1 border border-neutral-300 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-900 disabled:opacity-50"
+				>
+					{t("loadLimits", lang)}
+				</button>
+			</div>
+			{error && <div className="text-red-600">{error}</div>}
+
+			{data && (
+				<>
+					<table className="w-full text-xs">
+						<thead className="text-neutral-500 text-left">
+							<tr>
+								<th className="py-1 pr-2 font-normal" />
+								<th className="py-1 pr-2 font-normal">Daily quota</th>
+								<th className="py-1 pr-2 font-normal">Warning</th>
+								<th className="py-1 pr-2 font-normal">Blocked at</th>
+							</tr>
+						</thead>
+						<tbody>
+							{BILLING_SERVICES.map(service => (
+								<tr key={service} className="border-t border-neutral-200 dark:border-neutral-800">
+									<td className="py-1 pr-2">{service}</td>
+									{field(`${service}.dailyQuota`, "")}
+									{field(`${service}.warningThreshold`, "%")}
+									{field(`${service}.hardLimit`, "%")}
+								</tr>
+							))}
+						</tbody>
+					</table>
+					<table className="text-xs">
+						<tbody>
+							<tr>
+								<td className="py-1 pr-2">Monthly cost limit</td>
+								{field("monthlyCostLimit", "USD")}
+							</tr>
+							<tr>
+								<td className="py-1 pr-2">Cost warning at</td>
+								{field("warningCostThreshold", "USD")}
+							</tr>
+							<tr>
+								<td className="py-1 pr-2">LLM cost limit</td>
+								{field("monthlyLlmCostLimit", "USD")}
+							</tr>
+						</tbody>
+					</table>
+					<div className="flex items-center gap-2">
+						<input
+							value={note}
+							onChange={e => setNote(e.target.value)}
+							placeholder={t("limitChangeNote", lang)}
+							className="flex-1 rounded border border-neutral-300 dark:border-neutral-700 bg-transparent px-2 py-1"
+						/>
+						<button
+							onClick={save}
+							disabled={busy}
+							className="rounded px-3 py-1 bg-sky-600 text-white hover:bg-sky-700 disabled:opacity-50"
+						>
+							{t("saveLimits", lang)}
+						</button>
+					</div>
+
+					{!!data.audit?.length && (
+						<div>
+							<h4 className="text-neutral-500 mb-1">{t("recentLimitChanges", lang)}</h4>
+							<ul className="text-xs space-y-0.5">
+								{data.audit.slice(0, 10).map((c, i) => (
+									<li key={`${c.at}-${i}`}>
+										<span className="text-neutral-500">{new Date(c.at).toLocaleString()}</span>{" "}
+										<code>{c.field}</code> {c.from} → {c.to}
+										{c.note && <span className="text-neutral-500"> · {c.note}</span>}
+									</li>
+								))}
+							</ul>
+						</div>
+					)}
+				</>
+			)}
+		</section>
+	);
+}
+
+function toInput(field: string, value: number): string {
+	return THRESHOLD_FIELDS.has(field.split(".").pop()!) ? String(+(value * 100).toFixed(4)) : String(value);
+}
+
+function fromInput(field: string, text: string): number {
+	const value = text.trim() === "" ? NaN : Number(text);
+	return THRESHOLD_FIELDS.has(field.split(".").pop()!) ? +(value / 100).toFixed(6) : value;
+}
@@ -1,15 +1,39 @@
+import { useEffect, useState } from "react";
 import { useChatStore } from "../store/chatStore";
 import { t, type Language } from "../i18n/translations";
+import { fetchConversationCost, formatCost, type ConversationCost } from "../utils/llmCost";
 
 export function ChatHeader() {
 	const settings = useChatStore(s => s.settings);
 	const setUi = useChatStore(s => s.setUi);
 	const activeConversation = useChatStore(s => s.conversations.find(c => c.id === s.activeConversationId));
 	const currentLang = (settings.language || 'en') as Language;
+	const [usage, setUsage] = useState<ConversationCost | null>(null);
+	const conversationId = activeConversation?.id;
+	// Refresh when a reply finishes (its cost is recorded once the response has streamed)
+	const lastStatus = activeConversation?.messages[activeConversation.messages.length - 1]?.status;
+	const messageCount = activeConversation?.messages.length ?? 0;
+
+	useEffect(() => {
+		if (!conversationId || lastStatus === "streaming") return;
+		let cancelled = false;
+		fetchConversationCost(conversationId).then(u => {
+			if (!cancelled) setUsage(u);
+		});
+		return () => {
+			cancelled = true;
+		};
+	}, [conversationId, lastStatus, messageCount]);
+
 	return (
 		<div className="h-14 flex items-center justify-between px-4">
 			<div className="text-sm text-neutral-500">
 				{t("model", currentLang)}: <span className="font-medium">{settings.model}</span> · {t("provider", currentLang)}: <span className="font-medium">{settings.provider}</span>
+				{usage && usage.requests > 0 && (
+					<span title={`${usage.inputTokens.toLocaleString()} input / ${usage.outputTokens.toLocaleString()} output tokens, ${usage.requests} requests`}>
+						{" "}· {t("conversationCost", currentLang)}: <span className="font-medium">{formatCost(usage.cost)}</span>
+					</span>
+				)}
 			</div>
 			<div className="flex items-center gap-2">
 				<div className="text-sm text-neutral-500">{activeConversation?.title || t("newChatHeader", currentLang)}</div>
@@ -23,5 +47,3 @@ export function ChatHeader() {
 		</div>
 	);
 }
-
-
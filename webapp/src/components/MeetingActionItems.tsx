@@ -0,0 +1,97 @@
+import { useRef, type MouseEvent } from "react";
+import { formatTimestamp, meetingAudioUrl, type ActionItemRow, type DecisionRow, type OpenQuestionRow } from "../utils/toolResults";
+
+/**
+ * Action items, decisions and open questions from a meeting. Each [mm:ss] plays the
+ * recording from where it was said; the link opens the audio at that point as a fallback.
+ */
+export function MeetingActionItems({ meetingId, actionItems, decisions, openQuestions }: {
+	meetingId: string;
+	actionItems: ActionItemRow[];
+	decisions: DecisionRow[];
+	openQuestions: OpenQuestionRow[];
+}) {
+	const audio = useRef<HTMLAudioElement>(null);
+
+	function seek(e: MouseEvent, seconds: number) {
+		const player = audio.current;
+		if (!player) return;
+		e.preventDefault();
+		player.currentTime = seconds;
+		player.play().catch(() => {});
+	}
+
+	function at(seconds?: number) {
+		if (seconds === undefined) return null;
+		return (
+			<a
+				href={meetingAudioUrl(meetingId, seconds)}
+				target="_blank"
+				rel="noreferrer"
+				onClick={e => seek(e, seconds)}
+				className="font-mono text-blue-600 dark:text-blue-400 hover:underline"
+			>
+				[{formatTimestamp(seconds)}]
+			</a>
+		);
+	}
+
+	if (!actionItems.length && !decisions.length && !openQuestions.length) {
+		return <div className="p-2 text-neutral-500">No action items, decisions or open questions.</div>;
+	}
+
+	return (
+		<div className="space-y-2 p-2">
+			<audio ref={audio} src={meetingAudioUrl(meetingId)} preload="none" controls className="w-full h-8" />
+
+			{actionItems.length > 0 && (
+				<table className="w-full text-left">
+					<thead>
+						<tr className="text-neutral-500">
+							<th className="px-2 py-1 font-medium">Action item</th>
+							<th className="px-2 py-1 font-medium">Owner</th>
+							<th className="px-2 py-1 font-medium">Due</th>
+							<th className="px-2 py-1 font-medium" />
+						</tr>
+					</thead>
+					<tbody>
+						{actionItems.map((a, i) => (
+							<tr key={i} className="border-t border-neutral-100 dark:border-neutral-800 align-top text-neutral-700 dark:text-neutral-300">
+								<td className="px-2 py-1">{a.task}</td>
+								<td className="px-2 py-1">{a.owner || <span className="text-neutral-400">—</span>}</td>
+								<td className="px-2 py-1 whitespace-nowrap">{a.dueDate || ""}</td>
+								<td className="px-2 py-1">{at(a.timestamp)}</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+
+			{decisions.length > 0 && (
+				<div>
+					<div className="font-medium text-neutral-500 px-2">Decisions</div>
+					<ul className="list-disc pl-6 text-neutral-700 dark:text-neutral-300">
+						{decisions.map((d, i) => (
+							<li key={i}>
+								{d.decision}{d.madeBy && <span className="text-neutral-500"> ({d.madeBy})</span>} {at(d.timestamp)}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{openQuestions.length > 0 && (
+				<div>
+					<div className="font-medium text-neutral-500 px-2">Open questions</div>
+					<ul className="list-disc pl-6 text-neutral-700 dark:text-neutral-300">
+						{openQuestions.map((q, i) => (
+							<li key={i}>
+								{q.question}{q.askedBy && <span className="text-neutral-500"> ({q.askedBy})</span>} {at(q.timestamp)}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -1,8 +1,10 @@
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
 import { useChatStore } from "../store/chatStore";
 import { tts } from "../utils/tts";
+import { ToolResultCard } from "./ToolResultCard";
+import { cancelJob, isJobFinished } from "../utils/jobs";
 
 export function MessageList() {
 	const activeConversation = useChatStore(s => s.conversations.find(c => c.id === s.activeConversationId));
@@ -11,6 +13,10 @@ export function MessageList() {
 	const speechLang = useChatStore(s => s.settings.speechLang);
 	const ttsRate = useChatStore(s => s.settings.ttsRate ?? 1);
 	const ttsPitch = useChatStore(s => s.settings.ttsPitch ?? 1);
+	const focusMessageId = useChatStore(s => s.ui.focusMessageId);
+	const setUi = useChatStore(s => s.setUi);
+	const confirmToolCall = useChatStore(s => s.confirmToolCall);
+	const [flashId, setFlashId] = useState<string | null>(null);
 	const containerRef = useRef<HTMLDivElement>(null);
 	const lastSpokenIdRef = useRef<string | null>(null);
 	const ttsUnlockedRef = useRef<boolean>(false);
@@ -23,6 +29,22 @@ export function MessageList() {
 		el.scrollTop = el.scrollHeight;
 	}, [activeConversation?.messages.length]);
 
+	// Jump to a message picked in the Sidebar search (declared after the scroll-to-bottom effect so it wins)
+	useEffect(() => {
+		if (!focusMessageId) return;
+		const el = containerRef.current?.querySelector<HTMLElement>(`[data-message-id="${CSS.escape(focusMessageId)}"]`);
+		if (!el) return;
+		el.scrollIntoView?.({ block: "center" });
+		setFlashId(focusMessageId);
+		setUi({ focusMessageId: undefined });
+	}, [focusMessageId, activeConversation?.id]);
+
+	useEffect(() => {
+		if (!flashId) return;
+		const timer = setTimeout(() => setFlashId(null), 2000);
+		return () => clearTimeout(timer);
+	}, [flashId]);
+
 	// Try to unlock speech synthesis after a user gesture (required by some browsers)
 	useEffect(() => {
 		if (!("speechSynthesis" in window)) return;
@@ -107,12 +129,64 @@ export function MessageList() {
 	return (
 		<div ref={containerRef} className="h-full overflow-y-auto">
 			<div className="max-w-3xl mx-auto p-4 space-y-6">
-				{activeConversation.messages.map((m) => (
-					<div key={m.id} className="flex gap-3">
+				{activeConversation.messages.map((m) => m.role === "system" ? (
+					<div key={m.id} data-message-id={m.id} className="rounded border border-amber-300 bg-amber-50 dark:border-amber-700 dark:bg-amber-950 text-xs p-2 text-neutral-700 dark:text-neutral-200">
+						{m.content}
+					</div>
+				) : (
+					<div key={m.id} data-message-id={m.id} className={`flex gap-3 rounded transition-shadow ${flashId === m.id ? "ring-2 ring-yellow-400" : ""}`}>
 						<div className="w-9 h-9 rounded-full bg-neutral-200 dark:bg-neutral-700 flex items-center justify-center text-xs font-semibold">
 							{m.role === "assistant" ? "AI" : "You"}
 						</div>
 						<div className="prose prose-neutral dark:prose-invert max-w-none">
+							{m.toolSteps?.length ? (
+								<div className="not-prose mb-2 space-y-1">
+									{m.toolSteps.map((step, i) => step.confirmation === "pending" ? (
+										<div key={`${step.id}-${i}`} className="rounded border border-amber-300 bg-amber-50 dark:border-amber-700 dark:bg-amber-950 text-xs p-2 space-y-2">
+											<div className="text-neutral-700 dark:text-neutral-200">
+												Jarvis wants to run <code>{step.name}</code>. This changes data outside the chat.
+											</div>
+											<pre className="whitespace-pre-wrap break-all bg-white dark:bg-neutral-900 rounded p-2">{JSON.stringify(step.arguments, null, 2)}</pre>
+											<div className="flex gap-2">
+												<button className="px-3 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => confirmToolCall(m.id, i, true)}>Approve</button>
+												<button className="px-3 py-1 rounded border border-neutral-300 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-800" onClick={() => confirmToolCall(m.id, i, false)}>Decline</button>
+											</div>
+										</div>
+									) : step.job && !isJobFinished(step.job) ? (
+										<div key={`${step.id}-${i}`} className="rounded border border-blue-200 bg-blue-50 dark:border-blue-800 dark:bg-blue-950 text-xs p-2 space-y-1">
+											<div className="flex items-center gap-2 text-neutral-700 dark:text-neutral-200">
+												<span className="flex-1">
+													Step {i + 1}: <code>{step.name}</code> · {step.job.status === "queued" ? "queued" : step.job.message || "running"}
+												</span>
+												<button className="px-2 py-0.5 rounded border border-neutral-300 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-800" onClick={() => void cancelJob(step.job!.id)}>Cancel</button>
+											</div>
+											{step.job.progress !== undefined && step.job.total ? (
+												<div className="h-1 rounded bg-blue-100 dark:bg-blue-900 overflow-hidden">
+													<div className="h-full bg-blue-600" style={{ width: `${Math.min(100, Math.round((step.job.progress / step.job.total) * 100))}%` }} />
+												</div>
+											) : null}
+										</div>
+									) : (
+										<details key={`${step.id}-${i}`} className="rounded border border-neutral-200 dark:border-neutral-800 text-xs">
+											<summary className="cursor-pointer px-2 py-1 text-neutral-600 dark:text-neutral-300">
+												<span className={step.ok ? "text-emerald-600" : "text-red-600"}>{step.ok ? "✓" : "✗"}</span>{" "}
+												Step {i + 1}: <code>{step.name}</code>
+												{step.confirmation === "approved" ? " · approved" : step.confirmation === "declined" ? " · declined" : ""}
+												{step.job?.status === "cancelled" ? " · cancelled" : ""}
+											</summary>
+											<div className="px-2 pb-2 space-y-1">
+												<div className="text-neutral-500">Arguments</div>
+												<pre className="whitespace-pre-wrap break-all bg-neutral-50 dark:bg-neutral-900 rounded p-2">{JSON.stringify(step.arguments, null, 2)}</pre>
+												<div className="text-neutral-500">Result</div>
+												<pre className="whitespace-pre-wrap break-all bg-neutral-50 dark:bg-neutral-900 rounded p-2 max-h-64 overflow-y-auto">{step.result}</pre>
+											</div>
+										</details>
+									))}
+								</div>
+							) : null}
+							{m.toolSteps?.map((step, i) => (
+								step.payload ? <ToolResultCard key={`card-${step.id}-${i}`} payload={step.payload} /> : null
+							))}
 							<ReactMarkdown remarkPlugins={[remarkGfm]}>
 								{m.content}
 							</ReactMarkdown>
@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from "react";
 import { useChatStore } from "../store/chatStore";
 import { t, type Language } from "../i18n/translations";
+import { watchJob, type Job } from "../utils/jobs";
 
 interface RecordingControlProps {
 	onRecordingComplete?: (meetingId: string, audioBlob: Blob) => void;
@@ -14,6 +15,7 @@ export function RecordingControl({ onRecordingComplete }: RecordingControlProps)
 	const [meetingId, setMeetingId] = useState<string | null>(null);
 	const [error, setError] = useState<string | null>(null);
 	const [transcriptStatus, setTranscriptStatus] = useState<{ status: string; progress?: number; error?: string } | null>(null);
+	const [transcriptionJobId, setTranscriptionJobId] = useState<string | null>(null);
 	
 	const mediaRecorderRef = useRef<MediaRecorder | null>(null);
 	const audioChunksRef = useRef<Blob[]>([]);
@@ -218,6 +220,7 @@ export function RecordingControl({ onRecordingComplete }: RecordingControlProps)
 					if (!uploadResponse.ok) {
 						throw new Error(uploadJsonData.error || `Failed to upload audio: ${uploadResponse.status}`);
 					}
+					setTranscriptionJobId(uploadJsonData.jobId ?? null);
 					
 					if (onRecordingComplete) {
 						onRecordingComplete(meeting.id, audioBlob);
@@ -302,75 +305,17 @@ export function RecordingControl({ onRecordingComplete }: RecordingControlProps)
 		setIsRecording(false);
 	};
 
-	// Poll meeting status for transcript progress
+	// Follow the transcription job: Whisper's own progress streams from the server
 	useEffect(() => {
-		if (!meetingId) {
-			setTranscriptStatus(null);
-			return;
-		}
-		
-		let pollInterval: ReturnType<typeof setInterval> | null = null;
-		
-		const checkStatus = async () => {
-			try {
-				const response = await fetch(`http://localhost:3001/api/meetings/${meetingId}`);
-				if (!response.ok) return;
-				
-				const contentType = response.headers.get("content-type");
-				if (!contentType || !contentType.includes("application/json")) return;
-				
-				const jsonData = await response.json();
-				if (jsonData.ok && jsonData.meeting) {
-					const meeting = jsonData.meeting;
-					
-					if (meeting.status === "completed") {
-						setTranscriptStatus({ status: "done" });
-						if (pollInterval) {
-							clearInterval(pollInterval);
-							pollInterval = null;
-						}
-					} else if (meeting.status === "processing") {
-						// Estimate progress based on time elapsed (rough estimate)
-						// Transcription typically takes 1-2x the audio duration
-						const meetingDate = new Date(meeting.date);
-						const now = new Date();
-						const elapsedSeconds = (now.getTime() - meetingDate.getTime()) / 1000;
-						const estimatedDuration = meeting.duration || 60; // Default to 60 seconds if unknown
-						// Assume transcription takes ~1.5x audio duration
-						const estimatedTranscriptionTime = estimatedDuration * 1.5;
-						const progress = Math.min(95, Math.floor((elapsedSeconds / estimatedTranscriptionTime) * 100));
-						
-						setTranscriptStatus({ status: "processing", progress });
-					} else if (meeting.status === "error") {
-						setTranscriptStatus({ 
-							status: "error", 
-							error: meeting.error || "Transcription failed" 
-						});
-						if (pollInterval) {
-							clearInterval(pollInterval);
-							pollInterval = null;
-						}
-					} else {
-						setTranscriptStatus({ status: "pending" });
-					}
-				}
-			} catch (err) {
-				console.error('[RecordingControl] Error checking transcript status:', err);
-			}
-		};
-		
-		// Check immediately
-		checkStatus();
-		
-		// Poll every 2 seconds
-		pollInterval = setInterval(checkStatus, 2000);
-		
-		return () => {
-			if (pollInterval) {
-				clearInterval(pollInterval);
-			}
-		};
-	}, [meetingId]);
+		if (!transcriptionJobId) return;
+		const watching = new AbortController();
+		watchJob(transcriptionJobId, job => setTranscriptStatus(toTranscriptStatus(job)), { signal: watching.signal })
+			.catch(err => {
+				if (err instanceof DOMException && err.name === "AbortError") return;
+				setTranscriptStatus({ status: "error", error: err instanceof Error ? err.message : "Lost track of the transcription" });
+			});
+		return () => watching.abort();
+	}, [transcriptionJobId]);
 	
 	// Cleanup on unmount only
 	useEffect(() => {
@@ -493,7 +438,7 @@ export function RecordingControl({ onRecordingComplete }: RecordingControlProps)
 								if (response.ok && jsonData.ok) {
 									setError(null);
 									setTranscriptStatus({ status: "processing", progress: 0 }); // Reset to processing
-									alert("Transcription retry started. Check back in a few minutes.");
+									setTranscriptionJobId(jsonData.jobId ?? null);
 								} else {
 									setError(jsonData.error || "Failed to retry transcription");
 								}
@@ -511,3 +456,17 @@ export function RecordingControl({ onRecordingComplete }: RecordingControlProps)
 	);
 }
 
+function toTranscriptStatus(job: Job): { status: string; progress?: number; error?: string } {
+	switch (job.status) {
+		case "succeeded":
+			return { status: "done" };
+		case "failed":
+			return { status: "error", error: job.error || "Transcription failed" };
+		case "cancelled":
+			return { status: "error", error: "Transcription cancelled" };
+		default:
+			return job.progress?.total
+				? { status: "processing", progress: Math.round(((job.progress.progress ?? 0) / job.progress.total) * 100) }
+				: { status: "processing" };
+	}
+}
@@ -3,25 +3,19 @@ import { useChatStore } from "../store/chatStore";
 import { RecordingControl } from "./RecordingControl";
 import { LanguageSelector } from "./LanguageSelector";
 import { t, type Language } from "../i18n/translations";
+import { fetchBillingStatus, takeNewWarnings, type BillingStatus } from "../utils/billing";
 
 export function RightPanel() {
-	const { ui, setUi, activeTools, setToolActive, settings } = useChatStore();
+	const { ui, setUi, activeTools, setToolActive, settings, addNotice } = useChatStore();
 	const currentLang = (settings.language || 'en') as Language;
 	const topHeight = ui.rightTopHeight ?? 240;
 	const MIN_TOP = 120;
 	const MIN_BOTTOM = 120;
 	const containerRef = useRef<HTMLDivElement>(null);
 	const canvasRef = useRef<HTMLCanvasElement>(null);
-	const [tools, setTools] = useState<{ name: string; title?: string }[]>([]);
+	const [tools, setTools] = useState<{ name: string; title?: string; server?: string }[]>([]);
 	const [toolsError, setToolsError] = useState<string>("");
-	const [billingStatus, setBillingStatus] = useState<{
-		gmail: { used: number; limit: number; percent: number };
-		calendar: { used: number; limit: number; percent: number };
-		slack?: { used: number; limit: number; percent: number };
-		github?: { used: number; limit: number; percent: number };
-		costs: { thisMonth: number; limit: number };
-		authenticated: boolean;
-	} | null>(null);
+	const [billingStatus, setBillingStatus] = useState<BillingStatus | null>(null);
 
 	function onDragRow(e: React.MouseEvent) {
 		e.preventDefault();
@@ -47,26 +41,22 @@ export function RightPanel() {
 		window.addEventListener("mouseup", onUp);
 	}
 
-	// Load billing status from server
+	// Load billing status from server; a service crossing its warning threshold is
+	// reported in the chat once a day
 	useEffect(() => {
 		let aborted = false;
 		const loadBilling = async () => {
 			if (aborted) return;
-			try {
-				const r = await fetch("http://localhost:3001/mcp/billing/status", { cache: "no-store" });
-				if (r.ok) {
-					const data = await r.json();
-					if (!aborted && data.ok) {
-						setBillingStatus({
-							gmail: data.usage.gmail,
-							calendar: data.usage.calendar,
-							costs: data.usage.costs,
-							authenticated: data.authenticated
-						});
-					}
-				}
-			} catch (e) {
-				// Silently fail - billing is optional
+			// Fails soft (null) - billing is optional
+			const status = await fetchBillingStatus();
+			if (aborted || !status) return;
+			setBillingStatus(status);
+			const lang = (useChatStore.getState().settings.language || 'en') as Language;
+			for (const w of takeNewWarnings(status.usage)) {
+				await addNotice(`⚠️ ${t("usageWarning", lang)
+					.replace("{service}", w.service)
+					.replace("{percent}", w.percent.toFixed(1))
+					.replace("{block}", String(w.blockPercent))}`);
 			}
 		};
 		loadBilling();
@@ -187,36 +177,43 @@ export function RightPanel() {
 						>
 							{t('refresh', currentLang)}
 						</button>
+						<button
+							className="text-[11px] px-2 py-0.5 rounded border border-neutral-300 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-800"
+							onClick={() => setUi({ showBilling: true })}
+							title={t('usageDashboard', currentLang)}
+						>
+							{t('usageButton', currentLang)}
+						</button>
 						{/* Billing/Usage Display */}
 						{billingStatus && (
 							<div className="flex items-center gap-1.5 text-[10px] normal-case">
 								{/* ===== GOOGLE ONLY (CAN HAVE BILLING) ===== */}
 								<div className="flex items-center gap-1.5 px-1.5 py-0.5 rounded bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800" title={t('googleServices', currentLang) + ' - ' + t('mayIncurCosts', currentLang)}>
-									<span className={`font-mono font-semibold ${billingStatus.costs.thisMonth > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-500'}`}>
-										💰${billingStatus.costs.thisMonth.toFixed(2)}
+									<span className={`font-mono font-semibold ${billingStatus.usage.costs.thisMonth > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-500'}`}>
+										💰${billingStatus.usage.costs.thisMonth.toFixed(2)}
 									</span>
 									<span className="text-neutral-400 dark:text-neutral-600">|</span>
 									{/* Gmail usage */}
 									<span 
 										className={`${
-											billingStatus.gmail.percent > 80 ? 'text-orange-600 dark:text-orange-400' : 
-											billingStatus.gmail.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
+											billingStatus.usage.gmail.percent >= billingStatus.usage.gmail.warningPercent ? 'text-orange-600 dark:text-orange-400' : 
+											billingStatus.usage.gmail.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
 											'text-neutral-600 dark:text-neutral-400'
 										}`}
-										title={`${t('gmail', currentLang)}: ${billingStatus.gmail.used.toLocaleString()}/${billingStatus.gmail.limit.toLocaleString()} units (Google - free tier, may cost if exceeded)`}
+										title={`${t('gmail', currentLang)}: ${billingStatus.usage.gmail.used.toLocaleString()}/${billingStatus.usage.gmail.limit.toLocaleString()} units (Google - free tier, may cost if exceeded)`}
 									>
-										📧{billingStatus.gmail.percent.toFixed(1)}%
+										📧{billingStatus.usage.gmail.percent.toFixed(1)}%
 									</span>
 									{/* Calendar usage */}
 									<span 
 										className={`${
-											billingStatus.calendar.percent > 80 ? 'text-orange-600 dark:text-orange-400' : 
-											billingStatus.calendar.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
+											billingStatus.usage.calendar.percent >= billingStatus.usage.calendar.warningPercent ? 'text-orange-600 dark:text-orange-400' : 
+											billingStatus.usage.calendar.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
 											'text-neutral-600 dark:text-neutral-400'
 										}`}
-										title={`${t('calendar', currentLang)}: ${billingStatus.calendar.used.toLocaleString()}/${billingStatus.calendar.limit.toLocaleString()} queries (Google - free tier, may cost if exceeded)`}
+										title={`${t('calendar', currentLang)}: ${billingStatus.usage.calendar.used.toLocaleString()}/${billingStatus.usage.calendar.limit.toLocaleString()} queries (Google - free tier, may cost if exceeded)`}
 									>
-										📅{billingStatus.calendar.percent.toFixed(1)}%
+										📅{billingStatus.usage.calendar.percent.toFixed(1)}%
 									</span>
 									{/* Auth status */}
 									{!billingStatus.authenticated && (
@@ -227,36 +224,36 @@ export function RightPanel() {
 								</div>
 								
 								{/* ===== FREE SERVICES (NO BILLING EVER) ===== */}
-								{(billingStatus.slack || billingStatus.github) && (
+								{(billingStatus.usage.slack || billingStatus.usage.github) && (
 									<>
 										<span className="text-neutral-400 dark:text-neutral-600">|</span>
 										<div className="flex items-center gap-1.5 px-1.5 py-0.5 rounded bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800" title={t('freeServices', currentLang) + ' - ' + t('noBillingEver', currentLang)}>
 											{/* Slack (100% FREE) */}
-											{billingStatus.slack && (
+											{billingStatus.usage.slack && (
 												<span 
 													className={`${
-														billingStatus.slack.percent > 80 ? 'text-orange-600 dark:text-orange-400' : 
-														billingStatus.slack.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
+														billingStatus.usage.slack.percent >= billingStatus.usage.slack.warningPercent ? 'text-orange-600 dark:text-orange-400' : 
+														billingStatus.usage.slack.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
 														'text-neutral-600 dark:text-neutral-400'
 													}`}
-													title={`${t('slack', currentLang)}: ${billingStatus.slack.used.toLocaleString()}/${billingStatus.slack.limit.toLocaleString()} requests (100% FREE - no billing ever)`}
+													title={`${t('slack', currentLang)}: ${billingStatus.usage.slack.used.toLocaleString()}/${billingStatus.usage.slack.limit.toLocaleString()} requests (100% FREE - no billing ever)`}
 												>
-													💬{billingStatus.slack.percent.toFixed(1)}%
+													💬{billingStatus.usage.slack.percent.toFixed(1)}%
 												</span>
 											)}
 											{/* GitHub (100% FREE) */}
-											{billingStatus.github && (
+											{billingStatus.usage.github && (
 												<>
-													{billingStatus.slack && <span className="text-neutral-400 dark:text-neutral-600">|</span>}
+													{billingStatus.usage.slack && <span className="text-neutral-400 dark:text-neutral-600">|</span>}
 													<span 
 														className={`${
-															billingStatus.github.percent > 80 ? 'text-orange-600 dark:text-orange-400' : 
-															billingStatus.github.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
+															billingStatus.usage.github.percent >= billingStatus.usage.github.warningPercent ? 'text-orange-600 dark:text-orange-400' : 
+															billingStatus.usage.github.percent > 50 ? 'text-yellow-600 dark:text-yellow-500' : 
 															'text-neutral-600 dark:text-neutral-400'
 														}`}
-														title={`${t('github', currentLang)}: ${billingStatus.github.used.toLocaleString()}/${billingStatus.github.limit.toLocaleString()} requests (100% FREE - no billing ever)`}
+														title={`${t('github', currentLang)}: ${billingStatus.usage.github.used.toLocaleString()}/${billingStatus.usage.github.limit.toLocaleString()} requests (100% FREE - no billing ever)`}
 													>
-														🐙{billingStatus.github.percent.toFixed(1)}%
+														🐙{billingStatus.usage.github.percent.toFixed(1)}%
 													</span>
 												</>
 											)}
@@ -284,6 +281,11 @@ export function RightPanel() {
 									/>
 									<span className="font-medium">{t.title || t.name}</span>
 									<span className="text-neutral-500">({t.name})</span>
+									{t.server && (
+										<span className="text-[10px] px-1 rounded bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300" title={`External MCP server: ${t.server}`}>
+											{t.server}
+										</span>
+									)}
 								</li>
 							))}
 						</ul>
@@ -219,6 +219,15 @@ export function SettingsModal() {
 								className="rounded-md border border-neutral-300 dark:border-neutral-700 bg-transparent px-2 py-1.5"
 							/>
 						</label>
+						<label className="grid gap-1">
+							<span className="text-sm text-neutral-500">{t("maxAgentSteps", currentLang)}</span>
+							<input
+								type="number" min="1" max="20"
+								value={local.maxAgentSteps ?? 6}
+								onChange={e => setLocal(s => ({ ...s, maxAgentSteps: Math.min(20, Math.max(1, Math.round(Number(e.target.value)) || 1)) }))}
+								className="rounded-md border border-neutral-300 dark:border-neutral-700 bg-transparent px-2 py-1.5"
+							/>
+						</label>
 					</div>
 					<label className="inline-flex items-center gap-2 mt-2">
 						<input
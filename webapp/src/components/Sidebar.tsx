@@ -1,14 +1,50 @@
 import { useChatStore } from "../store/chatStore";
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { t, type Language } from "../i18n/translations";
+import { buildSearchIndex, searchConversations, type SearchHit } from "../utils/conversationSearch";
+import { exportConversations, downloadFile, type ExportFormat } from "../utils/conversationExport";
 
 const SCRATCHPAD_KEY = "jarvis-scratchpad";
 
 export function Sidebar() {
-	const { conversations, createConversation, setActiveConversationId, deleteConversation, renameConversation, activeConversationId, settings } = useChatStore();
+	const { conversations, createConversation, setActiveConversationId, deleteConversation, renameConversation, activeConversationId, settings, setUi, importConversations } = useChatStore();
 	const currentLang = (settings.language || 'en') as Language;
 	const [editingId, setEditingId] = useState<string | null>(null);
 	const [editValue, setEditValue] = useState<string>("");
+	const [query, setQuery] = useState("");
+	const [dateFrom, setDateFrom] = useState("");
+	const [dateTo, setDateTo] = useState("");
+	const searching = query.trim().length > 0;
+	// Rebuilt only when conversations change while a search is open, not per keystroke
+	const searchIndex = useMemo(() => (searching ? buildSearchIndex(conversations) : null), [conversations, searching]);
+	const hits = useMemo(
+		() => (searchIndex ? searchConversations(searchIndex, query, { from: dateFrom || undefined, to: dateTo || undefined }) : []),
+		[searchIndex, query, dateFrom, dateTo],
+	);
+
+	const [exportFormat, setExportFormat] = useState<ExportFormat>("markdown");
+	const importInputRef = useRef<HTMLInputElement>(null);
+
+	function openHit(hit: SearchHit) {
+		setActiveConversationId(hit.conversationId);
+		setUi({ focusMessageId: hit.messageId });
+	}
+
+	function runExport(all: boolean) {
+		const selected = all ? conversations : conversations.filter(c => c.id === activeConversationId);
+		if (!selected.length) return;
+		const { filename, mime, content } = exportConversations(selected, exportFormat);
+		downloadFile(filename, content, mime);
+	}
+
+	async function runImport(file: File) {
+		try {
+			const count = await importConversations(JSON.parse(await file.text()));
+			alert(`${t('importedConversations', currentLang)} ${count}`);
+		} catch (error) {
+			alert(`${t('importFailed', currentLang)}: ${error instanceof Error ? error.message : String(error)}`);
+		}
+	}
 	const [scratchpad, setScratchpad] = useState<string>(() => {
 		// Initialize from localStorage synchronously
 		try {
@@ -56,76 +92,172 @@ export function Sidebar() {
 					>
 						{t('newChat', currentLang)}
 					</button>
+					<div className="mt-2 flex items-center gap-1">
+						<input
+							type="search"
+							value={query}
+							onChange={e => setQuery(e.target.value)}
+							onKeyDown={e => {
+								if (e.key === "Escape") setQuery("");
+							}}
+							placeholder={t('searchChats', currentLang)}
+							className="flex-1 min-w-0 bg-transparent border border-neutral-300 dark:border-neutral-700 rounded px-2 py-1 text-sm"
+						/>
+						{searching ? (
+							<button
+								title={t('clearSearch', currentLang)}
+								onClick={() => setQuery("")}
+								className="text-neutral-500 hover:text-neutral-900 dark:hover:text-neutral-100 px-1"
+							>
+								✕
+							</button>
+						) : null}
+					</div>
+					<div className="mt-2 flex items-center gap-1 text-xs">
+						<select
+							title={t('exportFormat', currentLang)}
+							value={exportFormat}
+							onChange={e => setExportFormat(e.target.value as ExportFormat)}
+							className="bg-transparent border border-neutral-300 dark:border-neutral-700 rounded px-1 py-1"
+						>
+							<option value="markdown">Markdown</option>
+							<option value="json">JSON</option>
+							<option value="html">HTML</option>
+						</select>
+						<button
+							onClick={() => runExport(false)}
+							className="rounded border border-neutral-300 dark:border-neutral-700 px-2 py-1 hover:bg-neutral-100 dark:hover:bg-neutral-800"
+						>
+							{t('exportChat', currentLang)}
+						</button>
+						<button
+							onClick={() => runExport(true)}
+							className="rounded border border-neutral-300 dark:border-neutral-700 px-2 py-1 hover:bg-neutral-100 dark:hover:bg-neutral-800"
+						>
+							{t('exportAll', currentLang)}
+						</button>
+						<button
+							onClick={() => importInputRef.current?.click()}
+							className="rounded border border-neutral-300 dark:border-neutral-700 px-2 py-1 hover:bg-neutral-100 dark:hover:bg-neutral-800"
+						>
+							{t('importChats', currentLang)}
+						</button>
+						<input
+							ref={importInputRef}
+							type="file"
+							accept="application/json,.json"
+							className="hidden"
+							onChange={e => {
+								const file = e.target.files?.[0];
+								e.target.value = "";
+								if (file) void runImport(file);
+							}}
+						/>
+					</div>
+					{searching ? (
+						<div className="mt-1 flex items-center gap-1 text-xs text-neutral-500">
+							<label className="flex items-center gap-1 min-w-0">
+								{t('dateFrom', currentLang)}
+								<input type="date" value={dateFrom} onChange={e => setDateFrom(e.target.value)} className="min-w-0 bg-transparent border border-neutral-300 dark:border-neutral-700 rounded px-1" />
+							</label>
+							<label className="flex items-center gap-1 min-w-0">
+								{t('dateTo', currentLang)}
+								<input type="date" value={dateTo} onChange={e => setDateTo(e.target.value)} className="min-w-0 bg-transparent border border-neutral-300 dark:border-neutral-700 rounded px-1" />
+							</label>
+						</div>
+					) : null}
 				</div>
-				<div className="flex-1 px-2 pb-2 overflow-y-auto space-y-1 min-h-0">
-					{conversations.map(c => (
-						<div key={c.id} className={`group flex items-center gap-2 rounded px-2 py-2 hover:bg-neutral-100 dark:hover:bg-neutral-800 ${activeConversationId === c.id ? "bg-neutral-100 dark:bg-neutral-800" : ""}`}>
-							{editingId === c.id ? (
-								<form
-									className="flex-1 flex items-center gap-2"
-									onSubmit={async (e) => {
-										e.preventDefault();
-										await renameConversation(c.id, editValue);
-										setEditingId(null);
-									}}
-								>
-									<input
-										autoFocus
-										className="flex-1 bg-transparent border border-neutral-300 dark:border-neutral-700 rounded px-2 py-1 text-sm"
-										value={editValue}
-										onChange={e => setEditValue(e.target.value)}
-										onBlur={async () => {
+				{searching ? (
+					<div className="flex-1 px-2 pb-2 overflow-y-auto space-y-1 min-h-0">
+						{hits.length === 0 ? (
+							<div className="px-2 py-2 text-xs text-neutral-500">{t('noSearchResults', currentLang)}</div>
+						) : hits.map(hit => (
+							<button
+								key={`${hit.conversationId}-${hit.messageId}`}
+								onClick={() => openHit(hit)}
+								className="w-full text-left rounded px-2 py-2 hover:bg-neutral-100 dark:hover:bg-neutral-800"
+							>
+								<div className="flex items-baseline justify-between gap-2">
+									<span className="text-sm font-medium truncate">{hit.conversationTitle || "Untitled chat"}</span>
+									<span className="text-xs text-neutral-500 flex-shrink-0">{new Date(hit.createdAt).toLocaleDateString()}</span>
+								</div>
+								<div className="text-xs text-neutral-600 dark:text-neutral-400 line-clamp-3 break-words">
+									<HighlightedSnippet hit={hit} />
+								</div>
+							</button>
+						))}
+					</div>
+				) : (
+					<div className="flex-1 px-2 pb-2 overflow-y-auto space-y-1 min-h-0">
+						{conversations.map(c => (
+							<div key={c.id} className={`group flex items-center gap-2 rounded px-2 py-2 hover:bg-neutral-100 dark:hover:bg-neutral-800 ${activeConversationId === c.id ? "bg-neutral-100 dark:bg-neutral-800" : ""}`}>
+								{editingId === c.id ? (
+									<form
+										className="flex-1 flex items-center gap-2"
+										onSubmit={async (e) => {
+											e.preventDefault();
 											await renameConversation(c.id, editValue);
 											setEditingId(null);
 										}}
-										onKeyDown={e => {
-											if (e.key === "Escape") {
-												setEditingId(null);
-											}
-										}}
-									/>
-									<button
-										type="submit"
-										className="text-sm rounded border border-neutral-300 dark:border-neutral-700 px-2 py-1"
 									>
-										Save
-									</button>
-								</form>
-							) : (
-								<>
-									<button
-										onClick={() => setActiveConversationId(c.id)}
-										className="flex-1 text-left"
-									>
-										<div className="text-sm font-medium truncate">{c.title || "Untitled chat"}</div>
-										<div className="text-xs text-neutral-500 truncate">{new Date(c.updatedAt).toLocaleString()}</div>
-									</button>
-									<button
-										title={t('settings', currentLang)}
-										onClick={(e) => {
-											e.stopPropagation();
-											setEditingId(c.id);
-											setEditValue(c.title || "");
-										}}
-										className="opacity-60 hover:opacity-100 text-neutral-500 hover:text-neutral-900 dark:hover:text-neutral-100"
-									>
-										✏️
-									</button>
-									<button
-										title={t('deleteChat', currentLang)}
-										onClick={async (e) => {
-											e.stopPropagation();
-											await deleteConversation(c.id);
-										}}
-										className="opacity-60 hover:opacity-100 text-neutral-500 hover:text-red-600"
-									>
-										🗑
-									</button>
-								</>
-							)}
-						</div>
-					))}
-				</div>
+										<input
+											autoFocus
+											className="flex-1 bg-transparent border border-neutral-300 dark:border-neutral-700 rounded px-2 py-1 text-sm"
+											value={editValue}
+											onChange={e => setEditValue(e.target.value)}
+											onBlur={async () => {
+												await renameConversation(c.id, editValue);
+												setEditingId(null);
+											}}
+											onKeyDown={e => {
+												if (e.key === "Escape") {
+													setEditingId(null);
+												}
+											}}
+										/>
+										<button
+											type="submit"
+											className="text-sm rounded border border-neutral-300 dark:border-neutral-700 px-2 py-1"
+										>
+											Save
+										</button>
+									</form>
+								) : (
+									<>
+										<button
+											onClick={() => setActiveConversationId(c.id)}
+											className="flex-1 text-left"
+										>
+											<div className="text-sm font-medium truncate">{c.title || "Untitled chat"}</div>
+											<div className="text-xs text-neutral-500 truncate">{new Date(c.updatedAt).toLocaleString()}</div>
+										</button>
+										<button
+											title={t('settings', currentLang)}
+											onClick={(e) => {
+												e.stopPropagation();
+												setEditingId(c.id);
+												setEditValue(c.title || "");
+											}}
+											className="opacity-60 hover:opacity-100 text-neutral-500 hover:text-neutral-900 dark:hover:text-neutral-100"
+										>
+											✏️
+										</button>
+										<button
+											title={t('deleteChat', currentLang)}
+											onClick={async (e) => {
+												e.stopPropagation();
+												await deleteConversation(c.id);
+											}}
+											className="opacity-60 hover:opacity-100 text-neutral-500 hover:text-red-600"
+										>
+											🗑
+										</button>
+									</>
+								)}
+							</div>
+						))}
+					</div>
+				)}
 			</div>
 
 			{/* Divider */}
@@ -150,4 +282,14 @@ export function Sidebar() {
 	);
 }
 
-
+function HighlightedSnippet({ hit }: { hit: SearchHit }) {
+	const parts: React.ReactNode[] = [];
+	let pos = 0;
+	hit.highlights.forEach(([start, end], i) => {
+		if (start > pos) parts.push(hit.snippet.slice(pos, start));
+		parts.push(<mark key={i} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded-sm">{hit.snippet.slice(start, end)}</mark>);
+		pos = end;
+	});
+	parts.push(hit.snippet.slice(pos));
+	return <>{parts}</>;
+}
@@ -0,0 +1,169 @@
+import { useMemo, useState, type ReactNode } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { formatDate, toolResultToMarkdown, type ToolResultPayload } from "../utils/toolResults";
+import { AlignmentActions } from "./AlignmentActions";
+import { MeetingActionItems } from "./MeetingActionItems";
+
+type Column<Row> = {
+	label: string;
+	sortValue: (row: Row) => string;
+	render?: (row: Row) => ReactNode;
+};
+
+const TITLES: Record<ToolResultPayload["kind"], string> = {
+	jira_issues: "Jira issues",
+	github_commits: "Commits",
+	slack_messages: "Slack messages",
+	calendar_events: "Calendar events",
+	meeting_summary: "Meeting summary",
+	meeting_action_items: "Action items",
+	alignment_report: "Jira-GitHub alignment",
+};
+
+export function ToolResultCard({ payload }: { payload: ToolResultPayload }) {
+	const [copied, setCopied] = useState(false);
+
+	async function copyMarkdown() {
+		try {
+			await navigator.clipboard.writeText(toolResultToMarkdown(payload));
+			setCopied(true);
+			setTimeout(() => setCopied(false), 1500);
+		} catch {}
+	}
+
+	return (
+		<div className="not-prose mb-2 rounded border border-neutral-200 dark:border-neutral-800 text-xs">
+			<div className="flex items-center justify-between px-2 py-1 border-b border-neutral-200 dark:border-neutral-800 bg-neutral-50 dark:bg-neutral-900">
+				<span className="font-semibold text-neutral-700 dark:text-neutral-200">
+					{cardTitle(payload)}
+				</span>
+				<button
+					type="button"
+					onClick={copyMarkdown}
+					className="px-2 py-0.5 rounded text-neutral-600 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+				>
+					{copied ? "Copied" : "Copy as Markdown"}
+				</button>
+			</div>
+			<div className="max-h-80 overflow-auto">
+				<CardBody payload={payload} />
+			</div>
+		</div>
+	);
+}
+
+function CardBody({ payload }: { payload: ToolResultPayload }) {
+	switch (payload.kind) {
+		case "jira_issues":
+			return <SortableTable rows={payload.issues} columns={[
+				{ label: "Key", sortValue: r => r.key, render: r => <ExternalLink url={r.url}>{r.key}</ExternalLink> },
+				{ label: "Summary", sortValue: r => r.summary },
+				{ label: "Status", sortValue: r => r.status },
+				{ label: "Assignee", sortValue: r => r.assignee },
+				{ label: "Due", sortValue: r => r.due || "" },
+			]} />;
+		case "github_commits":
+			return <SortableTable rows={payload.commits} columns={[
+				{ label: "SHA", sortValue: r => r.sha, render: r => <ExternalLink url={r.url}><code>{r.sha}</code></ExternalLink> },
+				{ label: "Message", sortValue: r => r.message },
+				{ label: "Author", sortValue: r => r.author },
+				{ label: "Date", sortValue: r => r.date, render: r => formatDate(r.date) },
+			]} />;
+		case "slack_messages":
+			return <SortableTable rows={payload.messages} columns={[
+				{ label: "Date", sortValue: r => r.date || "", render: r => <ExternalLink url={r.url}>{formatDate(r.date)}</ExternalLink> },
+				{ label: "User", sortValue: r => r.user },
+				{ label: "Channel", sortValue: r => r.channel || "", render: r => (r.channel ? `#${r.channel}` : "") },
+				{ label: "Message", sortValue: r => r.text },
+			]} />;
+		case "calendar_events":
+			return <SortableTable rows={payload.events} columns={[
+				{ label: "Start", sortValue: r => r.start, render: r => formatDate(r.start) },
+				{ label: "End", sortValue: r => r.end || "", render: r => formatDate(r.end) },
+				{ label: "Event", sortValue: r => r.title, render: r => <ExternalLink url={r.url}>{r.title}</ExternalLink> },
+				{ label: "Location", sortValue: r => r.location || "" },
+			]} />;
+		case "meeting_summary":
+			return (
+				<div className="prose prose-sm prose-neutral dark:prose-invert max-w-none p-2">
+					<ReactMarkdown remarkPlugins={[remarkGfm]}>{payload.summary}</ReactMarkdown>
+				</div>
+			);
+		case "meeting_action_items":
+			return <MeetingActionItems meetingId={payload.meetingId} actionItems={payload.actionItems} decisions={payload.decisions} openQuestions={payload.openQuestions} />;
+		case "alignment_report":
+			return <AlignmentActions repository={payload.repository} misalignments={payload.misalignments} />;
+	}
+}
+
+function SortableTable<Row>({ rows, columns }: { rows: Row[]; columns: Column<Row>[] }) {
+	const [sort, setSort] = useState<{ index: number; desc: boolean } | null>(null);
+	const sorted = useMemo(() => {
+		if (!sort) return rows;
+		const { sortValue } = columns[sort.index];
+		const out = [...rows].sort((a, b) => sortValue(a).localeCompare(sortValue(b), undefined, { numeric: true }));
+		return sort.desc ? out.reverse() : out;
+	}, [rows, columns, sort]);
+
+	if (!rows.length) return <div className="p-2 text-neutral-500">No results.</div>;
+
+	function toggle(index: number) {
+		setSort(prev => (prev?.index === index ? { index, desc: !prev.desc } : { index, desc: false }));
+	}
+
+	return (
+		<table className="w-full text-left">
+			<thead>
+				<tr>
+					{columns.map((col, i) => (
+						<th key={col.label} className="px-2 py-1 font-medium text-neutral-500 whitespace-nowrap">
+							<button type="button" onClick={() => toggle(i)} className="hover:text-neutral-800 dark:hover:text-neutral-100">
+								{col.label}{sort?.index === i ? (sort.desc ? " ▼" : " ▲") : ""}
+							</button>
+						</th>
+					))}
+				</tr>
+			</thead>
+			<tbody>
+				{sorted.map((row, r) => (
+					<tr key={r} className="border-t border-neutral-100 dark:border-neutral-800 align-top">
+						{columns.map(col => (
+							<td key={col.label} className="px-2 py-1 text-neutral-700 dark:text-neutral-300">
+								{col.render ? col.render(row) : col.sortValue(row)}
+							</td>
+						))}
+					</tr>
+				))}
+			</tbody>
+		</table>
+	);
+}
+
+function ExternalLink({ url, children }: { url?: string; children: ReactNode }) {
+	if (!url) return <>{children}</>;
+	return (
+		<a href={url} target="_blank" rel="noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">
+			{children}
+		</a>
+	);
+}
+
+function cardTitle(payload: ToolResultPayload): string {
+	switch (payload.kind) {
+		case "jira_issues":
+			return `${TITLES.jira_issues} (${payload.issues.length}${payload.total && payload.total > payload.issues.length ? ` of ${payload.total}` : ""})`;
+		case "github_commits":
+			return `${TITLES.github_commits}${payload.repository ? ` · ${payload.repository}` : ""} (${payload.commits.length})`;
+		case "slack_messages":
+			return `${TITLES.slack_messages}${payload.channel ? ` · #${payload.channel}` : ""} (${payload.messages.length})`;
+		case "calendar_events":
+			return `${TITLES.calendar_events} (${payload.events.length})`;
+		case "meeting_summary":
+			return `${TITLES.meeting_summary}${payload.title ? ` · ${payload.title}` : ""}${payload.date ? ` (${formatDate(payload.date)})` : ""}`;
+		case "meeting_action_items":
+			return `${TITLES.meeting_action_items}${payload.title ? ` · ${payload.title}` : ""} (${payload.actionItems.length})`;
+		case "alignment_report":
+			return `${TITLES.alignment_report} · ${payload.repository}${payload.score !== undefined ? ` (${payload.score}% aligned)` : ""}`;
+	}
+}
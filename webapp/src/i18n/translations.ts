@@ -92,7 +92,47 @@ export type TranslationKey =
 	| "microphoneOnOff"
 	| "speakerOnOff"
 	| "removeImage"
-	| "newChatHeader";
+	| "newChatHeader"
+	| "conversationCost"
+	| "usageButton"
+	| "usageDashboard"
+	| "dailyHistory"
+	| "weeklyHistory"
+	| "blockedRequests"
+	| "noBlockedRequests"
+	| "monthlyCosts"
+	| "usageWarning"
+	| "billingLimits"
+	| "billingUnavailable"
+	| "costLimit"
+	| "paidGoogleLimit"
+	| "costWarningAt"
+	| "billingSource"
+	| "strictBilling"
+	| "verifiedAt"
+	| "billingNotVerified"
+	| "gaugeThresholds"
+	| "usageToday"
+	| "methodsPerMinute"
+	| "rateLimitLeft"
+	| "adminToken"
+	| "loadLimits"
+	| "saveLimits"
+	| "limitChangeNote"
+	| "resetToEnv"
+	| "recentLimitChanges"
+	| "maxAgentSteps"
+	| "searchChats"
+	| "noSearchResults"
+	| "dateFrom"
+	| "dateTo"
+	| "clearSearch"
+	| "exportChat"
+	| "exportAll"
+	| "importChats"
+	| "exportFormat"
+	| "importFailed"
+	| "importedConversations";
 
 export const translations: Record<Language, Record<TranslationKey, string>> = {
 	en: {
@@ -175,6 +215,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'Speaker on/off',
 		removeImage: 'Remove image',
 		newChatHeader: 'New chat',
+		conversationCost: 'Cost',
+		usageButton: 'Usage',
+		usageDashboard: 'Usage & billing',
+		dailyHistory: 'Daily',
+		weeklyHistory: 'Weekly',
+		blockedRequests: 'Recently blocked requests',
+		noBlockedRequests: 'No blocked requests',
+		monthlyCosts: 'This month',
+		usageWarning: 'Usage warning: {service} is at {percent}% of its daily quota. Requests are blocked at {block}%.',
+		billingLimits: 'Limits',
+		billingUnavailable: 'Billing status unavailable (is the server running?)',
+		costLimit: 'Limit',
+		paidGoogleLimit: '$0 (paid Google requests)',
+		costWarningAt: 'warning at {amount}',
+		billingSource: 'Source',
+		strictBilling: 'strict',
+		verifiedAt: 'verified {time}',
+		billingNotVerified: 'Billing not verified',
+		gaugeThresholds: 'Warning at {warn}%, blocked at {block}%',
+		usageToday: '{used} / {limit} today · warn {warn}% · block {block}%',
+		methodsPerMinute: '{methods} per minute',
+		rateLimitLeft: 'Rate limit: {remaining} / {limit} per {window} left',
+		adminToken: 'Admin token (BILLING_ADMIN_TOKEN)',
+		loadLimits: 'Load',
+		saveLimits: 'Save limits',
+		limitChangeNote: 'Reason for the change (optional)',
+		resetToEnv: 'Reset to .env value',
+		recentLimitChanges: 'Recent changes',
+		maxAgentSteps: 'Max tool steps',
+		searchChats: 'Search chats…',
+		noSearchResults: 'No matching messages',
+		dateFrom: 'From',
+		dateTo: 'To',
+		clearSearch: 'Clear search',
+		exportChat: 'Export chat',
+		exportAll: 'Export all',
+		importChats: 'Import',
+		exportFormat: 'Export format',
+		importFailed: 'Import failed',
+		importedConversations: 'Conversations imported:',
 	},
 	fr: {
 		mcpTools: 'Outils MCP',
@@ -256,6 +336,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'Haut-parleur on/off',
 		removeImage: 'Supprimer l\'image',
 		newChatHeader: 'Nouvelle conversation',
+		conversationCost: 'Coût',
+		usageButton: 'Utilisation',
+		usageDashboard: 'Utilisation et facturation',
+		dailyHistory: 'Par jour',
+		weeklyHistory: 'Par semaine',
+		blockedRequests: 'Requêtes bloquées récemment',
+		noBlockedRequests: 'Aucune requête bloquée',
+		monthlyCosts: 'Ce mois-ci',
+		usageWarning: 'Alerte d\'utilisation : {service} est à {percent} % de son quota quotidien. Les requêtes sont bloquées à {block} %.',
+		billingLimits: 'Limites',
+		billingUnavailable: 'État de la facturation indisponible (le serveur est-il lancé ?)',
+		costLimit: 'Limite',
+		paidGoogleLimit: '0 $ (requêtes Google payantes)',
+		costWarningAt: 'alerte à {amount}',
+		billingSource: 'Source',
+		strictBilling: 'strict',
+		verifiedAt: 'vérifié à {time}',
+		billingNotVerified: 'Facturation non vérifiée',
+		gaugeThresholds: 'Alerte à {warn} %, blocage à {block} %',
+		usageToday: '{used} / {limit} aujourd\'hui · alerte {warn} % · blocage {block} %',
+		methodsPerMinute: '{methods} par minute',
+		rateLimitLeft: 'Limite de débit : {remaining} / {limit} par {window} restants',
+		adminToken: 'Jeton d\'administration (BILLING_ADMIN_TOKEN)',
+		loadLimits: 'Charger',
+		saveLimits: 'Enregistrer les limites',
+		limitChangeNote: 'Raison du changement (facultatif)',
+		resetToEnv: 'Revenir à la valeur du .env',
+		recentLimitChanges: 'Modifications récentes',
+		maxAgentSteps: 'Étapes d\'outils max',
+		searchChats: 'Rechercher dans les conversations…',
+		noSearchResults: 'Aucun message correspondant',
+		dateFrom: 'Du',
+		dateTo: 'Au',
+		clearSearch: 'Effacer la recherche',
+		exportChat: 'Exporter la conversation',
+		exportAll: 'Tout exporter',
+		importChats: 'Importer',
+		exportFormat: 'Format d\'export',
+		importFailed: 'Échec de l\'import',
+		importedConversations: 'Conversations importées :',
 	},
 	de: {
 		mcpTools: 'MCP-Tools',
@@ -337,6 +457,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'Lautsprecher ein/aus',
 		removeImage: 'Bild entfernen',
 		newChatHeader: 'Neuer Chat',
+		conversationCost: 'Kosten',
+		usageButton: 'Nutzung',
+		usageDashboard: 'Nutzung & Abrechnung',
+		dailyHistory: 'Täglich',
+		weeklyHistory: 'Wöchentlich',
+		blockedRequests: 'Kürzlich blockierte Anfragen',
+		noBlockedRequests: 'Keine blockierten Anfragen',
+		monthlyCosts: 'Dieser Monat',
+		usageWarning: 'Nutzungswarnung: {service} liegt bei {percent} % des Tageskontingents. Ab {block} % werden Anfragen blockiert.',
+		billingLimits: 'Limits',
+		billingUnavailable: 'Abrechnungsstatus nicht verfügbar (läuft der Server?)',
+		costLimit: 'Limit',
+		paidGoogleLimit: '0 $ (kostenpflichtige Google-Anfragen)',
+		costWarningAt: 'Warnung bei {amount}',
+		billingSource: 'Quelle',
+		strictBilling: 'strikt',
+		verifiedAt: 'geprüft {time}',
+		billingNotVerified: 'Abrechnung nicht geprüft',
+		gaugeThresholds: 'Warnung bei {warn} %, blockiert ab {block} %',
+		usageToday: '{used} / {limit} heute · Warnung {warn} % · Sperre {block} %',
+		methodsPerMinute: '{methods} pro Minute',
+		rateLimitLeft: 'Ratenlimit: {remaining} / {limit} pro {window} übrig',
+		adminToken: 'Admin-Token (BILLING_ADMIN_TOKEN)',
+		loadLimits: 'Laden',
+		saveLimits: 'Limits speichern',
+		limitChangeNote: 'Grund der Änderung (optional)',
+		resetToEnv: 'Auf .env-Wert zurücksetzen',
+		recentLimitChanges: 'Letzte Änderungen',
+		maxAgentSteps: 'Max. Tool-Schritte',
+		searchChats: 'Chats durchsuchen…',
+		noSearchResults: 'Keine passenden Nachrichten',
+		dateFrom: 'Von',
+		dateTo: 'Bis',
+		clearSearch: 'Suche löschen',
+		exportChat: 'Chat exportieren',
+		exportAll: 'Alle exportieren',
+		importChats: 'Importieren',
+		exportFormat: 'Exportformat',
+		importFailed: 'Import fehlgeschlagen',
+		importedConversations: 'Importierte Chats:',
 	},
 	es: {
 		mcpTools: 'Herramientas MCP',
@@ -418,6 +578,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'Altavoz on/off',
 		removeImage: 'Eliminar imagen',
 		newChatHeader: 'Nuevo chat',
+		conversationCost: 'Coste',
+		usageButton: 'Uso',
+		usageDashboard: 'Uso y facturación',
+		dailyHistory: 'Diario',
+		weeklyHistory: 'Semanal',
+		blockedRequests: 'Solicitudes bloqueadas recientemente',
+		noBlockedRequests: 'Ninguna solicitud bloqueada',
+		monthlyCosts: 'Este mes',
+		usageWarning: 'Aviso de uso: {service} está al {percent} % de su cuota diaria. Las solicitudes se bloquean al {block} %.',
+		billingLimits: 'Límites',
+		billingUnavailable: 'Estado de facturación no disponible (¿está el servidor en marcha?)',
+		costLimit: 'Límite',
+		paidGoogleLimit: '0 $ (solicitudes de Google de pago)',
+		costWarningAt: 'aviso a {amount}',
+		billingSource: 'Fuente',
+		strictBilling: 'estricto',
+		verifiedAt: 'verificado {time}',
+		billingNotVerified: 'Facturación no verificada',
+		gaugeThresholds: 'Aviso al {warn} %, bloqueo al {block} %',
+		usageToday: '{used} / {limit} hoy · aviso {warn} % · bloqueo {block} %',
+		methodsPerMinute: '{methods} por minuto',
+		rateLimitLeft: 'Límite de frecuencia: quedan {remaining} / {limit} por {window}',
+		adminToken: 'Token de administrador (BILLING_ADMIN_TOKEN)',
+		loadLimits: 'Cargar',
+		saveLimits: 'Guardar límites',
+		limitChangeNote: 'Motivo del cambio (opcional)',
+		resetToEnv: 'Volver al valor de .env',
+		recentLimitChanges: 'Cambios recientes',
+		maxAgentSteps: 'Pasos de herramientas máx',
+		searchChats: 'Buscar en los chats…',
+		noSearchResults: 'No hay mensajes coincidentes',
+		dateFrom: 'Desde',
+		dateTo: 'Hasta',
+		clearSearch: 'Borrar búsqueda',
+		exportChat: 'Exportar chat',
+		exportAll: 'Exportar todo',
+		importChats: 'Importar',
+		exportFormat: 'Formato de exportación',
+		importFailed: 'La importación falló',
+		importedConversations: 'Conversaciones importadas:',
 	},
 	it: {
 		mcpTools: 'Strumenti MCP',
@@ -499,6 +699,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'Altoparlante on/off',
 		removeImage: 'Rimuovi immagine',
 		newChatHeader: 'Nuova chat',
+		conversationCost: 'Costo',
+		usageButton: 'Utilizzo',
+		usageDashboard: 'Utilizzo e fatturazione',
+		dailyHistory: 'Giornaliero',
+		weeklyHistory: 'Settimanale',
+		blockedRequests: 'Richieste bloccate di recente',
+		noBlockedRequests: 'Nessuna richiesta bloccata',
+		monthlyCosts: 'Questo mese',
+		usageWarning: 'Avviso di utilizzo: {service} è al {percent}% della quota giornaliera. Le richieste vengono bloccate al {block}%.',
+		billingLimits: 'Limiti',
+		billingUnavailable: 'Stato della fatturazione non disponibile (il server è in esecuzione?)',
+		costLimit: 'Limite',
+		paidGoogleLimit: '0 $ (richieste Google a pagamento)',
+		costWarningAt: 'avviso a {amount}',
+		billingSource: 'Fonte',
+		strictBilling: 'rigoroso',
+		verifiedAt: 'verificato {time}',
+		billingNotVerified: 'Fatturazione non verificata',
+		gaugeThresholds: 'Avviso al {warn}%, blocco al {block}%',
+		usageToday: '{used} / {limit} oggi · avviso {warn}% · blocco {block}%',
+		methodsPerMinute: '{methods} al minuto',
+		rateLimitLeft: 'Limite di frequenza: {remaining} / {limit} per {window} rimanenti',
+		adminToken: 'Token di amministrazione (BILLING_ADMIN_TOKEN)',
+		loadLimits: 'Carica',
+		saveLimits: 'Salva limiti',
+		limitChangeNote: 'Motivo della modifica (facoltativo)',
+		resetToEnv: 'Ripristina il valore del .env',
+		recentLimitChanges: 'Modifiche recenti',
+		maxAgentSteps: 'Passi strumenti max',
+		searchChats: 'Cerca nelle chat…',
+		noSearchResults: 'Nessun messaggio corrispondente',
+		dateFrom: 'Dal',
+		dateTo: 'Al',
+		clearSearch: 'Cancella ricerca',
+		exportChat: 'Esporta chat',
+		exportAll: 'Esporta tutto',
+		importChats: 'Importa',
+		exportFormat: 'Formato di esportazione',
+		importFailed: 'Importazione non riuscita',
+		importedConversations: 'Conversazioni importate:',
 	},
 	ja: {
 		mcpTools: 'MCPツール',
@@ -580,6 +820,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'スピーカー on/off',
 		removeImage: '画像を削除',
 		newChatHeader: '新しいチャット',
+		conversationCost: 'コスト',
+		usageButton: '使用量',
+		usageDashboard: '使用量と請求',
+		dailyHistory: '日別',
+		weeklyHistory: '週別',
+		blockedRequests: '最近ブロックされたリクエスト',
+		noBlockedRequests: 'ブロックされたリクエストはありません',
+		monthlyCosts: '今月',
+		usageWarning: '使用量の警告: {service} は1日の割り当ての {percent}% に達しました。{block}% でリクエストはブロックされます。',
+		billingLimits: '制限',
+		billingUnavailable: '課金状況を取得できません (サーバーは起動していますか?)',
+		costLimit: '上限',
+		paidGoogleLimit: '$0 (有料の Google リクエスト)',
+		costWarningAt: '{amount} で警告',
+		billingSource: 'ソース',
+		strictBilling: '厳格',
+		verifiedAt: '{time} に確認',
+		billingNotVerified: '課金を確認できません',
+		gaugeThresholds: '{warn}% で警告、{block}% でブロック',
+		usageToday: '本日 {used} / {limit} · 警告 {warn}% · ブロック {block}%',
+		methodsPerMinute: '{methods} (1分あたり)',
+		rateLimitLeft: 'レート制限: 残り {remaining} / {limit} ({window} あたり)',
+		adminToken: '管理トークン (BILLING_ADMIN_TOKEN)',
+		loadLimits: '読み込む',
+		saveLimits: '制限を保存',
+		limitChangeNote: '変更理由（任意）',
+		resetToEnv: '.env の値に戻す',
+		recentLimitChanges: '最近の変更',
+		maxAgentSteps: '最大ツールステップ',
+		searchChats: 'チャットを検索…',
+		noSearchResults: '一致するメッセージはありません',
+		dateFrom: '開始日',
+		dateTo: '終了日',
+		clearSearch: '検索をクリア',
+		exportChat: 'チャットをエクスポート',
+		exportAll: 'すべてエクスポート',
+		importChats: 'インポート',
+		exportFormat: 'エクスポート形式',
+		importFailed: 'インポートに失敗しました',
+		importedConversations: 'インポートした会話:',
 	},
 	zh: {
 		mcpTools: 'MCP工具',
@@ -661,6 +941,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: '扬声器 开/关',
 		removeImage: '删除图片',
 		newChatHeader: '新聊天',
+		conversationCost: '费用',
+		usageButton: '用量',
+		usageDashboard: '用量与账单',
+		dailyHistory: '每日',
+		weeklyHistory: '每周',
+		blockedRequests: '最近被阻止的请求',
+		noBlockedRequests: '没有被阻止的请求',
+		monthlyCosts: '本月',
+		usageWarning: '用量警告：{service} 已达到每日配额的 {percent}%。达到 {block}% 时请求将被阻止。',
+		billingLimits: '限额',
+		billingUnavailable: '无法获取计费状态（服务器是否在运行？）',
+		costLimit: '限额',
+		paidGoogleLimit: '$0（付费 Google 请求）',
+		costWarningAt: '{amount} 时警告',
+		billingSource: '来源',
+		strictBilling: '严格',
+		verifiedAt: '{time} 已验证',
+		billingNotVerified: '计费未验证',
+		gaugeThresholds: '{warn}% 时警告，{block}% 时阻止',
+		usageToday: '今日 {used} / {limit} · 警告 {warn}% · 阻止 {block}%',
+		methodsPerMinute: '{methods}（每分钟）',
+		rateLimitLeft: '速率限制：每 {window} 剩余 {remaining} / {limit}',
+		adminToken: '管理员令牌 (BILLING_ADMIN_TOKEN)',
+		loadLimits: '加载',
+		saveLimits: '保存限额',
+		limitChangeNote: '更改原因（可选）',
+		resetToEnv: '恢复为 .env 中的值',
+		recentLimitChanges: '最近的更改',
+		maxAgentSteps: '最大工具步骤',
+		searchChats: '搜索聊天…',
+		noSearchResults: '没有匹配的消息',
+		dateFrom: '从',
+		dateTo: '至',
+		clearSearch: '清除搜索',
+		exportChat: '导出聊天',
+		exportAll: '全部导出',
+		importChats: '导入',
+		exportFormat: '导出格式',
+		importFailed: '导入失败',
+		importedConversations: '已导入的对话：',
 	},
 	ar: {
 		mcpTools: 'أدوات MCP',
@@ -742,6 +1062,46 @@ export const translations: Record<Language, Record<TranslationKey, string>> = {
 		speakerOnOff: 'مكبر الصوت تشغيل/إيقاف',
 		removeImage: 'إزالة الصورة',
 		newChatHeader: 'محادثة جديدة',
+		conversationCost: 'التكلفة',
+		usageButton: 'الاستخدام',
+		usageDashboard: 'الاستخدام والفوترة',
+		dailyHistory: 'يومي',
+		weeklyHistory: 'أسبوعي',
+		blockedRequests: 'الطلبات المحظورة مؤخرًا',
+		noBlockedRequests: 'لا توجد طلبات محظورة',
+		monthlyCosts: 'هذا الشهر',
+		usageWarning: 'تحذير الاستخدام: وصل {service} إلى {percent}% من الحصة اليومية. يتم حظر الطلبات عند {block}%.',
+		billingLimits: 'الحدود',
+		billingUnavailable: 'حالة الفوترة غير متاحة (هل الخادم يعمل؟)',
+		costLimit: 'الحد',
+		paidGoogleLimit: '0 $ (طلبات Google المدفوعة)',
+		costWarningAt: 'تحذير عند {amount}',
+		billingSource: 'المصدر',
+		strictBilling: 'صارم',
+		verifiedAt: 'تم التحقق {time}',
+		billingNotVerified: 'لم يتم التحقق من الفوترة',
+		gaugeThresholds: 'تحذير عند {warn}%، حظر عند {block}%',
+		usageToday: '{used} / {limit} اليوم · تحذير {warn}% · حظر {block}%',
+		methodsPerMinute: '{methods} في الدقيقة',
+		rateLimitLeft: 'حد المعدل: متبقٍ {remaining} / {limit} لكل {window}',
+		adminToken: 'رمز المسؤول (BILLING_ADMIN_TOKEN)',
+		loadLimits: 'تحميل',
+		saveLimits: 'حفظ الحدود',
+		limitChangeNote: 'سبب التغيير (اختياري)',
+		resetToEnv: 'الرجوع إلى قيمة ‎.env',
+		recentLimitChanges: 'التغييرات الأخيرة',
+		maxAgentSteps: 'الحد الأقصى لخطوات الأدوات',
+		searchChats: 'ابحث في المحادثات…',
+		noSearchResults: 'لا توجد رسائل مطابقة',
+		dateFrom: 'من',
+		dateTo: 'إلى',
+		clearSearch: 'مسح البحث',
+		exportChat: 'تصدير المحادثة',
+		exportAll: 'تصدير الكل',
+		importChats: 'استيراد',
+		exportFormat: 'تنسيق التصدير',
+		importFailed: 'فشل الاستيراد',
+		importedConversations: 'المحادثات المستوردة:',
 	},
 };
 
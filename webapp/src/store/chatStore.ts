@@ -1,7 +1,11 @@
 import { create } from "zustand";
 import { set, get } from "idb-keyval";
 import { z } from "zod";
-import { sendWithProvider, type AttachmentInput } from "../vendor/llm";
+import { sendWithProvider, callWithTools, type AttachmentInput, type ChatHistoryItem } from "../vendor/llm";
+import { listMcpTools, callMcpTool, needsConfirmation, toToolDefinition, formatToolResult, previewToolResult, type McpTool } from "../utils/mcp";
+import { callMcpToolAsJob, type Job, type JobStatus } from "../utils/jobs";
+import { toToolResultPayload, toolResultPayloadSchema, type ToolResultPayload } from "../utils/toolResults";
+import { syncConversations, uploadConversations, pushMessages, pushRename, pushDelete } from "../utils/conversationSync";
 
 export type Role = "user" | "assistant" | "system";
 
@@ -12,11 +16,31 @@ export type Attachment = {
 	dataUrl: string;
 };
 
+export type ToolStep = {
+	id: string;
+	name: string;
+	arguments: Record<string, unknown>;
+	result: string;
+	ok: boolean;
+	payload?: ToolResultPayload; // typed result rendered as a card and replayed to the model on follow-ups
+	confirmation?: "pending" | "approved" | "declined"; // set for tools that change data (see needsConfirmation)
+	job?: ToolStepJob; // set for long tools that run as background jobs (McpTool.background)
+};
+
+export type ToolStepJob = {
+	id: string;
+	status: JobStatus;
+	message?: string;
+	progress?: number;
+	total?: number;
+};
+
 export type Message = {
 	id: string;
 	role: Role;
 	content: string;
 	attachments?: Attachment[];
+	toolSteps?: ToolStep[];
 	createdAt: number;
 	status?: "streaming" | "complete" | "error";
 };
@@ -46,15 +70,18 @@ export type Settings = {
 	ttsRate?: number;
 	ttsPitch?: number;
 	language?: string; // Language code (en, fr, de, es, it, ja, zh, ar)
+	maxAgentSteps?: number; // Tool-calling rounds the model may take per question
 };
 
 type UiState = {
 	showSettings: boolean;
+	showBilling?: boolean; // usage and billing dashboard (BillingDashboard)
 	leftWidth?: number;
 	rightWidth?: number;
 	rightTopHeight?: number;
 	micOn?: boolean;
 	speakerOn?: boolean;
+	focusMessageId?: string; // message MessageList should scroll to (search "jump to message")
 };
 
 type ChatState = {
@@ -71,13 +98,29 @@ type ChatState = {
 	deleteConversation: (id: string) => Promise<void>;
 	renameConversation: (id: string, title: string) => Promise<void>;
 	setToolActive: (name: string, active: boolean) => void;
+	confirmToolCall: (messageId: string, stepIndex: number, approved: boolean) => void;
 	sendMessage: (content: string, attachments?: AttachmentInput[]) => Promise<void>;
+	importConversations: (data: unknown) => Promise<number>;
+	addNotice: (content: string) => Promise<void>;
 };
 
 const SETTINGS_KEY = "app.settings.v1";
 const CONV_KEY = "app.conversations.v1";
+// Ids of conversations deleted while the server was unreachable, sent on the next sync
+const PENDING_DELETES_KEY = "app.conversations.pendingDeletes.v1";
 const UI_SIZES_KEY = "app.ui.sizes.v1";
 const MCP_ACTIVE_KEY = "app.mcp.active.v1";
+const DEFAULT_MAX_AGENT_STEPS = 6;
+// Tool result the model sees when the user rejects a confirmation
+const DECLINED_RESULT = { ok: false, declined: true, error: "The user declined this action." };
+// A call to a tool that is not in the active list (turned off, from an earlier conversation, made up) never runs
+const unavailableToolResult = (name: string) => ({ ok: false, error: `${name} is not an available tool. Use only the tools you were given.` });
+
+// Agent loops waiting on the user, keyed by `${messageId}:${stepIndex}`. In memory only:
+// confirmations still pending after a reload are expired (see finishInterruptedMessages)
+const pendingConfirmations = new Map<string, (approved: boolean) => void>();
+const EXPIRED_CONFIRMATION = "Not run: the page was reloaded before this action was approved.";
+const INTERRUPTED_REPLY = "This reply was interrupted when the page was reloaded. Ask again to continue.";
 
 const DEFAULT_ACTIVE_TOOLS: Record<string, boolean> = {
 	// Enable Jira tools by default so they work out of the box
@@ -89,6 +132,14 @@ const DEFAULT_ACTIVE_TOOLS: Record<string, boolean> = {
 	jira_sprints: true,
 	jira_issue_details: true,
 	jira_boards_for_project: true,
+	jira_board_issues: true,
+	jira_issues_in_sprint: true,
+	// Jira write tools always ask for confirmation in the chat before running
+	jira_create_issue: true,
+	jira_transition_issue: true,
+	jira_add_comment: true,
+	jira_assign_issue: true,
+	jira_update_fields: true,
 	// Enable Slack tools by default
 	slack_search: true,
 	slack_channels: true,
@@ -105,6 +156,7 @@ const DEFAULT_ACTIVE_TOOLS: Record<string, boolean> = {
 	meeting_list: true,
 	meeting_latest: true,
 	meeting_summarize: true,
+	meeting_action_items: true,
 	meeting_sentiment: true,
 	meeting_transcript: true,
 	github_search_code: true,
@@ -112,11 +164,21 @@ const DEFAULT_ACTIVE_TOOLS: Record<string, boolean> = {
 	github_issues: true,
 	// Enable Jira-GitHub integration tools
 	jira_github_verify_alignment: true,
+	jira_github_apply_alignment: true,
+	jira_github_alignment_audit: true,
 	// Other sample tools
 	add: true,
 	weather: true,
 };
 
+// Standing instructions for tool use; the reply language is appended per message
+const JARVIS_SYSTEM_PROMPT = [
+	"You are Jarvis, an operational excellence assistant for a game development team.",
+	"Use the available tools whenever the user asks about Jira, Slack, GitHub, Gmail, Calendar, the weather or recorded meetings instead of guessing.",
+	"Jira projects may be referred to by key or by name; list projects first when you need to resolve one.",
+	"Base your answer on the tool results and say so when a tool reports an error.",
+].join(" ");
+
 const settingsSchema = z.object({
 	provider: z.enum(["ollama", "openai", "gemini"]),
 	model: z.string(),
@@ -131,8 +193,54 @@ const settingsSchema = z.object({
 	ttsRate: z.number().optional(),
 	ttsPitch: z.number().optional(),
 	language: z.string().optional(),
+	maxAgentSteps: z.number().int().min(1).max(20).optional(),
 }) satisfies z.ZodType<Settings>;
 
+const attachmentSchema = z.object({
+	id: z.string(),
+	type: z.literal("image"),
+	name: z.string(),
+	dataUrl: z.string(),
+}) satisfies z.ZodType<Attachment>;
+
+const toolStepSchema = z.object({
+	id: z.string(),
+	name: z.string(),
+	arguments: z.record(z.string(), z.unknown()),
+	result: z.string(),
+	ok: z.boolean(),
+	payload: toolResultPayloadSchema.optional(),
+	confirmation: z.enum(["pending", "approved", "declined"]).optional(),
+	job: z.object({
+		id: z.string(),
+		status: z.enum(["queued", "running", "succeeded", "failed", "cancelled"]),
+		message: z.string().optional(),
+		progress: z.number().optional(),
+		total: z.number().optional(),
+	}).optional(),
+}) satisfies z.ZodType<ToolStep>;
+
+const messageSchema = z.object({
+	id: z.string(),
+	role: z.enum(["user", "assistant", "system"]),
+	content: z.string(),
+	attachments: z.array(attachmentSchema).optional(),
+	toolSteps: z.array(toolStepSchema).optional(),
+	createdAt: z.number(),
+	status: z.enum(["streaming", "complete", "error"]).optional(),
+}) satisfies z.ZodType<Message>;
+
+const conversationSchema = z.object({
+	id: z.string().min(1),
+	title: z.string(),
+	createdAt: z.number(),
+	updatedAt: z.number(),
+	messageIds: z.array(z.string()),
+	messages: z.array(messageSchema),
+}) satisfies z.ZodType<Conversation>;
+
+const conversationImportSchema = z.array(conversationSchema);
+
 export const useChatStore = create<ChatState>((set, getState) => ({
 	conversations: [],
 	activeConversationId: undefined,
@@ -147,6 +255,7 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 		ttsRate: 1,
 		ttsPitch: 1,
 		language: "en",
+		maxAgentSteps: DEFAULT_MAX_AGENT_STEPS,
 	},
 	ui: {
 		showSettings: false,
@@ -158,7 +267,7 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 	},
 	activeTools: { ...DEFAULT_ACTIVE_TOOLS },
 	ensureInitialized: async () => {
-		const [rawSettings, rawConversations, rawUiSizes, rawActiveTools] = await Promise.all([
+		const [rawSettings, rawConversations, rawUiSizes, rawActiveTools, rawPendingDeletes] = await Promise.all([
 			get(SETTINGS_KEY).catch(() => undefined),
 			get(CONV_KEY).catch(() => undefined),
 			Promise.resolve().then(() => {
@@ -173,6 +282,7 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 					return v ? JSON.parse(v) : undefined;
 				} catch { return undefined; }
 			}),
+			get(PENDING_DELETES_KEY).catch(() => undefined),
 		]);
 		if (rawSettings) {
 			const parsed = settingsSchema.safeParse(rawSettings);
@@ -192,6 +302,7 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 						ttsRate: parsed.data.ttsRate ?? 1,
 						ttsPitch: parsed.data.ttsPitch ?? 1,
 						language: parsed.data.language ?? "en",
+						maxAgentSteps: parsed.data.maxAgentSteps ?? DEFAULT_MAX_AGENT_STEPS,
 					},
 				});
 			}
@@ -208,9 +319,16 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 			// Merge persisted choices over sensible defaults so new tools come online automatically
 			set({ activeTools: { ...DEFAULT_ACTIVE_TOOLS, ...rawActiveTools } });
 		}
-		if (Array.isArray(rawConversations)) {
-			set({ conversations: rawConversations });
-			if (rawConversations.length > 0) set({ activeConversationId: rawConversations[0].id });
+		// The server store is authoritative once it has what was saved offline; IndexedDB is the offline fallback
+		const localConversations: Conversation[] = Array.isArray(rawConversations) ? rawConversations : [];
+		const pendingDeletes: string[] = Array.isArray(rawPendingDeletes) ? rawPendingDeletes : [];
+		const synced = await syncConversations(localConversations, pendingDeletes);
+		if (synced && pendingDeletes.length) await setDb(PENDING_DELETES_KEY, []);
+		const conversations = synced ?? localConversations;
+		if (conversations.length) {
+			const interrupted = finishInterruptedMessages(conversations);
+			set({ conversations, activeConversationId: conversations[0].id });
+			if (synced || interrupted) await setDb(CONV_KEY, conversations);
 		} else {
 			const id = generateId();
 			const conv: Conversation = {
@@ -255,6 +373,7 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 			ttsRate: parsed.ttsRate ?? 1,
 			ttsPitch: parsed.ttsPitch ?? 1,
 			language: parsed.language ?? "en",
+			maxAgentSteps: parsed.maxAgentSteps ?? DEFAULT_MAX_AGENT_STEPS,
 		};
 		set({ settings: next });
 		await setDb(SETTINGS_KEY, next);
@@ -282,6 +401,11 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 			return { activeTools: next };
 		});
 	},
+	confirmToolCall: (messageId, stepIndex, approved) => {
+		const key = `${messageId}:${stepIndex}`;
+		pendingConfirmations.get(key)?.(approved);
+		pendingConfirmations.delete(key);
+	},
 	deleteConversation: async (id: string) => {
 		const state = getState();
 		const remaining = state.conversations.filter(c => c.id !== id);
@@ -301,10 +425,12 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 			};
 			set({ conversations: [conv], activeConversationId: conv.id });
 			await setDb(CONV_KEY, getState().conversations);
+			await deleteOnServer(id);
 			return;
 		}
 		set({ conversations: remaining, activeConversationId: nextActive });
 		await setDb(CONV_KEY, getState().conversations);
+		await deleteOnServer(id);
 	},
 	renameConversation: async (id, title) => {
 		const t = title.trim() || "Untitled chat";
@@ -313,6 +439,36 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 			return { conversations: updated };
 		});
 		await setDb(CONV_KEY, getState().conversations);
+		await pushRename(id, t);
+	},
+	importConversations: async (data) => {
+		// Accepts a JSON export ({ conversations }), a bare array or a single conversation
+		const list = Array.isArray(data) ? data : (data as any)?.conversations ?? [data];
+		const parsed = conversationImportSchema.safeParse(list);
+		if (!parsed.success) throw new Error(z.prettifyError(parsed.error));
+		const imported = parsed.data;
+		if (!imported.length) return 0;
+		// Same id: keep whichever copy was updated last
+		const byId = new Map(getState().conversations.map(c => [c.id, c]));
+		for (const conv of imported) {
+			const existing = byId.get(conv.id);
+			if (!existing || existing.updatedAt < conv.updatedAt) byId.set(conv.id, conv);
+		}
+		const conversations = [...byId.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+		set({ conversations, activeConversationId: imported[0].id });
+		await setDb(CONV_KEY, getState().conversations);
+		await uploadConversations(imported).catch(err => console.warn("[Sync] Could not upload imported conversations:", err));
+		return imported.length;
+	},
+	addNotice: async (content) => {
+		const conv = getState().conversations.find(c => c.id === getState().activeConversationId);
+		if (!conv) return;
+		const notice: Message = { id: generateId(), role: "system", content, createdAt: Date.now(), status: "complete" };
+		conv.messages.push(notice);
+		conv.messageIds.push(notice.id);
+		set({ conversations: [...getState().conversations] });
+		await setDb(CONV_KEY, getState().conversations);
+		await pushMessages(conv, [notice]);
 	},
 	sendMessage: async (content, attachments) => {
 		const state = getState();
@@ -328,7 +484,6 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 				await setDb(SETTINGS_KEY, getState().settings);
 			}
 		}
-		const isToolAddActive = !!state.activeTools?.["add"];
 		const userMsg: Message = {
 			id: generateId(),
 			role: "user",
@@ -351,1728 +506,91 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 		await setDb(CONV_KEY, getState().conversations);
 
 		try {
-			// MCP Tool: Jira - list projects/spaces (but NOT if asking for tasks/issues OF projects)
-			if (getState().activeTools?.["jira_list_projects"]) {
-				// Only match if NOT asking for tasks/issues OF projects (use non-greedy match)
-				const hasTasksOrIssues = /\b(tasks?|issues?)\b.{0,50}?\b(of|in|from|for)\b.{0,30}?\b(projects?|spaces?)\b/i.test(content);
-				const wantProjects = /\b(list|show)\s+(my\s+)?(jira\s+)?(projects|spaces)\b/i.test(content);
-				if (wantProjects && !hasTasksOrIssues) {
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/projects");
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const items: Array<any> = json.projects || [];
-							const lines = items.slice(0, 100).map((p: any) => `- ${p.name} (${p.key || p.id})`);
-							assistantMsg.content = lines.length ? `Jira projects:\n${lines.join("\n")}` : "No projects found.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {
-						// fall through
-					}
-				}
-			}
-			// MCP Tool: add two numbers if the tool is active and the prompt contains a+b
-			if (isToolAddActive) {
-				const addMatch = content.match(/(-?\d+(?:\.\d+)?)\s*\+\s*(-?\d+(?:\.\d+)?)/);
-				if (addMatch) {
-					const a = Number(addMatch[1]);
-					const b = Number(addMatch[2]);
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/add", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ a, b }),
-						});
-						if (resp.ok) {
-							const json = await resp.json();
-							if (json?.ok) {
-								assistantMsg.content = String(json.result);
-								assistantMsg.status = "complete";
-								set({ conversations: [...getState().conversations] });
-								await setDb(CONV_KEY, getState().conversations);
-								return;
-							}
-						}
-					} catch {
-						// fall back to LLM below on failure
-					}
-				}
-			}
-			// MCP Tool: Jira - get issue by key (e.g., ABC-123)
-			if (getState().activeTools?.["jira_get_issue"]) {
-				const issueMatch = content.match(/\b([A-Z][A-Z0-9]+-\d+)\b/);
-				if (issueMatch) {
-					const key = issueMatch[1];
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/issue", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ key }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const i = json.issue || {};
-							const summary = i.fields?.summary || "(no summary)";
-							const status = i.fields?.status?.name || "(unknown)";
-							const assignee = i.fields?.assignee?.displayName || "(unassigned)";
-							const urlBase = (typeof window !== "undefined" && window.location) ? "" : "";
-							assistantMsg.content =
-								`Issue ${key}\n- Summary: ${summary}\n- Status: ${status}\n- Assignee: ${assignee}`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {
-						// fall through
-					}
-				}
-			}
-			// MCP Tool: Jira - search via JQL: prefix (e.g., "jql: project=ABC AND status='In Progress'")
-			if (getState().activeTools?.["jira_search"]) {
-				// Case 0: "details for all <PROJECT_KEY>" or "details for all <ISSUE-PREFIX> in <PROJECT>"
-				const allDetailsMatch = content.match(/\bdetails?\s+for\s+all\s+([A-Za-z0-9_-]+)(?:\s+(?:in|for)\s+(?:project|space)?\s*([A-Za-z0-9_-]+))?\b/i);
-				if (allDetailsMatch) {
-					let projKey = allDetailsMatch[2] || allDetailsMatch[1]; // Use second group if present (project name), else first
-					const issuePrefix = allDetailsMatch[2] ? allDetailsMatch[1] : null; // If second group exists, first is issue prefix
-					
-					// Resolve project name -> key if needed
-					try {
-						const pResp = await fetch("http://localhost:3001/mcp/tools/jira/projects");
-						const pJson = await pResp.json();
-						if (pResp.ok && pJson?.ok) {
-							const projects: Array<any> = pJson.projects || [];
-							const direct = projects.find((p: any) => String(p.key).toLowerCase() === projKey.toLowerCase());
-							if (!direct) {
-								const byName = projects.find((p: any) => String(p.name).toLowerCase() === projKey.toLowerCase());
-								if (byName) projKey = byName.key;
-							} else {
-								projKey = direct.key;
-							}
-						}
-					} catch (err) {
-						assistantMsg.content = `Failed to fetch projects: ${err instanceof Error ? err.message : "unknown error"}`;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-					// Run JQL for that project
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/search", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ jql: `project=${projKey} ORDER BY created DESC`, maxResults: 100 }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const issues: Array<any> = json.issues || [];
-							const total = json.total || 0;
-							const lines = issues.map((it: any) => {
-								const f = it.fields || {};
-								const status = f.status?.name || "?";
-								const assignee = f.assignee?.displayName || "unassigned";
-								const due = f.duedate ? ` due ${f.duedate}` : "";
-								return `- ${it.key}: ${f.summary || "(no summary)"} [${status}] (${assignee})${due}`;
-							});
-							const countText = total > issues.length ? ` (showing ${issues.length} of ${total})` : ` (${issues.length} total)`;
-							assistantMsg.content = lines.length ? `Details for all in ${projKey}${countText}:\n${lines.join("\n")}` : `No issues found in ${projKey}.`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else {
-							const errorMsg = json?.error || json?.errorMessages || (resp?.status ? `HTTP ${resp.status}` : "unknown error");
-							assistantMsg.content = `Jira search failed: ${errorMsg}`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch (err) {
-						assistantMsg.content = `Jira search failed: ${err instanceof Error ? err.message : "network or server error"}`;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				}
-				const jqlMatch = content.match(/jql:\s*(.+)$/i);
-				// Helper to run a JQL and respond, with fallback to board API if search is blocked
-				const runJql = async (jql: string) => {
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/search", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ jql, maxResults: 100 }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const issues: Array<any> = json.issues || [];
-							const total = json.total || 0;
-							const lines = issues.map((it: any) => {
-								const f = it.fields || {};
-								const status = f.status?.name || "?";
-								const assignee = f.assignee?.displayName || "unassigned";
-								const due = f.duedate ? ` due ${f.duedate}` : "";
-								return `- ${it.key}: ${f.summary || "(no summary)"} [${status}] (${assignee})${due}`;
-							});
-							const resultText = lines.length ? lines.join("\n") : "No issues found.";
-							const countText = total > issues.length ? ` (showing ${issues.length} of ${total})` : ` (${issues.length} total)`;
-							assistantMsg.content = `Search results${countText}:\n${resultText}`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return true;
-						} else if (resp.status === 410 && jql.includes("project=")) {
-							// Fallback: Search API blocked, try board API instead
-							const projectMatch = jql.match(/project=([A-Z]+)/i);
-							if (projectMatch) {
-								const projectKey = projectMatch[1];
-								try {
-									// Get boards for the project
-									const boardsResp = await fetch("http://localhost:3001/mcp/tools/jira/boardsByProject", {
-										method: "POST",
-										headers: { "Content-Type": "application/json" },
-										body: JSON.stringify({ projectKey }),
-									});
-									const boardsJson = await boardsResp.json();
-									if (boardsResp.ok && boardsJson?.ok) {
-										const boards = boardsJson.boards || [];
-										const allIssues: Array<any> = [];
-										
-										// Get issues from each board
-										for (const board of boards) {
-											try {
-												const issuesResp = await fetch("http://localhost:3001/mcp/tools/jira/boardIssues", {
-													method: "POST",
-													headers: { "Content-Type": "application/json" },
-													body: JSON.stringify({ boardId: board.id, maxResults: 100 }),
-												});
-												const issuesJson = await issuesResp.json();
-												if (issuesResp.ok && issuesJson?.ok) {
-													allIssues.push(...(issuesJson.issues || []));
-												}
-											} catch {}
-										}
-										
-										// Deduplicate by key
-										const uniqueIssues = Array.from(new Map(allIssues.map(i => [i.key, i])).values());
-										const lines = uniqueIssues.map((it: any) => {
-											const f = it.fields || {};
-											const status = f.status?.name || "?";
-											const assignee = f.assignee?.displayName || "unassigned";
-											return `- ${it.key}: ${f.summary || "(no summary)"} [${status}] (${assignee})`;
-										});
-										assistantMsg.content = lines.length 
-											? `Issues in ${projectKey} (${uniqueIssues.length} total, via board API):\n${lines.join("\n")}`
-											: `No issues found in ${projectKey}.`;
-										assistantMsg.status = "complete";
-										set({ conversations: [...getState().conversations] });
-										await setDb(CONV_KEY, getState().conversations);
-										return true;
-									}
-								} catch {}
-							}
-							// If fallback fails, show error
-							const errorMsg = json?.error || json?.errorMessages || `HTTP ${resp.status}`;
-							assistantMsg.content = `Jira search API is blocked (HTTP 410). Fallback to board API also failed. Try: "list boards of ${projectMatch?.[1] || 'project'}" then "list all tasks in board X"`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return true;
-						} else {
-							// Show detailed error
-							const errorMsg = json?.error || json?.errorMessages || `HTTP ${resp.status}`;
-							assistantMsg.content = `Jira search failed: ${errorMsg}`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return true;
-						}
-					} catch (err) {
-						assistantMsg.content = `Jira search failed: ${err instanceof Error ? err.message : "network or server error"}`;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return true;
-					}
-				};
-
-				// Case 1: explicit JQL
-				if (jqlMatch) {
-					const jql = jqlMatch[1].trim();
-					const ok = await runJql(jql);
-					if (ok) return;
-				} else {
-					// Case 2: Check if user wants ALL tasks from ALL projects
-					const wantsAllProjects = /\b(all|my)\s+(?:jira\s+)?projects?\b/i.test(content) || 
-					                         /\b(?:of|from|in|across)\s+(all|my)\s+projects?\b/i.test(content);
-					
-					if (wantsAllProjects) {
-						// List all tasks across all projects (no project filter)
-						const ok = await runJql(`ORDER BY created DESC`);
-						if (ok) return;
-					}
-					
-					// Case 3: natural language like "list/get/show issues (in/of/from project|space X)"
-					// Updated to also match "tasks", "tasks/issues", "issues/tasks" and "of/from" prepositions
-					const nl = /\b(get|list|show)\s+(all\s+)?(?:tasks?(?:\/issues?)?|issues?(?:\/tasks?)?)(?:\s+(?:in|of|from)\s+(?:(?:project|space)\s+)?([A-Za-z0-9_-]+|["'][^"']+["']))?/i;
-					const m = content.match(nl);
-					if (m) {
-						let projHintRaw = m[3]?.trim();
-						let projHint = projHintRaw ? projHintRaw.replace(/^["']|["']$/g, "") : "";
-						// Fetch projects to resolve key by name or pick the only project
-						try {
-							const pResp = await fetch("http://localhost:3001/mcp/tools/jira/projects");
-							const pJson = await pResp.json();
-							if (pResp.ok && pJson?.ok) {
-								const projects: Array<any> = pJson.projects || [];
-								let projectKey = "";
-								if (projHint) {
-                                    // If hint already looks like KEY (ABC-123 style is for issues; project keys are like ABC)
-									const direct = projects.find((p: any) => String(p.key).toLowerCase() === projHint.toLowerCase());
-									if (direct) projectKey = direct.key;
-									else {
-										// try by name
-										const byName = projects.find((p: any) => String(p.name).toLowerCase() === projHint.toLowerCase());
-										if (byName) projectKey = byName.key;
-									}
-								} else if (projects.length === 1) {
-									projectKey = projects[0].key;
-								}
-								if (projectKey) {
-									const ok = await runJql(`project=${projectKey} ORDER BY created DESC`);
-									if (ok) return;
-								} else if (!projHint) {
-									// No hint and multiple projects -> ask user to specify
-									const list = projects.slice(0, 20).map((p: any) => `${p.name} (${p.key})`).join(", ");
-									assistantMsg.content = `Which project? Available: ${list}`;
-									assistantMsg.status = "complete";
-									set({ conversations: [...getState().conversations] });
-									await setDb(CONV_KEY, getState().conversations);
-									return;
-								}
-							}
-						} catch (err) {
-							assistantMsg.content = `Failed to fetch projects: ${err instanceof Error ? err.message : "unknown error"}`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					}
-				}
-			}
-			// MCP Tool: Jira - list boards in project/space
-			if (getState().activeTools?.["jira_boards_for_project"]) {
-				// Check if user wants boards from ALL projects
-				const wantsAllProjectBoards = /\bboards?\s+(?:of|from|in|across)\s+(?:all|my)\s+(?:jira\s+)?projects?\b/i.test(content);
-				
-				if (wantsAllProjectBoards) {
-					// List boards from all projects
-					try {
-						const pResp = await fetch("http://localhost:3001/mcp/tools/jira/projects");
-						const pJson = await pResp.json();
-						if (pResp.ok && pJson?.ok) {
-							const projects: Array<any> = pJson.projects || [];
-							const allBoards: Array<any> = [];
-							
-							// Fetch boards for each project
-							for (const proj of projects) {
-								try {
-									const resp = await fetch("http://localhost:3001/mcp/tools/jira/boardsByProject", {
-										method: "POST",
-										headers: { "Content-Type": "application/json" },
-										body: JSON.stringify({ projectKey: proj.key }),
-									});
-									const json = await resp.json();
-									if (resp.ok && json?.ok) {
-										const boards = json.boards || [];
-										boards.forEach((b: any) => {
-											allBoards.push({ ...b, projectName: proj.name, projectKey: proj.key });
-										});
-									}
-								} catch {}
-							}
-							
-							const lines = allBoards.map((b: any) => `- ${b.name} (id ${b.id}) [${b.type}] - ${b.projectName}`);
-							assistantMsg.content = lines.length ? `All boards:\n${lines.join("\n")}` : "No boards found.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else {
-							assistantMsg.content = `Failed to fetch projects for boards.`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch (err) {
-						assistantMsg.content = `Error fetching boards: ${err instanceof Error ? err.message : "unknown error"}`;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				}
-				
-				const m = content.match(/\b(list|show)\s+(?:all\s+)?boards\s+(?:in|for|of)\s+(?:(?:project|space)\s+)?([A-Za-z0-9_-]+|["'][^"']+["'])/i);
-				if (m) {
-					let projHint = m[2].replace(/^["']|["']$/g, "");
-					try {
-						// Resolve project name to key if necessary
-						let projectKey = projHint;
-						try {
-							const pResp = await fetch("http://localhost:3001/mcp/tools/jira/projects");
-							const pJson = await pResp.json();
-							if (pResp.ok && pJson?.ok) {
-								const projects: Array<any> = pJson.projects || [];
-								const direct = projects.find((p: any) => String(p.key).toLowerCase() === projHint.toLowerCase());
-								if (direct) projectKey = direct.key;
-								else {
-									const byName = projects.find((p: any) => String(p.name).toLowerCase() === projHint.toLowerCase());
-									if (byName) projectKey = byName.key;
-								}
-							}
-						} catch {}
-
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/boardsByProject", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ projectKey: projectKey }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const boards: Array<any> = json.boards || [];
-							const lines = boards.map((b: any) => `- ${b.name} (id ${b.id}) [${b.type}]`);
-							assistantMsg.content = lines.length ? `Boards in ${projHint}:\n${lines.join("\n")}` : `No boards found in ${projHint}.`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			// MCP Tool: Jira - list sprints for board or project
-			if (getState().activeTools?.["jira_sprints"]) {
-				// list sprints in board 123 OR list sprints in project KEY
-				const sb = content.match(/\blist\s+sprints\s+(?:in|for)\s+(?:board\s+)?(\d+)/i);
-				if (sb) {
-					const boardId = Number(sb[1]);
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/sprints", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ boardId, state: "active" }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const sprints: Array<any> = json.sprints || [];
-							const lines = sprints.map((s: any) => `- ${s.name} (id ${s.id}) [${s.state}]`);
-							assistantMsg.content = lines.length ? `Sprints for board ${boardId}:\n${lines.join("\n")}` : `No sprints found for board ${boardId}.`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-				const sp = content.match(/\blist\s+sprints\s+(?:in|for)\s+(?:(?:project|space)\s+)?([A-Za-z0-9_-]+|["'][^"']+["'])(?:\s+board\s+([A-Za-z0-9 _-]+|["'][^"']+["']))?/i);
-				if (sp) {
-					let projKey = sp[1].replace(/^["']|["']$/g, "");
-					const boardNameHint = sp[2] ? sp[2].replace(/^["']|["']$/g, "") : "";
-					try {
-						// First, get boards for project
-						// Resolve project name -> key if needed
-						try {
-							const pResp = await fetch("http://localhost:3001/mcp/tools/jira/projects");
-							const pJson = await pResp.json();
-							if (pResp.ok && pJson?.ok) {
-								const projects: Array<any> = pJson.projects || [];
-								const direct = projects.find((p: any) => String(p.key).toLowerCase() === projKey.toLowerCase());
-								if (!direct) {
-                                    const byName = projects.find((p: any) => String(p.name).toLowerCase() === projKey.toLowerCase());
-									if (byName) projKey = byName.key;
-								}
-							}
-						} catch {}
-						const bResp = await fetch("http://localhost:3001/mcp/tools/jira/boardsByProject", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ projectKey: projKey }),
+			const history: ChatHistoryItem[] = [
+				{ role: "system", content: `${JARVIS_SYSTEM_PROMPT}\n${replyLang === "fr" ? "Veuillez répondre en français." : "Please reply in English."}` },
+				// System messages are app notices (usage warnings), not part of the dialogue
+				...conv.messages.filter(m => m !== assistantMsg && m.role !== "system").flatMap(toHistoryItems),
+			];
+			const llmAttachments = userMsg.attachments?.map(a => ({ id: a.id, name: a.name, dataUrl: a.dataUrl, type: "image" as const }));
+			// Let the model pick MCP tools; any failure here (server down, model without tool support) falls back to a plain reply
+			const tools = await listMcpTools()
+				.then(all => all.filter(t => getState().activeTools?.[t.name]))
+				.catch(() => [] as McpTool[]);
+			if (tools.length) {
+				const maxSteps = state.settings.maxAgentSteps ?? DEFAULT_MAX_AGENT_STEPS;
+				try {
+					// Agent loop: keep executing tool calls until the model answers or the step budget runs out
+					for (let step = 0; step < maxSteps; step++) {
+						const planned = await callWithTools({
+							history,
+							attachments: llmAttachments,
+							conversationId: convId,
+							settings: state.settings,
+							tools: tools.map(toToolDefinition),
 						});
-						const bJson = await bResp.json();
-						if (bResp.ok && bJson?.ok) {
-							const boards: Array<any> = bJson.boards || [];
-							if (boards.length === 0) {
-								assistantMsg.content = `No boards found in project ${projKey}.`;
-								assistantMsg.status = "complete";
-								set({ conversations: [...getState().conversations] });
-								await setDb(CONV_KEY, getState().conversations);
-								return;
-							}
-							let boardId = boards[0].id;
-							if (boardNameHint) {
-								const byName = boards.find((b: any) => String(b.name).toLowerCase().includes(boardNameHint.toLowerCase()));
-								if (byName) boardId = byName.id;
-							}
-							const sResp = await fetch("http://localhost:3001/mcp/tools/jira/sprints", {
-								method: "POST",
-								headers: { "Content-Type": "application/json" },
-								body: JSON.stringify({ boardId, state: "active" }),
-							});
-							const sJson = await sResp.json();
-							if (sResp.ok && sJson?.ok) {
-								const sprints: Array<any> = sJson.sprints || [];
-								const lines = sprints.map((s: any) => `- ${s.name} (id ${s.id}) [${s.state}]`);
-								assistantMsg.content = lines.length ? `Sprints in ${projKey} (board ${boardId}):\n${lines.join("\n")}` : `No active sprints found in ${projKey}.`;
+						if (!planned.toolCalls.length) {
+							if (planned.content) {
+								assistantMsg.content = planned.content;
 								assistantMsg.status = "complete";
 								set({ conversations: [...getState().conversations] });
-								await setDb(CONV_KEY, getState().conversations);
 								return;
 							}
-						}
-					} catch {}
-				}
-			}
-			// MCP Tool: Jira - list all issues in a board (including backlog)
-			if (getState().activeTools?.["jira_board_issues"]) {
-				// Match patterns like "list all tasks/issues in board 1" or "list all issues in that SCRUM board (id 1)"
-				const boardIssuesMatch = content.match(/\blist\s+(all\s+)?(?:tasks?(?:\/issues?)?|issues?(?:\/tasks?)?)\s+(?:in|for)\s+(?:that\s+)?(?:[A-Za-z0-9 ]+\s+)?board\s*(?:\(id\s+)?(\d+)\)?/i);
-				if (boardIssuesMatch) {
-					const boardId = Number(boardIssuesMatch[2]);
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/jira/boardIssues", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ boardId, maxResults: 100 }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const issues: Array<any> = json.issues || [];
-							const total = json.total || 0;
-							const lines = issues.map((it: any) => {
-								const f = it.fields || {};
-								const status = f.status?.name || "?";
-								const assignee = f.assignee?.displayName || "unassigned";
-								return `- ${it.key}: ${f.summary || "(no summary)"} [${status}] (${assignee})`;
-							});
-							const countText = total > issues.length ? ` (showing ${issues.length} of ${total})` : ` (${issues.length} total)`;
-							assistantMsg.content = lines.length ? `Issues in board ${boardId}${countText}:\n${lines.join("\n")}` : `No issues found in board ${boardId}.`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else {
-							const errorMsg = json?.error || `HTTP ${resp.status}`;
-							assistantMsg.content = `Failed to fetch board issues: ${errorMsg}`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch (err) {
-						assistantMsg.content = `Failed to fetch board issues: ${err instanceof Error ? err.message : "network error"}`;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				}
-			}
-			// MCP Tool: weather if active and prompt mentions weather in/for/at <location>
-			if (getState().activeTools?.["weather"]) {
-				// try to extract a location phrase after in/for/at
-				const wxRegex = /\bweather\b.*?\b(?:in|for|at)\s+([^?.!]+)(?:[?.!]|$)/i;
-				const m = content.match(wxRegex);
-				const location = m?.[1]?.trim().replace(/^the\s+/i, "");
-				if (location) {
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/weather", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ location }),
-						});
-						if (resp.ok) {
-							const json = await resp.json();
-							if (json?.ok) {
-								const loc = json.location || {};
-								const cur = json.current || {};
-								const parts: string[] = [];
-								if (typeof cur.temperature === "number") parts.push(`${cur.temperature}°C`);
-								if (typeof cur.windspeed === "number") parts.push(`wind ${cur.windspeed} km/h`);
-								if (typeof cur.winddirection === "number") parts.push(`dir ${cur.winddirection}°`);
-								const summary = parts.length ? parts.join(", ") : "No current details available.";
-								const where = [loc.name, loc.country].filter(Boolean).join(", ");
-								assistantMsg.content = `Current weather for ${where || location}: ${summary}`;
-								assistantMsg.status = "complete";
+							break;
+						}
+						history.push({ role: "assistant", content: planned.content, toolCalls: planned.toolCalls });
+						for (const call of planned.toolCalls) {
+							const stepIndex = assistantMsg.toolSteps?.length ?? 0;
+							const tool = tools.find(t => t.name === call.name);
+							let confirmation: ToolStep["confirmation"];
+							if (tool && needsConfirmation(tool)) {
+								// Show the call with Approve/Decline and wait for the user before touching anything
+								setToolStep(assistantMsg, stepIndex, { id: call.id, name: call.name, arguments: call.arguments, result: "", ok: true, confirmation: "pending" });
 								set({ conversations: [...getState().conversations] });
-								await setDb(CONV_KEY, getState().conversations);
-								return;
-							}
-						}
-					} catch {
-						// fall back
-					}
-				}
-			}
-			
-			// ============================================================================
-			// SLACK MCP TOOLS
-			// ============================================================================
-			
-			// Slack: List channels
-			if (getState().activeTools?.["slack_channels"]) {
-				const wantsChannels = /\b(list|show|get|what\s+(?:are|is))\s+.{0,30}?\bchannels?\b/i.test(content) &&
-				                     /\bslack\b/i.test(content) ||
-				                     /\bslack\s+channels?\b/i.test(content) ||
-				                     /\bchannels?\s+(?:in|on|of)\s+(?:my\s+)?slack\b/i.test(content);
-				if (wantsChannels) {
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/slack/channels", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({}),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const channels = json.channels || [];
-							const publicChannels = channels.filter((ch: any) => !ch.is_private && !ch.is_archived);
-							const channelList = publicChannels.map((ch: any) => `#${ch.name}`).join(", ");
-							assistantMsg.content = channelList ? `Slack channels: ${channelList}` : "No channels found.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "Slack not configured. Set SLACK_BOT_TOKEN in .env file.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "Slack usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// Slack: Search messages
-			if (getState().activeTools?.["slack_search"]) {
-				// Match: "search for messages containing 'test'" or "list all messages containing 'test'"
-				const searchMatch = content.match(/\b(?:search|list|find|show)\s+(?:for\s+)?(?:all\s+)?(?:messages?\s+)?(?:containing|with)\s+['"]([^'"]+)['"]/i) ||
-				                   content.match(/\bslack.*search.*['"]([^'"]+)['"]/i) ||
-				                   content.match(/\bfind.*messages.*['"]([^'"]+)['"]/i);
-				if (searchMatch) {
-					const query = searchMatch[1].trim();
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/slack/search", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ query, maxResults: 10 }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const messages = json.messages || [];
-							if (messages.length === 0) {
-								assistantMsg.content = `No messages found matching "${query}".`;
-							} else {
-								const summary = messages.slice(0, 5).map((msg: any) => 
-									`- ${msg.text?.substring(0, 100)} (channel: ${msg.channel?.name || 'unknown'})`
-								).join("\n");
-								assistantMsg.content = `Found ${json.total} messages matching "${query}":\n${summary}${json.total > 5 ? `\n... and ${json.total - 5} more` : ''}`;
+								const approved = await new Promise<boolean>(resolve => pendingConfirmations.set(`${assistantMsg.id}:${stepIndex}`, resolve));
+								confirmation = approved ? "approved" : "declined";
 							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "Slack not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "Slack usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// Slack: Latest message in channel
-			if (getState().activeTools?.["slack_latest_message"]) {
-				// Match without channel: "last message on slack" (check this FIRST)
-				const latestGeneralMatch = /\b(?:what(?:'s| is)|show|get|list)\s+(?:the\s+)?(?:latest|last|most\s+recent)\s+message\s+(?:on|in|from)?\s*slack\b/i.test(content);
-				// Match with channel: "last message in #general"
-				const latestMatch = !latestGeneralMatch && content.match(/\b(?:what(?:'s| is)|show|get|list)\s+(?:the\s+)?(?:latest|last|most\s+recent)\s+message\s+(?:in|from|on)\s+#?([a-zA-Z0-9_-]+)/i);
-				
-				if (latestGeneralMatch) {
-					// No channel specified - get from general channel
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/slack/latest-message", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ channel: "tous-orionproductions" }), // Default to general channel
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							if (!json.found) {
-								assistantMsg.content = `No messages found in Slack.`;
-							} else {
-								const msg = json.message;
-								assistantMsg.content = `Latest message on Slack (from #${json.channel}):\nFrom: ${msg.user}\nDate: ${new Date(msg.date).toLocaleString()}\nMessage: ${msg.text}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "Slack not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "Slack usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				} else if (latestMatch) {
-					const channelName = latestMatch[1];
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/slack/latest-message", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ channel: channelName }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							if (!json.found) {
-								assistantMsg.content = `No messages found in #${json.channel || channelName}.`;
-							} else {
-								const msg = json.message;
-								assistantMsg.content = `Latest message in #${json.channel}:\nFrom: ${msg.user}\nDate: ${new Date(msg.date).toLocaleString()}\nMessage: ${msg.text}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "Slack not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "Slack usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// Slack: Count messages from user in channel
-			if (getState().activeTools?.["slack_count_from_user"]) {
-				const countMatch = content.match(/\b(?:how many|count)\s+messages?\s+(?:did|from)\s+@?([a-zA-Z0-9._-]+)\s+(?:send|sent|post|posted)\s+(?:in|to)\s+#?([a-zA-Z0-9_-]+)/i);
-				if (countMatch) {
-					const userName = countMatch[1];
-					const channelName = countMatch[2];
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/slack/count-from-user", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ user: userName, channel: channelName }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							assistantMsg.content = `@${json.user} sent ${json.count} message${json.count !== 1 ? 's' : ''} in #${json.channel}.`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "Slack not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "Slack usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// Slack: Get my mentions
-			if (getState().activeTools?.["slack_mentions"]) {
-				const mentionsMatch = /\b(?:what are|show|get|list)\s+(?:my\s+)?(?:slack\s+)?(?:unread\s+)?mentions?\b/i.test(content) ||
-				                     /\b(?:mentions?\s+(?:in|on)\s+slack)\b/i.test(content);
-				if (mentionsMatch) {
-					try {
-						const resp = await fetch("http://localhost:3001/mcp/tools/slack/mentions", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({}),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const mentions = json.mentions || [];
-							if (mentions.length === 0) {
-								assistantMsg.content = "You have no recent mentions in Slack.";
+							let job: ToolStepJob | undefined;
+							let result;
+							if (!tool) {
+								result = unavailableToolResult(call.name);
+							} else if (confirmation === "declined") {
+								result = DECLINED_RESULT;
+							} else if (tool.background) {
+								// Long tools run as server jobs; the step shows their progress and can be cancelled
+								result = await callMcpToolAsJob(call.name, call.arguments, update => {
+									job = toStepJob(update);
+									setToolStep(assistantMsg, stepIndex, { id: call.id, name: call.name, arguments: call.arguments, result: "", ok: true, job, ...(confirmation ? { confirmation } : {}) });
+									set({ conversations: [...getState().conversations] });
+								});
 							} else {
-								const summary = mentions.slice(0, 5).map((msg: any) => 
-									`- ${msg.text?.substring(0, 100)} (in ${msg.channel?.name || 'unknown'})`
-								).join("\n");
-								assistantMsg.content = `You have ${json.total} mention${json.total !== 1 ? 's' : ''}:\n${summary}${json.total > 5 ? `\n... and ${json.total - 5} more` : ''}`;
+								result = await callMcpTool(call.name, call.arguments, { confirmed: confirmation === "approved" });
 							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "Slack not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "Slack usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// ============================================================
-			// GITHUB PATTERN MATCHING
-			// ============================================================
-			
-			// GitHub: Latest commit across all repos (organization-wide)
-			if (getState().activeTools?.["github_list_repos"] && getState().activeTools?.["github_commits"]) {
-				// Match: "when was latest commit?", "latest commit and on what repo?", "most recent commit", etc.
-				// But NOT: "latest commit in repo X" (that should use specific repo pattern)
-				const hasLatestCommitQuery = /\b(?:when|what|show|get)\s+(?:was|is)?\s*(?:the\s+)?(?:latest|last|most\s+recent)\s+commit/i.test(content) ||
-				                            /\b(?:latest|last|most\s+recent)\s+commit(?:\s+(?:on|in|across|for))?\s*(?:github|organization|all|any)?/i.test(content);
-				const hasSpecificRepo = /\b(?:in|for|from)\s+(?:repo(?:sitory)?\s+)?['"]?[a-zA-Z0-9_.-]+['"]?/i.test(content);
-				
-				if (hasLatestCommitQuery && !hasSpecificRepo) {
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						// Fetch all repos sorted by updated time
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/repos", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({}),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok && json.repositories && json.repositories.length > 0) {
-							// Repos are already sorted by updated_at (most recent first)
-							const mostRecentRepo = json.repositories[0];
-							
-							// Fetch the latest commit from the most recent repo
-							const commitResp = await fetch("http://localhost:3001/mcp/tools/github/commits", {
-								method: "POST",
-								headers: { "Content-Type": "application/json" },
-								body: JSON.stringify({ repo: mostRecentRepo.name, limit: 1 }),
+							history.push({ role: "tool", toolCallId: call.id, name: call.name, content: formatToolResult(result) });
+							const payload = toToolResultPayload(call.name, result);
+							setToolStep(assistantMsg, stepIndex, {
+								id: call.id,
+								name: call.name,
+								arguments: call.arguments,
+								result: previewToolResult(result),
+								ok: result?.ok !== false,
+								...(payload ? { payload } : {}),
+								...(confirmation ? { confirmation } : {}),
+								...(job ? { job } : {}),
 							});
-							const commitJson = await commitResp.json();
-							
-							if (commitResp.ok && commitJson?.ok && commitJson.commits && commitJson.commits.length > 0) {
-								const latestCommit = commitJson.commits[0];
-								assistantMsg.content = `**Latest commit across all repositories:**\n\n` +
-									`**Repository:** ${mostRecentRepo.name}\n` +
-									`**Commit:** \`${latestCommit.sha}\`\n` +
-									`**Message:** ${latestCommit.message.split('\n')[0]}\n` +
-									`**Author:** ${latestCommit.author}\n` +
-									`**Date:** ${new Date(latestCommit.date).toLocaleString()}\n` +
-									`\n[View commit](${latestCommit.url})`;
-							} else {
-								// Fallback to showing the repo push date
-								assistantMsg.content = `**Most recently updated repository:**\n\n` +
-									`**${mostRecentRepo.name}**\n` +
-									`Last pushed: ${new Date(mostRecentRepo.updated_at).toLocaleString()}`;
-							}
-							
-							assistantMsg.status = "complete";
 							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else {
-							assistantMsg.content = "No repositories found.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// GitHub: List repositories
-			if (getState().activeTools?.["github_list_repos"]) {
-				// Match: "list my repos", "show my repositories", "what repos do I have?"
-				if (/\b(?:list|show|get|what)\s+(?:my\s+|all\s+)?(?:github\s+)?(?:repositories|repos)(?:\?)?/i.test(content)) {
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/repos", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({}),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const repos = json.repositories || [];
-							if (repos.length === 0) {
-								assistantMsg.content = "No repositories found.";
-							} else {
-								const summary = repos.slice(0, 10).map((repo: any) => 
-									`- **${repo.name}** ${repo.private ? '🔒' : '🌐'} (${repo.language || 'No language'}) - ⭐ ${repo.stars}\n  ${repo.description || 'No description'}`
-								).join("\n");
-								assistantMsg.content = `Found ${json.total} repositories:\n\n${summary}${json.total > 10 ? `\n\n... and ${json.total - 10} more` : ''}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// GitHub: Repository details
-			if (getState().activeTools?.["github_repo_details"]) {
-				// Match: "details for repo X", "show me repo X", "info about repository X"
-				const repoMatch = content.match(/\b(?:details?|info(?:rmation)?|show|get|describe)\s+(?:for|about|me)?\s*(?:the\s+)?(?:repo(?:sitory)?\s+)?['"]?([a-zA-Z0-9_.-]+)['"]?/i);
-				if (repoMatch) {
-					const repoName = repoMatch[1];
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/repo-details", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ repo: repoName }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok && json.repository) {
-							const repo = json.repository;
-							assistantMsg.content = `**${repo.full_name}** ${repo.private ? '🔒 Private' : '🌐 Public'}\n\n` +
-								`${repo.description || 'No description'}\n\n` +
-								`**Language:** ${repo.language || 'N/A'}\n` +
-								`**Stars:** ⭐ ${repo.stars} | **Forks:** 🔱 ${repo.forks} | **Watchers:** 👁️ ${repo.watchers}\n` +
-								`**Open Issues:** ${repo.open_issues}\n` +
-								`**Default Branch:** ${repo.default_branch}\n` +
-								`**Size:** ${(repo.size / 1024).toFixed(2)} MB\n` +
-								`**Created:** ${new Date(repo.created_at).toLocaleDateString()}\n` +
-								`**Last Updated:** ${new Date(repo.updated_at).toLocaleDateString()}\n` +
-								`**Last Pushed:** ${new Date(repo.pushed_at).toLocaleDateString()}\n` +
-								(repo.homepage ? `**Homepage:** ${repo.homepage}\n` : '') +
-								(repo.license ? `**License:** ${repo.license}\n` : '') +
-								`\n[View on GitHub](${repo.url})`;
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// GitHub: List commits
-			if (getState().activeTools?.["github_commits"]) {
-				// Match: "list commits in repo X", "show commits for X", "recent commits in X"
-				const commitMatch = content.match(/\b(?:list|show|get|recent)\s+(?:the\s+)?commits?\s+(?:in|for|from)\s+(?:the\s+)?(?:repo(?:sitory)?\s+)?['"]?([a-zA-Z0-9_.-]+)['"]?/i);
-				if (commitMatch) {
-					const repoName = commitMatch[1];
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/commits", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ repo: repoName, limit: 10 }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const commits = json.commits || [];
-							if (commits.length === 0) {
-								assistantMsg.content = `No commits found in repository **${repoName}**.`;
-							} else {
-								const summary = commits.map((commit: any) => 
-									`- \`${commit.sha}\` - ${commit.message.split('\n')[0]} (${commit.author}, ${new Date(commit.date).toLocaleDateString()})`
-								).join("\n");
-								assistantMsg.content = `Recent commits in **${repoName}**:\n\n${summary}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// GitHub: Search code
-			if (getState().activeTools?.["github_search_code"]) {
-				// Match: "search for X in github", "find code containing X", "search repos for X"
-				const searchMatch = content.match(/\b(?:search|find)\s+(?:for\s+|code\s+)?(?:containing\s+)?['"]?([^'"]{3,})['"]?\s+(?:in|across)\s+(?:my\s+)?(?:github|repos?)/i);
-				if (searchMatch) {
-					const query = searchMatch[1];
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/search-code", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ query }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const items = json.items || [];
-							if (items.length === 0) {
-								assistantMsg.content = `No code found matching "${query}".`;
-							} else {
-								const summary = items.slice(0, 10).map((item: any) => 
-									`- **${item.repository}**/${item.path}\n  [View](${item.url})`
-								).join("\n");
-								assistantMsg.content = `Found ${json.total} code results for "${query}":\n\n${summary}${json.total > 10 ? `\n\n... and ${json.total - 10} more` : ''}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// GitHub: Pull requests
-			if (getState().activeTools?.["github_pull_requests"]) {
-				// Match: "list PRs in repo X", "show pull requests for X", "open PRs in X"
-				const prMatch = content.match(/\b(?:list|show|get|open)\s+(?:the\s+)?(?:pull\s+requests?|PRs?)\s+(?:in|for|from)\s+(?:the\s+)?(?:repo(?:sitory)?\s+)?['"]?([a-zA-Z0-9_.-]+)['"]?/i);
-				if (prMatch) {
-					const repoName = prMatch[1];
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/pull-requests", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ repo: repoName, state: 'open' }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const prs = json.pull_requests || [];
-							if (prs.length === 0) {
-								assistantMsg.content = `No open pull requests in **${repoName}**.`;
-							} else {
-								const summary = prs.slice(0, 10).map((pr: any) => 
-									`- **#${pr.number}** - ${pr.title}\n  Author: ${pr.author} | State: ${pr.state} | [View](${pr.url})`
-								).join("\n");
-								assistantMsg.content = `Pull requests in **${repoName}**:\n\n${summary}${json.total > 10 ? `\n\n... and ${json.total - 10} more` : ''}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-				}
-			}
-			
-			// GitHub: Issues
-			if (getState().activeTools?.["github_issues"]) {
-				// Match: "list issues in repo X", "show issues for X", "open issues in X"
-				const issueMatch = content.match(/\b(?:list|show|get|open)\s+(?:the\s+)?issues?\s+(?:in|for|from)\s+(?:the\s+)?(?:repo(?:sitory)?\s+)?['"]?([a-zA-Z0-9_.-]+)['"]?/i);
-				if (issueMatch) {
-					const repoName = issueMatch[1];
-					try {
-						assistantMsg.status = "streaming";
-						set({ conversations: [...getState().conversations] });
-						
-						const resp = await fetch("http://localhost:3001/mcp/tools/github/issues", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ repo: repoName, state: 'open' }),
-						});
-						const json = await resp.json();
-						if (resp.ok && json?.ok) {
-							const issues = json.issues || [];
-							if (issues.length === 0) {
-								assistantMsg.content = `No open issues in **${repoName}**.`;
-							} else {
-								const summary = issues.slice(0, 10).map((issue: any) => 
-									`- **#${issue.number}** - ${issue.title}\n  Author: ${issue.author} | Labels: ${issue.labels.join(', ') || 'None'} | [View](${issue.url})`
-								).join("\n");
-								assistantMsg.content = `Issues in **${repoName}**:\n\n${summary}${json.total > 10 ? `\n\n... and ${json.total - 10} more` : ''}`;
-							}
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 401) {
-							assistantMsg.content = json.message || "GitHub not configured.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						} else if (resp.status === 403 && json.blocked) {
-							assistantMsg.content = json.message || "GitHub usage limit exceeded.";
-							assistantMsg.status = "complete";
-							set({ conversations: [...getState().conversations] });
-							await setDb(CONV_KEY, getState().conversations);
-							return;
-						}
-					} catch {}
-			}
-		}
-		
-		// Jira-GitHub: Verify task alignment with code
-		if (getState().activeTools?.["jira_github_verify_alignment"]) {
-			// More flexible keyword detection
-			const hasJiraReference = /\bjira\s+tasks?/i.test(content);
-			const hasGithubReference = /\bgithub|code\s+on\s+github/i.test(content);
-			const hasVerifyAction = /\b(?:verify|check|align|alignment|up\s+to\s+date|find\s+proof)/i.test(content);
-			
-			// Extract repository name (more flexible patterns)
-			let repoName = null;
-			const repoPatterns = [
-				// Exact pattern: "on repository X" or "on repo X"
-				/\bon\s+(?:repository|repo)\s+['"]?([a-zA-Z0-9_.-]+)['"]?/i,
-				// Pattern: "repository X" or "repo X" (but not if followed by common words)
-				/\b(?:repository|repo)\s+['"]?([a-zA-Z0-9_.-]+)['"]?(?:\s|$|,|\.)/i,
-				// Pattern: "github on repository X"
-				/\bgithub\s+on\s+(?:repository|repo)\s+['"]?([a-zA-Z0-9_.-]+)['"]?/i,
-				// Pattern: "code on github on repository X"
-				/\bcode\s+on\s+github\s+on\s+(?:repository|repo)\s+['"]?([a-zA-Z0-9_.-]+)['"]?/i,
-				// Pattern: "github repository X" or "github repo X"
-				/\bgithub\s+(?:repository|repo)\s+['"]?([a-zA-Z0-9_.-]+)['"]?/i,
-				// Pattern: "github X" but exclude common words that aren't repo names
-				/\bgithub\s+['"]?([a-zA-Z0-9_.-]{5,})['"]?(?:\s|$|,|\.)(?!.*\b(?:commits?|code|repos?|projects?)\b)/i,
-			];
-			
-			// Exclude common false positives
-			const falsePositives = ['commits', 'commit', 'code', 'repos', 'repo', 'projects', 'project', 'github', 'jira', 'tasks', 'task'];
-			
-			for (const pattern of repoPatterns) {
-				const match = content.match(pattern);
-				if (match && match[1]) {
-					const candidate = match[1].toLowerCase();
-					// Exclude false positives
-					if (!falsePositives.includes(candidate) && candidate.length >= 3) {
-						repoName = match[1];
-						break;
-					}
-				}
-			}
-			
-			// Extract project/space name (case-insensitive, more flexible)
-			let projectKey = null;
-			const projectPatterns = [
-				// Exact pattern: "in space X" or "in project X"
-				/\bin\s+(?:space|project)\s+['"]?([A-Z0-9_-]+)['"]?/i,
-				// Pattern: "tasks in space X"
-				/\btasks?\s+in\s+(?:space|project)\s+['"]?([A-Z0-9_-]+)['"]?/i,
-				// Pattern: "jira tasks in space X"
-				/\bjira\s+tasks?\s+in\s+(?:space|project)\s+['"]?([A-Z0-9_-]+)['"]?/i,
-				// Pattern: "space X" or "project X"
-				/\b(?:space|project)\s+['"]?([A-Z0-9_-]+)['"]?/i,
-				// Pattern: "(in|for) (the) (project|space) X"
-				/\b(?:in|for)\s+(?:the\s+)?(?:project|space)\s+['"]?([A-Z0-9_-]+)['"]?/i,
-			];
-			
-			for (const pattern of projectPatterns) {
-				const match = content.match(pattern);
-				if (match && match[1]) {
-					projectKey = match[1].toUpperCase(); // Normalize to uppercase
-					break;
-				}
-			}
-			
-			// Check if this is an alignment verification query
-			const isAlignmentQuery = hasJiraReference && hasGithubReference && hasVerifyAction;
-			
-			// Also check for "based on" patterns
-			const hasBasedOnPattern = /\bbased\s+on\s+(?:code|latest|jira)/i.test(content);
-			
-			if (isAlignmentQuery || hasBasedOnPattern) {
-				try {
-					console.log("[Jira-GitHub Alignment] Pattern matched, repo:", repoName, "project:", projectKey);
-					
-					assistantMsg.status = "streaming";
-					set({ conversations: [...getState().conversations] });
-
-					// If no repo specified but we have alignment keywords, try to get latest repo
-					if (!repoName) {
-						console.log("[Jira-GitHub Alignment] No repo found, fetching latest repo...");
-						const repoResp = await fetch("http://localhost:3001/mcp/tools/github/repos", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({}),
-						});
-						const repoJson = await repoResp.json();
-						if (repoResp.ok && repoJson?.ok && repoJson.repositories && repoJson.repositories.length > 0) {
-							repoName = repoJson.repositories[0].name;
-							console.log("[Jira-GitHub Alignment] Using latest repo:", repoName);
-						}
-					}
-
-					if (!repoName) {
-						assistantMsg.content = "Please specify a GitHub repository name. Example: 'verify Jira tasks alignment for repository oripro-jarvis-OperationalExcellence-proto1'";
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-
-					console.log("[Jira-GitHub Alignment] Calling endpoint with repo:", repoName, "project:", projectKey);
-
-					// Call the alignment verification endpoint
-					const resp = await fetch("http://localhost:3001/mcp/tools/jira-github/verify-alignment", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({
-							repo: repoName,
-							project: projectKey || undefined,
-							maxTasks: 50
-						}),
-					});
-
-					const json = await resp.json();
-
-					if (resp.ok && json?.ok) {
-						const { tasksAnalyzed, alignmentScore, aligned, misalignments, summary } = json;
-
-						// Build detailed report
-						let report = `## Jira-GitHub Alignment Verification\n\n`;
-						report += `**Repository:** ${json.repository}\n`;
-						report += `**Project:** ${json.project}\n`;
-						report += `**Tasks Analyzed:** ${tasksAnalyzed}\n`;
-						report += `**Alignment Score:** ${alignmentScore}%\n\n`;
-						report += `---\n\n`;
-						report += `### 📊 Summary\n${summary}\n\n`;
-
-						if (aligned && aligned.length > 0) {
-							report += `### ✅ Aligned Tasks (${aligned.length})\n\n`;
-							aligned.slice(0, 10).forEach((task: any) => {
-								report += `- **${task.key}**: ${task.summary}\n`;
-								report += `  Status: ${task.status} | Evidence: ${task.evidence.total} item(s)\n`;
-								if (task.evidence.commits > 0) {
-									report += `  - ${task.evidence.commits} commit(s) found\n`;
-								}
-								if (task.evidence.prs > 0) {
-									report += `  - ${task.evidence.prs} PR(s) found\n`;
-								}
-								if (task.evidence.branches > 0) {
-									report += `  - ${task.evidence.branches} branch(es) found\n`;
-								}
-								report += `\n`;
-							});
-							if (aligned.length > 10) {
-								report += `... and ${aligned.length - 10} more aligned tasks\n\n`;
-							}
-						}
-
-						if (misalignments && misalignments.length > 0) {
-							report += `### ⚠️ Misalignments Found (${misalignments.length})\n\n`;
-							misalignments.forEach((task: any, idx: number) => {
-								report += `**${idx + 1}. ${task.key}: ${task.summary}**\n`;
-								report += `- Status: ${task.status}\n`;
-								report += `- ⚠️ **WARNING:** ${task.warning}\n`;
-								if (task.recommendation) {
-									report += `- 💡 **Recommendation:** ${task.recommendation}\n`;
-								}
-								
-								if (task.evidenceDetails) {
-									const commits = task.evidenceDetails.commits || [];
-									const prs = task.evidenceDetails.prs || [];
-									const branches = task.evidenceDetails.branches || [];
-									const codeMatches = task.evidenceDetails.codeMatches || [];
-									
-									report += `- **Evidence Searched:**\n`;
-									
-									if (commits.length > 0) {
-										report += `  - ✅ Commits (${commits.length}): ${commits.map((c: any) => `\`${c.sha.substring(0, 7)}\` - ${c.message.substring(0, 50)}${c.message.length > 50 ? '...' : ''}`).join(', ')}\n`;
-									} else {
-										report += `  - ❌ Commits: None found\n`;
-									}
-									
-									if (prs.length > 0) {
-										report += `  - ✅ PRs (${prs.length}): ${prs.map((pr: any) => `#${pr.number} (${pr.state})`).join(', ')}\n`;
-									} else {
-										report += `  - ❌ PRs: None found\n`;
-									}
-									
-									if (branches.length > 0) {
-										report += `  - ✅ Branches (${branches.length}): ${branches.join(', ')}\n`;
-									} else {
-										report += `  - ❌ Branches: None found\n`;
-									}
-									
-									if (codeMatches.length > 0) {
-										report += `  - ✅ Code Matches (${codeMatches.length}): ${codeMatches.slice(0, 3).map((m: any) => `${m.path}`).join(', ')}${codeMatches.length > 3 ? ` ... and ${codeMatches.length - 3} more` : ''}\n`;
-									} else {
-										report += `  - ❌ Code Matches: None found\n`;
-									}
-								} else {
-									report += `- **Evidence Searched:** No evidence details available\n`;
-								}
-								report += `\n`;
-							});
-						}
-
-						if (tasksAnalyzed === 0) {
-							report += `No Jira tasks found matching the criteria. Please check the project/space name or repository.`;
-						}
-
-						assistantMsg.content = report;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					} else if (resp.status === 401) {
-						assistantMsg.content = json.message || "Jira or GitHub not configured.";
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					} else if (resp.status === 403 && json.blocked) {
-						assistantMsg.content = json.message || "Rate limit exceeded.";
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					} else {
-						assistantMsg.content = json.error || "Failed to verify alignment.";
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				} catch (error) {
-					console.error("[Jira-GitHub Alignment]", error);
-				}
-			}
-		}
-
-		// GitHub: Verify commit message against code changes OR show commit content/details
-		if (getState().activeTools?.["github_list_repos"] && getState().activeTools?.["github_commits"] && getState().activeTools?.["github_commit_details"]) {
-			// Pattern 1: Verification queries ("verify commit message against code")
-			const hasVerifyAction = /\b(?:verify|check|validate|show|review|compare)\b/i.test(content);
-			const hasCommitReference = /\b(?:commit|changelist)\b/i.test(content);
-			const hasMessageOrComment = /\b(?:message|comment|description)\b/i.test(content);
-			const hasAlignmentConcern = /\b(?:align(?:ed)?|match(?:es)?|correspond(?:s)?|against|with)\b.*\b(?:code|changes?|changelist|delivered)/i.test(content) ||
-			                           /\b(?:code|changes?|changelist|delivered)\b.*\b(?:align(?:ed)?|match(?:es)?|correspond(?:s)?)/i.test(content);
-			
-			const verifyCommitQuery = hasVerifyAction && hasCommitReference && (hasMessageOrComment || hasAlignmentConcern);
-			
-			// Pattern 2: Content queries ("what was the content of this commit?", "what changed?")
-			const contentQuery = /\b(?:what|show|display|get)\s+(?:was|is|are)?\s*(?:the\s+)?(?:content|contents|changes?|details?)\s+(?:of|in|for)?\s*(?:this|the|that|latest|last)?\s*(?:commit|changelist)/i.test(content) ||
-			                     /\b(?:what|show)\s+(?:changed|modified|added|deleted)\s+(?:in|with)?\s*(?:this|the|that|latest|last)?\s*(?:commit|changelist)/i.test(content) ||
-			                     /\b(?:commit|changelist)\s+(?:content|contents|changes?|details?)/i.test(content);
-			
-			if (verifyCommitQuery || contentQuery) {
-				try {
-					assistantMsg.status = "streaming";
-					set({ conversations: [...getState().conversations] });
-					
-					// Fetch all repos to get the most recent one
-					const repoResp = await fetch("http://localhost:3001/mcp/tools/github/repos", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({}),
-					});
-					const repoJson = await repoResp.json();
-					
-					if (repoResp.ok && repoJson?.ok && repoJson.repositories && repoJson.repositories.length > 0) {
-						const mostRecentRepo = repoJson.repositories[0];
-						
-						// Fetch the latest commit
-						const commitResp = await fetch("http://localhost:3001/mcp/tools/github/commits", {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify({ repo: mostRecentRepo.name, limit: 1 }),
-						});
-						const commitJson = await commitResp.json();
-						
-						if (commitResp.ok && commitJson?.ok && commitJson.commits && commitJson.commits.length > 0) {
-							const latestCommit = commitJson.commits[0];
-							
-							// Fetch detailed commit info including files changed
-							const detailResp = await fetch("http://localhost:3001/mcp/tools/github/commit-details", {
-								method: "POST",
-								headers: { "Content-Type": "application/json" },
-								body: JSON.stringify({ 
-									repo: mostRecentRepo.name,
-									sha: latestCommit.full_sha 
-								}),
-							});
-							const detailJson = await detailResp.json();
-							
-							if (detailResp.ok && detailJson?.ok && detailJson.commit) {
-								const commit = detailJson.commit;
-								const files = commit.files || [];
-								
-								// INTELLIGENT VERIFICATION - Analyze commit message against actual code changes
-								const verification = analyzeCommitAlignment(commit.message, files);
-								
-								// Build file summary with key evidence
-								let filesSummary = files.slice(0, 15).map((f: any) => {
-									const evidence = verification.fileEvidence.find((e: any) => e.filename === f.filename);
-									const marker = evidence ? ' ✅' : '';
-									return `- **${f.filename}**${marker} (${f.status})\n  +${f.additions} -${f.deletions} changes`;
-								}).join("\n");
-								
-								if (files.length > 15) {
-									filesSummary += `\n... and ${files.length - 15} more files`;
-								}
-								
-								// Generate verification report
-								let verificationReport = '';
-								if (verifyCommitQuery) {
-									verificationReport = `\n\n---\n\n### 🔍 Intelligent Verification Analysis\n\n` +
-										`**Alignment Score: ${verification.score}/10** ${verification.scoreEmoji}\n\n` +
-										`**Claims Found in Commit Message:** ${verification.claimsFound}\n` +
-										`**Claims Verified in Code:** ${verification.claimsVerified}\n\n` +
-										`#### Evidence Found:\n${verification.evidence}\n\n` +
-										(verification.missingEvidence ? `#### ⚠️ Unverified Claims:\n${verification.missingEvidence}\n\n` : '') +
-										`**Conclusion:** ${verification.conclusion}`;
-								}
-								
-								assistantMsg.content = `## Commit Analysis - ${mostRecentRepo.name}\n\n` +
-									`**Commit:** \`${commit.sha}\` | **Author:** ${commit.author.name}\n` +
-									`**Date:** ${new Date(commit.author.date).toLocaleString()}\n\n` +
-									`---\n\n` +
-									`### 📝 Commit Message:\n\`\`\`\n${commit.message}\n\`\`\`\n\n` +
-									`---\n\n` +
-									`### 📊 Code Changes Summary:\n` +
-									`**Total Impact:** ${commit.stats?.additions || 0} additions, ${commit.stats?.deletions || 0} deletions\n` +
-									`**Files Changed:** ${files.length} file(s)\n\n` +
-									`**Changed Files:**\n${filesSummary || 'No file changes detected'}` +
-									verificationReport +
-									`\n\n---\n\n[View full commit on GitHub](${commit.url})`;
-								
-								assistantMsg.status = "complete";
-								set({ conversations: [...getState().conversations] });
-								await setDb(CONV_KEY, getState().conversations);
-								return;
-							}
 						}
-					}
-					
-					// Fallback if something fails
-					assistantMsg.content = "Unable to fetch commit details for verification. Please ensure GitHub is properly configured.";
-					assistantMsg.status = "complete";
-					set({ conversations: [...getState().conversations] });
-					await setDb(CONV_KEY, getState().conversations);
-					return;
-				} catch (error) {
-					console.error("[Verify Commit]", error);
-				}
-			}
-		}
-		
-		// ============================================================
-		// Meeting Recording Tools
-		// ============================================================
-		
-		// Meeting: Summarize latest meeting
-		if (getState().activeTools?.["meeting_summarize"]) {
-			const wantsSummary = /\b(?:summarize|summary|summarise|summaries)\b/i.test(content);
-			const hasMeetingRef = /\b(?:meeting|recording|latest|last)\b/i.test(content);
-			
-			if (wantsSummary && hasMeetingRef) {
-				try {
-					const resp = await fetch("http://localhost:3001/mcp/tools/meeting/summarize", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({})
-					});
-					
-					if (resp.ok) {
-						const json = await resp.json();
-						const summary = json.result;
-						
-						if (typeof summary === "string") {
-							if (summary.includes("not found") || summary.includes("No meetings") || summary.includes("Transcript not found")) {
-								assistantMsg.content = `Meeting Summary: ${summary}`;
-							} else {
-								assistantMsg.content = `Meeting Summary:\n\n${summary}`;
-							}
-						} else {
-							assistantMsg.content = `Meeting Summary:\n\n${JSON.stringify(summary, null, 2)}`;
-						}
-						
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				} catch (error) {
-					console.error("[Meeting Summarize]", error);
-				}
-			}
-		}
-		
-		// Meeting: Sentiment analysis
-		if (getState().activeTools?.["meeting_sentiment"]) {
-			const wantsSentiment = /\b(?:sentiment|feeling|mood|tone|emotion)\b/i.test(content);
-			const hasMeetingRef = /\b(?:meeting|recording|latest|last)\b/i.test(content);
-			const hasAnalysis = /\b(?:analysis|analyze|analyse)\b/i.test(content);
-			
-			if ((wantsSentiment || hasAnalysis) && hasMeetingRef) {
-				try {
-					const resp = await fetch("http://localhost:3001/mcp/tools/meeting/sentiment", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({})
-					});
-					
-					if (resp.ok) {
-						const json = await resp.json();
-						assistantMsg.content = json.result;
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				} catch (error) {
-					console.error("[Meeting Sentiment]", error);
-				}
-			}
-		}
-		
-		// Meeting: List meetings
-		if (getState().activeTools?.["meeting_list"]) {
-			const wantsList = /\b(?:list|show|get|what)\s+(?:all\s+)?(?:recorded\s+)?meetings?\b/i.test(content);
-			
-			if (wantsList) {
-				try {
-					const resp = await fetch("http://localhost:3001/mcp/tools/meeting/list", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({})
-					});
-					
-					if (resp.ok) {
-						const json = await resp.json();
-						const meetings = json.result || [];
-						
-						if (meetings.length === 0) {
-							assistantMsg.content = "No meetings found.";
-						} else {
-							const lines = meetings.map((m: any) => {
-								const date = new Date(m.date).toLocaleString();
-								const duration = m.duration ? `${Math.floor(m.duration / 60)}:${String(m.duration % 60).padStart(2, '0')}` : "N/A";
-								return `- ${m.title} (${date}) - ${duration} - Status: ${m.status}`;
-							});
-							assistantMsg.content = `Recorded Meetings (${meetings.length}):\n${lines.join("\n")}`;
+						if (step === maxSteps - 1) {
+							history.push({ role: "system", content: `Tool step budget (${maxSteps}) reached. Answer now with the information gathered so far and say what is still missing.` });
 						}
-						
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
 					}
-				} catch (error) {
-					console.error("[Meeting List]", error);
+				} catch (err) {
+					console.warn("[Tools] Tool selection failed, answering without tools:", err);
 				}
 			}
-		}
-		
-		// Meeting: Get transcript
-		if (getState().activeTools?.["meeting_transcript"]) {
-			const wantsTranscript = /\b(?:transcript|transcription|text|content)\b/i.test(content);
-			const hasMeetingRef = /\b(?:meeting|recording|latest|last)\b/i.test(content);
-			
-			if (wantsTranscript && hasMeetingRef) {
-				try {
-					const resp = await fetch("http://localhost:3001/mcp/tools/meeting/transcript", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({})
-					});
-					
-					if (resp.ok) {
-						const json = await resp.json();
-						const transcript = json.result;
-						
-						if (typeof transcript === "string") {
-							if (transcript.includes("not found") || transcript.includes("No meetings")) {
-								assistantMsg.content = `Transcript: ${transcript}`;
-							} else {
-								assistantMsg.content = `Meeting Transcript:\n\n${transcript}`;
-							}
-						} else {
-							assistantMsg.content = `Meeting Transcript:\n\n${JSON.stringify(transcript, null, 2)}`;
-						}
-						
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				} catch (error) {
-					console.error("[Meeting Transcript]", error);
-				}
-			}
-		}
-		
-		// Meeting: Get latest meeting
-		if (getState().activeTools?.["meeting_latest"]) {
-			const wantsLatest = /\b(?:latest|last|most\s+recent|recent)\s+meeting\b/i.test(content);
-			
-			if (wantsLatest) {
-				try {
-					const resp = await fetch("http://localhost:3001/mcp/tools/meeting/latest", {
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({})
-					});
-					
-					if (resp.ok) {
-						const json = await resp.json();
-						const meeting = json.result;
-						
-						if (typeof meeting === "string") {
-							assistantMsg.content = meeting;
-						} else {
-							const date = new Date(meeting.date).toLocaleString();
-							const duration = meeting.duration ? `${Math.floor(meeting.duration / 60)}:${String(meeting.duration % 60).padStart(2, '0')}` : "N/A";
-							assistantMsg.content = `Latest Meeting:\n- Title: ${meeting.title}\n- Date: ${date}\n- Duration: ${duration}\n- Status: ${meeting.status}`;
-						}
-						
-						assistantMsg.status = "complete";
-						set({ conversations: [...getState().conversations] });
-						await setDb(CONV_KEY, getState().conversations);
-						return;
-					}
-				} catch (error) {
-					console.error("[Meeting Latest]", error);
-				}
-			}
-		}
-		
-		// Add a transient system instruction to reply in the detected language
-			const langInstruction = replyLang === "fr" ? "Veuillez répondre en français." : "Please reply in English.";
-			const baseHistory = conv.messages.map(m => ({
-					role: m.role,
-					content: m.content,
-				}));
-			const historyWithLang = [
-				{ role: "system" as const, content: langInstruction },
-				...baseHistory,
-			];
 			for await (const delta of sendWithProvider({
-				history: historyWithLang,
-				attachments: userMsg.attachments?.map(a => ({ id: a.id, name: a.name, dataUrl: a.dataUrl, type: "image" })),
+				history,
+				attachments: llmAttachments,
+				conversationId: convId,
 				settings: state.settings,
 			})) {
 				assistantMsg.content += delta;
@@ -2086,97 +604,16 @@ export const useChatStore = create<ChatState>((set, getState) => ({
 			set({ conversations: [...getState().conversations] });
 		} finally {
 			await setDb(CONV_KEY, getState().conversations);
+			await pushMessages(conv, [userMsg, assistantMsg]);
 		}
 	},
 }));
 
-/**
- * Intelligent Commit Verification
- * Analyzes commit message claims against actual code changes
- */
-function analyzeCommitAlignment(commitMessage: string, files: any[]) {
-	const message = commitMessage.toLowerCase();
-	const fileNames = files.map(f => f.filename.toLowerCase());
-	
-	let claimsFound = 0;
-	let claimsVerified = 0;
-	const evidence: string[] = [];
-	const missing: string[] = [];
-	const fileEvidence: any[] = [];
-	
-	// Extract and verify specific claims
-	const claims = [
-		// Backend files
-		{ pattern: /github.*auth.*service|githubauth/i, files: ['githubAuthService', 'githubauth'], desc: 'GitHub Auth Service' },
-		{ pattern: /index\.cjs.*endpoint|7.*endpoint|mcp.*tool.*endpoint/i, files: ['index.cjs'], desc: '7 GitHub MCP endpoints' },
-		{ pattern: /billing.*service|billing.*protection/i, files: ['billingService'], desc: 'Billing Service updates' },
-		// Frontend files
-		{ pattern: /chatstore|pattern.*matching|natural.*language/i, files: ['chatStore'], desc: 'Pattern matching in chatStore' },
-		{ pattern: /rightpanel|ui.*separat|visual.*separat/i, files: ['RightPanel'], desc: 'UI enhancements in RightPanel' },
-		// Documentation
-		{ pattern: /github.*setup|setup.*guide|372.*line/i, files: ['GITHUB_SETUP.md', 'github_setup'], desc: 'GitHub setup guide' },
-		{ pattern: /readme.*updat|readme/i, files: ['README.md', 'readme'], desc: 'README updates' },
-		// Dependencies
-		{ pattern: /octokit|@octokit\/rest/i, files: ['package.json', 'package-lock'], desc: 'Octokit dependency' },
-		// Features
-		{ pattern: /organization.*wide|latest.*commit.*org/i, files: ['chatStore'], desc: 'Organization-wide queries' },
-		{ pattern: /commit.*verif|verify.*commit/i, files: ['chatStore'], desc: 'Commit verification feature' },
-		{ pattern: /yellow.*box|green.*box|visual.*color/i, files: ['RightPanel'], desc: 'Visual color separation' },
-	];
-	
-	claims.forEach(claim => {
-		if (claim.pattern.test(message)) {
-			claimsFound++;
-			// Check if matching files exist in changes
-			const matchingFiles = files.filter(f => 
-				claim.files.some(cf => f.filename.toLowerCase().includes(cf.toLowerCase()))
-			);
-			
-			if (matchingFiles.length > 0) {
-				claimsVerified++;
-				matchingFiles.forEach(f => {
-					evidence.push(`✅ **${claim.desc}** → \`${f.filename}\` (+${f.additions}/-${f.deletions})`);
-					fileEvidence.push({ filename: f.filename, claim: claim.desc });
-				});
-			} else {
-				missing.push(`⚠️ **${claim.desc}** - mentioned but no matching file found`);
-			}
-		}
-	});
-	
-	// Calculate scope alignment
-	const totalLines = files.reduce((sum, f) => sum + (f.additions || 0) + (f.deletions || 0), 0);
-	const isMajorFeature = totalLines > 500;
-	const hasNewFiles = files.some(f => f.status === 'added');
-	const scopeMatch = (isMajorFeature && /comprehensive|major|full/i.test(message)) ||
-	                   (!isMajorFeature && !/comprehensive|major|full/i.test(message));
-	
-	// Score calculation
-	const verificationRate = claimsFound > 0 ? (claimsVerified / claimsFound) : 0;
-	const baseScore = verificationRate * 8;
-	const scopeBonus = scopeMatch ? 2 : 0;
-	const score = Math.min(10, Math.round(baseScore + scopeBonus));
-	
-	const scoreEmoji = score >= 9 ? '🎯' : score >= 7 ? '✅' : score >= 5 ? '⚠️' : '❌';
-	
-	const conclusion = score >= 9 
-		? 'Excellent alignment! Commit message accurately describes all code changes.'
-		: score >= 7
-		? 'Good alignment. Commit message generally matches the code changes.'
-		: score >= 5
-		? 'Moderate alignment. Some claims verified, but gaps exist.'
-		: 'Poor alignment. Significant discrepancies between message and code.';
-	
-	return {
-		score,
-		scoreEmoji,
-		claimsFound,
-		claimsVerified,
-		evidence: evidence.length > 0 ? evidence.join('\n') : 'No specific claims to verify',
-		missingEvidence: missing.length > 0 ? missing.join('\n') : '',
-		conclusion,
-		fileEvidence
-	};
+// Delete on the server, or remember the id for the next sync when it cannot be reached
+async function deleteOnServer(id: string): Promise<void> {
+	if (await pushDelete(id)) return;
+	const pending = await get(PENDING_DELETES_KEY).catch(() => undefined);
+	await setDb(PENDING_DELETES_KEY, [...(Array.isArray(pending) ? pending : []), id]);
 }
 
 async function setDb<T>(key: string, value: T): Promise<void> {
@@ -2188,6 +625,59 @@ async function setDb<T>(key: string, value: T): Promise<void> {
 	}
 }
 
+/**
+ * Replies still "streaming" at load time were cut off by a reload, along with the agent
+ * loop waiting on their confirmations. Pending confirmations become declined (nothing was
+ * run) and the reply is finished. Returns whether anything changed.
+ */
+function finishInterruptedMessages(conversations: Conversation[]): boolean {
+	let changed = false;
+	for (const m of conversations.flatMap(c => c.messages)) {
+		if (m.status !== "streaming") continue;
+		m.toolSteps = m.toolSteps?.map(step => step.confirmation === "pending"
+			? { ...step, confirmation: "declined", ok: false, result: EXPIRED_CONFIRMATION }
+			: step);
+		m.status = "error";
+		m.content ||= INTERRUPTED_REPLY;
+		changed = true;
+	}
+	return changed;
+}
+
+function toStepJob(job: Job): ToolStepJob {
+	return {
+		id: job.id,
+		status: job.status,
+		...(job.progress?.message ? { message: job.progress.message } : {}),
+		...(job.progress?.progress !== undefined ? { progress: job.progress.progress } : {}),
+		...(job.progress?.total !== undefined ? { total: job.progress.total } : {}),
+	};
+}
+
+function setToolStep(m: Message, index: number, step: ToolStep): void {
+	const steps = [...(m.toolSteps ?? [])];
+	steps[index] = step;
+	m.toolSteps = steps;
+}
+
+/**
+ * History entries for a stored message. Earlier tool calls are replayed with their
+ * results so follow-up questions can refer to data the model has already fetched.
+ */
+function toHistoryItems(m: Message): ChatHistoryItem[] {
+	if (m.role !== "assistant" || !m.toolSteps?.length) return [{ role: m.role, content: m.content }];
+	return [
+		{ role: "assistant", content: "", toolCalls: m.toolSteps.map(s => ({ id: s.id, name: s.name, arguments: s.arguments })) },
+		...m.toolSteps.map(s => ({
+			role: "tool" as const,
+			toolCallId: s.id,
+			name: s.name,
+			content: s.payload ? formatToolResult(s.payload) : s.result,
+		})),
+		{ role: "assistant", content: m.content },
+	];
+}
+
 function detectLang(text: string): "fr" | "en" {
 	const t = (text || "").toLowerCase();
 	const frenchHints = [" le ", " la ", " les ", " des ", " un ", " une ", " et ", " ou ", " bonjour", "merci", "s'il", "vous", "ça", "été", "était"];
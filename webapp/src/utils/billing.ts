@@ -0,0 +1,181 @@
+// Client for the billing endpoints (/mcp/billing/status and /mcp/billing/history):
+// per-service usage and thresholds, costs, daily history and recently blocked requests
+
+import { MCP_BASE_URL } from "./mcp";
+
+export const BILLING_SERVICES = ["gmail", "calendar", "slack", "github", "jira", "openai", "gemini"] as const;
+
+export type BillingServiceName = typeof BILLING_SERVICES[number];
+
+export type RateLimitStatus = { limit: number; window: string; remaining: number; tier?: number };
+
+export type ServiceUsage = {
+	used: number;
+	limit: number;
+	percent: number;
+	warningPercent: number; // share of the daily quota that triggers a warning
+	blockPercent: number; // share of the daily quota where requests are blocked
+	resetTime: string;
+	// Slack reports one bucket per API method
+	rateLimit: RateLimitStatus | { methods: Record<string, RateLimitStatus> } | null;
+};
+
+export type BillingCosts = {
+	thisMonth: number;
+	google: number;
+	llm: number;
+	models: Record<string, { service: string; inputTokens: number; outputTokens: number; cost: number; requests: number }>;
+	limit: number;
+	warningThreshold: number;
+	llmLimit: number;
+	provider: string;
+	strict: boolean;
+	verifiedAt: string | null;
+	error: string | null;
+};
+
+export type BlockedRequest = { at: string; service: string; operation: string; reason: string; message: string };
+
+export type BillingStatus = {
+	usage: Record<BillingServiceName, ServiceUsage> & { costs: BillingCosts };
+	blocked: BlockedRequest[];
+	authenticated: boolean;
+};
+
+export type UsageHistoryDay = { date: string } & Partial<Record<BillingServiceName, number>>;
+
+export type ChartPoint = { label: string; value: number };
+
+export type UsageWarning = { service: BillingServiceName; percent: number; warningPercent: number; blockPercent: number };
+
+// Service → day a warning was last posted to the chat
+const WARNED_KEY = "app.billing.warned.v1";
+
+/**
+ * Current usage, costs and blocked requests; null when the server is unreachable
+ */
+export async function fetchBillingStatus(): Promise<BillingStatus | null> {
+	try {
+		const r = await fetch(`${MCP_BASE_URL}/mcp/billing/status`, { cache: "no-store" });
+		if (!r.ok) return null;
+		const j = await r.json();
+		return j.ok ? { usage: j.usage, blocked: j.blocked ?? [], authenticated: !!j.authenticated } : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Units used per day since `from` (YYYY-MM-DD), oldest first
+ */
+export async function fetchBillingHistory(from: string): Promise<UsageHistoryDay[]> {
+	const r = await fetch(`${MCP_BASE_URL}/mcp/billing/history?from=${from}`, { cache: "no-store" });
+	if (!r.ok) throw new Error(`HTTP ${r.status}`);
+	const j = await r.json();
+	return Array.isArray(j.history) ? j.history : [];
+}
+
+/**
+ * Local calendar day, matching the server's midnight quota reset
+ */
+export function dayKey(date: Date): string {
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * One point per day for the last `days` days up to `today`; days without usage are 0
+ */
+export function dailySeries(history: UsageHistoryDay[], service: BillingServiceName, days: number, today: Date): ChartPoint[] {
+	const byDate = new Map(history.map(d => [d.date, d[service] ?? 0]));
+	return Array.from({ length: days }, (_, i) => {
+		const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i));
+		const label = dayKey(date);
+		return { label, value: byDate.get(label) ?? 0 };
+	});
+}
+
+/**
+ * Totals per week (Monday to Sunday) for the last `weeks` weeks, labelled by their Monday
+ */
+export function weeklySeries(history: UsageHistoryDay[], service: BillingServiceName, weeks: number, today: Date): ChartPoint[] {
+	const weekday = (today.getDay() + 6) % 7; // Monday = 0
+	const daily = dailySeries(history, service, (weeks - 1) * 7 + weekday + 1, today);
+	const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - weekday - (weeks - 1) * 7);
+	return Array.from({ length: weeks }, (_, i) => {
+		const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i * 7);
+		const first = dayKey(weekStart);
+		const last = dayKey(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6));
+		const value = daily.filter(p => p.label >= first && p.label <= last).reduce((sum, p) => sum + p.value, 0);
+		return { label: first, value };
+	});
+}
+
+/**
+ * Services at or over their warning threshold that have not been reported on `day` yet.
+ * `warned` (service → day) is updated for the ones returned.
+ */
+export function newWarnings(usage: Partial<Record<BillingServiceName, ServiceUsage>>, warned: Record<string, string>, day: string): UsageWarning[] {
+	const fresh: UsageWarning[] = [];
+	for (const service of BILLING_SERVICES) {
+		const u = usage[service];
+		if (!u || u.percent < u.warningPercent || warned[service] === day) continue;
+		warned[service] = day;
+		fresh.push({ service, percent: u.percent, warningPercent: u.warningPercent, blockPercent: u.blockPercent });
+	}
+	return fresh;
+}
+
+/**
+ * newWarnings with the already-reported services kept in localStorage, so each service
+ * is reported once a day across reloads
+ */
+export function takeNewWarnings(usage: Partial<Record<BillingServiceName, ServiceUsage>>, now = new Date()): UsageWarning[] {
+	let warned: Record<string, string> = {};
+	try {
+		warned = JSON.parse(localStorage.getItem(WARNED_KEY) || "{}");
+	} catch {
+		// start over
+	}
+	const fresh = newWarnings(usage, warned, dayKey(now));
+	if (fresh.length) localStorage.setItem(WARNED_KEY, JSON.stringify(warned));
+	return fresh;
+}
+
+// Runtime-editable limits by field: "slack.dailyQuota", "slack.warningThreshold", "monthlyCostLimit", ...
+export type LimitValues = Record<string, number>;
+
+export type LimitChange = { field: string; from: number; to: number };
+
+export type BillingLimits = {
+	limits: LimitValues; // in effect
+	defaults: LimitValues; // from the server's .env
+	overrides: LimitValues; // changed at runtime
+	audit?: (LimitChange & { at: string; note: string | null })[];
+};
+
+/**
+ * Limits with the admin token (Authorization: Bearer); throws the server's error
+ */
+export async function fetchBillingLimits(token: string): Promise<BillingLimits> {
+	const r = await fetch(`${MCP_BASE_URL}/mcp/billing/limits`, {
+		headers: { Authorization: `Bearer ${token}` },
+		cache: "no-store",
+	});
+	const j = await r.json().catch(() => ({}));
+	if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+	return j;
+}
+
+/**
+ * Apply changes (null = back to the .env value); throws with every validation error
+ */
+export async function updateBillingLimits(token: string, changes: Record<string, number | null>, note?: string): Promise<BillingLimits & { changes: LimitChange[] }> {
+	const r = await fetch(`${MCP_BASE_URL}/mcp/billing/limits`, {
+		method: "PATCH",
+		headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+		body: JSON.stringify({ changes, note }),
+	});
+	const j = await r.json().catch(() => ({}));
+	if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+	return j;
+}
@@ -0,0 +1,148 @@
+// Conversation export: Markdown (tool results as tables), lossless JSON that
+// chatStore.importConversations reads back, and a self-contained HTML page.
+
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import type { Conversation, Message, ToolStep } from "../store/chatStore";
+import { toolResultToMarkdown } from "./toolResults";
+
+export type ExportFormat = "markdown" | "json" | "html";
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+const FORMATS: Record<ExportFormat, { extension: string; mime: string }> = {
+	markdown: { extension: "md", mime: "text/markdown" },
+	json: { extension: "json", mime: "application/json" },
+	html: { extension: "html", mime: "text/html" },
+};
+
+const ROLE_LABELS: Record<Message["role"], string> = {
+	user: "You",
+	assistant: "Jarvis",
+	system: "System",
+};
+
+export function exportConversations(conversations: Conversation[], format: ExportFormat): { filename: string; mime: string; content: string } {
+	const { extension, mime } = FORMATS[format];
+	const content = format === "json"
+		? toJson(conversations)
+		: format === "html"
+			? toHtml(conversations)
+			: conversations.map(toMarkdown).join("\n\n---\n\n");
+	return { filename: `${fileBaseName(conversations)}.${extension}`, mime, content };
+}
+
+/**
+ * Save content as a file through a temporary download link
+ */
+export function downloadFile(filename: string, content: string, mime: string): void {
+	const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function toJson(conversations: Conversation[]): string {
+	return JSON.stringify({
+		format: "jarvis-conversations",
+		version: EXPORT_FORMAT_VERSION,
+		exportedAt: new Date().toISOString(),
+		conversations,
+	}, null, 2);
+}
+
+function toMarkdown(conv: Conversation): string {
+	const parts = [
+		`# ${conv.title || "Untitled chat"}`,
+		`_${conv.messages.length} messages · last updated ${new Date(conv.updatedAt).toLocaleString()}_`,
+	];
+	for (const m of conv.messages) {
+		parts.push(`### ${ROLE_LABELS[m.role]} · ${new Date(m.createdAt).toLocaleString()}`);
+		for (const step of m.toolSteps ?? []) parts.push(toolStepMarkdown(step));
+		if (m.content.trim()) parts.push(m.content);
+		for (const att of m.attachments ?? []) parts.push(`_Attachment: ${att.name}_`);
+	}
+	return parts.join("\n\n");
+}
+
+function toolStepMarkdown(step: ToolStep): string {
+	const header = `**Tool \`${step.name}\`**${step.ok ? "" : " (failed)"} \`${JSON.stringify(step.arguments)}\``;
+	const body = step.payload ? toolResultToMarkdown(step.payload) : `\`\`\`json\n${step.result}\n\`\`\``;
+	return `${header}\n\n${body}`;
+}
+
+function toHtml(conversations: Conversation[]): string {
+	const title = conversations.length === 1 ? conversations[0].title || "Untitled chat" : "Jarvis conversations";
+	const sections = conversations.map(conv => {
+		const messages = conv.messages.map(m => {
+			const steps = (m.toolSteps ?? []).map(step => {
+				const summary = `<summary>Tool <code>${escapeHtml(step.name)}</code>${step.ok ? "" : " (failed)"}</summary>`;
+				const args = `<pre>${escapeHtml(JSON.stringify(step.arguments, null, 2))}</pre>`;
+				// Typed results are shown open as tables; raw results stay collapsed
+				return step.payload
+					? `<details class="tool" open>${summary}${args}${renderMarkdown(toolResultToMarkdown(step.payload))}</details>`
+					: `<details class="tool">${summary}${args}<pre>${escapeHtml(step.result)}</pre></details>`;
+			}).join("");
+			const images = (m.attachments ?? [])
+				.map(att => `<img src="${escapeHtml(att.dataUrl)}" alt="${escapeHtml(att.name)}">`)
+				.join("");
+			return `<article class="msg ${m.role}"><header><strong>${ROLE_LABELS[m.role]}</strong> <time>${escapeHtml(new Date(m.createdAt).toLocaleString())}</time></header>${steps}${renderMarkdown(m.content)}${images}</article>`;
+		}).join("\n");
+		return `<section><h1>${escapeHtml(conv.title || "Untitled chat")}</h1>\n${messages}\n</section>`;
+	}).join("\n<hr>\n");
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #171717; line-height: 1.5; }
+h1 { font-size: 1.5rem; }
+.msg { border: 1px solid #e5e5e5; border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.msg.user { background: #fafafa; }
+.msg header { font-size: 0.85rem; color: #525252; margin-bottom: 0.5rem; }
+.tool { font-size: 0.85rem; border: 1px solid #e5e5e5; border-radius: 6px; padding: 0.25rem 0.5rem; margin: 0.5rem 0; }
+table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+th, td { border: 1px solid #e5e5e5; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+pre { background: #f5f5f5; padding: 0.5rem; border-radius: 4px; overflow-x: auto; white-space: pre-wrap; }
+img { max-width: 100%; border-radius: 6px; }
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+}
+
+function renderMarkdown(text: string): string {
+	if (!text.trim()) return "";
+	return renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, text));
+}
+
+function escapeHtml(text: string): string {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+function fileBaseName(conversations: Conversation[]): string {
+	const date = new Date().toISOString().slice(0, 10);
+	if (conversations.length !== 1) return `jarvis-conversations-${date}`;
+	const slug = (conversations[0].title || "chat")
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, "-")
+		.replace(/^-+|-+$/g, "")
+		.slice(0, 60);
+	return `jarvis-${slug || "chat"}-${date}`;
+}
@@ -0,0 +1,128 @@
+// Full-text search over stored conversations: an inverted index of message text
+// (tool results included) with prefix matching, date filters and highlighted snippets.
+
+import type { Conversation, Message } from "../store/chatStore";
+import { toolResultToMarkdown } from "./toolResults";
+
+const SNIPPET_RADIUS = 60;
+const MAX_HITS = 50;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+type IndexedMessage = {
+	conversationId: string;
+	conversationTitle: string;
+	messageId: string;
+	role: Message["role"];
+	createdAt: number;
+	text: string;
+};
+
+export type SearchIndex = {
+	docs: IndexedMessage[];
+	tokens: Map<string, Set<number>>;
+};
+
+export type SearchFilters = {
+	from?: string; // yyyy-mm-dd, inclusive
+	to?: string; // yyyy-mm-dd, inclusive
+};
+
+export type SearchHit = {
+	conversationId: string;
+	conversationTitle: string;
+	messageId: string;
+	role: Message["role"];
+	createdAt: number;
+	snippet: string;
+	// [start, end) ranges of matched terms within snippet
+	highlights: [number, number][];
+};
+
+export function buildSearchIndex(conversations: Conversation[]): SearchIndex {
+	const docs: IndexedMessage[] = [];
+	const tokens = new Map<string, Set<number>>();
+	for (const conv of conversations) {
+		for (const m of conv.messages) {
+			const text = searchableText(m);
+			if (!text.trim()) continue;
+			const doc = docs.push({
+				conversationId: conv.id,
+				conversationTitle: conv.title,
+				messageId: m.id,
+				role: m.role,
+				createdAt: m.createdAt,
+				text,
+			}) - 1;
+			for (const token of tokenize(text)) {
+				let set = tokens.get(token);
+				if (!set) tokens.set(token, set = new Set());
+				set.add(doc);
+			}
+		}
+	}
+	return { docs, tokens };
+}
+
+/**
+ * Messages containing every query term (as a word prefix), best matches first
+ */
+export function searchConversations(index: SearchIndex, query: string, filters: SearchFilters = {}): SearchHit[] {
+	const terms = [...new Set(tokenize(query))];
+	if (!terms.length) return [];
+
+	const perTerm = terms.map(term => {
+		const docIds = new Set<number>();
+		for (const [token, ids] of index.tokens) {
+			if (token.startsWith(term)) ids.forEach(id => docIds.add(id));
+		}
+		return docIds;
+	});
+	const matches = [...perTerm[0]].filter(id => perTerm.every(set => set.has(id)));
+
+	const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : -Infinity;
+	const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : Infinity;
+	const pattern = termPattern(terms);
+	return matches
+		.map(id => index.docs[id])
+		.filter(doc => doc.createdAt >= from && doc.createdAt <= to)
+		.map(doc => ({ doc, score: doc.text.match(pattern)?.length ?? 0 }))
+		.sort((a, b) => b.score - a.score || b.doc.createdAt - a.doc.createdAt)
+		.slice(0, MAX_HITS)
+		.map(({ doc }) => ({
+			conversationId: doc.conversationId,
+			conversationTitle: doc.conversationTitle,
+			messageId: doc.messageId,
+			role: doc.role,
+			createdAt: doc.createdAt,
+			...snippet(doc.text, pattern),
+		}));
+}
+
+function searchableText(m: Message): string {
+	const steps = (m.toolSteps ?? []).map(s => `${s.name}\n${s.payload ? toolResultToMarkdown(s.payload) : s.result}`);
+	return [m.content, ...steps].join("\n");
+}
+
+function tokenize(text: string): string[] {
+	return (text.toLowerCase().match(WORD) ?? []);
+}
+
+// Matches terms at the start of a word, like the index lookup
+function termPattern(terms: string[]): RegExp {
+	const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+	return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join("|")})`, "giu");
+}
+
+function snippet(text: string, pattern: RegExp): { snippet: string; highlights: [number, number][] } {
+	const flat = text.replace(/\s+/g, " ");
+	const first = flat.search(pattern);
+	const start = Math.max(0, first - SNIPPET_RADIUS);
+	const end = Math.min(flat.length, Math.max(first, 0) + SNIPPET_RADIUS * 2);
+	const prefix = start > 0 ? "…" : "";
+	const body = flat.slice(start, end);
+	const highlights: [number, number][] = [];
+	for (const m of body.matchAll(pattern)) {
+		highlights.push([prefix.length + m.index!, prefix.length + m.index! + m[0].length]);
+	}
+	return { snippet: `${prefix}${body}${end < flat.length ? "…" : ""}`, highlights };
+}
@@ -0,0 +1,120 @@
+// Client for the server-side conversation store (/api/conversations).
+// IndexedDB stays as an offline cache; every call here fails soft when the server is down.
+
+import type { Conversation, Message } from "../store/chatStore";
+import { MCP_BASE_URL } from "./mcp";
+
+const BASE = `${MCP_BASE_URL}/api/conversations`;
+
+/**
+ * Send the deletions made while the server was unreachable, upload what only the local copy
+ * has (conversations and messages saved offline), then return the server's conversations.
+ * Conversations deleted on the server, from this browser or another, are never uploaded again.
+ * Resolves to null when the server is unreachable so the caller keeps the local copy (and
+ * its pending deletions).
+ */
+export async function syncConversations(local: Conversation[], pendingDeletes: string[] = []): Promise<Conversation[] | null> {
+	try {
+		for (const id of pendingDeletes) {
+			await request(`/${encodeURIComponent(id)}`, { method: "DELETE" });
+		}
+		const { conversations: server, deleted } = await fetchConversations();
+		const { conversations, messages } = localChanges(local, server, [...deleted, ...pendingDeletes]);
+		if (!conversations.length && !messages.length) return server;
+		await uploadConversations(conversations);
+		for (const { conv, messages: missing } of messages) {
+			await request(`/${encodeURIComponent(conv.id)}/messages`, {
+				method: "POST",
+				body: { title: conv.title, createdAt: conv.createdAt, messages: missing },
+			});
+		}
+		return (await fetchConversations()).conversations;
+	} catch (err) {
+		console.warn("[Sync] Conversation sync unavailable, using local history:", err);
+		return null;
+	}
+}
+
+/**
+ * What the server is missing, by conversation id: whole conversations it does not have (and
+ * did not delete), and messages it lacks (or holds an older copy of, when the local
+ * conversation is newer)
+ */
+export function localChanges(local: Conversation[], server: Conversation[], deleted: string[] = []): {
+	conversations: Conversation[];
+	messages: { conv: Conversation; messages: Message[] }[];
+} {
+	const byId = new Map(server.map(c => [c.id, c]));
+	const gone = new Set(deleted);
+	const conversations: Conversation[] = [];
+	const messages: { conv: Conversation; messages: Message[] }[] = [];
+	for (const conv of local) {
+		const stored = byId.get(conv.id);
+		if (!stored) {
+			if (conv.messages.length && !gone.has(conv.id)) conversations.push(conv);
+			continue;
+		}
+		const storedById = new Map(stored.messages.map(m => [m.id, m]));
+		const newer = conv.updatedAt > stored.updatedAt;
+		const missing = conv.messages.filter(m => {
+			const copy = storedById.get(m.id);
+			return !copy || (newer && JSON.stringify(copy) !== JSON.stringify(m));
+		});
+		if (missing.length || (newer && conv.title !== stored.title)) messages.push({ conv, messages: missing });
+	}
+	return { conversations, messages };
+}
+
+/**
+ * Upload whole conversations; the server keeps whichever copy was updated last
+ */
+export async function uploadConversations(conversations: Conversation[]): Promise<void> {
+	// One conversation per request keeps image attachments under the server's body limit
+	for (const conv of conversations) {
+		await request("/import", { method: "POST", body: { conversations: [conv] } });
+	}
+}
+
+export async function pushMessages(conv: Conversation, messages: Message[]): Promise<void> {
+	await request(`/${encodeURIComponent(conv.id)}/messages`, {
+		method: "POST",
+		body: { title: conv.title, createdAt: conv.createdAt, messages },
+	}).catch(err => console.warn("[Sync] Could not save messages:", err));
+}
+
+export async function pushRename(id: string, title: string): Promise<void> {
+	await request(`/${encodeURIComponent(id)}`, { method: "PATCH", body: { title } })
+		.catch(err => console.warn("[Sync] Could not rename conversation:", err));
+}
+
+/**
+ * Resolves to false when the server could not be reached; the caller queues the id for the next sync
+ */
+export async function pushDelete(id: string): Promise<boolean> {
+	return request(`/${encodeURIComponent(id)}`, { method: "DELETE" })
+		.then(() => true)
+		.catch(err => {
+			console.warn("[Sync] Could not delete conversation:", err);
+			return false;
+		});
+}
+
+async function fetchConversations(): Promise<{ conversations: Conversation[]; deleted: string[] }> {
+	const j = await request("?full=1");
+	if (!Array.isArray(j.conversations)) throw new Error("Unexpected response from the conversation store");
+	return { conversations: j.conversations, deleted: Array.isArray(j.deleted) ? j.deleted : [] };
+}
+
+async function request(path: string, init?: { method: string; body?: unknown }): Promise<any> {
+	const r = await fetch(`${BASE}${path}`, {
+		method: init?.method || "GET",
+		headers: init?.body ? { "Content-Type": "application/json" } : undefined,
+		body: init?.body ? JSON.stringify(init.body) : undefined,
+		cache: "no-store",
+	});
+	const j = await r.json().catch(() => ({}));
+	// Renaming/deleting a chat that never reached the server is not an error worth reporting
+	if (r.status === 404 && (init?.method === "PATCH" || init?.method === "DELETE")) return j;
+	if (!r.ok || j.ok === false) throw new Error(j.error || `HTTP ${r.status}`);
+	return j;
+}
@@ -0,0 +1,90 @@
+// Background jobs on the local server (server/jobQueueService.cjs): long tools, transcription, summaries
+
+import { MCP_BASE_URL } from "./mcp";
+
+export type JobStatus = "queued" | "running" | "succeeded" | "failed" | "cancelled";
+
+export type JobProgress = { message: string; progress?: number; total?: number; at?: string };
+
+export type Job = {
+	id: string;
+	type: string;
+	label: string;
+	status: JobStatus;
+	progress: JobProgress | null;
+	result?: any;
+	error: string | null;
+	createdAt: string;
+	startedAt: string | null;
+	finishedAt: string | null;
+};
+
+// Tool result the model sees when the user cancels a background tool call
+export const CANCELLED_RESULT = { ok: false, cancelled: true, error: "The user cancelled this tool call." };
+
+export function isJobFinished(job: Pick<Job, "status">): boolean {
+	return job.status === "succeeded" || job.status === "failed" || job.status === "cancelled";
+}
+
+/**
+ * Follow a job over server-sent events until it finishes. Resolves with the final job
+ * (result included); onUpdate sees every snapshot on the way. Aborting `signal` stops
+ * watching (the job keeps running).
+ */
+export function watchJob(id: string, onUpdate?: (job: Job) => void, { signal }: { signal?: AbortSignal } = {}): Promise<Job> {
+	return new Promise((resolve, reject) => {
+		const source = new EventSource(`${MCP_BASE_URL}/api/jobs/${encodeURIComponent(id)}/events`);
+		signal?.addEventListener("abort", () => {
+			source.close();
+			reject(new DOMException("Stopped watching the job", "AbortError"));
+		}, { once: true });
+		source.addEventListener("job", (event) => {
+			const job = JSON.parse((event as MessageEvent).data) as Job;
+			onUpdate?.(job);
+			if (isJobFinished(job)) {
+				source.close();
+				resolve(job);
+			}
+		});
+		source.onerror = () => {
+			// EventSource reconnects on its own (the stream resends the current state); once it gives up, ask directly
+			if (source.readyState !== EventSource.CLOSED) return;
+			fetchJob(id).then(job => {
+				if (job && isJobFinished(job)) resolve(job);
+				else reject(new Error("Lost connection to the job"));
+			}, reject);
+		};
+	});
+}
+
+export async function fetchJob(id: string): Promise<Job | null> {
+	const r = await fetch(`${MCP_BASE_URL}/api/jobs/${encodeURIComponent(id)}`, { cache: "no-store" });
+	if (!r.ok) return null;
+	const j = await r.json();
+	return j.job ?? null;
+}
+
+export async function cancelJob(id: string): Promise<void> {
+	await fetch(`${MCP_BASE_URL}/api/jobs/${encodeURIComponent(id)}/cancel`, { method: "POST" }).catch(() => undefined);
+}
+
+/**
+ * Run a long tool (McpTool.background) as a job and return its JSON payload like callMcpTool,
+ * reporting progress through onUpdate while it runs
+ */
+export async function callMcpToolAsJob(name: string, args: Record<string, unknown>, onUpdate?: (job: Job) => void): Promise<any> {
+	try {
+		const r = await fetch(`${MCP_BASE_URL}/mcp/tools/call`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ name, arguments: args, background: true }),
+		});
+		const started = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+		if (!started.jobId) return started;
+		const job = await watchJob(started.jobId, onUpdate);
+		if (job.status === "cancelled") return CANCELLED_RESULT;
+		return job.result ?? { ok: false, error: job.error || "Job failed" };
+	} catch (err) {
+		return { ok: false, error: err instanceof Error ? err.message : "network or server error" };
+	}
+}
@@ -0,0 +1,33 @@
+// LLM spend per conversation, as priced by the local proxy (GET /mcp/billing/conversations/:id)
+
+import { MCP_BASE_URL } from "./mcp";
+
+export type ConversationCost = {
+	inputTokens: number;
+	outputTokens: number;
+	cost: number; // USD
+	requests: number;
+};
+
+/**
+ * Tokens and cost recorded for a conversation; null when the server is unreachable
+ */
+export async function fetchConversationCost(id: string): Promise<ConversationCost | null> {
+	try {
+		const r = await fetch(`${MCP_BASE_URL}/mcp/billing/conversations/${encodeURIComponent(id)}`, { cache: "no-store" });
+		if (!r.ok) return null;
+		const j = await r.json();
+		return j.usage ?? null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * "$1.25" from a dollar upward, otherwise enough decimals to show fractions of a cent
+ */
+export function formatCost(cost: number): string {
+	if (cost >= 1) return `$${cost.toFixed(2)}`;
+	if (cost > 0 && cost < 0.0001) return "<$0.0001";
+	return `$${cost.toFixed(4)}`;
+}
@@ -0,0 +1,76 @@
+// Client for the local MCP tool server (server/index.cjs)
+
+import type { ToolDefinition } from "../vendor/llm";
+
+export const MCP_BASE_URL = "http://localhost:3001";
+
+// Tool results are fed back to the model; keep them within a sane prompt budget
+const MAX_TOOL_RESULT_CHARS = 12000;
+// Shorter copy kept on the message for the collapsible step view
+const STEP_PREVIEW_CHARS = 2000;
+
+export type McpTool = {
+	name: string;
+	title?: string;
+	description?: string;
+	inputSchema?: Record<string, unknown>;
+	annotations?: { readOnlyHint?: boolean; destructiveHint?: boolean; idempotentHint?: boolean };
+	background?: boolean; // long-running: called as a server job (see utils/jobs)
+	server?: string; // set for tools proxied from an external MCP server
+};
+
+/**
+ * Fetch the tool registry served by GET /mcp/tools
+ */
+export async function listMcpTools(): Promise<McpTool[]> {
+	const r = await fetch(`${MCP_BASE_URL}/mcp/tools`, { cache: "no-store" });
+	if (!r.ok) throw new Error(`HTTP ${r.status}`);
+	const j = await r.json();
+	return Array.isArray(j.tools) ? j.tools : [];
+}
+
+/**
+ * Execute a tool by name on the server and return its JSON payload (errors included,
+ * so the model can explain them to the user). Tools that change data are refused unless
+ * confirmed is set, once the user approved the call.
+ */
+export async function callMcpTool(name: string, args: Record<string, unknown>, { confirmed = false } = {}): Promise<any> {
+	try {
+		const r = await fetch(`${MCP_BASE_URL}/mcp/tools/call`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ name, arguments: args, ...(confirmed ? { confirmed: true } : {}) }),
+		});
+		return await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+	} catch (err) {
+		return { ok: false, error: err instanceof Error ? err.message : "network or server error" };
+	}
+}
+
+/**
+ * Tools that declare they change something (Jira writes, ...) run only after the user approves
+ */
+export function needsConfirmation(tool: McpTool): boolean {
+	return tool.annotations?.readOnlyHint === false;
+}
+
+export function toToolDefinition(tool: McpTool): ToolDefinition {
+	return {
+		name: tool.name,
+		description: tool.description || tool.title || tool.name,
+		parameters: tool.inputSchema,
+	};
+}
+
+export function formatToolResult(result: unknown): string {
+	return truncate(typeof result === "string" ? result : JSON.stringify(result), MAX_TOOL_RESULT_CHARS);
+}
+
+export function previewToolResult(result: unknown): string {
+	return truncate(typeof result === "string" ? result : JSON.stringify(result, null, 2), STEP_PREVIEW_CHARS);
+}
+
+function truncate(text: string, max: number): string {
+	if (text.length <= max) return text;
+	return `${text.slice(0, max)}… [truncated ${text.length - max} chars]`;
+}
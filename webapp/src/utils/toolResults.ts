@@ -0,0 +1,415 @@
+// Typed tool-result payloads: the raw JSON a tool returned, normalized into
+// a few shapes the chat can render as cards (and replay to the model).
+
+import { z } from "zod";
+import { MCP_BASE_URL } from "./mcp";
+
+export type JiraIssueRow = {
+	key: string;
+	summary: string;
+	status: string;
+	assignee: string;
+	due?: string;
+	url?: string;
+};
+
+export type CommitRow = {
+	sha: string;
+	message: string;
+	author: string;
+	date: string;
+	url?: string;
+};
+
+export type SlackMessageRow = {
+	text: string;
+	user: string;
+	channel?: string;
+	date?: string;
+	url?: string;
+};
+
+export type CalendarEventRow = {
+	title: string;
+	start: string;
+	end?: string;
+	location?: string;
+	url?: string;
+};
+
+// A suggested fix from the alignment report, sent back as-is to jira_github_apply_alignment
+export type AlignmentAction = {
+	id: string;
+	type: "transition" | "comment";
+	key: string;
+	fromStatus?: string;
+	toStatus?: string;
+	body?: string;
+};
+
+export type AlignmentRow = {
+	key: string;
+	summary: string;
+	status: string;
+	warning: string;
+	url?: string;
+	// Repositories the task's evidence came from
+	repositories?: string[];
+	actions: AlignmentAction[];
+};
+
+// Timestamps are seconds into the meeting audio
+export type ActionItemRow = {
+	task: string;
+	owner?: string;
+	dueDate?: string;
+	timestamp?: number;
+};
+
+export type DecisionRow = {
+	decision: string;
+	madeBy?: string;
+	timestamp?: number;
+};
+
+export type OpenQuestionRow = {
+	question: string;
+	askedBy?: string;
+	timestamp?: number;
+};
+
+export type ToolResultPayload =
+	| { kind: "jira_issues"; total?: number; issues: JiraIssueRow[] }
+	| { kind: "github_commits"; repository?: string; commits: CommitRow[] }
+	| { kind: "slack_messages"; channel?: string; total?: number; messages: SlackMessageRow[] }
+	| { kind: "calendar_events"; events: CalendarEventRow[] }
+	| { kind: "meeting_summary"; meetingId?: string; title?: string; date?: string; summary: string }
+	| { kind: "meeting_action_items"; meetingId: string; title?: string; date?: string; actionItems: ActionItemRow[]; decisions: DecisionRow[]; openQuestions: OpenQuestionRow[] }
+	| { kind: "alignment_report"; repository: string; project?: string; score?: number; summary: string; misalignments: AlignmentRow[] };
+
+export type ToolResultKind = ToolResultPayload["kind"];
+
+const jiraIssueRowSchema = z.object({
+	key: z.string(),
+	summary: z.string(),
+	status: z.string(),
+	assignee: z.string(),
+	due: z.string().optional(),
+	url: z.string().optional(),
+});
+
+const commitRowSchema = z.object({
+	sha: z.string(),
+	message: z.string(),
+	author: z.string(),
+	date: z.string(),
+	url: z.string().optional(),
+});
+
+const slackMessageRowSchema = z.object({
+	text: z.string(),
+	user: z.string(),
+	channel: z.string().optional(),
+	date: z.string().optional(),
+	url: z.string().optional(),
+});
+
+const calendarEventRowSchema = z.object({
+	title: z.string(),
+	start: z.string(),
+	end: z.string().optional(),
+	location: z.string().optional(),
+	url: z.string().optional(),
+});
+
+const actionItemRowSchema = z.object({
+	task: z.string(),
+	owner: z.string().optional(),
+	dueDate: z.string().optional(),
+	timestamp: z.number().optional(),
+});
+
+const decisionRowSchema = z.object({
+	decision: z.string(),
+	madeBy: z.string().optional(),
+	timestamp: z.number().optional(),
+});
+
+const openQuestionRowSchema = z.object({
+	question: z.string(),
+	askedBy: z.string().optional(),
+	timestamp: z.number().optional(),
+});
+
+const alignmentActionSchema = z.object({
+	id: z.string(),
+	type: z.enum(["transition", "comment"]),
+	key: z.string(),
+	fromStatus: z.string().optional(),
+	toStatus: z.string().optional(),
+	body: z.string().optional(),
+});
+
+const alignmentRowSchema = z.object({
+	key: z.string(),
+	summary: z.string(),
+	status: z.string(),
+	warning: z.string(),
+	url: z.string().optional(),
+	repositories: z.array(z.string()).optional(),
+	actions: z.array(alignmentActionSchema),
+});
+
+// Validates payloads coming back from an imported conversation file
+export const toolResultPayloadSchema = z.discriminatedUnion("kind", [
+	z.object({ kind: z.literal("jira_issues"), total: z.number().optional(), issues: z.array(jiraIssueRowSchema) }),
+	z.object({ kind: z.literal("github_commits"), repository: z.string().optional(), commits: z.array(commitRowSchema) }),
+	z.object({ kind: z.literal("slack_messages"), channel: z.string().optional(), total: z.number().optional(), messages: z.array(slackMessageRowSchema) }),
+	z.object({ kind: z.literal("calendar_events"), events: z.array(calendarEventRowSchema) }),
+	z.object({ kind: z.literal("meeting_summary"), meetingId: z.string().optional(), title: z.string().optional(), date: z.string().optional(), summary: z.string() }),
+	z.object({
+		kind: z.literal("meeting_action_items"),
+		meetingId: z.string(),
+		title: z.string().optional(),
+		date: z.string().optional(),
+		actionItems: z.array(actionItemRowSchema),
+		decisions: z.array(decisionRowSchema),
+		openQuestions: z.array(openQuestionRowSchema),
+	}),
+	z.object({ kind: z.literal("alignment_report"), repository: z.string(), project: z.string().optional(), score: z.number().optional(), summary: z.string(), misalignments: z.array(alignmentRowSchema) }),
+]) satisfies z.ZodType<ToolResultPayload>;
+
+/**
+ * Map a tool's JSON response to a typed payload, or undefined when the tool has no card
+ */
+export function toToolResultPayload(toolName: string, result: any): ToolResultPayload | undefined {
+	if (!result || typeof result !== "object" || result.ok === false) return undefined;
+	switch (toolName) {
+		case "jira_search":
+		case "jira_list_issues":
+		case "jira_issues_in_sprint":
+		case "jira_board_issues":
+			if (!Array.isArray(result.issues)) return undefined;
+			return { kind: "jira_issues", total: result.total, issues: result.issues.map(toJiraIssueRow) };
+		case "github_commits":
+			if (!Array.isArray(result.commits)) return undefined;
+			return {
+				kind: "github_commits",
+				repository: result.repository,
+				commits: result.commits.map((c: any) => ({
+					sha: String(c.sha || "").slice(0, 7),
+					message: firstLine(c.message),
+					author: c.author || "",
+					date: c.date || "",
+					url: c.url,
+				})),
+			};
+		case "slack_search":
+		case "slack_mentions":
+		case "slack_channel_messages": {
+			const matches = result.messages ?? result.mentions;
+			if (!Array.isArray(matches)) return undefined;
+			const channel = result.channel?.name;
+			return {
+				kind: "slack_messages",
+				channel,
+				total: result.total,
+				messages: matches.map((m: any) => ({
+					text: m.text || "",
+					user: m.username || m.user_profile?.real_name || m.user || "",
+					channel: m.channel?.name || channel,
+					date: slackTsToIso(m.ts),
+					url: m.permalink,
+				})),
+			};
+		}
+		case "calendar_today":
+		case "calendar_upcoming":
+			if (!Array.isArray(result.events)) return undefined;
+			return {
+				kind: "calendar_events",
+				events: result.events.map((e: any) => ({
+					title: e.summary || "(no title)",
+					start: e.start?.dateTime || e.start?.date || "",
+					end: e.end?.dateTime || e.end?.date,
+					location: e.location,
+					url: e.htmlLink,
+				})),
+			};
+		case "meeting_summarize":
+			// Without a meeting the server returns an explanation string instead of a summary
+			if (!result.meeting || typeof result.result !== "string") return undefined;
+			return {
+				kind: "meeting_summary",
+				meetingId: result.meeting.id,
+				title: result.meeting.title,
+				date: result.meeting.date,
+				summary: result.result,
+			};
+		case "meeting_action_items":
+			if (!result.meeting || !Array.isArray(result.actionItems)) return undefined;
+			return {
+				kind: "meeting_action_items",
+				meetingId: result.meeting.id,
+				title: result.meeting.title,
+				date: result.meeting.date,
+				actionItems: result.actionItems.map((a: any) => ({
+					task: a.task || "",
+					owner: a.owner || undefined,
+					dueDate: a.dueDate || undefined,
+					timestamp: toSeconds(a.timestamp),
+				})),
+				decisions: (result.decisions ?? []).map((d: any) => ({
+					decision: d.decision || "",
+					madeBy: d.madeBy || undefined,
+					timestamp: toSeconds(d.timestamp),
+				})),
+				openQuestions: (result.openQuestions ?? []).map((q: any) => ({
+					question: q.question || "",
+					askedBy: q.askedBy || undefined,
+					timestamp: toSeconds(q.timestamp),
+				})),
+			};
+		case "jira_github_verify_alignment":
+			if (!Array.isArray(result.misalignments)) return undefined;
+			return {
+				kind: "alignment_report",
+				repository: result.repository || "",
+				project: result.project,
+				score: result.alignmentScore,
+				summary: result.summary || "",
+				misalignments: result.misalignments.map((m: any) => ({
+					key: m.key || "",
+					summary: m.summary || "",
+					status: m.status || "",
+					warning: m.warning || "",
+					url: m.url,
+					repositories: Array.isArray(m.repositories) ? m.repositories : undefined,
+					actions: Array.isArray(m.suggestedActions) ? m.suggestedActions : [],
+				})),
+			};
+		default:
+			return undefined;
+	}
+}
+
+/**
+ * Markdown rendering of a payload for the clipboard
+ */
+export function toolResultToMarkdown(payload: ToolResultPayload): string {
+	switch (payload.kind) {
+		case "jira_issues":
+			return markdownTable(
+				["Key", "Summary", "Status", "Assignee", "Due"],
+				payload.issues.map(i => [link(i.key, i.url), i.summary, i.status, i.assignee, i.due || ""]),
+			);
+		case "github_commits":
+			return markdownTable(
+				["SHA", "Message", "Author", "Date"],
+				payload.commits.map(c => [link(`\`${c.sha}\``, c.url), c.message, c.author, formatDate(c.date)]),
+			);
+		case "slack_messages":
+			return markdownTable(
+				["Date", "User", "Channel", "Message"],
+				payload.messages.map(m => [link(formatDate(m.date), m.url), m.user, m.channel ? `#${m.channel}` : "", m.text]),
+			);
+		case "calendar_events":
+			return markdownTable(
+				["Start", "End", "Event", "Location"],
+				payload.events.map(e => [formatDate(e.start), formatDate(e.end), link(e.title, e.url), e.location || ""]),
+			);
+		case "meeting_summary":
+			return `## ${payload.title || payload.meetingId || "Meeting"}${payload.date ? ` (${formatDate(payload.date)})` : ""}\n\n${payload.summary}`;
+		case "meeting_action_items": {
+			const at = (timestamp?: number) => (timestamp === undefined ? "" : link(formatTimestamp(timestamp), meetingAudioUrl(payload.meetingId, timestamp)));
+			const sections = [`## ${payload.title || payload.meetingId}${payload.date ? ` (${formatDate(payload.date)})` : ""}`];
+			sections.push(`### Action items\n\n${markdownTable(
+				["Task", "Owner", "Due", "At"],
+				payload.actionItems.map(a => [a.task, a.owner || "", a.dueDate || "", at(a.timestamp)]),
+			)}`);
+			if (payload.decisions.length) sections.push(`### Decisions\n\n${payload.decisions.map(d => `- ${d.decision}${d.madeBy ? ` (${d.madeBy})` : ""} ${at(d.timestamp)}`.trimEnd()).join("\n")}`);
+			if (payload.openQuestions.length) sections.push(`### Open questions\n\n${payload.openQuestions.map(q => `- ${q.question}${q.askedBy ? ` (${q.askedBy})` : ""} ${at(q.timestamp)}`.trimEnd()).join("\n")}`);
+			return sections.join("\n\n");
+		}
+		case "alignment_report":
+			return `${payload.summary}\n\n${markdownTable(
+				["Key", "Status", "Warning", "Suggested actions"],
+				payload.misalignments.map(m => [link(m.key, m.url), m.status, m.warning, m.actions.map(describeAlignmentAction).join("; ")]),
+			)}`;
+	}
+}
+
+export function describeAlignmentAction(action: AlignmentAction): string {
+	return action.type === "transition" ? `Move to ${action.toStatus}` : "Comment with evidence";
+}
+
+export function formatDate(value?: string): string {
+	if (!value) return "";
+	const d = new Date(value);
+	if (Number.isNaN(d.getTime())) return value;
+	// All-day calendar events only carry a date
+	return /^\d{4}-\d{2}-\d{2}$/.test(value) ? d.toLocaleDateString() : d.toLocaleString();
+}
+
+/**
+ * "mm:ss" for a position in the meeting audio, as the server cites it in transcripts
+ */
+export function formatTimestamp(seconds: number): string {
+	const s = Math.floor(seconds);
+	return `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/**
+ * The meeting's recording, opened at `seconds` (media fragment)
+ */
+export function meetingAudioUrl(meetingId: string, seconds?: number): string {
+	const url = `${MCP_BASE_URL}/api/meetings/${encodeURIComponent(meetingId)}/audio`;
+	return seconds === undefined ? url : `${url}#t=${Math.floor(seconds)}`;
+}
+
+function toSeconds(value: unknown): number | undefined {
+	return typeof value === "number" && Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+function toJiraIssueRow(issue: any): JiraIssueRow {
+	const f = issue?.fields || {};
+	return {
+		key: issue?.key || "",
+		summary: f.summary || "(no summary)",
+		status: f.status?.name || "",
+		assignee: f.assignee?.displayName || "Unassigned",
+		due: f.duedate || undefined,
+		url: jiraBrowseUrl(issue),
+	};
+}
+
+// Issues carry their REST "self" URL; the browse link lives on the same site
+function jiraBrowseUrl(issue: any): string | undefined {
+	try {
+		return `${new URL(issue.self).origin}/browse/${issue.key}`;
+	} catch {
+		return undefined;
+	}
+}
+
+function slackTsToIso(ts: unknown): string | undefined {
+	const seconds = parseFloat(String(ts));
+	return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+function firstLine(text: unknown): string {
+	return String(text || "").split("\n")[0];
+}
+
+function link(text: string, url?: string): string {
+	return url ? `[${text}](${url})` : text;
+}
+
+function markdownTable(headers: string[], rows: string[][]): string {
+	const cell = (v: string) => v.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+	return [
+		`| ${headers.join(" | ")} |`,
+		`| ${headers.map(() => "---").join(" | ")} |`,
+		...rows.map(r => `| ${r.map(cell).join(" | ")} |`),
+	].join("\n");
+}
@@ -3,6 +3,7 @@ import { defineConfig } from "vitest/config";
 export default defineConfig({
 	test: {
 		environment: "jsdom",
+		setupFiles: ["src/__tests__/setup.ts"],
 		exclude: ["node_modules", "dist", "tests/e2e/**"],
 	},
 });